@@ -1,6 +1,16 @@
 import util, { fadeIn, fadeOut, polarToCartesian, randomColor } from './util.js';
 import { ensureSession } from './session.js';
-import { fetchMessages, sendMessage } from '../modules/common/api.js';
+import {
+  fetchMessages,
+  sendMessage,
+  fetchNodeRevisions,
+  fetchNodeRevisionDiff,
+  revertNodeRevision,
+  fetchAgentChanges,
+  approveAgentChange,
+  rejectAgentChange,
+  undoAgentChange,
+} from '../modules/common/api.js';
 import { refreshWorkingMemory } from '../modules/common/workingMemory.js';
 
 let nodeIdCounter = 0;
@@ -55,6 +65,8 @@ class NodeBase {
     this.id = id || `node-${++nodeIdCounter}`;
     this.draggable = draggable !== false;
     this.projectId = options?.projectId || null;
+    this.versionId = options?.versionId || null;
+    this.persistedSnapshot = null;
 
     const metaFromOptions =
       options?.meta && typeof options.meta === 'object' && !Array.isArray(options.meta)
@@ -103,6 +115,11 @@ class NodeBase {
     this.discussionSending = false;
     this.discussionSilent = false;
     this.discussionUI = null;
+    this.dataCardUI = null;
+    this.historyUI = null;
+    this.historyRevisions = [];
+    this.agentChanges = [];
+    this.agentChangesBusy = false;
   }
 
   createElement() {
@@ -618,6 +635,8 @@ class NodeBase {
       content.appendChild(nameInput);
       content.appendChild(notesLabel);
       content.appendChild(notesArea);
+      this.dataCardUI = { nameInput, notesArea };
+      this.buildHistoryView(content);
     } else if (type === 'discussion') {
       this.buildDiscussionCard(content);
     } else if (type === 'text') {
@@ -640,6 +659,21 @@ class NodeBase {
         this.notifyMutation('fullText');
       });
       content.appendChild(textArea);
+
+      if (this.meta?.builder === 'project') {
+        const includeLabel = document.createElement('label');
+        includeLabel.className = 'side-card__toggle';
+        const includeInput = document.createElement('input');
+        includeInput.type = 'checkbox';
+        includeInput.checked = this.meta.includeInManuscript !== false;
+        includeInput.addEventListener('change', (event) => {
+          this.meta.includeInManuscript = event.target.checked;
+          this.notifyMutation('includeInManuscript');
+        });
+        includeLabel.appendChild(includeInput);
+        includeLabel.appendChild(document.createTextNode(' Include in manuscript (with everything below it)'));
+        content.appendChild(includeLabel);
+      }
     }
 
     card.appendChild(content);
@@ -648,12 +682,206 @@ class NodeBase {
     return card;
   }
 
+  buildHistoryView(container) {
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'node-history__toggle';
+    toggle.textContent = 'History';
+
+    const panel = document.createElement('div');
+    panel.className = 'node-history hidden';
+    const status = document.createElement('div');
+    status.className = 'node-history__status';
+    const list = document.createElement('ul');
+    list.className = 'node-history__list';
+    const diff = document.createElement('div');
+    diff.className = 'node-history__diff';
+    panel.appendChild(status);
+    panel.appendChild(list);
+    panel.appendChild(diff);
+
+    toggle.addEventListener('click', () => {
+      const opening = panel.classList.contains('hidden');
+      panel.classList.toggle('hidden', !opening);
+      toggle.classList.toggle('active', opening);
+      if (opening) {
+        this.loadHistory();
+      }
+    });
+
+    container.appendChild(toggle);
+    container.appendChild(panel);
+    this.historyUI = { panel, status, list, diff };
+  }
+
+  setHistoryStatus(message, tone = 'muted') {
+    if (!this.historyUI) {
+      return;
+    }
+    this.historyUI.status.textContent = message || '';
+    this.historyUI.status.dataset.tone = tone;
+  }
+
+  async loadHistory() {
+    if (!this.historyUI) {
+      return;
+    }
+    if (!this.projectId) {
+      this.setHistoryStatus('Project context missing. History is unavailable.');
+      return;
+    }
+    this.setHistoryStatus('Loading history…', 'info');
+    try {
+      const data = await fetchNodeRevisions(this.id, { projectId: this.projectId });
+      this.historyRevisions = Array.isArray(data?.revisions) ? data.revisions : [];
+      this.setHistoryStatus(this.historyRevisions.length ? '' : 'No saved revisions yet.');
+    } catch (error) {
+      console.warn('Failed to load node history', error);
+      this.historyRevisions = [];
+      this.setHistoryStatus(error?.message || 'Failed to load history.', 'error');
+    }
+    this.renderHistory();
+  }
+
+  describeRevision(revision) {
+    const when = this.formatDiscussionTimestamp(revision.created_at) || 'Unknown time';
+    const who = revision.source === 'baseline' ? 'before history' : revision.author || revision.source || 'unknown';
+    const kind = revision.source === 'revert' ? ' (revert)' : '';
+    return `${when} · ${who}${kind}`;
+  }
+
+  renderHistory() {
+    if (!this.historyUI) {
+      return;
+    }
+    const { list, diff } = this.historyUI;
+    list.innerHTML = '';
+    diff.innerHTML = '';
+    this.historyRevisions.forEach((revision, index) => {
+      const item = document.createElement('li');
+      item.className = 'node-history__item';
+
+      const label = document.createElement('span');
+      label.className = 'node-history__label';
+      label.textContent = this.describeRevision(revision);
+      label.title = revision.label || '';
+      item.appendChild(label);
+
+      const compare = document.createElement('button');
+      compare.type = 'button';
+      compare.textContent = 'Diff';
+      compare.title = 'Compare this revision with the current version';
+      compare.addEventListener('click', () => this.showRevisionDiff(revision));
+      item.appendChild(compare);
+
+      if (index > 0) {
+        const revert = document.createElement('button');
+        revert.type = 'button';
+        revert.textContent = 'Revert';
+        revert.title = 'Restore this node to this revision';
+        revert.addEventListener('click', () => this.revertToRevision(revision));
+        item.appendChild(revert);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  formatHistoryValue(value) {
+    if (value === null || value === undefined || value === '') {
+      return '—';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 160 ? `${text.slice(0, 157)}…` : text;
+  }
+
+  async showRevisionDiff(revision) {
+    if (!this.historyUI || !this.projectId) {
+      return;
+    }
+    const { diff } = this.historyUI;
+    diff.innerHTML = '';
+    try {
+      const data = await fetchNodeRevisionDiff(this.id, { projectId: this.projectId, from: revision.id });
+      const changes = Array.isArray(data?.changes) ? data.changes : [];
+      const heading = document.createElement('p');
+      heading.className = 'node-history__diff-heading';
+      heading.textContent = changes.length
+        ? `Changed since ${this.describeRevision(revision)}`
+        : 'No changes since this revision.';
+      diff.appendChild(heading);
+      changes.forEach((change) => {
+        const row = document.createElement('div');
+        row.className = 'node-history__change';
+        const field = document.createElement('strong');
+        field.textContent = change.field;
+        const before = document.createElement('del');
+        before.textContent = this.formatHistoryValue(change.before);
+        const after = document.createElement('ins');
+        after.textContent = this.formatHistoryValue(change.after);
+        row.appendChild(field);
+        row.appendChild(before);
+        row.appendChild(after);
+        diff.appendChild(row);
+      });
+    } catch (error) {
+      console.warn('Failed to load revision diff', error);
+      this.setHistoryStatus(error?.message || 'Failed to compare revisions.', 'error');
+    }
+  }
+
+  async revertToRevision(revision) {
+    if (!this.projectId) {
+      return;
+    }
+    const confirmed = window.confirm(`Revert "${this.title}" to ${this.describeRevision(revision)}?`);
+    if (!confirmed) {
+      return;
+    }
+    this.setHistoryStatus('Reverting…', 'info');
+    try {
+      const data = await revertNodeRevision(this.id, revision.id, {
+        projectId: this.projectId,
+        versionId: this.versionId,
+      });
+      if (data?.node) {
+        this.applyRemoteState(data.node);
+        if (this.dataCardUI) {
+          this.dataCardUI.nameInput.value = this.title;
+          this.dataCardUI.notesArea.value = this.notes || '';
+        }
+      }
+      await this.loadHistory();
+    } catch (error) {
+      console.warn('Failed to revert node', error);
+      const message =
+        error?.data?.code === 'version_conflict'
+          ? 'This node changed since it was loaded. Reload before reverting.'
+          : error?.message || 'Failed to revert.';
+      this.setHistoryStatus(message, 'error');
+    }
+  }
+
   buildDiscussionCard(container) {
     container.innerHTML = '';
 
     const wrapper = document.createElement('div');
     wrapper.className = 'discussion-chat';
 
+    // Agent changes waiting for review, and the newest one applied (undoable).
+    const proposals = document.createElement('div');
+    proposals.className = 'agent-changes hidden';
+    const proposalsHeading = document.createElement('p');
+    proposalsHeading.className = 'agent-changes__heading';
+    proposalsHeading.textContent = 'Agent changes';
+    const proposalsStatus = document.createElement('div');
+    proposalsStatus.className = 'agent-changes__status';
+    const proposalsList = document.createElement('ul');
+    proposalsList.className = 'agent-changes__list';
+    proposals.appendChild(proposalsHeading);
+    proposals.appendChild(proposalsList);
+    proposals.appendChild(proposalsStatus);
+    wrapper.appendChild(proposals);
+
     const history = document.createElement('div');
     history.className = 'discussion-chat__history';
 
@@ -709,6 +937,7 @@ class NodeBase {
       input,
       sendButton,
       actionButton,
+      proposals: { panel: proposals, list: proposalsList, status: proposalsStatus },
     };
 
     input.addEventListener('input', () => {
@@ -730,6 +959,85 @@ class NodeBase {
     this.renderDiscussionMessages();
     this.renderDiscussionStatus();
     this.updateDiscussionComposerState();
+    this.renderAgentChanges();
+  }
+
+  async refreshAgentChanges() {
+    if (!this.discussionUI || !this.projectId) {
+      return;
+    }
+    try {
+      const data = await fetchAgentChanges({ projectId: this.projectId, nodeId: this.id });
+      const changes = Array.isArray(data?.changes) ? data.changes : [];
+      this.agentChanges = changes.filter((change) => change.status === 'pending' || change.undoable);
+    } catch (error) {
+      console.warn('Failed to load agent changes', error);
+      this.setAgentChangesStatus(error?.message || 'Failed to load agent changes.');
+    }
+    this.renderAgentChanges();
+  }
+
+  setAgentChangesStatus(message) {
+    if (this.discussionUI) {
+      this.discussionUI.proposals.status.textContent = message || '';
+    }
+  }
+
+  renderAgentChanges() {
+    if (!this.discussionUI) {
+      return;
+    }
+    const { panel, list, status } = this.discussionUI.proposals;
+    list.innerHTML = '';
+    panel.classList.toggle('hidden', !this.agentChanges.length && !status.textContent);
+    const addButton = (item, label, title, action, change) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.title = title;
+      button.disabled = this.agentChangesBusy;
+      button.addEventListener('click', () => this.decideAgentChange(change, action));
+      item.appendChild(button);
+    };
+    this.agentChanges.forEach((change) => {
+      const item = document.createElement('li');
+      item.className = 'agent-changes__item';
+      const summary = document.createElement('span');
+      summary.className = 'agent-changes__summary';
+      summary.textContent = change.status === 'pending' ? change.summary : `${change.summary} (applied)`;
+      summary.title = this.formatDiscussionTimestamp(change.created_at) || '';
+      item.appendChild(summary);
+      if (change.status === 'pending') {
+        addButton(item, 'Approve', 'Apply this change to the graph', 'approve', change);
+        addButton(item, 'Reject', 'Discard this change', 'reject', change);
+      } else {
+        addButton(item, 'Undo', "Revert the agent's latest change", 'undo', change);
+      }
+      list.appendChild(item);
+    });
+  }
+
+  async decideAgentChange(change, action) {
+    const decide = { approve: approveAgentChange, reject: rejectAgentChange, undo: undoAgentChange }[action];
+    if (!decide || this.agentChangesBusy) {
+      return;
+    }
+    this.agentChangesBusy = true;
+    this.setAgentChangesStatus('');
+    this.renderAgentChanges();
+    try {
+      await decide(change.id, { projectId: this.projectId });
+    } catch (error) {
+      console.warn(`Failed to ${action} agent change`, error);
+      const conflict = action === 'undo' ? 'It has been edited since.' : 'Reject it or ask the agent again.';
+      const message =
+        error?.data?.code === 'version_conflict'
+          ? `The graph changed under this change. ${conflict}`
+          : error?.message || `Failed to ${action} the change.`;
+      this.setAgentChangesStatus(message);
+    }
+    this.agentChangesBusy = false;
+    await this.refreshAgentChanges();
   }
 
   onDiscussionCardOpened(card) {
@@ -745,6 +1053,7 @@ class NodeBase {
     this.updateDiscussionComposerState();
     this.renderDiscussionStatus();
     this.loadDiscussionMessages({ force: true, showSpinner: !this.discussionInitialized });
+    this.refreshAgentChanges();
     const projectId = typeof this.projectId === 'string' ? this.projectId.trim() : '';
     if (projectId) {
       refreshWorkingMemory({
@@ -1200,6 +1509,72 @@ class NodeBase {
     };
   }
 
+  /**
+   * Records the state last confirmed by the server. Autosave uses the version
+   * for conflict detection and the snapshot as the base of a merge.
+   */
+  markPersisted(versionId = this.versionId) {
+    this.versionId = versionId || null;
+    this.persistedSnapshot = JSON.parse(JSON.stringify(this.toPersistence()));
+  }
+
+  /**
+   * Applies a change saved elsewhere (another tab or an MCP tool) without
+   * flagging the node for autosave. Hidden cards are dropped so they rebuild
+   * from the new values; an open card is left alone while it is being edited.
+   */
+  applyRemoteState(nodeData = {}) {
+    const meta =
+      nodeData.meta && typeof nodeData.meta === 'object' && !Array.isArray(nodeData.meta)
+        ? { ...nodeData.meta }
+        : { ...(this.meta || {}) };
+    this.meta = meta;
+    this.notes = meta.notes ?? this.notes ?? '';
+    this.discussion = meta.discussion ?? this.discussion ?? '';
+    this.fullText = meta.fullText ?? nodeData.content ?? this.fullText ?? '';
+    this.applyRemoteMeta(meta);
+    if (typeof nodeData.label === 'string' && nodeData.label !== this.title) {
+      this.title = nodeData.label.trim() || 'Untitled';
+      const titleEl = this.element.querySelector('.node-title');
+      if (titleEl) {
+        titleEl.textContent = this.title;
+      }
+      this.refreshCardHeaders();
+      NodeBase.activeLinkManager?.updateLinkTitlesForNode?.(this);
+    }
+    const position = meta.position;
+    if (position && typeof position.x === 'number' && typeof position.y === 'number') {
+      this.manualPosition = true;
+      this.setPosition(position.x, position.y);
+    }
+    Object.entries(this.cards).forEach(([type, card]) => {
+      if (!card || card === NodeBase.openCard || type === 'discussion') {
+        return;
+      }
+      card.remove();
+      delete this.cards[type];
+    });
+    this.markPersisted(nodeData.version_id || this.versionId);
+  }
+
+  // Subclasses copy builder-specific meta (project or element data) here.
+  applyRemoteMeta() {}
+
+  /** Removes the node from the canvas after it was deleted elsewhere. */
+  detach() {
+    if (this.parent?.children) {
+      this.parent.children = this.parent.children.filter((child) => child !== this);
+      this.parent.onChildrenChanged?.();
+    }
+    this.children.forEach((child) => {
+      child.parent = null;
+    });
+    Object.values(this.cards).forEach((card) => card?.remove());
+    this.cards = {};
+    NodeBase.unregisterInstance(this);
+    this.element?.remove();
+  }
+
   static hideOpenCard() {
     if (!NodeBase.openCard) return;
     NodeBase.openCard.classList.remove('visible');
@@ -0,0 +1,202 @@
+const express = require('express');
+const { randomUUID } = require('crypto');
+
+const config = require('../src/config');
+const { readClientId } = require('../src/utils/changeFeed');
+const {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  MCP_MODES,
+  JSON_RPC_ERRORS,
+  errorResponse,
+  isPlainObject,
+  createMcpServer,
+} = require('./protocol');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+// Browsers always send Origin; only pages served from this host may call the
+// endpoint, which keeps DNS-rebinding pages away from a local server.
+function isAllowedOrigin(req) {
+  const origin = req.get('Origin');
+  if (!origin) return true;
+  try {
+    return new URL(origin).host === req.get('Host');
+  } catch (error) {
+    return false;
+  }
+}
+
+function writeSse(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function isInitialize(message) {
+  return Boolean(message) && typeof message === 'object' && message.method === 'initialize';
+}
+
+// The Streamable HTTP transport: JSON-RPC messages are POSTed to the mount
+// point and answered as JSON. `initialize` opens a session whose id comes back
+// in the Mcp-Session-Id header; the project comes from `?project_id=` or
+// X-Project-Id, an existing app session from X-Session-Id and the user from
+// X-User-Id, and the mode (see MCP_MODES) from `?mode=` or X-Mcp-Mode. `GET`
+// opens the session's event stream for resource notifications. Mount it before
+// any app-wide JSON parser so malformed bodies get a JSON-RPC parse error.
+function createMcpHttpRouter({ sessionTtlMs = SESSION_TTL_MS } = {}) {
+  const router = express.Router();
+  const sessions = new Map();
+
+  function endSession(session) {
+    sessions.delete(session.id);
+    session.server.close();
+    session.stream?.end();
+  }
+
+  // A session with an open stream is still in use however long it is quiet.
+  function dropIdleSessions() {
+    const cutoff = Date.now() - sessionTtlMs;
+    sessions.forEach((session) => {
+      if (!session.stream && session.lastSeen < cutoff) endSession(session);
+    });
+  }
+
+  function findSession(req, res) {
+    const id = req.get(SESSION_HEADER);
+    if (!id) {
+      const message = `${SESSION_HEADER} header is required`;
+      res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, message));
+      return null;
+    }
+    const session = sessions.get(id);
+    if (!session) {
+      res.status(404).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Session not found'));
+      return null;
+    }
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  router.all('/', (req, res, next) => {
+    if (!isAllowedOrigin(req)) {
+      res.status(403).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Origin not allowed'));
+      return;
+    }
+    const protocolVersion = req.get('MCP-Protocol-Version');
+    if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      const message = `Unsupported MCP-Protocol-Version: ${protocolVersion}`;
+      res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, message));
+      return;
+    }
+    dropIdleSessions();
+    next();
+  });
+
+  router.post('/', express.json({ limit: '10mb', type: () => true }), async (req, res, next) => {
+    const message = req.body;
+    if (!Array.isArray(message) && !isPlainObject(message)) {
+      const problem = 'Body must be a JSON-RPC message or a batch of them';
+      res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, problem));
+      return;
+    }
+    const messages = Array.isArray(message) ? message : [message];
+    try {
+      if (messages.some(isInitialize)) {
+        if (Array.isArray(message)) {
+          res
+            .status(400)
+            .json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'initialize must be sent on its own'));
+          return;
+        }
+        if (!('id' in message)) {
+          const problem = 'initialize must be a request with an id';
+          res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, problem));
+          return;
+        }
+        const mode = req.query.mode || req.get('X-Mcp-Mode') || 'apply';
+        if (!MCP_MODES.includes(mode)) {
+          const problem = `mode must be one of: ${MCP_MODES.join(', ')}`;
+          res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, problem));
+          return;
+        }
+        const session = { id: randomUUID(), stream: null, lastSeen: Date.now() };
+        session.server = createMcpServer({
+          projectId: req.query.project_id || req.get('X-Project-Id') || null,
+          sessionId: req.get('X-Session-Id') || null,
+          userId: req.get('X-User-Id') || null,
+          origin: readClientId(req),
+          mode,
+          notify: (notification) => session.stream && writeSse(session.stream, notification),
+        });
+        const response = await session.server.handleMessage(message);
+        if (response.error) {
+          session.server.close();
+        } else {
+          sessions.set(session.id, session);
+          res.set(SESSION_HEADER, session.id);
+        }
+        res.json(response);
+        return;
+      }
+      const session = findSession(req, res);
+      if (!session) return;
+      const response = await session.server.handleMessage(message);
+      if (!response) {
+        res.status(202).end();
+        return;
+      }
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Server-initiated notifications; a newer stream replaces the previous one.
+  router.get('/', (req, res) => {
+    if (!req.accepts('text/event-stream')) {
+      const message = 'Accept must include text/event-stream';
+      res.status(406).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, message));
+      return;
+    }
+    const session = findSession(req, res);
+    if (!session) return;
+    session.stream?.end();
+    session.stream = res;
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders?.();
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.changeFeed.heartbeatMs);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      if (session.stream === res) {
+        session.stream = null;
+        session.lastSeen = Date.now();
+      }
+    });
+  });
+
+  router.delete('/', (req, res) => {
+    const session = findSession(req, res);
+    if (!session) return;
+    endSession(session);
+    res.status(204).end();
+  });
+
+  router.use((error, req, res, next) => {
+    if (error?.type === 'entity.parse.failed') {
+      res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+      return;
+    }
+    next(error);
+  });
+
+  return router;
+}
+
+module.exports = {
+  SESSION_HEADER,
+  createMcpHttpRouter,
+};
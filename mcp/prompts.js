@@ -0,0 +1,67 @@
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { describeLink } = require('../src/utils/nodeLinks');
+const { ValidationError } = require('../src/utils/validators');
+const { mergePromptTemplates, buildPromptContext, renderPrompt } = require('../src/utils/promptLibrary');
+
+// Every prompt runs against a node: `node_id`, or the session's active node.
+const NODE_ARGUMENT = {
+  name: 'node_id',
+  description: "Node to fill the prompt from; defaults to the session's active node.",
+  required: false,
+};
+
+function loadPrompts(projectId) {
+  return relationalStore.listPromptTemplates(projectId).then(mergePromptTemplates);
+}
+
+function describePrompt(prompt) {
+  return {
+    name: prompt.name,
+    title: prompt.title,
+    description: prompt.description,
+    arguments: [...prompt.arguments, NODE_ARGUMENT],
+  };
+}
+
+async function listPrompts({ projectId }) {
+  return (await loadPrompts(projectId)).map(describePrompt);
+}
+
+// Renders a prompt for the bound project. Resolves to null for unknown
+// prompts; a missing node or required argument is a ValidationError.
+async function getPrompt(name, args, { projectId, sessionId }) {
+  const prompt = (await loadPrompts(projectId)).find((candidate) => candidate.name === name);
+  if (!prompt) {
+    return null;
+  }
+  const session = args.node_id ? null : await relationalStore.getSession(sessionId);
+  const nodeId = args.node_id || session?.active_node;
+  if (!nodeId) {
+    throw new ValidationError('node_id is required when the session has no active node');
+  }
+  const [graph, linkResult, history] = await Promise.all([
+    graphStore.fetchProjectGraph(projectId),
+    graphStore.getLinks(projectId, nodeId),
+    relationalStore.fetchWorkingHistoryForNode({ projectId, nodeId }),
+  ]);
+  const links = (linkResult?.links || [])
+    .map((entry) => describeLink(entry, { projectId, relationshipType: 'LINKS_TO' }))
+    .filter(Boolean);
+  const context = buildPromptContext({
+    projectId,
+    graph,
+    nodeId,
+    links,
+    workingHistory: history?.working_history,
+  });
+  return {
+    description: `${prompt.title} — ${context.values['node.label']}`,
+    messages: [{ role: 'user', content: { type: 'text', text: renderPrompt(prompt, context, args) } }],
+  };
+}
+
+module.exports = {
+  listPrompts,
+  getPrompt,
+};
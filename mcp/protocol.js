@@ -0,0 +1,398 @@
+const config = require('../src/config');
+const { relationalStore } = require('../src/db/relationalStore');
+const { ValidationError } = require('../src/utils/validators');
+const { BatchOperationError } = require('../src/utils/graphBatch');
+const { changeFeed } = require('../src/utils/changeFeed');
+const { version } = require('../package.json');
+const { toolSchemas, toolHandlers, ToolError, normaliseMemory } = require('./tools');
+const {
+  RESOURCE_TEMPLATES,
+  parseResourceUri,
+  listResources,
+  readResource,
+  isAffectedBy,
+  changesResourceList,
+} = require('./resources');
+const { listPrompts, getPrompt } = require('./prompts');
+
+// Newest first; an unknown client version is answered with the newest.
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002,
+};
+
+const RESOURCE_PAGE_SIZE = 100;
+
+// `apply` runs graph changes straight away (undoable with undoLastChange);
+// `propose` queues them for a person to approve in the builders.
+const MCP_MODES = ['apply', 'propose'];
+
+const SERVER_INFO = { name: 'story-graph', title: 'Story Graph', version };
+
+class JsonRpcError extends Error {
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+function describeTool(schema) {
+  return { name: schema.name, description: schema.description, inputSchema: schema.input_schema };
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case undefined:
+      return true;
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// Checks top-level arguments against a tool's input schema; the handlers
+// validate anything deeper themselves.
+function checkArguments(schema, args) {
+  if (!isPlainObject(args)) return 'arguments must be an object';
+  const properties = schema.properties || {};
+  const missing = (schema.required || []).find((key) => args[key] === undefined || args[key] === null);
+  if (missing) return `${missing} is required`;
+  for (const [key, value] of Object.entries(args)) {
+    const property = properties[key];
+    if (!property) {
+      if (schema.additionalProperties === false) return `unknown argument ${key}`;
+      continue;
+    }
+    if (!matchesType(value, property.type)) return `${key} must be of type ${property.type}`;
+    if (Array.isArray(property.enum) && !property.enum.includes(value)) {
+      return `${key} must be one of: ${property.enum.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+function toolResult(payload, isError = false) {
+  return {
+    content: [{ type: 'text', text: JSON.stringify(payload, null, 2) }],
+    structuredContent: payload,
+    isError,
+  };
+}
+
+// Binds the MCP session to an app session: an existing one when its id is
+// given, otherwise a new session for the project.
+async function bindSession({ projectId, sessionId, userId }) {
+  if (sessionId) {
+    const session = await relationalStore.getSession(sessionId);
+    if (!session) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Session ${sessionId} not found`);
+    }
+    if (projectId && `${session.project_id}` !== `${projectId}`) {
+      throw new JsonRpcError(
+        JSON_RPC_ERRORS.INVALID_PARAMS,
+        `Session ${sessionId} belongs to project ${session.project_id}, not ${projectId}`
+      );
+    }
+    return { projectId: `${session.project_id}`, sessionId: `${session.id}`, userId: session.user_id };
+  }
+  const resolvedProjectId = `${projectId || config.defaults.projectId}`;
+  const resolvedUserId = userId || 'mcp';
+  const session = await relationalStore.createSession({ userId: resolvedUserId, projectId: resolvedProjectId });
+  return { projectId: resolvedProjectId, sessionId: `${session.id}`, userId: resolvedUserId };
+}
+
+function notification(method, params) {
+  return { jsonrpc: '2.0', method, params };
+}
+
+function readPageCursor(cursor) {
+  if (cursor === undefined || cursor === null) return 0;
+  const offset = Number(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'Invalid cursor');
+  }
+  return offset;
+}
+
+// A transport-agnostic MCP server for one client connection. The project and
+// app session are bound at `initialize`, so tools act on them without the
+// client passing working memory around. `origin` tags change-feed events,
+// `mode` is one of MCP_MODES and `notify` sends server-initiated messages;
+// call `close` when the connection ends.
+function createMcpServer({
+  projectId = null,
+  sessionId = null,
+  userId = null,
+  origin = null,
+  mode = 'apply',
+  notify = null,
+} = {}) {
+  if (!MCP_MODES.includes(mode)) {
+    throw new Error(`MCP mode must be one of: ${MCP_MODES.join(', ')}`);
+  }
+  const state = {
+    binding: null,
+    protocolVersion: null,
+    clientInfo: null,
+    ready: false,
+    subscriptions: new Map(),
+    stopFeed: null,
+  };
+
+  function send(message) {
+    if (typeof notify !== 'function') return;
+    try {
+      notify(message);
+    } catch (error) {
+      console.warn('Failed to send MCP notification', error);
+    }
+  }
+
+  function onChange(event) {
+    state.subscriptions.forEach((parsed, uri) => {
+      if (isAffectedBy(parsed, event)) send(notification('notifications/resources/updated', { uri }));
+    });
+    if (changesResourceList(event)) send(notification('notifications/resources/list_changed'));
+  }
+
+  async function initialize(params) {
+    if (state.binding) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_REQUEST, 'Server is already initialised');
+    }
+    if (!isPlainObject(params) || typeof params.protocolVersion !== 'string') {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'protocolVersion is required');
+    }
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+    state.binding = await bindSession({ projectId, sessionId, userId });
+    state.protocolVersion = protocolVersion;
+    state.clientInfo = isPlainObject(params.clientInfo) ? params.clientInfo : null;
+    state.stopFeed = changeFeed.subscribe(state.binding.projectId, onChange);
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: true, listChanged: true },
+        prompts: { listChanged: false },
+      },
+      serverInfo: SERVER_INFO,
+      instructions:
+        `Tools read and change the story graph of project ${state.binding.projectId}; ` +
+        'story:// resources describe its nodes, elements and session transcript; ' +
+        'prompts fill writing instructions from a node and what it links to.' +
+        (mode === 'propose' ? ' Graph changes are queued as proposals for a person to approve.' : ''),
+    };
+  }
+
+  async function callTool(params) {
+    const { name, arguments: args = {} } = isPlainObject(params) ? params : {};
+    const schema = toolSchemas.find((candidate) => candidate.name === name);
+    if (!schema) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    const problem = checkArguments(schema.input_schema, args);
+    if (problem) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Invalid arguments for ${name}: ${problem}`);
+    }
+    const memory = normaliseMemory({
+      session: { project_id: state.binding.projectId, session_id: state.binding.sessionId },
+    });
+    try {
+      const result = await toolHandlers[name](args, memory, { origin, mode });
+      // Memory is only part of the answer for tools that return nothing else.
+      const { memory: resultMemory, __skipNormalise, ...rest } = result || {};
+      return toolResult(Object.keys(rest).length ? rest : { memory: resultMemory ?? null });
+    } catch (error) {
+      if (error instanceof ToolError) {
+        return toolResult({ error: error.message, status: error.status, ...(error.details || {}) }, true);
+      }
+      if (error instanceof ValidationError || error instanceof BatchOperationError) {
+        return toolResult({ error: error.message, status: error.status || 400 }, true);
+      }
+      throw error;
+    }
+  }
+
+  async function fetchPrompt(params) {
+    const { name, arguments: args = {} } = isPlainObject(params) ? params : {};
+    if (!isPlainObject(args)) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'arguments must be an object');
+    }
+    try {
+      const result = await getPrompt(name, args, state.binding);
+      if (!result) {
+        throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown prompt: ${name}`);
+      }
+      return result;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Invalid arguments for ${name}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Resolves a story URI the bound session may see: its own project, and
+  // sessions (transcripts, working memory) that belong to that project.
+  async function resolveResource(params) {
+    const uri = isPlainObject(params) && typeof params.uri === 'string' ? params.uri : '';
+    if (!uri) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'uri is required');
+    }
+    const parsed = parseResourceUri(uri);
+    const notFound = () => new JsonRpcError(JSON_RPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    if (!parsed) throw notFound();
+    if (parsed.project !== undefined && parsed.project !== state.binding.projectId) throw notFound();
+    if (parsed.session !== undefined && parsed.session !== state.binding.sessionId) {
+      const session = await relationalStore.getSession(parsed.session);
+      if (!session || `${session.project_id}` !== state.binding.projectId) throw notFound();
+    }
+    return { uri, parsed, notFound };
+  }
+
+  async function listPage(params) {
+    const offset = readPageCursor(isPlainObject(params) ? params.cursor : undefined);
+    const resources = await listResources(state.binding);
+    const page = resources.slice(offset, offset + RESOURCE_PAGE_SIZE);
+    const next = offset + RESOURCE_PAGE_SIZE;
+    return next < resources.length ? { resources: page, nextCursor: `${next}` } : { resources: page };
+  }
+
+  async function dispatch(method, params) {
+    if (method === 'initialize') return initialize(params);
+    if (method === 'ping') return {};
+    if (!state.binding) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_REQUEST, 'Server is not initialised');
+    }
+    switch (method) {
+      case 'notifications/initialized':
+        state.ready = true;
+        return undefined;
+      case 'tools/list':
+        return { tools: toolSchemas.map(describeTool) };
+      case 'tools/call':
+        return callTool(params);
+      case 'resources/list':
+        return listPage(params);
+      case 'resources/templates/list':
+        return { resourceTemplates: RESOURCE_TEMPLATES };
+      case 'resources/read': {
+        const { uri, parsed, notFound } = await resolveResource(params);
+        const contents = await readResource(uri, parsed, state.binding);
+        if (!contents) throw notFound();
+        return { contents: [contents] };
+      }
+      case 'resources/subscribe': {
+        const { uri, parsed } = await resolveResource(params);
+        state.subscriptions.set(uri, parsed);
+        return {};
+      }
+      case 'resources/unsubscribe': {
+        const { uri } = await resolveResource(params);
+        state.subscriptions.delete(uri);
+        return {};
+      }
+      case 'prompts/list':
+        return { prompts: await listPrompts(state.binding) };
+      case 'prompts/get':
+        return fetchPrompt(params);
+      default:
+        if (method.startsWith('notifications/')) return undefined;
+        throw new JsonRpcError(JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  async function handleOne(message) {
+    if (!isPlainObject(message) || message.jsonrpc !== '2.0') {
+      return errorResponse(message?.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC message');
+    }
+    if (typeof message.method !== 'string') {
+      // Responses from the client need no answer.
+      if ('result' in message || 'error' in message) return null;
+      return errorResponse(message.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'method is required');
+    }
+    const isNotification = !('id' in message);
+    if (!isNotification && typeof message.id !== 'string' && !Number.isInteger(message.id)) {
+      return errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'id must be a string or an integer');
+    }
+    try {
+      const result = await dispatch(message.method, message.params);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result: result ?? {} };
+    } catch (error) {
+      if (isNotification) return null;
+      if (error instanceof JsonRpcError) {
+        return errorResponse(message.id, error.code, error.message, error.data);
+      }
+      console.error(`MCP ${message.method} failed`, error);
+      return errorResponse(message.id, JSON_RPC_ERRORS.INTERNAL_ERROR, error?.message || 'Internal error');
+    }
+  }
+
+  // Answers one message or a batch; null when nothing needs sending back.
+  async function handleMessage(message) {
+    if (!Array.isArray(message)) return handleOne(message);
+    if (!message.length) {
+      return errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Batch must not be empty');
+    }
+    const responses = [];
+    for (const entry of message) {
+      const response = await handleOne(entry);
+      if (response) responses.push(response);
+    }
+    return responses.length ? responses : null;
+  }
+
+  function close() {
+    state.stopFeed?.();
+    state.stopFeed = null;
+    state.subscriptions.clear();
+  }
+
+  return {
+    handleMessage,
+    close,
+    get binding() {
+      return state.binding;
+    },
+    get protocolVersion() {
+      return state.protocolVersion;
+    },
+  };
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  MCP_MODES,
+  JSON_RPC_ERRORS,
+  JsonRpcError,
+  errorResponse,
+  isPlainObject,
+  checkArguments,
+  createMcpServer,
+};
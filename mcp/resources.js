@@ -0,0 +1,195 @@
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { buildStructureFromGraph } = require('../src/utils/projectStructure');
+const { loadWorkingMemory } = require('../src/utils/workingMemoryStore');
+
+const MIME_TYPE = 'application/json';
+const MESSAGE_LIMIT = 500;
+
+// `story://{project}/…` resources describe the story graph and
+// `story://{session}/…` ones an app session's conversation.
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'story://{project}/graph',
+    name: 'graph',
+    title: 'Project graph',
+    description: 'Every node and relationship in the project.',
+  },
+  {
+    uriTemplate: 'story://{project}/node/{id}',
+    name: 'node',
+    title: 'Node',
+    description: 'One node with the relationships that start or end at it.',
+  },
+  {
+    uriTemplate: 'story://{project}/element/{type}',
+    name: 'elements',
+    title: 'Elements by type',
+    description: 'Elements of one type (character, place, …) and their relationships.',
+  },
+  {
+    uriTemplate: 'story://{session}/messages',
+    name: 'messages',
+    title: 'Session transcript',
+    description: `The latest ${MESSAGE_LIMIT} messages of an app session, oldest first.`,
+  },
+  {
+    uriTemplate: 'story://{session}/working-memory',
+    name: 'working-memory',
+    title: 'Working memory',
+    description: 'The working-memory snapshot assembled for an app session.',
+  },
+].map((template) => ({ ...template, mimeType: MIME_TYPE }));
+
+const SESSION_KINDS = new Set(['messages', 'working-memory']);
+const GRAPH_EVENTS = /^(node|edge|link)\.|^checkpoint\.restored$/;
+const URI_PATTERN = /^story:\/\/([^/]+)\/(graph|node|element|messages|working-memory)(?:\/([^/]+))?$/;
+
+function resourceUri(scope, kind, key) {
+  const base = `story://${encodeURIComponent(scope)}/${kind}`;
+  return key === undefined ? base : `${base}/${encodeURIComponent(key)}`;
+}
+
+// `{ kind, project | session, id | type }` for a story URI, or null.
+function parseResourceUri(uri) {
+  const match = URI_PATTERN.exec(`${uri || ''}`);
+  if (!match) return null;
+  const [, scopeRaw, kind, keyRaw] = match;
+  const needsKey = kind === 'node' || kind === 'element';
+  if (needsKey !== Boolean(keyRaw)) return null;
+  try {
+    const scope = decodeURIComponent(scopeRaw);
+    const key = keyRaw ? decodeURIComponent(keyRaw) : undefined;
+    if (SESSION_KINDS.has(kind)) return { kind, session: scope };
+    if (kind === 'node') return { kind, project: scope, id: key };
+    if (kind === 'element') return { kind, project: scope, type: key.toLowerCase() };
+    return { kind, project: scope };
+  } catch (error) {
+    return null;
+  }
+}
+
+function elementType(entry) {
+  return `${entry.type || 'element'}`.toLowerCase();
+}
+
+function describeEntries(graph) {
+  const structure = buildStructureFromGraph(graph.nodes, graph.edges);
+  return [...structure.project_graph.nodes, ...structure.elements_graph.nodes];
+}
+
+function touching(edges, ids) {
+  return edges
+    .filter((edge) => ids.has(`${edge.from}`) || ids.has(`${edge.to}`))
+    .map(({ from, to, type, props }) => ({ from, to, type, props: props || {} }));
+}
+
+// Concrete resources for the bound project and session; nodes come last so a
+// client paging through the list sees the summaries first.
+async function listResources({ projectId, sessionId }) {
+  const graph = await graphStore.fetchProjectGraph(projectId);
+  const entries = describeEntries(graph);
+  const types = [...new Set(entries.filter((entry) => entry.builder === 'elements').map(elementType))].sort();
+  const resource = (uri, name, title) => ({ uri, name, title, mimeType: MIME_TYPE });
+  return [
+    resource(resourceUri(projectId, 'graph'), 'graph', `Project ${projectId}`),
+    resource(resourceUri(sessionId, 'messages'), 'messages', `Session ${sessionId} transcript`),
+    resource(resourceUri(sessionId, 'working-memory'), 'working-memory', `Session ${sessionId} working memory`),
+    ...types.map((type) => resource(resourceUri(projectId, 'element', type), `elements:${type}`, `Elements: ${type}`)),
+    ...entries.map((entry) =>
+      resource(resourceUri(projectId, 'node', entry.id), `node:${entry.id}`, entry.label || entry.id)
+    ),
+  ];
+}
+
+// The resource's JSON payload, or null when there is nothing at that URI.
+// `projectId` is the project a session resource belongs to.
+async function readResourcePayload(parsed, projectId) {
+  switch (parsed.kind) {
+    case 'graph': {
+      const { nodes, edges } = await graphStore.fetchProjectGraph(parsed.project);
+      return { project_id: parsed.project, nodes, edges };
+    }
+    case 'node': {
+      const graph = await graphStore.fetchProjectGraph(parsed.project);
+      const node = graph.nodes.find((candidate) => `${candidate.id}` === parsed.id);
+      return node ? { node, relationships: touching(graph.edges, new Set([parsed.id])) } : null;
+    }
+    case 'element': {
+      const graph = await graphStore.fetchProjectGraph(parsed.project);
+      const ids = new Set(
+        describeEntries(graph)
+          .filter((entry) => entry.builder === 'elements' && elementType(entry) === parsed.type)
+          .map((entry) => entry.id)
+      );
+      return {
+        project_id: parsed.project,
+        type: parsed.type,
+        elements: graph.nodes.filter((node) => ids.has(`${node.id}`)),
+        relationships: touching(graph.edges, ids),
+      };
+    }
+    case 'messages': {
+      const [messages, total] = await Promise.all([
+        relationalStore.fetchMessagesForHistory({ sessionId: parsed.session, limit: MESSAGE_LIMIT }),
+        relationalStore.countMessages({ sessionId: parsed.session }),
+      ]);
+      return { session_id: parsed.session, messages, total_count: total };
+    }
+    case 'working-memory': {
+      const { memory } = await loadWorkingMemory({ sessionId: parsed.session, projectId });
+      return memory;
+    }
+    default:
+      return null;
+  }
+}
+
+async function readResource(uri, parsed, { projectId } = {}) {
+  const payload = await readResourcePayload(parsed, projectId);
+  return payload === null ? null : { uri, mimeType: MIME_TYPE, text: JSON.stringify(payload, null, 2) };
+}
+
+// Whether a change-feed event may have changed the resource. Only a created
+// node says for certain which element list it joins; updates may change a
+// node's type and deletions no longer carry it, so those update every list.
+function isAffectedBy(parsed, event) {
+  const { type, payload = {} } = event;
+  if (type === 'message.created') {
+    return SESSION_KINDS.has(parsed.kind) && `${payload.message?.session_id}` === parsed.session;
+  }
+  if (!GRAPH_EVENTS.test(type)) return false;
+  switch (parsed.kind) {
+    case 'graph':
+    case 'working-memory':
+      return true;
+    case 'node': {
+      if (type === 'checkpoint.restored') return true;
+      const edge = payload.edge || payload.link;
+      if (edge) return `${edge.from}` === parsed.id || `${edge.to}` === parsed.id;
+      return `${payload.node?.id ?? payload.id}` === parsed.id;
+    }
+    case 'element': {
+      if (type !== 'node.created' || !payload.node) return true;
+      const [entry] = describeEntries({ nodes: [payload.node], edges: [] });
+      return entry?.builder === 'elements' && elementType(entry) === parsed.type;
+    }
+    default:
+      return false;
+  }
+}
+
+// Events that add or remove entries from `listResources`.
+function changesResourceList(event) {
+  return ['node.created', 'node.deleted', 'checkpoint.restored'].includes(event.type);
+}
+
+module.exports = {
+  RESOURCE_TEMPLATES,
+  resourceUri,
+  parseResourceUri,
+  listResources,
+  readResource,
+  isAffectedBy,
+  changesResourceList,
+};
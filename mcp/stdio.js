@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+// Runs the MCP server over stdio for clients that launch it as a process:
+//   node mcp/stdio.js --project <id> [--session <id>] [--user <id>] [--mode apply|propose]
+// Messages are newline-delimited JSON-RPC; stdout carries nothing else.
+const readline = require('readline');
+
+const { closeGraphStore, initGraphStore } = require('../src/db/graphStore');
+const { closeRelationalStore, initRelationalStore } = require('../src/db/relationalStore');
+const { JSON_RPC_ERRORS, errorResponse, createMcpServer } = require('./protocol');
+
+const OPTIONS = { '--project': 'projectId', '--session': 'sessionId', '--user': 'userId', '--mode': 'mode' };
+
+function parseArgs(argv) {
+  const options = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const [flag, inline] = argv[index].split(/=(.*)/s);
+    const key = OPTIONS[flag];
+    if (!key) {
+      throw new Error(`Unknown option: ${argv[index]}`);
+    }
+    const value = inline ?? argv[(index += 1)];
+    if (!value) {
+      throw new Error(`${flag} needs a value`);
+    }
+    options[key] = value;
+  }
+  return options;
+}
+
+// Serves one MCP connection: answers each line in order, writes notifications
+// between answers, and resolves once the input ends and every answer is written.
+function serveStdio(serverOptions, { input = process.stdin, output = process.stdout } = {}) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const write = (message) => output.write(`${JSON.stringify(message)}\n`);
+  const server = createMcpServer({ ...serverOptions, notify: write });
+  let queue = Promise.resolve();
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    queue = queue.then(async () => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        write(errorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, 'Parse error'));
+        return;
+      }
+      const response = await server.handleMessage(message);
+      if (response) write(response);
+    });
+  });
+  return new Promise((resolve) => {
+    lines.on('close', () =>
+      queue.then(() => {
+        server.close();
+        resolve();
+      })
+    );
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  // Store drivers and tool handlers log with console.log; keep stdout clean.
+  console.log = console.error;
+  await Promise.all([initRelationalStore(), initGraphStore()]);
+  try {
+    await serveStdio(options);
+  } finally {
+    await Promise.allSettled([closeGraphStore(), closeRelationalStore()]);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error?.message || error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseArgs,
+  serveStdio,
+};
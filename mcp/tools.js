@@ -0,0 +1,1070 @@
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const config = require('../src/config');
+const { publishChange } = require('../src/utils/changeFeed');
+const { BatchOperationError } = require('../src/utils/graphBatch');
+const { ValidationError } = require('../src/utils/validators');
+const {
+  MAX_PAGE_SIZE,
+  MAX_DEPTH,
+  MAX_PATH_DEPTH,
+  readPage,
+  paginate,
+  indexGraph,
+  describeNodeDetail,
+  searchNodes,
+  findNeighbors,
+  findPath,
+  listElements,
+} = require('../src/utils/graphQuery');
+const {
+  planAgentChange,
+  proposeAgentChange,
+  applyAgentChange,
+  undoLastAgentChange,
+} = require('../src/utils/agentChanges');
+const {
+  loadWorkingMemory,
+  saveWorkingMemoryPart,
+} = require('../src/utils/workingMemoryStore');
+const {
+  normaliseWorkingMemory,
+  deriveLastUserMessage: deriveLastUserMessageSchema,
+} = require('../src/utils/workingMemorySchema');
+
+// Paging arguments shared by the read tools that return lists.
+const PAGE_PROPERTIES = {
+  limit: { type: 'integer', description: `Results per page (default 20, at most ${MAX_PAGE_SIZE}).` },
+  cursor: { type: 'string', description: 'next_cursor from the previous page.' },
+};
+
+const TRAVERSAL_PROPERTIES = {
+  types: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only follow these relationship types (e.g. ["CHILD_OF", "LINKS_TO"]). Defaults to all.',
+  },
+  direction: {
+    type: 'string',
+    enum: ['out', 'in', 'both'],
+    description: 'Follow outgoing, incoming or both kinds of relationship. Defaults to both.',
+  },
+};
+
+const DRY_RUN_PROPERTY = {
+  dry_run: { type: 'boolean', description: 'Return the planned change without applying or proposing it.' },
+};
+
+const toolSchemas = [
+  {
+    name: 'createNode',
+    description: 'Create a new graph node for the active project.',
+    input_schema: {
+      type: 'object',
+      required: ['builder', 'label'],
+      properties: {
+        builder: { type: 'string', description: 'Originating builder or surface (project/elements/main).' },
+        label: { type: 'string', description: 'Node label to assign.' },
+        content: { type: 'string', description: 'Optional content/body for the node.' },
+        meta: { type: 'object', description: 'Optional metadata object stored on the node.' },
+        ...DRY_RUN_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'updateNode',
+    description: 'Update an existing node with new field values.',
+    input_schema: {
+      type: 'object',
+      required: ['node_id', 'fields'],
+      properties: {
+        node_id: { type: 'string', description: 'Identifier of the node to update.' },
+        version_id: {
+          type: 'string',
+          description: 'version_id the update was based on. Stale versions are rejected with the current node.',
+        },
+        fields: {
+          type: 'object',
+          description: 'Subset of node fields to update. Accepts label, content, meta, or metaUpdates.',
+          properties: {
+            label: { type: 'string' },
+            content: { type: 'string' },
+            meta: { type: 'object' },
+            metaUpdates: { type: 'object' },
+          },
+        },
+        ...DRY_RUN_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'deleteNode',
+    description: 'Delete a node and its relationships.',
+    input_schema: {
+      type: 'object',
+      required: ['node_id'],
+      properties: {
+        node_id: { type: 'string', description: 'Identifier of the node to delete.' },
+        ...DRY_RUN_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'linkNodes',
+    description: 'Create a relationship between two nodes.',
+    input_schema: {
+      type: 'object',
+      required: ['from_id', 'to_id'],
+      properties: {
+        from_id: { type: 'string', description: 'Origin node id.' },
+        to_id: { type: 'string', description: 'Destination node id.' },
+        type: { type: 'string', description: 'Relationship type. Defaults to LINKS_TO.' },
+        props: {
+          type: 'object',
+          description:
+            'Optional relationship properties. choice (link text), requires (condition such as "gold >= 3") and ' +
+            'effects (variable assignments such as {"gold": "-1"}) are validated.',
+        },
+        ...DRY_RUN_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'unlinkNodes',
+    description: 'Remove a relationship between two nodes.',
+    input_schema: {
+      type: 'object',
+      required: ['from_id', 'to_id'],
+      properties: {
+        from_id: { type: 'string', description: 'Origin node id.' },
+        to_id: { type: 'string', description: 'Destination node id.' },
+        type: { type: 'string', description: 'Relationship type. Defaults to LINKS_TO.' },
+        ...DRY_RUN_PROPERTY,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'undoLastChange',
+    description: 'Revert the newest graph change this session applied. Repeat to undo further back.',
+    input_schema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'getNode',
+    description:
+      'Read one node in full: label, content, meta and its relationships. Long text is truncated and listed in ' +
+      '`truncated`.',
+    input_schema: {
+      type: 'object',
+      required: ['node_id'],
+      properties: {
+        node_id: { type: 'string', description: 'Identifier of the node to read.' },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'searchNodes',
+    description:
+      'Find nodes by label, text, element type or meta field. Matches are case-insensitive substrings and every ' +
+      'filter given must match. Returns short summaries; read one with getNode.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Matches the label or the text.' },
+        label: { type: 'string', description: 'Matches the label.' },
+        text: { type: 'string', description: 'Matches the node text (fullText or content).' },
+        element_type: { type: 'string', description: 'Only elements of this type (character, place, …).' },
+        builder: { type: 'string', enum: ['project', 'elements'], description: 'Only story nodes or elements.' },
+        field: {
+          type: 'string',
+          description: 'Meta field that must be set: a dotted path such as elementData.role, or a custom field key.',
+        },
+        value: { type: 'string', description: 'Text the field must contain. Needs field.' },
+        ...PAGE_PROPERTIES,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'getNeighbors',
+    description: 'List the nodes within a few relationships of a node, nearest first.',
+    input_schema: {
+      type: 'object',
+      required: ['node_id'],
+      properties: {
+        node_id: { type: 'string', description: 'Node to start from.' },
+        depth: { type: 'integer', description: `How many relationships away to look (1-${MAX_DEPTH}, default 1).` },
+        ...TRAVERSAL_PROPERTIES,
+        ...PAGE_PROPERTIES,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'getPath',
+    description: 'Find the shortest chain of relationships between two nodes.',
+    input_schema: {
+      type: 'object',
+      required: ['from_id', 'to_id'],
+      properties: {
+        from_id: { type: 'string', description: 'Node the path starts at.' },
+        to_id: { type: 'string', description: 'Node the path ends at.' },
+        max_depth: {
+          type: 'integer',
+          description: `Longest path to look for (1-${MAX_PATH_DEPTH}, default ${MAX_PATH_DEPTH}).`,
+        },
+        ...TRAVERSAL_PROPERTIES,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'listElements',
+    description: 'List elements (characters, places, …) with their fields, optionally of one type.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        element_type: { type: 'string', description: 'Only elements of this type.' },
+        ...PAGE_PROPERTIES,
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'getWorkingMemory',
+    description: 'Return the current working memory snapshot from the application runtime.',
+    input_schema: {
+      type: 'object',
+      properties: {},
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'sendMessage',
+    description: 'Persist a transcript entry for the active session.',
+    input_schema: {
+      type: 'object',
+      required: ['message_type', 'role', 'content'],
+      properties: {
+        message_type: {
+          type: 'string',
+          description: 'Classify the message intent.',
+          enum: ['user_reply', 'inner_process'],
+        },
+        role: {
+          type: 'string',
+          description:
+            'Logical origin of the message. Examples: user, assistant, reflector, tool_user, decider, tool_result, planner, summarizer.',
+        },
+        content: {
+          type: 'string',
+          description: 'Plain-text message content to store.',
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'updateWorkingHistory',
+    description: 'Persist a working-history summary for a specific node.',
+    input_schema: {
+      type: 'object',
+      required: ['node_id', 'summary_text'],
+      properties: {
+        node_id: {
+          type: 'string',
+          description: 'Identifier of the node whose working history should be updated.',
+        },
+        summary_text: {
+          type: 'string',
+          description: 'Updated working-history narrative for the node.',
+        },
+      },
+      additionalProperties: false,
+    },
+  },
+  {
+    name: 'updateThought',
+    description: 'Provide a transient reasoning update for the UI.',
+    input_schema: {
+      type: 'object',
+      required: ['stage', 'content'],
+      properties: {
+        stage: { type: 'string', description: 'Short label for the reasoning stage.' },
+        content: { type: 'string', description: 'Human-readable reasoning detail.' },
+      },
+      additionalProperties: false,
+    },
+  },
+];
+
+class ToolError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'ToolError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const VALID_MESSAGE_TYPES = new Set(['user_reply', 'inner_process']);
+
+function ensureObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return {};
+  }
+  return value;
+}
+
+function sanitiseCustomFields(list = []) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list
+    .map((field) => {
+      if (!field || typeof field !== 'object') {
+        return null;
+      }
+      const key = typeof field.key === 'string' ? field.key.trim() : '';
+      const value = typeof field.value === 'string' ? field.value : '';
+      if (!key && !value) {
+        return null;
+      }
+      return { key, value };
+    })
+    .filter(Boolean);
+}
+
+function sanitiseLinkedElements(list = []) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list
+    .map((entry) => {
+      if (!entry || typeof entry !== 'object') {
+        return null;
+      }
+      const id = typeof entry.id === 'string' ? entry.id : entry.id?.toString?.();
+      if (!id) {
+        return null;
+      }
+      return {
+        id,
+        label:
+          typeof entry.label === 'string' && entry.label
+            ? entry.label
+            : id,
+        type: typeof entry.type === 'string' ? entry.type : '',
+      };
+    })
+    .filter(Boolean);
+}
+
+function sanitiseGraphNode(node) {
+  if (!node || typeof node !== 'object') {
+    return null;
+  }
+  const id = typeof node.id === 'string' ? node.id : node.id?.toString?.();
+  if (!id) {
+    return null;
+  }
+  const label =
+    typeof node.label === 'string' ? node.label : node.title?.toString?.() || '';
+  const type = typeof node.type === 'string' ? node.type : '';
+  const builder =
+    typeof node.builder === 'string' ? node.builder : type || '';
+  return {
+    id,
+    label,
+    type,
+    builder,
+  };
+}
+
+function sanitiseGraphEdge(edge) {
+  if (!edge || typeof edge !== 'object') {
+    return null;
+  }
+  const from =
+    typeof edge.from === 'string' ? edge.from : edge.from?.toString?.();
+  const to = typeof edge.to === 'string' ? edge.to : edge.to?.toString?.();
+  if (!from || !to) {
+    return null;
+  }
+  const type = typeof edge.type === 'string' ? edge.type : 'LINKS_TO';
+  return { from, to, type };
+}
+
+function sanitiseGraph(graph) {
+  if (!graph || typeof graph !== 'object') {
+    return { nodes: [], edges: [] };
+  }
+  const nodes = Array.isArray(graph.nodes)
+    ? graph.nodes.map(sanitiseGraphNode).filter(Boolean)
+    : [];
+  const edges = Array.isArray(graph.edges)
+    ? graph.edges.map(sanitiseGraphEdge).filter(Boolean)
+    : [];
+  return { nodes, edges };
+}
+
+function sanitiseStructure(structure) {
+  if (!structure || typeof structure !== 'object') {
+    return {
+      project_graph: { nodes: [], edges: [] },
+      elements_graph: { nodes: [], edges: [] },
+    };
+  }
+  if (structure.project_graph || structure.elements_graph) {
+    return {
+      project_graph: sanitiseGraph(structure.project_graph),
+      elements_graph: sanitiseGraph(structure.elements_graph),
+    };
+  }
+  const fallbackGraph = sanitiseGraph(structure);
+  return {
+    project_graph: fallbackGraph,
+    elements_graph: { nodes: [], edges: [] },
+  };
+}
+
+function normaliseId(value) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value.toString === 'function') {
+    return value.toString();
+  }
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return '';
+  }
+}
+
+function pickFirstString(...candidates) {
+  for (let index = 0; index < candidates.length; index += 1) {
+    const value = candidates[index];
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      if (trimmed) {
+        return trimmed;
+      }
+    }
+  }
+  return '';
+}
+
+function buildStructureFromGraph(nodes, edges) {
+  const projectGraph = { nodes: [], edges: [] };
+  const elementsGraph = { nodes: [], edges: [] };
+
+  const projectNodeMap = new Map();
+  const elementNodeMap = new Map();
+  const projectChildren = new Map();
+  const nodeLinks = new Map();
+
+  nodes.forEach((node) => {
+    if (!node) {
+      return;
+    }
+    const id = normaliseId(node.id);
+    if (!id) {
+      return;
+    }
+    const meta = node.meta && typeof node.meta === 'object' ? node.meta : {};
+    const builderRaw =
+      typeof meta.builder === 'string' ? meta.builder.trim().toLowerCase() : '';
+    const isProjectNode =
+      builderRaw === 'project' || meta.projectData !== undefined;
+    const isElementNode =
+      builderRaw === 'elements' ||
+      meta.elementData !== undefined ||
+      meta.elementType !== undefined;
+
+    if (isProjectNode) {
+      const label =
+        pickFirstString(
+          meta.projectData?.title,
+          node.label,
+          meta.title,
+          meta.name
+        ) || id;
+      const type = pickFirstString(
+        meta.projectData?.type,
+        meta.type,
+        'project'
+      ) || 'project';
+      const entry = {
+        id,
+        label,
+        type,
+        builder: 'project',
+        children: [],
+        links: [],
+      };
+      projectGraph.nodes.push(entry);
+      projectNodeMap.set(id, entry);
+      projectChildren.set(id, new Set());
+      nodeLinks.set(id, new Map());
+      return;
+    }
+
+    if (isElementNode) {
+      const label =
+        pickFirstString(
+          meta.elementData?.title,
+          node.label,
+          meta.title,
+          meta.name
+        ) || id;
+      const elementType = pickFirstString(
+        meta.elementData?.type,
+        meta.elementType,
+        meta.type,
+        'element'
+      ) || 'element';
+      const entry = {
+        id,
+        label,
+        type: elementType,
+        builder: 'elements',
+        links: [],
+      };
+      elementsGraph.nodes.push(entry);
+      elementNodeMap.set(id, entry);
+      nodeLinks.set(id, new Map());
+    }
+  });
+
+  const projectEdgeSet = new Set();
+  const elementEdgeSet = new Set();
+
+  function addEdge(target, cache, from, to, type) {
+    const key = `${from}->${to}:${type}`;
+    if (cache.has(key)) {
+      return;
+    }
+    cache.add(key);
+    target.push({ from, to, type });
+  }
+
+  function addLink(sourceId, targetId, type) {
+    const linkBucket = nodeLinks.get(sourceId);
+    if (!linkBucket) {
+      return;
+    }
+    const key = `${targetId}:${type}`;
+    if (linkBucket.has(key)) {
+      return;
+    }
+    linkBucket.set(key, { to: targetId, type });
+  }
+
+  edges.forEach((edge) => {
+    if (!edge) {
+      return;
+    }
+    const fromId = normaliseId(edge.from);
+    const toId = normaliseId(edge.to);
+    if (!fromId || !toId) {
+      return;
+    }
+    const type =
+      typeof edge.type === 'string' && edge.type.trim()
+        ? edge.type.trim().toUpperCase()
+        : 'LINKS_TO';
+    const fromIsProject = projectNodeMap.has(fromId);
+    const toIsProject = projectNodeMap.has(toId);
+    const fromIsElement = elementNodeMap.has(fromId);
+    const toIsElement = elementNodeMap.has(toId);
+
+    if (type === 'CHILD_OF' && fromIsProject && toIsProject) {
+      addEdge(projectGraph.edges, projectEdgeSet, fromId, toId, type);
+      const childrenSet = projectChildren.get(fromId);
+      if (childrenSet) {
+        childrenSet.add(toId);
+      }
+    }
+
+    if (fromIsElement || toIsElement) {
+      addEdge(elementsGraph.edges, elementEdgeSet, fromId, toId, type);
+    }
+
+    const crossesGraphs =
+      (fromIsProject && toIsElement) || (fromIsElement && toIsProject);
+    if (crossesGraphs) {
+      addLink(fromId, toId, type);
+      addLink(toId, fromId, type);
+    }
+  });
+
+  projectGraph.nodes.forEach((node) => {
+    const childrenSet = projectChildren.get(node.id);
+    node.children = childrenSet ? Array.from(childrenSet) : [];
+    const linkBucket = nodeLinks.get(node.id);
+    node.links = linkBucket ? Array.from(linkBucket.values()) : [];
+  });
+
+  elementsGraph.nodes.forEach((node) => {
+    const linkBucket = nodeLinks.get(node.id);
+    node.links = linkBucket ? Array.from(linkBucket.values()) : [];
+  });
+
+  return {
+    project_graph: projectGraph,
+    elements_graph: elementsGraph,
+  };
+}
+
+async function loadProjectStructure(projectId) {
+  if (!projectId) {
+    return sanitiseStructure({});
+  }
+  const { nodes, edges } = await graphStore.fetchProjectGraph(projectId);
+  const extractedEdges = edges.map((edge) => ({
+    from: normaliseId(edge.from),
+    to: normaliseId(edge.to),
+    type:
+      typeof edge.type === 'string' && edge.type.trim()
+        ? edge.type.trim().toUpperCase()
+        : 'LINKS_TO',
+  }));
+  const structure = buildStructureFromGraph(nodes, extractedEdges);
+  return sanitiseStructure(structure);
+}
+
+function sanitiseMeta(meta = {}, fallbacks = {}) {
+  const source = meta && typeof meta === 'object' ? meta : {};
+  const result = {};
+  const noteCandidates = [
+    source.notes,
+    fallbacks.notes,
+    source.projectData?.notes,
+    source.elementData?.notes,
+  ];
+  const note = noteCandidates.find((value) => typeof value === 'string' && value.trim());
+  if (note) {
+    result.notes = note;
+  }
+  const customFieldsSource =
+    source.customFields ||
+    fallbacks.customFields ||
+    source.projectData?.customFields ||
+    source.elementData?.customFields ||
+    [];
+  const customFields = sanitiseCustomFields(customFieldsSource);
+  if (customFields.length) {
+    result.customFields = customFields;
+  }
+  const linkedSource = source.linked_elements || fallbacks.linked_elements || [];
+  const linkedElements = sanitiseLinkedElements(linkedSource);
+  if (linkedElements.length) {
+    result.linked_elements = linkedElements;
+  }
+  return result;
+}
+
+function sanitiseNodeContext(context) {
+  if (!context || typeof context !== 'object') {
+    return {};
+  }
+  const id = typeof context.id === 'string' ? context.id : context.node_id?.toString?.() || '';
+  const label =
+    typeof context.label === 'string'
+      ? context.label
+      : context.title?.toString?.() || '';
+  const type =
+    typeof context.type === 'string'
+      ? context.type
+      : typeof context.builder === 'string'
+      ? context.builder
+      : '';
+  return {
+    id,
+    label,
+    type,
+    meta: sanitiseMeta(context.meta, {
+      notes: context.notes,
+      customFields: context.customFields,
+      linked_elements: context.linked_elements,
+    }),
+  };
+}
+
+function normaliseMemory(memory) {
+  return normaliseWorkingMemory(memory);
+}
+
+function deriveLastUserMessage(messages) {
+  return deriveLastUserMessageSchema(messages);
+}
+
+function resolveProjectId(memory) {
+  const normalised = normaliseMemory(memory);
+  return normalised.session.project_id || config.defaults.projectId;
+}
+
+function feedOptions(context) {
+  return { origin: context?.origin || null, source: 'mcp' };
+}
+
+// Plan, dry-run, proposal and apply errors all reach the client as tool errors.
+function toToolError(error) {
+  if (error instanceof BatchOperationError) {
+    const details = error.code ? { code: error.code, current: error.current } : null;
+    return new ToolError(error.message, error.status, details);
+  }
+  if (error instanceof ValidationError) {
+    return new ToolError(error.message, error.status);
+  }
+  return error;
+}
+
+// Mutating tools plan their change against the graph first. `dry_run` returns
+// the plan, a server in propose mode queues it for approval in the builders,
+// and otherwise it is applied with an undo record for the session.
+async function runGraphChange(tool, args, memory, context, respond) {
+  const { dry_run: dryRun, ...toolArgs } = ensureObject(args);
+  const projectId = resolveProjectId(memory).toString();
+  const { session_id: sessionId, active_node_id: activeNodeId } = normaliseMemory(memory).session;
+  try {
+    const plan = await planAgentChange(projectId, tool, toolArgs);
+    if (dryRun === true) {
+      return { dry_run: true, change: plan };
+    }
+    const options = { sessionId: sessionId || null, origin: context?.origin || null };
+    if (context?.mode === 'propose') {
+      const session = activeNodeId || !sessionId ? null : await relationalStore.getSession(sessionId);
+      const nodeId = activeNodeId || session?.active_node || null;
+      return { proposal: await proposeAgentChange(projectId, plan, { ...options, nodeId }) };
+    }
+    const { results, change } = await applyAgentChange(projectId, plan, options);
+    return { ...respond(results[0], projectId), change_id: change.id };
+  } catch (error) {
+    throw toToolError(error);
+  }
+}
+
+function runCreateNode(args, memory, context) {
+  return runGraphChange('createNode', args, memory, context, ({ node }, projectId) => ({
+    node,
+    project_id: projectId,
+    builder: ensureObject(args).builder,
+  }));
+}
+
+function runUpdateNode(args, memory, context) {
+  return runGraphChange('updateNode', args, memory, context, ({ node }) => ({ node }));
+}
+
+function runDeleteNode(args, memory, context) {
+  return runGraphChange('deleteNode', args, memory, context, () => ({ deleted: true }));
+}
+
+function runLinkNodes(args, memory, context) {
+  return runGraphChange('linkNodes', args, memory, context, ({ edge }) => ({ edge }));
+}
+
+function runUnlinkNodes(args, memory, context) {
+  return runGraphChange('unlinkNodes', args, memory, context, () => ({ deleted: true }));
+}
+
+async function runUndoLastChange(memory, context) {
+  const projectId = resolveProjectId(memory).toString();
+  const { session_id: sessionId } = normaliseMemory(memory).session;
+  try {
+    const change = await undoLastAgentChange(projectId, sessionId || null, {
+      origin: context?.origin || null,
+      source: 'mcp',
+    });
+    return { undone: change };
+  } catch (error) {
+    throw toToolError(error);
+  }
+}
+
+// Runs a read-only query against the project graph; query errors become tool errors.
+async function runGraphQuery(memory, query) {
+  const projectId = resolveProjectId(memory).toString();
+  try {
+    const index = indexGraph(await graphStore.fetchProjectGraph(projectId));
+    return { project_id: projectId, ...query(index) };
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw new ToolError(error.message, error.status);
+    }
+    throw error;
+  }
+}
+
+function runGetNode(args, memory) {
+  return runGraphQuery(memory, (index) => describeNodeDetail(index, ensureObject(args).node_id));
+}
+
+function runSearchNodes(args, memory) {
+  return runGraphQuery(memory, (index) => {
+    const page = readPage(ensureObject(args));
+    const { items, ...rest } = paginate(searchNodes(index, ensureObject(args)), page);
+    return { nodes: items, ...rest };
+  });
+}
+
+function runGetNeighbors(args, memory) {
+  return runGraphQuery(memory, (index) => {
+    const page = readPage(ensureObject(args));
+    const { items, ...rest } = paginate(findNeighbors(index, ensureObject(args)), page);
+    return { node_id: ensureObject(args).node_id, neighbors: items, ...rest };
+  });
+}
+
+function runGetPath(args, memory) {
+  return runGraphQuery(memory, (index) => {
+    const path = findPath(index, ensureObject(args));
+    return path ? { found: true, ...path } : { found: false, length: null, nodes: [], edges: [] };
+  });
+}
+
+function runListElements(args, memory) {
+  return runGraphQuery(memory, (index) => {
+    const page = readPage(ensureObject(args));
+    const { elements, types } = listElements(index, ensureObject(args));
+    const { items, ...rest } = paginate(elements, page);
+    return { elements: items, types, ...rest };
+  });
+}
+
+async function runGetWorkingMemory(memory) {
+  const baseMemory = normaliseMemory(memory);
+  const sessionId =
+    typeof baseMemory.session?.session_id === 'string'
+      ? baseMemory.session.session_id.trim()
+      : '';
+  if (!sessionId) {
+    return { memory: baseMemory, __skipNormalise: true };
+  }
+  const resolvedProjectIdRaw = resolveProjectId(baseMemory);
+  const resolvedProjectId =
+    typeof resolvedProjectIdRaw === 'string' ? resolvedProjectIdRaw.trim() : '';
+  try {
+    const { memory: stored } = await loadWorkingMemory({
+      sessionId,
+      projectId: resolvedProjectId,
+    });
+    const includeStructure = stored.config?.include_project_structure !== false;
+    const projectId = stored.session?.project_id || resolvedProjectId;
+    if (includeStructure && projectId) {
+      const projectNodes = Array.isArray(stored.project_structure?.project_graph?.nodes)
+        ? stored.project_structure.project_graph.nodes.length
+        : 0;
+      const elementNodes = Array.isArray(stored.project_structure?.elements_graph?.nodes)
+        ? stored.project_structure.elements_graph.nodes.length
+        : 0;
+      if (projectNodes === 0 && elementNodes === 0) {
+        try {
+          const structure = await loadProjectStructure(projectId);
+          stored.project_structure = structure;
+          await saveWorkingMemoryPart({
+            sessionId,
+            projectId,
+            part: 'project_graph',
+            value: structure.project_graph,
+          });
+          await saveWorkingMemoryPart({
+            sessionId,
+            projectId,
+            part: 'elements_graph',
+            value: structure.elements_graph,
+          });
+        } catch (structureError) {
+          console.warn('Failed to refresh project structure for working memory', structureError);
+        }
+      }
+    }
+    return { memory: stored, __skipNormalise: true };
+  } catch (error) {
+    console.warn('Failed to load working memory snapshot', error);
+    return { memory: baseMemory, __skipNormalise: true };
+  }
+}
+
+async function runSendMessage(args, memory, context) {
+  const { message_type: messageTypeRaw, role: roleRaw, content } = ensureObject(args);
+  const messageType =
+    typeof messageTypeRaw === 'string' ? messageTypeRaw.trim() : '';
+  if (!VALID_MESSAGE_TYPES.has(messageType)) {
+    throw new ToolError('message_type must be either user_reply or inner_process');
+  }
+  const role = typeof roleRaw === 'string' ? roleRaw.trim() : '';
+  if (!role) {
+    throw new ToolError('role must be a non-empty string');
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ToolError('content must be a non-empty string');
+  }
+  const baseMemory = normaliseMemory(memory);
+  const sessionIdRaw = baseMemory.session.session_id;
+  const sessionId =
+    typeof sessionIdRaw === 'string' ? sessionIdRaw.trim() : '';
+  if (!sessionId) {
+    throw new ToolError('session_id is required in working memory');
+  }
+  const nodeIdSource =
+    baseMemory.session.active_node_id || baseMemory.node_context?.id || '';
+  const nodeIdTrimmed =
+    typeof nodeIdSource === 'string' ? nodeIdSource.trim() : '';
+  const nodeId = nodeIdTrimmed ? nodeIdTrimmed : null;
+  const trimmedContent = content.trim();
+  const savedMessage = await relationalStore.insertMessage({
+    sessionId,
+    nodeId,
+    role,
+    content: trimmedContent,
+    messageType,
+  });
+  const insertedId = savedMessage?.id;
+  const createdAt = savedMessage?.created_at
+    ? savedMessage.created_at.toISOString?.() || savedMessage.created_at
+    : new Date().toISOString();
+  const messagePayload = {
+    id: savedMessage?.id ?? insertedId ?? null,
+    session_id: savedMessage?.session_id ?? sessionId,
+    node_id: savedMessage?.node_id ?? nodeId,
+    role: savedMessage?.role ?? role,
+    content: savedMessage?.content ?? trimmedContent,
+    message_type: savedMessage?.message_type ?? messageType,
+    created_at: createdAt,
+  };
+  try {
+    const { memory: stored } = await loadWorkingMemory({ sessionId });
+    const effectiveProjectId =
+      stored.session?.project_id || resolveProjectId(stored) || resolveProjectId(baseMemory);
+    const historyLength = stored.config?.history_length;
+    const updatedMessages = Array.isArray(stored.messages)
+      ? [...stored.messages, messagePayload]
+      : [messagePayload];
+    const { value: sanitisedMessages } = await saveWorkingMemoryPart({
+      sessionId,
+      projectId: effectiveProjectId,
+      part: 'messages',
+      value: updatedMessages,
+      options: { historyLength },
+    });
+    const lastUserMessage = deriveLastUserMessageSchema(sanitisedMessages);
+    await saveWorkingMemoryPart({
+      sessionId,
+      projectId: effectiveProjectId,
+      part: 'last_user_message',
+      value: lastUserMessage,
+      options: { messages: sanitisedMessages },
+    });
+  } catch (error) {
+    console.warn('Failed to update working memory messages', error);
+  }
+  const projectId = resolveProjectId(baseMemory);
+  if (projectId) {
+    publishChange(projectId, 'message.created', { message: messagePayload }, feedOptions(context));
+  }
+  return { memory: baseMemory, message: messagePayload };
+}
+
+async function runUpdateWorkingHistory(args, memory) {
+  const { node_id: nodeIdRaw, summary_text: summaryText } = ensureObject(args);
+  const nodeId =
+    typeof nodeIdRaw === 'string' ? nodeIdRaw.trim() : '';
+  if (!nodeId) {
+    throw new ToolError('node_id is required');
+  }
+  if (typeof summaryText !== 'string') {
+    throw new ToolError('summary_text must be a string');
+  }
+  const baseMemory = normaliseMemory(memory);
+  const projectIdRaw = resolveProjectId(baseMemory);
+  const projectId =
+    typeof projectIdRaw === 'string' ? projectIdRaw.trim() : '';
+  if (!projectId) {
+    throw new ToolError('project_id is required to update working history');
+  }
+  const record = await relationalStore.withConnection(async (db) => {
+    await db.saveNodeWorkingHistory({ projectId, nodeId, workingHistory: summaryText });
+    return db.fetchWorkingHistoryForNode({ projectId, nodeId });
+  });
+  const updatedAt = record?.updated_at
+    ? record.updated_at.toISOString?.() || record.updated_at
+    : new Date().toISOString();
+  const historyPayload = {
+    project_id: record?.project_id ?? projectId,
+    node_id: record?.node_id ?? nodeId,
+    working_history: record?.working_history ?? summaryText,
+    updated_at: updatedAt,
+  };
+  const sessionId =
+    typeof baseMemory.session?.session_id === 'string'
+      ? baseMemory.session.session_id.trim()
+      : '';
+  if (sessionId) {
+    try {
+      await saveWorkingMemoryPart({
+        sessionId,
+        projectId,
+        part: 'working_history',
+        value: historyPayload.working_history,
+      });
+    } catch (error) {
+      console.warn('Failed to persist working history in working memory', error);
+    }
+  }
+  return { memory: baseMemory, history: historyPayload };
+}
+
+function runUpdateThought(args, memory) {
+  const { stage, content } = ensureObject(args);
+  if (!stage || !content) {
+    throw new ToolError('stage and content are required');
+  }
+  return {
+    memory: normaliseMemory(memory),
+    thought: {
+      stage,
+      content,
+      timestamp: new Date().toISOString(),
+    },
+  };
+}
+
+const toolHandlers = {
+  createNode: runCreateNode,
+  updateNode: runUpdateNode,
+  deleteNode: runDeleteNode,
+  linkNodes: runLinkNodes,
+  unlinkNodes: runUnlinkNodes,
+  undoLastChange: async (_, memory, context) => runUndoLastChange(memory, context),
+  getNode: async (args, memory) => runGetNode(args, memory),
+  searchNodes: async (args, memory) => runSearchNodes(args, memory),
+  getNeighbors: async (args, memory) => runGetNeighbors(args, memory),
+  getPath: async (args, memory) => runGetPath(args, memory),
+  listElements: async (args, memory) => runListElements(args, memory),
+  getWorkingMemory: async (_, memory) => runGetWorkingMemory(memory),
+  sendMessage: async (args, memory, context) => runSendMessage(args, memory, context),
+  updateWorkingHistory: async (args, memory) => runUpdateWorkingHistory(args, memory),
+  updateThought: async (args, memory) => runUpdateThought(args, memory),
+};
+
+module.exports = {
+  toolSchemas,
+  toolHandlers,
+  ToolError,
+  normaliseMemory,
+};
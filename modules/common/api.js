@@ -1,5 +1,35 @@
 const API_BASE = '/api';
 
+function createClientId() {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+  return `client-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Identifies this tab on writes so change-feed echoes of its own edits can be skipped.
+export const CLIENT_ID = createClientId();
+
+const USER_ID_STORAGE_KEY = 'story-graph-user-id';
+
+// Lets the server attribute node revisions to this browser's user and session.
+function readAttributionHeaders() {
+  const headers = {};
+  try {
+    const userId = globalThis.localStorage?.getItem(USER_ID_STORAGE_KEY);
+    if (userId) {
+      headers['X-User-Id'] = userId;
+    }
+  } catch (error) {
+    // Storage can be unavailable (private mode); revisions then go unattributed.
+  }
+  const sessionId = globalThis.window?.__active_session_id;
+  if (sessionId) {
+    headers['X-Session-Id'] = `${sessionId}`;
+  }
+  return headers;
+}
+
 function buildUrl(path) {
   if (path.startsWith('http://') || path.startsWith('https://')) {
     return path;
@@ -15,10 +45,14 @@ export async function fetchJSON(path, options = {}) {
   const finalOptions = { ...options };
   const headers = {
     'Content-Type': 'application/json',
+    'X-Client-Id': CLIENT_ID,
+    ...readAttributionHeaders(),
     ...(options.headers || {}),
   };
   finalOptions.headers = headers;
-  if (finalOptions.body && typeof finalOptions.body !== 'string') {
+  // Files and other binary bodies are sent as they are.
+  const binary = typeof Blob !== 'undefined' && finalOptions.body instanceof Blob;
+  if (finalOptions.body && typeof finalOptions.body !== 'string' && !binary) {
     finalOptions.body = JSON.stringify(finalOptions.body);
   }
   if (options.keepalive) {
@@ -30,8 +64,9 @@ export async function fetchJSON(path, options = {}) {
   const response = await fetch(url, finalOptions);
   if (!response.ok) {
     let message = `Request failed (${response.status})`;
+    let data = null;
     try {
-      const data = await response.json();
+      data = await response.json();
       if (data && typeof data === 'object' && data.error) {
         message = data.error;
       } else if (typeof data === 'string') {
@@ -43,7 +78,10 @@ export async function fetchJSON(path, options = {}) {
         message = text;
       }
     }
-    throw new Error(message);
+    const failure = new Error(message);
+    failure.status = response.status;
+    failure.data = data;
+    throw failure;
   }
   if (response.status === 204) {
     return null;
@@ -208,6 +246,76 @@ export async function deleteLink(payload, { projectId, keepalive } = {}) {
   });
 }
 
+function projectQuery(projectId, extra = {}) {
+  const params = new URLSearchParams();
+  if (projectId) {
+    params.set('project_id', projectId);
+  }
+  Object.entries(extra).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, `${value}`);
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+export async function fetchNodeRevisions(nodeId, { projectId, limit, cursor } = {}) {
+  if (!nodeId) {
+    throw new Error('nodeId is required');
+  }
+  return fetchJSON(`/api/node/${encodeURIComponent(nodeId)}/revisions${projectQuery(projectId, { limit, cursor })}`);
+}
+
+// `to` defaults to the node's current state on the server.
+export async function fetchNodeRevisionDiff(nodeId, { projectId, from, to } = {}) {
+  if (!nodeId || !from) {
+    throw new Error('nodeId and from are required');
+  }
+  return fetchJSON(`/api/node/${encodeURIComponent(nodeId)}/revisions/diff${projectQuery(projectId, { from, to })}`);
+}
+
+export async function revertNodeRevision(nodeId, revisionId, { projectId, versionId } = {}) {
+  const body = withProjectId(versionId ? { version_id: versionId } : {}, projectId);
+  return fetchJSON(`/api/node/${encodeURIComponent(nodeId)}/revisions/${encodeURIComponent(revisionId)}/revert`, {
+    method: 'POST',
+    body,
+  });
+}
+
+// Graph changes MCP agents made or proposed; `nodeId` keeps those touching a node.
+export async function fetchAgentChanges({ projectId, nodeId, status } = {}) {
+  return fetchJSON(`/api/agent-changes${projectQuery(projectId, { node_id: nodeId, status })}`);
+}
+
+function decideAgentChange(changeId, action, projectId) {
+  return fetchJSON(`/api/agent-changes/${encodeURIComponent(changeId)}/${action}`, {
+    method: 'POST',
+    body: withProjectId({}, projectId),
+  });
+}
+
+export async function approveAgentChange(changeId, { projectId } = {}) {
+  return decideAgentChange(changeId, 'approve', projectId);
+}
+
+export async function rejectAgentChange(changeId, { projectId } = {}) {
+  return decideAgentChange(changeId, 'reject', projectId);
+}
+
+export async function undoAgentChange(changeId, { projectId } = {}) {
+  return decideAgentChange(changeId, 'undo', projectId);
+}
+
+// Applies node/edge/link operations atomically; see `POST /api/batch`.
+export async function applyBatch(operations, { projectId, keepalive } = {}) {
+  return fetchJSON('/api/batch', {
+    method: 'POST',
+    body: withProjectId({ operations }, projectId),
+    keepalive,
+  });
+}
+
 export async function fetchMessages({ sessionId, nodeId, projectId, limit, cursor } = {}) {
   const sessionIdText = sessionId === undefined || sessionId === null ? '' : `${sessionId}`.trim();
   const projectIdText = projectId === undefined || projectId === null ? '' : `${projectId}`.trim();
@@ -296,3 +404,53 @@ export async function createCheckpoint(projectId, name) {
     body,
   });
 }
+
+// Adds a Fountain script's scenes and characters to the project.
+export async function importFountain(projectId, fountain, { parentId } = {}) {
+  const body = { fountain };
+  if (parentId) {
+    body.parent_id = parentId;
+  }
+  return fetchJSON(`/api/project/${encodeURIComponent(projectId)}/import/fountain`, {
+    method: 'POST',
+    body,
+  });
+}
+
+// Adds a zipped folder of Markdown notes to the project.
+export async function importVault(projectId, file) {
+  return fetchJSON(`/api/project/${encodeURIComponent(projectId)}/import/vault`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/zip' },
+    body: file,
+  });
+}
+
+// Downloads `GET /api/project/:id/export/<kind>` as the file the server names.
+export async function downloadProjectExport(projectId, kind, params = {}) {
+  const search = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  const path = `/api/project/${encodeURIComponent(projectId)}/export/${kind}${search ? `?${search}` : ''}`;
+  const response = await fetch(path, { headers: { 'X-Client-Id': CLIENT_ID } });
+  if (!response.ok) {
+    let message = `Export failed (${response.status})`;
+    try {
+      message = (await response.json())?.error || message;
+    } catch (error) {
+      // Keep the generic message when the body is not JSON.
+    }
+    throw new Error(message);
+  }
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const fileName = /filename="([^"]+)"/.exec(disposition)?.[1] || `${projectId}.${kind}`;
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+  return fileName;
+}
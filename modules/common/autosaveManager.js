@@ -1,4 +1,4 @@
-import { updateNode, createEdge, deleteEdge, updateEdge } from './api.js';
+import { applyBatch } from './api.js';
 import { rebuildProjectStructure } from './projectStructureService.js';
 import { refreshWorkingMemory } from './workingMemory.js';
 
@@ -8,6 +8,12 @@ const STATUS_DIRTY = 'dirty';
 const STATUS_SAVING = 'saving';
 const STATUS_SAVED = 'saved';
 const STATUS_ERROR = 'error';
+const MAX_CONFLICT_ROUNDS = 3;
+
+export const ConflictResolution = {
+  MERGE: 'merge',
+  OVERWRITE: 'overwrite',
+};
 
 function sanitiseMeta(meta) {
   if (!meta || typeof meta !== 'object') {
@@ -31,16 +37,93 @@ function sanitiseMeta(meta) {
   }
 }
 
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Three-way merge: keys only one side changed since `base` take that side's
+// value; keys both sides changed keep the local edit.
+function mergeChanges(base, local, server) {
+  if (sameValue(local, base)) {
+    return server;
+  }
+  if (sameValue(server, base)) {
+    return local;
+  }
+  if (isPlainObject(local) && isPlainObject(server)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const result = {};
+    new Set([...Object.keys(server), ...Object.keys(local)]).forEach((key) => {
+      const merged = mergeChanges(baseObject[key], local[key], server[key]);
+      if (merged !== undefined) {
+        result[key] = merged;
+      }
+    });
+    return result;
+  }
+  return local;
+}
+
+function defaultConflictHandler({ node }) {
+  const name = node?.title || node?.id || 'This node';
+  const merge = window.confirm(
+    `"${name}" was changed in another tab or by another user.\n\n` +
+      'OK: merge your edits into the latest version.\nCancel: overwrite it with your version.'
+  );
+  return merge ? ConflictResolution.MERGE : ConflictResolution.OVERWRITE;
+}
+
+function isVersionConflict(error) {
+  return error?.status === 409 && error?.data?.code === 'version_conflict';
+}
+
+// 4xx answers mean the request itself was refused; resending it unchanged
+// cannot help.
+function isRejected(error) {
+  return Number.isInteger(error?.status) && error.status >= 400 && error.status < 500;
+}
+
+function reportSaveFailures(failures) {
+  failures.forEach(({ node, link, error }) => {
+    const target = node ? `node ${node.id}` : `link ${link.from} → ${link.to}`;
+    console.error(`Autosave could not save ${target}; the edit was dropped`, error);
+  });
+}
+
+function buildLinkOperation({ action, from, to, type = 'LINKS_TO', props = {} } = {}) {
+  if (!from || !to || !action) {
+    return null;
+  }
+  if (action === 'create') {
+    return { op: 'edge.create', from, to, type, props };
+  }
+  if (action === 'delete') {
+    return { op: 'edge.delete', from, to, type };
+  }
+  if (action === 'update') {
+    return { op: 'edge.update', from, to, type, props };
+  }
+  return null;
+}
+
 function buildEdgeKey(from, to, type) {
   const sorted = [from, to].sort();
   return `${sorted[0]}|${sorted[1]}|${type || 'LINKS_TO'}`;
 }
 
 export default class AutosaveManager {
-  constructor({ projectId, delay = DEFAULT_DELAY, onStatusChange } = {}) {
+  constructor({ projectId, delay = DEFAULT_DELAY, onStatusChange, onConflict, onSaveFailed } = {}) {
     this.projectId = projectId || null;
     this.delay = Math.max(250, delay || DEFAULT_DELAY);
     this.onStatusChange = typeof onStatusChange === 'function' ? onStatusChange : null;
+    this.onConflict = typeof onConflict === 'function' ? onConflict : defaultConflictHandler;
+    // Called with `[{ node, link, error }]` for edits the server refused; they
+    // are not retried.
+    this.onSaveFailed = typeof onSaveFailed === 'function' ? onSaveFailed : reportSaveFailures;
 
     this.pendingNodes = new Map();
     this.pendingLinks = new Map();
@@ -152,42 +235,51 @@ export default class AutosaveManager {
     this.setStatus(STATUS_SAVING);
 
     let hadError = false;
+    let failures = [];
 
     const refreshedNodeIds = new Set();
     const linkRefreshNodeIds = new Set();
-
-    for (const [id, node] of Array.from(this.pendingNodes.entries())) {
-      try {
-        const updated = await this.processNode(node, { keepalive });
-        this.pendingNodes.delete(id);
-        if (updated) {
-          refreshedNodeIds.add(node.id);
-        }
-      } catch (error) {
-        console.error('Failed to save node', id, error);
-        hadError = true;
-      }
-    }
-
     let structureChanged = false;
 
-    for (const [key, entry] of Array.from(this.pendingLinks.entries())) {
-      try {
-        const result = await this.processLink(entry, { keepalive });
-        if (result !== 'none') {
-          if (entry.from) {
-            linkRefreshNodeIds.add(entry.from);
-          }
-          if (entry.to) {
-            linkRefreshNodeIds.add(entry.to);
-          }
+    const nodeEntries = Array.from(this.pendingNodes.entries());
+    const linkEntries = Array.from(this.pendingLinks.entries());
+
+    try {
+      const { savedNodes, linkOutcomes, failed } = await this.saveBatch(
+        nodeEntries.map(([, node]) => node),
+        linkEntries.map(([, entry]) => entry),
+        { keepalive }
+      );
+      failures = failed;
+      nodeEntries.forEach(([id]) => this.pendingNodes.delete(id));
+      savedNodes.forEach((node) => refreshedNodeIds.add(node.id));
+      linkEntries.forEach(([key, entry], index) => {
+        this.pendingLinks.delete(key);
+        if (linkOutcomes[index] === 'none') {
+          return;
+        }
+        if (entry.from) {
+          linkRefreshNodeIds.add(entry.from);
         }
-        if (result === 'structure') {
+        if (entry.to) {
+          linkRefreshNodeIds.add(entry.to);
+        }
+        if (linkOutcomes[index] === 'structure') {
           structureChanged = true;
         }
-        this.pendingLinks.delete(key);
-      } catch (error) {
-        console.error('Failed to persist link', entry, error);
+      });
+    } catch (error) {
+      if (isRejected(error)) {
+        // The server turned down the batch as a whole; resending it would only
+        // hold up every later edit.
+        nodeEntries.forEach(([id]) => this.pendingNodes.delete(id));
+        linkEntries.forEach(([key]) => this.pendingLinks.delete(key));
+        failures = [
+          ...nodeEntries.map(([, node]) => ({ node, link: null, error })),
+          ...linkEntries.map(([, link]) => ({ node: null, link, error })),
+        ];
+      } else {
+        console.error('Failed to save pending changes', error);
         hadError = true;
       }
     }
@@ -200,8 +292,13 @@ export default class AutosaveManager {
       return;
     }
 
-    this.setStatus(STATUS_SAVED);
-    this.setStatus(STATUS_IDLE);
+    if (failures.length) {
+      this.setStatus(STATUS_ERROR);
+      this.onSaveFailed(failures);
+    } else {
+      this.setStatus(STATUS_SAVED);
+      this.setStatus(STATUS_IDLE);
+    }
 
     if (structureChanged && this.projectId) {
       try {
@@ -215,10 +312,10 @@ export default class AutosaveManager {
     this.requestWorkingMemoryRefresh(linkRefreshNodeIds, 'graph:link-changed');
   }
 
-  async processNode(node, { keepalive = false } = {}) {
+  buildNodeBody(node) {
     const raw = typeof node.toPersistence === 'function' ? node.toPersistence() : null;
     if (!raw || !node?.id) {
-      return false;
+      return null;
     }
     const body = {};
     if (raw.label !== undefined) {
@@ -232,69 +329,136 @@ export default class AutosaveManager {
       // Critical: sending `meta` triggers a server-side replace. `metaUpdates` performs a merge instead.
       body.metaUpdates = metaUpdates;
     }
-    if (!Object.keys(body).length) {
-      return false;
-    }
-    const response = await updateNode(node.id, body, { projectId: this.projectId, keepalive });
-    if (response && typeof response === 'object') {
-      if (response.meta) {
-        node.meta = response.meta;
-        const position = response.meta?.position;
-        if (position && typeof position.x === 'number' && typeof position.y === 'number') {
-          node.position = { x: position.x, y: position.y };
-        }
+    return Object.keys(body).length ? body : null;
+  }
+
+  // Sends every pending node and link as one atomic `/api/batch` request. The
+  // server rejects the whole batch and names the operation at fault in
+  // `failed_index`; that operation is dealt with and the rest resent. A version
+  // conflict is resolved through `onConflict` (up to MAX_CONFLICT_ROUNDS, and
+  // never while the page unloads); any other refusal, such as a node deleted
+  // elsewhere, drops the operation and lists it in `failed`. Failures that name
+  // no operation (network errors, 5xx) are thrown for the caller to retry.
+  async saveBatch(nodes, links, { keepalive = false } = {}) {
+    const nodeEntries = nodes
+      .map((node) => ({
+        node,
+        body: this.buildNodeBody(node),
+        versionId: node.versionId || null,
+        merged: false,
+        rounds: 0,
+      }))
+      .filter((entry) => entry.body);
+    const linkOperations = links.map(buildLinkOperation);
+    const linkOutcomes = linkOperations.map((operation) => {
+      if (!operation) {
+        return 'none';
       }
-      if (typeof response.label === 'string') {
-        node.title = response.label;
+      return operation.op === 'edge.update' ? 'props' : 'structure';
+    });
+    const savedNodes = [];
+    const failed = [];
+    const items = [
+      ...nodeEntries.map((entry) => ({ entry })),
+      ...linkOperations.map((operation, index) => ({ operation, index })).filter(({ operation }) => operation),
+    ];
+
+    let response = null;
+    while (items.length) {
+      const operations = items.map(({ entry, operation }) =>
+        entry
+          ? {
+              op: 'node.update',
+              id: entry.node.id,
+              ...entry.body,
+              ...(entry.versionId ? { version_id: entry.versionId } : {}),
+            }
+          : operation
+      );
+      try {
+        response = await applyBatch(operations, { projectId: this.projectId, keepalive });
+        break;
+      } catch (error) {
+        const failedIndex = error?.data?.failed_index;
+        const item = Number.isInteger(failedIndex) ? items[failedIndex] : null;
+        if (!item || !isRejected(error)) {
+          throw error;
+        }
+        const { entry } = item;
+        if (entry && isVersionConflict(error) && !keepalive && entry.rounds < MAX_CONFLICT_ROUNDS - 1) {
+          entry.rounds += 1;
+          const server = error.data.current || {};
+          entry.versionId = server.version_id || null;
+          const choice = await this.onConflict({ node: entry.node, local: entry.body, server });
+          if (choice === ConflictResolution.MERGE) {
+            Object.assign(entry.body, this.mergeWithServer(entry.node, entry.body, server));
+            entry.merged = true;
+          }
+          continue;
+        }
+        items.splice(failedIndex, 1);
+        if (entry) {
+          failed.push({ node: entry.node, link: null, error });
+        } else {
+          linkOutcomes[item.index] = 'none';
+          failed.push({ node: null, link: links[item.index], error });
+        }
       }
-      if (typeof response.content === 'string') {
-        node.fullText = response.content;
+    }
+
+    const results = Array.isArray(response?.results) ? response.results : [];
+    items.forEach(({ entry }, index) => {
+      if (!entry) {
+        return;
       }
+      const saved = results[index]?.node;
+      this.applyServerNode(entry.node, saved, { merged: entry.merged });
+      entry.node.markPersisted?.(saved?.version_id);
+      savedNodes.push(entry.node);
+    });
+    return { savedNodes, linkOutcomes, failed };
+  }
+
+  mergeWithServer(node, body, server) {
+    const base = node.persistedSnapshot || {};
+    const merged = {};
+    if (body.label !== undefined) {
+      merged.label = mergeChanges(base.label, body.label, server.label);
+    }
+    if (body.content !== undefined) {
+      merged.content = mergeChanges(base.content, body.content, server.content);
+    }
+    if (body.metaUpdates) {
+      merged.metaUpdates = mergeChanges(sanitiseMeta(base.meta), body.metaUpdates, sanitiseMeta(server.meta));
     }
-    return true;
+    return merged;
   }
 
-  async processLink(entry, { keepalive = false } = {}) {
-    const { action, from, to, type = 'LINKS_TO', props = {} } = entry;
-    if (!from || !to || !action) {
-      return 'none';
+  // Notes and discussion are only pulled back after a merge, when the server
+  // copy may hold someone else's text; otherwise the local fields stay authoritative.
+  applyServerNode(node, response, { merged = false } = {}) {
+    if (!response || typeof response !== 'object') {
+      return;
     }
-    if (action === 'create') {
-      await createEdge(
-        {
-          from,
-          to,
-          type,
-          props,
-        },
-        { projectId: this.projectId, keepalive }
-      );
-      return 'structure';
+    if (response.meta) {
+      node.meta = response.meta;
+      const position = response.meta?.position;
+      if (position && typeof position.x === 'number' && typeof position.y === 'number') {
+        node.position = { x: position.x, y: position.y };
+      }
+      if (merged && typeof response.meta.notes === 'string') {
+        node.notes = response.meta.notes;
+      }
+      if (merged && typeof response.meta.discussion === 'string') {
+        node.discussion = response.meta.discussion;
+      }
     }
-    if (action === 'delete') {
-      await deleteEdge(
-        {
-          from,
-          to,
-          type,
-        },
-        { projectId: this.projectId, keepalive }
-      );
-      return 'structure';
+    if (typeof response.label === 'string') {
+      node.title = response.label;
     }
-    if (action === 'update') {
-      await updateEdge(
-        {
-          from,
-          to,
-          type,
-          props,
-        },
-        { projectId: this.projectId, keepalive }
-      );
-      return 'props';
+    if (typeof response.content === 'string') {
+      node.fullText = response.content;
     }
-    return 'none';
   }
 
   flush(options = {}) {
@@ -306,6 +470,10 @@ export default class AutosaveManager {
     return this.pendingNodes.size > 0 || this.pendingLinks.size > 0 || this.inFlight;
   }
 
+  isNodePending(nodeId) {
+    return this.pendingNodes.has(nodeId);
+  }
+
   requestWorkingMemoryRefresh(nodeIds, reason) {
     if (!this.projectId || !nodeIds || !nodeIds.size) {
       return;
@@ -0,0 +1,64 @@
+import { CLIENT_ID } from './api.js';
+
+export const CHANGE_TYPES = Object.freeze([
+  'node.created',
+  'node.updated',
+  'node.deleted',
+  'edge.created',
+  'edge.updated',
+  'edge.deleted',
+  'link.created',
+  'link.deleted',
+  'message.created',
+  'checkpoint.restored',
+  'agent_change.created',
+  'agent_change.updated',
+]);
+
+/**
+ * Listens to `/api/events` for one project. Events this tab caused are skipped
+ * unless `includeOwn` is set. `onResync` fires when the server could not replay
+ * the gap after a reconnect (its buffer moved on, or it restarted) and the
+ * caller should reload the whole graph; without one the page is reloaded.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToChanges(projectId, { onEvent, onResync, onStatus, includeOwn = false } = {}) {
+  if (typeof EventSource === 'undefined' || !projectId) {
+    return () => {};
+  }
+  const source = new EventSource(`/api/events?project_id=${encodeURIComponent(projectId)}`);
+  const handleEvent = (message) => {
+    let event;
+    try {
+      event = JSON.parse(message.data);
+    } catch (error) {
+      console.warn('Ignoring malformed change event', error);
+      return;
+    }
+    if (!includeOwn && event.origin && event.origin === CLIENT_ID) {
+      return;
+    }
+    try {
+      onEvent?.(event);
+    } catch (error) {
+      console.warn(`Failed to apply ${event.type} change`, error);
+    }
+  };
+  CHANGE_TYPES.forEach((type) => source.addEventListener(type, handleEvent));
+  source.addEventListener('resync', () => {
+    if (typeof onResync === 'function') {
+      onResync();
+    } else {
+      window.location.reload();
+    }
+  });
+  source.addEventListener('open', () => onStatus?.('open'));
+  source.addEventListener('error', () => {
+    onStatus?.(source.readyState === EventSource.CLOSED ? 'closed' : 'reconnecting');
+  });
+  return () => {
+    source.close();
+  };
+}
+
+export default subscribeToChanges;
@@ -314,6 +314,34 @@ export async function sendMessageToSession(content, { role = 'user', messageType
   }
 }
 
+// Merges a message pushed by the change feed when it belongs to the current
+// node (or session, when no node is selected). Returns true when it was added.
+export function applyIncomingMessage(message) {
+  const incoming = normaliseMessage(message);
+  if (!incoming || (!state.sessionId && !state.nodeId)) {
+    return false;
+  }
+  const matches = state.nodeId
+    ? normaliseNodeId(incoming.node_id) === state.nodeId
+    : normaliseSessionId(incoming.session_id) === state.sessionId;
+  if (!matches) {
+    return false;
+  }
+  const id = toSortableId(incoming.id).string;
+  if (id && state.messages.some((existing) => toSortableId(existing.id).string === id)) {
+    return false;
+  }
+  state.messages = buildChronologicalMessages(state.messages.concat(incoming));
+  state.totalCount += 1;
+  state.filteredCount += 1;
+  if (incoming.role === 'user' && incoming.message_type === 'user_reply') {
+    state.lastUserMessage = incoming.content || '';
+  }
+  notify();
+  requestWorkingMemoryRefresh('message:remote');
+  return true;
+}
+
 export function clearMessagesContext() {
   setMessagesContext({ sessionId: '', nodeId: null, projectId: '' });
   resetMessagesStore();
@@ -876,6 +876,12 @@ class ElementNode extends NodeBase {
     ElementNode.linkManager?.updateLinkTitlesForNode(this);
   }
 
+  applyRemoteMeta(meta) {
+    this.data = this.ensureDataShape(ElementNode.cloneData(meta.elementData));
+    this.meta.builder = 'elements';
+    this.meta.elementType = this.type;
+  }
+
   show() {
     super.show();
     ElementNode.linkManager?.updateLinksForNode(this);
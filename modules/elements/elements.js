@@ -4,6 +4,7 @@ import { ElementNode, CharacterNode, PlaceNode, OtherNode } from './ElementNode.
 import LinkManager from './LinkManager.js';
 import AutosaveManager from '../common/autosaveManager.js';
 import { fetchGraph, createNode, createCheckpoint } from '../common/api.js';
+import { subscribeToChanges } from '../common/changeFeed.js';
 import buildStructureFromGraph from '../common/projectStructure.js';
 import {
   initialiseWorkingMemory,
@@ -175,6 +176,7 @@ const state = {
   navigationGuardAttached: false,
   linkManager: null,
   nodeInteractionAttached: false,
+  changeFeedUnsubscribe: null,
 };
 
 function parseProjectContext(raw) {
@@ -275,6 +277,14 @@ function handleStatusChange(status) {
   updateStatusIndicator(status);
 }
 
+function handleSaveFailed(failures) {
+  failures.forEach(({ node, link, error }) => {
+    console.error('Autosave dropped an edit the server refused', node?.id || link, error);
+  });
+  const noun = failures.length === 1 ? 'edit' : 'edits';
+  showStatusMessage(`${failures.length} ${noun} could not be saved`, 'error');
+}
+
 function showStatusMessage(message, type = 'saved') {
   if (!state.statusDot || !state.statusLabel) {
     return;
@@ -570,6 +580,7 @@ const init = async (projectId) => {
 
   const elementNodes = [];
   const nodesById = new Map();
+  let availableProjects = [];
 
   const layoutNodes = () => {
     elementNodes.forEach((node, index) => {
@@ -593,6 +604,7 @@ const init = async (projectId) => {
   const autosave = new AutosaveManager({
     projectId,
     onStatusChange: handleStatusChange,
+    onSaveFailed: handleSaveFailed,
   });
   state.autosave = autosave;
 
@@ -674,6 +686,7 @@ const init = async (projectId) => {
       if (created?.meta) {
         node.meta = created.meta;
       }
+      node.markPersisted(created?.version_id);
       nodesById.set(node.id, node);
       try {
         await rebuildProjectStructure(projectId);
@@ -765,6 +778,50 @@ const init = async (projectId) => {
     );
   });
 
+  const instantiateElement = (nodeData) => {
+    const meta = nodeData.meta || {};
+    const type = ElementNode.normaliseType(meta.elementType || meta.type || 'other');
+    const position = meta.position;
+    const node = ElementNode.createNode(type, {
+      canvas,
+      id: nodeData.id,
+      title: nodeData.label || meta.title || nodeData.id,
+      x: position?.x ?? layout.centerX,
+      y: position?.y ?? layout.centerY,
+      notes: meta.notes || '',
+      discussion: meta.discussion || '',
+      fullText: meta.fullText ?? nodeData.content ?? '',
+      data: meta.elementData || null,
+      color: meta.color || undefined,
+      meta,
+      projectId,
+      versionId: nodeData.version_id,
+    });
+    node.projectId = projectId;
+    node.manualPosition = Boolean(position);
+    node.markPersisted();
+    elementNodes.push(node);
+    nodesById.set(node.id, node);
+    return node;
+  };
+
+  const linkNodes = (edge) => {
+    const fromNode = nodesById.get(edge.from);
+    const toNode = nodesById.get(edge.to);
+    if (!fromNode || !toNode) {
+      return;
+    }
+    const linkId = linkManager.getLinkId(fromNode, toNode);
+    if (!linkManager.links.has(linkId)) {
+      linkManager.createLink(fromNode, toNode, linkId);
+    }
+    const link = linkManager.links.get(linkId);
+    if (link) {
+      link.notes = edge.props?.notes || link.notes || '';
+      link.projectId = projectId;
+    }
+  };
+
   linkManager.setEventSuppression(true);
   try {
     const graph = await fetchGraph(projectId);
@@ -783,7 +840,7 @@ const init = async (projectId) => {
     } catch (structureError) {
       console.warn('Failed to prime project structure in working memory', structureError);
     }
-    const availableProjects = nodes
+    availableProjects = nodes
       .filter((node) => (node.meta?.builder || '').toLowerCase() === 'project')
       .map((nodeData) => {
         const meta = nodeData.meta || {};
@@ -800,55 +857,10 @@ const init = async (projectId) => {
     ElementNode.setAvailableProjectNodes(availableProjects, projectId);
     nodes
       .filter((node) => (node.meta?.builder || '').toLowerCase() === 'elements')
-      .forEach((nodeData) => {
-        const meta = nodeData.meta || {};
-        const type = ElementNode.normaliseType(meta.elementType || meta.type || 'other');
-        const position = meta.position;
-        const node = ElementNode.createNode(type, {
-          canvas,
-          id: nodeData.id,
-          title: nodeData.label || meta.title || nodeData.id,
-          x: position?.x ?? layout.centerX,
-          y: position?.y ?? layout.centerY,
-          notes: meta.notes || '',
-          discussion: meta.discussion || '',
-          fullText: meta.fullText ?? nodeData.content ?? '',
-          data: meta.elementData || null,
-          color: meta.color || undefined,
-          meta,
-          projectId,
-        });
-        node.projectId = projectId;
-        node.manualPosition = Boolean(position);
-        elementNodes.push(node);
-        nodesById.set(node.id, node);
-      });
+      .forEach((nodeData) => instantiateElement(nodeData));
     layoutNodes();
 
-    const processedLinks = new Set();
-    edges.forEach((edge) => {
-      const fromNode = nodesById.get(edge.from);
-      const toNode = nodesById.get(edge.to);
-      if (!fromNode || !toNode) {
-        return;
-      }
-      const linkId = linkManager.getLinkId(fromNode, toNode);
-      if (processedLinks.has(linkId)) {
-        const existing = linkManager.links.get(linkId);
-        if (existing) {
-          existing.notes = edge.props?.notes || existing.notes || '';
-          existing.projectId = projectId;
-        }
-        return;
-      }
-      processedLinks.add(linkId);
-      linkManager.createLink(fromNode, toNode, linkId);
-      const link = linkManager.links.get(linkId);
-      if (link) {
-        link.notes = edge.props?.notes || '';
-        link.projectId = projectId;
-      }
-    });
+    edges.forEach((edge) => linkNodes(edge));
   } catch (error) {
     console.error('Failed to load element graph', error);
     showStatusMessage('Failed to load project data', 'error');
@@ -856,6 +868,129 @@ const init = async (projectId) => {
     linkManager.setEventSuppression(false);
   }
 
+  const isProjectNode = (nodeData) => (nodeData?.meta?.builder || '').toLowerCase() === 'project';
+  const isElementNode = (nodeData) => (nodeData?.meta?.builder || '').toLowerCase() === 'elements';
+
+  const setAvailableProject = (nodeData, { remove = false } = {}) => {
+    availableProjects = availableProjects.filter((item) => item.id !== nodeData.id);
+    if (!remove) {
+      availableProjects.push({
+        id: nodeData.id,
+        label: nodeData.label || nodeData.meta?.projectData?.title || nodeData.id,
+      });
+    }
+    ElementNode.setAvailableProjectNodes(availableProjects, projectId);
+  };
+
+  const removeElement = (nodeId) => {
+    const node = nodesById.get(nodeId);
+    if (!node) {
+      return false;
+    }
+    Array.from(node.links).forEach((link) => linkManager.removeLink(link.id));
+    node.detach();
+    nodesById.delete(nodeId);
+    const index = elementNodes.indexOf(node);
+    if (index >= 0) {
+      elementNodes.splice(index, 1);
+    }
+    return true;
+  };
+
+  const refreshLinkedProjectsFor = (...ids) => {
+    ids.forEach((id) => {
+      const node = nodesById.get(id);
+      if (node?.linkedProjectsUI) {
+        node.refreshLinkedProjects();
+      }
+    });
+  };
+
+  // Agent changes show on the discussion card of every node they touch.
+  const refreshAgentChangesFor = (...ids) => {
+    ids.forEach((id) => {
+      const node = nodesById.get(id);
+      if (node?.discussionUI) {
+        node.refreshAgentChanges();
+      }
+    });
+  };
+
+  // Deltas from other tabs and MCP tools; link events are suppressed so the
+  // remote change is not queued for autosave a second time.
+  const applyChange = (event) => {
+    const payload = event.payload || {};
+    const edge = payload.edge || payload.link;
+    if (event.source === 'mcp') {
+      refreshAgentChangesFor(payload.node?.id ?? payload.id, edge?.from, edge?.to);
+    }
+    linkManager.setEventSuppression(true);
+    try {
+      switch (event.type) {
+        case 'node.created':
+        case 'node.updated': {
+          const nodeData = payload.node;
+          if (!nodeData?.id) break;
+          if (isProjectNode(nodeData)) {
+            setAvailableProject(nodeData);
+            break;
+          }
+          if (!isElementNode(nodeData)) break;
+          const existing = nodesById.get(nodeData.id);
+          if (!existing) {
+            instantiateElement(nodeData);
+            layoutNodes();
+          } else if (!state.autosave?.isNodePending(existing.id)) {
+            existing.applyRemoteState(nodeData);
+          }
+          break;
+        }
+        case 'node.deleted':
+          if (!removeElement(payload.id)) {
+            setAvailableProject({ id: payload.id }, { remove: true });
+          } else {
+            layoutNodes();
+          }
+          break;
+        case 'edge.created':
+        case 'edge.updated':
+        case 'link.created':
+          if (!edge) break;
+          linkNodes(edge);
+          refreshLinkedProjectsFor(edge.from, edge.to);
+          break;
+        case 'edge.deleted':
+        case 'link.deleted': {
+          if (!edge) break;
+          const fromNode = nodesById.get(edge.from);
+          const toNode = nodesById.get(edge.to);
+          if (fromNode && toNode) {
+            linkManager.removeLink(linkManager.getLinkId(fromNode, toNode));
+          }
+          refreshLinkedProjectsFor(edge.from, edge.to);
+          break;
+        }
+        case 'agent_change.created':
+        case 'agent_change.updated':
+          refreshAgentChangesFor(...(payload.change?.node_ids || []));
+          break;
+        case 'checkpoint.restored':
+          window.location.reload();
+          break;
+        default:
+          break;
+      }
+    } finally {
+      linkManager.setEventSuppression(false);
+    }
+  };
+
+  state.changeFeedUnsubscribe?.();
+  state.changeFeedUnsubscribe = subscribeToChanges(projectId, {
+    onEvent: applyChange,
+    onResync: () => window.location.reload(),
+  });
+
   util.log('Elements builder initialised.');
 
   window.builder = {
@@ -11,6 +11,12 @@ const state = {
   notice: '',
   activeProjectId: null,
   activeProjectName: null,
+  showArchived: false,
+  branchName: '',
+  branchWorkingHistory: true,
+  branchBusy: false,
+  mergePlan: null,
+  mergeResolutions: {},
 };
 
 const ui = {};
@@ -74,7 +80,7 @@ async function fetchJSON(url, options = {}) {
     'Content-Type': 'application/json',
     ...(options.headers || {}),
   };
-  if (finalOptions.body && typeof finalOptions.body !== 'string') {
+  if (finalOptions.body && typeof finalOptions.body !== 'string' && !(finalOptions.body instanceof Blob)) {
     finalOptions.body = JSON.stringify(finalOptions.body);
   }
   const response = await fetch(url, finalOptions);
@@ -141,13 +147,41 @@ function renderProjectsList() {
     return;
   }
 
+  const projectIds = new Set(state.projects.map((project) => project.id));
+  const branchesByParent = new Map();
   state.projects.forEach((project) => {
-    const button = document.createElement('button');
-    button.type = 'button';
-    button.className = 'hub-project';
+    if (project.parent_project_id && projectIds.has(project.parent_project_id)) {
+      const siblings = branchesByParent.get(project.parent_project_id) || [];
+      siblings.push(project);
+      branchesByParent.set(project.parent_project_id, siblings);
+    }
+  });
+  const ordered = [];
+  const appendWithBranches = (project, depth) => {
+    ordered.push({ project, depth });
+    (branchesByParent.get(project.id) || []).forEach((branch) => appendWithBranches(branch, depth + 1));
+  };
+  state.projects
+    .filter((project) => !project.parent_project_id || !projectIds.has(project.parent_project_id))
+    .forEach((project) => appendWithBranches(project, 0));
+
+  ordered.forEach(({ project, depth }) => {
+    const entry = document.createElement('div');
+    entry.className = 'hub-project';
     if (state.activeProjectId === project.id) {
-      button.classList.add('hub-project--active');
+      entry.classList.add('hub-project--active');
     }
+    if (depth) {
+      entry.classList.add('hub-project--branch');
+      entry.style.marginLeft = `${Math.min(depth, 3) * 16}px`;
+    }
+    if (project.archived_at) {
+      entry.classList.add('hub-project--archived');
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'hub-project__select';
 
     const name = document.createElement('p');
     name.className = 'hub-project__name';
@@ -157,6 +191,12 @@ function renderProjectsList() {
     meta.className = 'hub-project__meta';
     const createdAt = formatDate(project.created_at);
     meta.textContent = createdAt ? `Created ${createdAt}` : `ID: ${project.id}`;
+    if (project.parent_project_id) {
+      meta.textContent = `Branch of ${findProjectName(project.parent_project_id)} · ${meta.textContent}`;
+    }
+    if (project.archived_at) {
+      meta.textContent = `Archived · ${meta.textContent}`;
+    }
 
     button.appendChild(name);
     button.appendChild(meta);
@@ -165,8 +205,343 @@ function renderProjectsList() {
       setActiveProject(project);
     });
 
-    ui.projectList.appendChild(button);
+    const actions = document.createElement('div');
+    actions.className = 'hub-project__actions';
+    [
+      ['Rename', () => renameProject(project)],
+      ['Duplicate', () => duplicateProject(project)],
+      ['Export', () => exportProject(project)],
+      [project.archived_at ? 'Unarchive' : 'Archive', () => archiveProject(project, !project.archived_at)],
+      ['Delete', () => deleteProject(project)],
+    ].forEach(([label, handler]) => {
+      const action = document.createElement('button');
+      action.type = 'button';
+      action.className = 'hub-project__action';
+      action.textContent = label;
+      action.addEventListener('click', handler);
+      actions.appendChild(action);
+    });
+
+    entry.appendChild(button);
+    entry.appendChild(actions);
+    ui.projectList.appendChild(entry);
+  });
+}
+
+async function runProjectAction(action, failureMessage) {
+  try {
+    await action();
+  } catch (error) {
+    console.error(error);
+    setNotice(error?.message || failureMessage, { autoClear: false });
+  }
+}
+
+function renameProject(project) {
+  const name = window.prompt('Rename project', project.name || '')?.trim();
+  if (!name || name === project.name) return;
+  runProjectAction(async () => {
+    const updated = await fetchJSON(`${API_BASE}/project/${encodeURIComponent(project.id)}`, {
+      method: 'PATCH',
+      body: { name },
+    });
+    if (state.activeProjectId === project.id) {
+      state.activeProjectName = updated.name;
+      storeProjectContext({ id: updated.id, name: updated.name });
+    }
+    await loadProjects();
+    setNotice(`Renamed to “${updated.name}”.`);
+  }, 'Failed to rename project');
+}
+
+function duplicateProject(project) {
+  runProjectAction(async () => {
+    const copy = await fetchJSON(`${API_BASE}/project/${encodeURIComponent(project.id)}/duplicate`, {
+      method: 'POST',
+      body: {},
+    });
+    await loadProjects();
+    setActiveProject(copy);
+  }, 'Failed to duplicate project');
+}
+
+function exportProject(project) {
+  const link = document.createElement('a');
+  link.href = `${API_BASE}/project/${encodeURIComponent(project.id)}/export`;
+  link.download = '';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+}
+
+function importProject(file) {
+  if (!file) return;
+  runProjectAction(async () => {
+    const gzipped = /\.gz$/i.test(file.name);
+    const result = await fetchJSON(`${API_BASE}/projects/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': gzipped ? 'application/gzip' : 'application/json' },
+      body: file,
+    });
+    await loadProjects();
+    setActiveProject(result.project);
+    setNotice(`Imported “${result.project.name}” with ${result.counts.nodes} nodes.`);
+  }, 'Failed to import project');
+}
+
+function archiveProject(project, archived) {
+  runProjectAction(async () => {
+    await fetchJSON(`${API_BASE}/project/${encodeURIComponent(project.id)}`, {
+      method: 'PATCH',
+      body: { archived },
+    });
+    if (archived && !state.showArchived && state.activeProjectId === project.id) {
+      setActiveProject(null);
+    }
+    await loadProjects();
+    setNotice(archived ? `Archived “${project.name}”.` : `Restored “${project.name}” from the archive.`);
+  }, 'Failed to update project');
+}
+
+function deleteProject(project) {
+  const confirmed = window.confirm(
+    `Delete “${project.name}”? Its graph, conversations, checkpoints and history are removed for good.`
+  );
+  if (!confirmed) return;
+  runProjectAction(async () => {
+    await fetchJSON(`${API_BASE}/project/${encodeURIComponent(project.id)}`, { method: 'DELETE' });
+    if (state.activeProjectId === project.id) {
+      setActiveProject(null);
+    }
+    await loadProjects();
+    setNotice(`Deleted “${project.name}”.`);
+  }, 'Failed to delete project');
+}
+
+function findProjectName(projectId) {
+  const match = state.projects.find((project) => project.id === projectId);
+  return match?.name || projectId;
+}
+
+function getActiveProject() {
+  return state.projects.find((project) => project.id === state.activeProjectId) || null;
+}
+
+function describeConflict(conflict) {
+  const target = conflict.kind === 'node' ? conflict.id : `${conflict.from} → ${conflict.to} (${conflict.type})`;
+  if (!conflict.field) {
+    return conflict.reason === 'deleted_in_parent'
+      ? `${target}: deleted on the parent, edited on the branch`
+      : `${target}: deleted on the branch, edited on the parent`;
+  }
+  return `${target} · ${conflict.field}`;
+}
+
+function formatConflictValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+function renderMergePlan(container) {
+  const plan = state.mergePlan;
+  if (!plan) return;
+  const summary = document.createElement('p');
+  summary.className = 'hub-branches__summary';
+  summary.textContent = `${plan.operations.length} change${plan.operations.length === 1 ? '' : 's'} to apply, ${
+    plan.conflicts.length
+  } conflict${plan.conflicts.length === 1 ? '' : 's'}.`;
+  container.appendChild(summary);
+
+  if (plan.conflicts.length) {
+    const list = document.createElement('ul');
+    list.className = 'hub-conflicts';
+    plan.conflicts.forEach((conflict) => {
+      const item = document.createElement('li');
+      const title = document.createElement('p');
+      title.className = 'hub-conflicts__title';
+      title.textContent = describeConflict(conflict);
+      const detail = document.createElement('p');
+      detail.className = 'hub-conflicts__detail';
+      detail.textContent = `Parent: ${formatConflictValue(conflict.ours)} · Branch: ${formatConflictValue(conflict.theirs)}`;
+      const select = document.createElement('select');
+      [
+        ['ours', 'Keep parent'],
+        ['theirs', 'Take branch'],
+      ].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+      });
+      select.value = state.mergeResolutions[conflict.key] || 'ours';
+      state.mergeResolutions[conflict.key] = select.value;
+      select.addEventListener('change', () => {
+        state.mergeResolutions[conflict.key] = select.value;
+      });
+      item.appendChild(title);
+      item.appendChild(detail);
+      item.appendChild(select);
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'hub-branches__actions';
+  const confirm = document.createElement('button');
+  confirm.type = 'button';
+  confirm.className = 'hub-button';
+  confirm.textContent = 'Merge';
+  confirm.disabled = state.branchBusy;
+  confirm.addEventListener('click', () => mergeActiveBranch());
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'hub-refresh';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => {
+    state.mergePlan = null;
+    state.mergeResolutions = {};
+    renderBranches();
   });
+  actions.appendChild(confirm);
+  actions.appendChild(cancel);
+  container.appendChild(actions);
+}
+
+function renderBranches() {
+  if (!ui.branches) return;
+  ui.branches.innerHTML = '';
+  const active = getActiveProject();
+  ui.branches.hidden = !state.activeProjectId;
+  if (!state.activeProjectId) return;
+
+  const heading = document.createElement('h3');
+  heading.textContent = 'Branches';
+  ui.branches.appendChild(heading);
+
+  const branches = state.projects.filter((project) => project.parent_project_id === state.activeProjectId);
+  const list = document.createElement('p');
+  list.className = 'hub-branches__list';
+  list.textContent = branches.length
+    ? `Branches of this project: ${branches.map((branch) => branch.name || branch.id).join(', ')}`
+    : 'No branches of this project yet.';
+  ui.branches.appendChild(list);
+
+  const form = document.createElement('form');
+  form.className = 'hub-branches__form';
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.maxLength = 191;
+  input.placeholder = 'Branch name, e.g. Alternate ending';
+  input.value = state.branchName;
+  input.disabled = state.branchBusy;
+  input.addEventListener('input', () => {
+    state.branchName = input.value;
+  });
+  const history = document.createElement('label');
+  history.className = 'hub-branches__toggle';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = state.branchWorkingHistory;
+  checkbox.addEventListener('change', () => {
+    state.branchWorkingHistory = checkbox.checked;
+  });
+  history.appendChild(checkbox);
+  history.appendChild(document.createTextNode(' Copy working history'));
+  const create = document.createElement('button');
+  create.type = 'submit';
+  create.className = 'hub-button';
+  create.textContent = 'Create Branch';
+  create.disabled = state.branchBusy;
+  form.appendChild(input);
+  form.appendChild(history);
+  form.appendChild(create);
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const name = state.branchName.trim();
+    if (!name) {
+      input.focus();
+      return;
+    }
+    createBranch(name);
+  });
+  ui.branches.appendChild(form);
+
+  if (active?.parent_project_id) {
+    const merge = document.createElement('button');
+    merge.type = 'button';
+    merge.className = 'hub-button';
+    merge.textContent = `Merge into ${findProjectName(active.parent_project_id)}`;
+    merge.disabled = state.branchBusy;
+    merge.addEventListener('click', () => previewMerge());
+    ui.branches.appendChild(merge);
+    renderMergePlan(ui.branches);
+  }
+}
+
+async function createBranch(name) {
+  const parentId = state.activeProjectId;
+  if (!parentId) return;
+  state.branchBusy = true;
+  renderBranches();
+  try {
+    const payload = await fetchJSON(`${API_BASE}/project/${encodeURIComponent(parentId)}/branches`, {
+      method: 'POST',
+      body: { name, include_working_history: state.branchWorkingHistory },
+    });
+    state.branchName = '';
+    state.projects = [payload.project, ...state.projects.filter((item) => item.id !== payload.project.id)];
+    setActiveProject(payload.project);
+  } catch (error) {
+    console.error(error);
+    setNotice(error?.message || 'Failed to create branch', { autoClear: false });
+  } finally {
+    state.branchBusy = false;
+    renderBranches();
+  }
+}
+
+async function previewMerge() {
+  const branchId = state.activeProjectId;
+  if (!branchId) return;
+  state.branchBusy = true;
+  renderBranches();
+  try {
+    state.mergePlan = await fetchJSON(`${API_BASE}/project/${encodeURIComponent(branchId)}/merge`, {
+      method: 'POST',
+      body: { dry_run: true },
+    });
+    state.mergeResolutions = {};
+  } catch (error) {
+    console.error(error);
+    setNotice(error?.message || 'Failed to compare branch', { autoClear: false });
+  } finally {
+    state.branchBusy = false;
+    renderBranches();
+  }
+}
+
+async function mergeActiveBranch() {
+  const branchId = state.activeProjectId;
+  if (!branchId || !state.mergePlan) return;
+  state.branchBusy = true;
+  renderBranches();
+  try {
+    const result = await fetchJSON(`${API_BASE}/project/${encodeURIComponent(branchId)}/merge`, {
+      method: 'POST',
+      body: { resolutions: state.mergeResolutions },
+    });
+    state.mergePlan = null;
+    state.mergeResolutions = {};
+    setNotice(`Merged ${result.operations.length} change${result.operations.length === 1 ? '' : 's'} into “${findProjectName(result.project_id)}”.`);
+  } catch (error) {
+    console.error(error);
+    setNotice(error?.message || 'Merge failed', { autoClear: false });
+  } finally {
+    state.branchBusy = false;
+    renderBranches();
+  }
 }
 
 function renderActiveProject() {
@@ -178,6 +553,7 @@ function renderActiveProject() {
   } else {
     ui.activeProject.textContent = 'None selected';
   }
+  renderBranches();
 }
 
 function updateMarbleState() {
@@ -234,6 +610,8 @@ function setActiveProject(project) {
 
   state.activeProjectId = project.id;
   state.activeProjectName = project.name || '';
+  state.mergePlan = null;
+  state.mergeResolutions = {};
   storeProjectContext({ id: project.id, name: project.name || '' });
   renderActiveProject();
   renderProjectsList();
@@ -246,7 +624,8 @@ async function loadProjects() {
   state.projectsError = null;
   renderProjectsList();
   try {
-    const data = await fetchJSON(`${API_BASE}/projects`);
+    const query = state.showArchived ? '?include_archived=true' : '';
+    const data = await fetchJSON(`${API_BASE}/projects${query}`);
     state.projects = Array.isArray(data?.projects) ? data.projects : [];
     const active = state.activeProjectId;
     if (active) {
@@ -330,9 +709,22 @@ function bindUI() {
   ui.notice = document.querySelector('[data-hub-notice]');
   ui.marbles = Array.from(document.querySelectorAll('[data-builder]'));
   ui.refreshButton = document.querySelector('[data-action="refresh-projects"]');
+  ui.branches = document.querySelector('[data-branches]');
+  ui.showArchived = document.querySelector('[data-action="show-archived"]');
+  ui.importButton = document.querySelector('[data-action="import-project"]');
+  ui.importInput = document.querySelector('[data-import-input]');
 
   ui.createForm?.addEventListener('submit', handleCreateSubmit);
   ui.refreshButton?.addEventListener('click', refreshProjects);
+  ui.showArchived?.addEventListener('change', () => {
+    state.showArchived = ui.showArchived.checked;
+    loadProjects();
+  });
+  ui.importButton?.addEventListener('click', () => ui.importInput?.click());
+  ui.importInput?.addEventListener('change', () => {
+    importProject(ui.importInput.files?.[0]);
+    ui.importInput.value = '';
+  });
   ui.marbles.forEach((button) => {
     button.addEventListener('click', handleMarbleClick);
   });
@@ -20,10 +20,12 @@ import {
   fetchMessagesPage,
   sendMessageToSession,
   clearMessagesContext,
+  applyIncomingMessage,
 } from '../common/messagesStore.js';
+import { CLIENT_ID } from '../common/api.js';
+import { subscribeToChanges } from '../common/changeFeed.js';
 
 const AUTOSAVE_DELAY = 1600;
-const DEFAULT_VERSION_INTERVAL = 6000;
 const API_BASE = '/api';
 const PROJECT_STORAGE_KEY = 'story-graph-project';
 const PROJECT_CONTEXT_STORAGE_KEY = 'story-graph-project-context';
@@ -52,17 +54,20 @@ const state = {
   summaryDraft: '',
   checkpoints: [],
   checkpointName: '',
+  checkpointPreview: null,
   newMetaKey: '',
   newMetaValue: '',
   newEdgeTarget: '',
   newEdgeType: 'LINKS_TO',
   newEdgeDirection: 'outgoing',
-  versionCursor: null,
+  editingEdgeKey: null,
+  edgeDrafts: new Map(),
+  storyCheck: null,
 };
 
 const runtime = {
   autosaveTimer: null,
-  versionInterval: null,
+  changeFeedUnsubscribe: null,
   seededPositions: new Set(),
   nodeElements: new Map(),
   edgeElements: [],
@@ -524,6 +529,7 @@ async function fetchJSON(url, options = {}) {
   const finalOptions = { ...options };
   finalOptions.headers = {
     'Content-Type': 'application/json',
+    'X-Client-Id': CLIENT_ID,
     ...(options.headers || {}),
   };
   if (finalOptions.body && typeof finalOptions.body !== 'string') {
@@ -1129,17 +1135,32 @@ function renderEdgesPanel() {
       const strong = document.createElement('strong');
       strong.textContent = `${direction} ${other}`;
       const time = document.createElement('time');
-      time.textContent = edge.type || 'LINKS_TO';
+      time.textContent = describeEdge(edge);
       span.appendChild(strong);
       span.appendChild(time);
+      item.appendChild(span);
+      const key = edgeKey(edge);
+      if (edge.from === state.selectedNodeId) {
+        const editButton = document.createElement('button');
+        editButton.type = 'button';
+        editButton.className = 'secondary-button';
+        editButton.textContent = state.editingEdgeKey === key ? 'Close' : 'Branching';
+        editButton.addEventListener('click', () => {
+          state.editingEdgeKey = state.editingEdgeKey === key ? null : key;
+          renderEdgesPanel();
+        });
+        item.appendChild(editButton);
+      }
       const removeButton = document.createElement('button');
       removeButton.type = 'button';
       removeButton.className = 'secondary-button';
       removeButton.textContent = 'Remove';
       removeButton.addEventListener('click', () => handleDeleteEdge(edge));
-      item.appendChild(span);
       item.appendChild(removeButton);
       ui.edgesPanel.appendChild(item);
+      if (state.editingEdgeKey === key && edge.from === state.selectedNodeId) {
+        ui.edgesPanel.appendChild(buildEdgeBranchingForm(edge));
+      }
     });
   }
 
@@ -1205,6 +1226,185 @@ function renderEdgesPanel() {
   controlRow.appendChild(submitButton);
   form.appendChild(controlRow);
   ui.edgesPanel.appendChild(form);
+
+  const checkButton = document.createElement('button');
+  checkButton.type = 'button';
+  checkButton.className = 'secondary-button';
+  checkButton.textContent = 'Check story';
+  checkButton.addEventListener('click', handleCheckStory);
+  ui.edgesPanel.appendChild(checkButton);
+  if (state.storyCheck) {
+    ui.edgesPanel.appendChild(buildStoryCheckReport(state.storyCheck));
+  }
+}
+
+function edgeKey(edge) {
+  return `${edge.from}|${edge.to}|${edge.type || 'LINKS_TO'}`;
+}
+
+function readEdgeProps(edge) {
+  return edge.props && typeof edge.props === 'object' && !Array.isArray(edge.props) ? edge.props : {};
+}
+
+function describeEdge(edge) {
+  const props = readEdgeProps(edge);
+  const parts = [edge.type || 'LINKS_TO'];
+  if (typeof props.choice === 'string' && props.choice) parts.push(`“${props.choice}”`);
+  if (props.requires !== undefined) parts.push(`requires ${formatRequires(props.requires).replace(/\n/g, ', ')}`);
+  if (props.effects && typeof props.effects === 'object') parts.push(`sets ${Object.keys(props.effects).join(', ')}`);
+  return parts.join(' · ');
+}
+
+// Conditions are edited one per line; several lines must all hold.
+function formatRequires(requires) {
+  if (Array.isArray(requires)) return requires.join('\n');
+  if (requires && typeof requires === 'object') {
+    return Object.entries(requires)
+      .map(([name, value]) => `${name} == ${JSON.stringify(value)}`)
+      .join('\n');
+  }
+  return requires === undefined || requires === null ? '' : `${requires}`;
+}
+
+function parseRequiresDraft(text) {
+  const lines = text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  if (!lines.length) return null;
+  return lines.length === 1 ? lines[0] : lines;
+}
+
+// Effects are edited as `name = value` lines; `+1` and `-2` stay strings so
+// the server treats them as adjustments.
+function formatEffects(effects) {
+  if (!effects || typeof effects !== 'object') return '';
+  return Object.entries(effects)
+    .map(([name, value]) => {
+      const text = typeof value === 'string' && !/^[+-]\d/.test(value) ? JSON.stringify(value) : `${value}`;
+      return `${name} = ${text}`;
+    })
+    .join('\n');
+}
+
+function parseEffectValue(raw) {
+  const text = raw.trim();
+  if (/^(['"]).*\1$/.test(text)) return text.slice(1, -1);
+  if (/^[+-]\s*\d/.test(text)) return text.replace(/\s+/g, '');
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  const number = Number(text);
+  return text && !Number.isNaN(number) ? number : text;
+}
+
+function parseEffectsDraft(text) {
+  const effects = {};
+  text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const match = /^([^=]+?)\s*=\s*(.*)$/.exec(line);
+      if (!match) {
+        throw new Error(`Effects: cannot read "${line}", use name = value`);
+      }
+      effects[match[1]] = parseEffectValue(match[2]);
+    });
+  return Object.keys(effects).length ? effects : null;
+}
+
+function readEdgeDraft(edge) {
+  const key = edgeKey(edge);
+  if (!state.edgeDrafts.has(key)) {
+    const props = readEdgeProps(edge);
+    state.edgeDrafts.set(key, {
+      choice: typeof props.choice === 'string' ? props.choice : '',
+      requires: formatRequires(props.requires),
+      effects: formatEffects(props.effects),
+    });
+  }
+  return state.edgeDrafts.get(key);
+}
+
+function buildEdgeBranchingForm(edge) {
+  const draft = readEdgeDraft(edge);
+  const form = document.createElement('form');
+  form.className = 'edge-form edge-branching';
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    handleSaveEdgeBranching(edge);
+  });
+
+  const fields = [
+    { name: 'choice', label: 'Choice text', placeholder: 'Open the vault' },
+    { name: 'requires', label: 'Requires (one per line)', placeholder: 'has_key\ngold >= 3\nvisited:<node id>' },
+    { name: 'effects', label: 'Effects (name = value)', placeholder: 'gold = -1\ndoor = "open"' },
+  ];
+  fields.forEach((field) => {
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    const input = document.createElement(field.name === 'choice' ? 'input' : 'textarea');
+    if (field.name === 'choice') input.type = 'text';
+    else input.rows = 2;
+    input.placeholder = field.placeholder;
+    input.value = draft[field.name];
+    input.addEventListener('input', (event) => {
+      draft[field.name] = event.target.value;
+    });
+    form.appendChild(label);
+    form.appendChild(input);
+  });
+
+  const saveButton = document.createElement('button');
+  saveButton.type = 'submit';
+  saveButton.textContent = 'Save branching';
+  form.appendChild(saveButton);
+  return form;
+}
+
+function buildStoryCheckReport(check) {
+  const report = document.createElement('div');
+  report.className = 'checkpoint-diff story-check';
+  if (check.error) {
+    const error = document.createElement('div');
+    error.className = 'empty-state';
+    error.textContent = check.error;
+    report.appendChild(error);
+    return report;
+  }
+  const { result } = check;
+  const nodeLabel = (id) => state.graphNodes.find((node) => node.id === id)?.label || id;
+  const sections = [
+    ['Unreachable', result.unreachable.map((entry) => entry.label || entry.id)],
+    [
+      'Dead ends (every choice locked)',
+      result.dead_ends.map((entry) => `${entry.label || entry.id} with ${JSON.stringify(entry.variables)}`),
+    ],
+    [
+      'Choices that never open',
+      result.never_available.map((entry) => `${nodeLabel(entry.from)} → ${entry.label}`),
+    ],
+    ['Endings', result.endings.map((entry) => entry.label || entry.id)],
+  ];
+  const summary = document.createElement('strong');
+  summary.textContent = `Reached ${result.reachable} passage${result.reachable === 1 ? '' : 's'} from ${nodeLabel(
+    result.start
+  )}${result.truncated ? ' (search cut short)' : ''}`;
+  report.appendChild(summary);
+  sections.forEach(([title, entries]) => {
+    if (!entries.length) return;
+    const heading = document.createElement('span');
+    heading.textContent = title;
+    report.appendChild(heading);
+    entries.forEach((entry) => {
+      const line = document.createElement('div');
+      line.className = 'checkpoint-diff__change';
+      line.textContent = entry;
+      report.appendChild(line);
+    });
+  });
+  return report;
 }
 
 function renderMessagesPanel() {
@@ -1350,15 +1550,135 @@ function renderCheckpointsPanel() {
       restore.type = 'button';
       restore.className = 'secondary-button';
       restore.textContent = 'Restore';
-      restore.addEventListener('click', () => handleRestoreCheckpoint(checkpoint.id));
+      restore.disabled = state.checkpointPreview?.checkpointId === checkpoint.id;
+      restore.addEventListener('click', () => previewCheckpointRestore(checkpoint.id));
       item.appendChild(span);
       item.appendChild(restore);
       list.appendChild(item);
+      if (state.checkpointPreview?.checkpointId === checkpoint.id) {
+        list.appendChild(buildCheckpointPreview(state.checkpointPreview));
+      }
     });
   }
   ui.checkpointsPanel.appendChild(list);
 }
 
+function formatDiffValue(value) {
+  if (value === null || value === undefined) return '∅';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+function describeDiffEdge(edge) {
+  const name = (id) => state.graphNodes.find((node) => node.id === id)?.label || id;
+  return `${name(edge.from)} → ${name(edge.to)} (${edge.type})`;
+}
+
+function appendDiffSection(container, title, entries, describe) {
+  if (!entries.length) return;
+  const section = document.createElement('div');
+  section.className = 'checkpoint-diff__section';
+  const heading = document.createElement('h4');
+  heading.textContent = `${title} (${entries.length})`;
+  section.appendChild(heading);
+  const list = document.createElement('ul');
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    item.textContent = describe(entry);
+    (entry.changes || []).forEach((change) => {
+      const detail = document.createElement('div');
+      detail.className = 'checkpoint-diff__change';
+      detail.textContent = `${change.field}: ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}`;
+      item.appendChild(detail);
+    });
+    list.appendChild(item);
+  });
+  section.appendChild(list);
+  container.appendChild(section);
+}
+
+// What restoring the checkpoint would do to the current graph, shown before
+// anything is replaced.
+function buildCheckpointPreview(preview) {
+  const container = document.createElement('div');
+  container.className = 'checkpoint-diff';
+  if (preview.status === 'loading') {
+    container.textContent = 'Comparing with the current graph...';
+    return container;
+  }
+  if (preview.status === 'error') {
+    container.textContent = preview.error || 'Could not compare this checkpoint.';
+  } else {
+    const { nodes, edges, summary } = preview.diff;
+    const total = Object.values(summary).reduce((sum, count) => sum + count, 0);
+    if (!total) {
+      const empty = document.createElement('div');
+      empty.className = 'empty-state';
+      empty.textContent = 'The current graph already matches this checkpoint.';
+      container.appendChild(empty);
+    }
+    const describeNode = (node) => node.label || node.id;
+    appendDiffSection(container, 'Nodes restored', nodes.added, describeNode);
+    appendDiffSection(container, 'Nodes removed', nodes.removed, describeNode);
+    appendDiffSection(container, 'Nodes changed', nodes.modified, describeNode);
+    appendDiffSection(container, 'Edges restored', edges.added, describeDiffEdge);
+    appendDiffSection(container, 'Edges removed', edges.removed, describeDiffEdge);
+    appendDiffSection(container, 'Edges changed', edges.modified, describeDiffEdge);
+  }
+
+  const toggleGroup = document.createElement('div');
+  toggleGroup.className = 'toggle-group';
+  const toggleDefinitions = [
+    { key: 'keepHistory', label: 'Keep conversation history' },
+    { key: 'safetyCheckpoint', label: 'Save current graph as a checkpoint first' },
+  ];
+  if (state.selectedNodeId) {
+    toggleDefinitions.push({ key: 'subtreeOnly', label: 'Only the selected node and the nodes under it' });
+  }
+  toggleDefinitions.forEach(({ key, label }) => {
+    const row = document.createElement('label');
+    row.className = 'toggle-row';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = Boolean(preview.options[key]);
+    checkbox.addEventListener('change', () => {
+      preview.options[key] = checkbox.checked;
+    });
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.appendChild(checkbox);
+    row.appendChild(text);
+    toggleGroup.appendChild(row);
+  });
+  container.appendChild(toggleGroup);
+
+  const actions = document.createElement('div');
+  actions.className = 'checkpoint-diff__actions';
+  const confirm = document.createElement('button');
+  confirm.type = 'button';
+  confirm.textContent = 'Confirm restore';
+  confirm.disabled = preview.status !== 'ready';
+  confirm.addEventListener('click', () => handleRestoreCheckpoint(preview.checkpointId, preview.options));
+  const fork = document.createElement('button');
+  fork.type = 'button';
+  fork.className = 'secondary-button';
+  fork.textContent = 'Restore as new project';
+  fork.addEventListener('click', () => handleForkCheckpoint(preview.checkpointId, preview.options));
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'secondary-button';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => {
+    state.checkpointPreview = null;
+    renderCheckpointsPanel();
+  });
+  actions.appendChild(confirm);
+  actions.appendChild(fork);
+  actions.appendChild(cancel);
+  container.appendChild(actions);
+  return container;
+}
+
 function renderGraph() {
   if (!ui.graphCanvas) return;
   const svg = ui.graphCanvas;
@@ -1873,6 +2193,58 @@ async function handleAddEdge(event) {
   }
 }
 
+async function handleSaveEdgeBranching(edge) {
+  if (!state.projectId) return;
+  const key = edgeKey(edge);
+  const draft = readEdgeDraft(edge);
+  let props;
+  try {
+    props = {
+      ...readEdgeProps(edge),
+      choice: draft.choice.trim() || null,
+      requires: parseRequiresDraft(draft.requires),
+      effects: parseEffectsDraft(draft.effects),
+    };
+  } catch (error) {
+    setErrorBanner(error.message);
+    return;
+  }
+  try {
+    const updated = await fetchJSON(`${API_BASE}/edge`, {
+      method: 'PATCH',
+      body: {
+        from: edge.from,
+        to: edge.to,
+        type: edge.type || 'LINKS_TO',
+        project_id: state.projectId,
+        props,
+        version_id: edge.version_id,
+      },
+    });
+    upsertGraphEdge(updated);
+    state.edgeDrafts.delete(key);
+    state.editingEdgeKey = null;
+    clearErrorBanner();
+    syncWorkingMemoryProjectStructure();
+    renderGraph();
+    renderEdgesPanel();
+  } catch (error) {
+    console.error(error);
+    setErrorBanner(error?.message || 'Request failed');
+  }
+}
+
+async function handleCheckStory() {
+  if (!state.projectId) return;
+  try {
+    const result = await fetchJSON(`${API_BASE}/project/${encodeURIComponent(state.projectId)}/story-check`);
+    state.storyCheck = { result };
+  } catch (error) {
+    state.storyCheck = { error: error?.message || 'Request failed' };
+  }
+  renderEdgesPanel();
+}
+
 async function handleMessageSubmit(event) {
   event.preventDefault();
   if (!state.session || !state.newMessage.trim()) return;
@@ -1930,17 +2302,66 @@ async function handleSaveCheckpoint() {
   }
 }
 
-async function handleRestoreCheckpoint(checkpointId) {
+async function previewCheckpointRestore(checkpointId) {
   if (!checkpointId || !state.projectId) return;
-  if (!window.confirm('Restore checkpoint? Current graph will be replaced.')) {
-    return;
+  const preview = {
+    checkpointId,
+    status: 'loading',
+    diff: null,
+    error: null,
+    options: { keepHistory: false, safetyCheckpoint: true, subtreeOnly: false },
+  };
+  state.checkpointPreview = preview;
+  renderCheckpointsPanel();
+  try {
+    preview.diff = await fetchJSON(`${API_BASE}/checkpoints/${checkpointId}/diff?against=current`);
+    preview.status = 'ready';
+  } catch (error) {
+    console.error(error);
+    preview.status = 'error';
+    preview.error = error?.message || 'Request failed';
+  }
+  if (state.checkpointPreview === preview) {
+    renderCheckpointsPanel();
   }
+}
+
+function buildRestoreBody(options = {}) {
+  const body = {
+    keep_history: Boolean(options.keepHistory),
+    safety_checkpoint: options.safetyCheckpoint !== false,
+  };
+  if (options.subtreeOnly && state.selectedNodeId) {
+    body.subtree_root = state.selectedNodeId;
+  }
+  return body;
+}
+
+async function handleRestoreCheckpoint(checkpointId, options) {
+  if (!checkpointId || !state.projectId) return;
   try {
-    await fetchJSON(`${API_BASE}/checkpoints/${checkpointId}/restore`, { method: 'POST' });
+    await fetchJSON(`${API_BASE}/checkpoints/${checkpointId}/restore`, {
+      method: 'POST',
+      body: buildRestoreBody(options),
+    });
+    state.checkpointPreview = null;
     clearErrorBanner();
-    await loadGraph();
-    await loadCheckpoints();
-    requestWorkingMemoryRefresh('checkpoint:restored');
+    await reloadAfterRestore();
+  } catch (error) {
+    console.error(error);
+    setErrorBanner(error?.message || 'Request failed');
+  }
+}
+
+async function handleForkCheckpoint(checkpointId, options = {}) {
+  if (!checkpointId || !state.projectId) return;
+  const body = { fork: true };
+  if (options.subtreeOnly && state.selectedNodeId) {
+    body.subtree_root = state.selectedNodeId;
+  }
+  try {
+    const result = await fetchJSON(`${API_BASE}/checkpoints/${checkpointId}/restore`, { method: 'POST', body });
+    window.location.href = `${window.location.pathname}?project=${encodeURIComponent(result.project_id)}`;
   } catch (error) {
     console.error(error);
     setErrorBanner(error?.message || 'Request failed');
@@ -2003,7 +2424,6 @@ async function loadGraph() {
     const data = await fetchJSON(`${API_BASE}/graph?${params.toString()}`);
     state.graphNodes = (data.nodes || []).map(hydrateNode);
     state.graphEdges = data.edges || [];
-    state.versionCursor = new Date().toISOString();
     applyDefaultPositions();
     if (state.selectedNodeId) {
       const updated = state.graphNodes.find((node) => node.id === state.selectedNodeId);
@@ -2026,34 +2446,119 @@ async function loadGraph() {
   renderEdgesPanel();
 }
 
-function stopVersionPolling() {
-  if (runtime.versionInterval) {
-    clearInterval(runtime.versionInterval);
-    runtime.versionInterval = null;
+async function reloadAfterRestore() {
+  await loadGraph();
+  await loadCheckpoints();
+  requestWorkingMemoryRefresh('checkpoint:restored');
+}
+
+function stopChangeFeed() {
+  if (runtime.changeFeedUnsubscribe) {
+    runtime.changeFeedUnsubscribe();
+    runtime.changeFeedUnsubscribe = null;
   }
 }
 
-function startVersionPolling() {
-  stopVersionPolling();
+function startChangeFeed() {
+  stopChangeFeed();
   if (!state.projectId) return;
-  const pollInterval = state.appConfig?.version_poll_interval_ms || DEFAULT_VERSION_INTERVAL;
-  runtime.versionInterval = setInterval(checkForUpdates, pollInterval);
+  const projectId = state.projectId;
+  runtime.changeFeedUnsubscribe = subscribeToChanges(projectId, {
+    onEvent: (event) => {
+      if (event.project_id === state.projectId) {
+        applyChangeEvent(event);
+      }
+    },
+    onResync: () => loadGraph(),
+  });
 }
 
-async function checkForUpdates() {
-  if (!state.projectId || !state.versionCursor) return;
-  const params = new URLSearchParams({ project_id: state.projectId, since: state.versionCursor });
-  try {
-    const data = await fetchJSON(`${API_BASE}/versions/check?${params.toString()}`);
-    state.versionCursor = new Date().toISOString();
-    if (data?.versions?.length) {
-      await loadGraph();
-    }
-  } catch (error) {
-    console.warn('Version check failed', error);
+function isSameEdge(edge, ref, { undirected = false } = {}) {
+  if (edge.type !== ref.type) return false;
+  if (edge.from === ref.from && edge.to === ref.to) return true;
+  return undirected && edge.from === ref.to && edge.to === ref.from;
+}
+
+function upsertGraphEdge(incoming, options) {
+  if (!incoming?.from || !incoming?.to) return;
+  const index = state.graphEdges.findIndex((edge) => isSameEdge(edge, incoming, options));
+  if (index === -1) {
+    state.graphEdges.push(incoming);
+  } else {
+    state.graphEdges[index] = { ...state.graphEdges[index], ...incoming };
   }
 }
 
+function removeGraphEdge(ref, options) {
+  if (!ref?.from || !ref?.to) return;
+  state.graphEdges = state.graphEdges.filter((edge) => !isSameEdge(edge, ref, options));
+}
+
+function applyNodeChange(incoming) {
+  if (!incoming?.id) return;
+  const node = hydrateNode(incoming);
+  const index = state.graphNodes.findIndex((item) => item.id === node.id);
+  if (index === -1) {
+    state.graphNodes.push(node);
+    applyDefaultPositions();
+  } else {
+    state.graphNodes[index] = node;
+  }
+  if (state.selectedNodeId === node.id && !state.isDirty) {
+    state.draftNode = cloneNode(node);
+    syncWorkingMemoryNodeContext();
+    renderNodeInspector();
+  }
+}
+
+function applyNodeRemoval(nodeId) {
+  if (!nodeId) return;
+  state.graphNodes = state.graphNodes.filter((item) => item.id !== nodeId);
+  state.graphEdges = state.graphEdges.filter((edge) => edge.from !== nodeId && edge.to !== nodeId);
+  runtime.seededPositions.delete(nodeId);
+  if (state.selectedNodeId === nodeId) {
+    selectNode(null);
+  }
+}
+
+// Applies one change-feed delta to the local graph without refetching it.
+function applyChangeEvent(event) {
+  const payload = event.payload || {};
+  switch (event.type) {
+    case 'node.created':
+    case 'node.updated':
+      applyNodeChange(payload.node);
+      break;
+    case 'node.deleted':
+      applyNodeRemoval(payload.id);
+      break;
+    case 'edge.created':
+    case 'edge.updated':
+      upsertGraphEdge(payload.edge);
+      break;
+    case 'edge.deleted':
+      removeGraphEdge(payload.edge);
+      break;
+    case 'link.created':
+      upsertGraphEdge(payload.link, { undirected: true });
+      break;
+    case 'link.deleted':
+      removeGraphEdge(payload.link, { undirected: true });
+      break;
+    case 'message.created':
+      applyIncomingMessage(payload.message);
+      return;
+    case 'checkpoint.restored':
+      reloadAfterRestore();
+      return;
+    default:
+      return;
+  }
+  syncWorkingMemoryProjectStructure();
+  renderGraph();
+  renderEdgesPanel();
+}
+
 function setProjectId(projectId) {
   if (state.projectId === projectId) return;
   runtime.hasDispatchedInitRefresh = false;
@@ -2078,11 +2583,14 @@ function setProjectId(projectId) {
   state.summaryDraft = '';
   state.checkpoints = [];
   state.checkpointName = '';
+  state.checkpointPreview = null;
+  state.editingEdgeKey = null;
+  state.edgeDrafts.clear();
+  state.storyCheck = null;
   state.newMessage = '';
   state.errorBanner = null;
-  state.versionCursor = null;
   runtime.seededPositions.clear();
-  stopVersionPolling();
+  stopChangeFeed();
   clearAutosaveTimer();
   clearMessagesContext();
   resetWorkingMemoryForProject(projectId);
@@ -2096,7 +2604,7 @@ function setProjectId(projectId) {
     loadGraph();
     loadCheckpoints();
     loadSessionForProject(projectId);
-    startVersionPolling();
+    startChangeFeed();
   }
 }
 
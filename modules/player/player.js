@@ -0,0 +1,190 @@
+import { fetchGraph } from '../common/api.js';
+import { buildStory, createStoryPlayer } from './storyEngine.js';
+
+const PROJECT_STORAGE_KEY = 'story-graph-project';
+const PROJECT_CONTEXT_STORAGE_KEY = 'story-graph-project-context';
+
+const state = {
+  projectId: '',
+  player: null,
+};
+
+const ui = {};
+
+function readProjectContext() {
+  const params = new URLSearchParams(window.location.search);
+  let context = null;
+  try {
+    context = JSON.parse(window.localStorage.getItem(PROJECT_CONTEXT_STORAGE_KEY) || 'null');
+  } catch (error) {
+    context = null;
+  }
+  const projectId =
+    params.get('project') ||
+    params.get('project_id') ||
+    context?.id ||
+    window.localStorage.getItem(PROJECT_STORAGE_KEY);
+  return {
+    projectId: projectId || '',
+    name: context?.id === projectId ? context.name || '' : '',
+    startId: params.get('start') || null,
+  };
+}
+
+function renderProjectInfo(projectId, name) {
+  if (!ui.projectInfo) return;
+  ui.projectInfo.innerHTML = '';
+  const label = document.createElement('span');
+  label.className = 'toolbar-project__label';
+  label.textContent = 'Active Project';
+  const value = document.createElement('span');
+  value.className = 'toolbar-project__value';
+  value.textContent = projectId ? (name ? `${name} (${projectId})` : projectId) : 'None selected';
+  ui.projectInfo.appendChild(label);
+  ui.projectInfo.appendChild(value);
+}
+
+function showMessage(message) {
+  ui.passage.innerHTML = '';
+  const empty = document.createElement('p');
+  empty.className = 'player-empty';
+  empty.textContent = message;
+  ui.passage.appendChild(empty);
+}
+
+function builderUrl(passageId) {
+  const params = new URLSearchParams({ project: state.projectId });
+  if (passageId) params.set('node', passageId);
+  return `/modules/project/project.html?${params.toString()}`;
+}
+
+function renderState() {
+  const { player } = state;
+  ui.variables.innerHTML = '';
+  const entries = Object.entries(player.variables);
+  if (!entries.length) {
+    const empty = document.createElement('dd');
+    empty.className = 'player-empty';
+    empty.textContent = 'No variables set yet.';
+    ui.variables.appendChild(empty);
+  }
+  entries
+    .sort(([a], [b]) => a.localeCompare(b))
+    .forEach(([name, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = name;
+      const detail = document.createElement('dd');
+      detail.textContent = JSON.stringify(value);
+      ui.variables.appendChild(term);
+      ui.variables.appendChild(detail);
+    });
+  ui.visited.textContent = `Visited ${player.visited.size} passage${player.visited.size === 1 ? '' : 's'}.`;
+}
+
+function renderPassage() {
+  const { player } = state;
+  const passage = player.passage;
+  ui.backButton.disabled = !player.canGoBack;
+  ui.editLink.href = builderUrl(passage?.id);
+  if (!passage) {
+    showMessage('This project has no story nodes yet. Add some in the Project Builder.');
+    return;
+  }
+
+  ui.passage.innerHTML = '';
+  const title = document.createElement('h1');
+  title.textContent = passage.title;
+  ui.passage.appendChild(title);
+
+  const text = document.createElement('div');
+  text.className = 'player-text';
+  const paragraphs = passage.text.split(/\n\s*\n/).filter((paragraph) => paragraph.trim());
+  if (!paragraphs.length) {
+    const empty = document.createElement('p');
+    empty.className = 'player-empty';
+    empty.textContent = 'This passage has no text yet.';
+    text.appendChild(empty);
+  }
+  paragraphs.forEach((paragraph) => {
+    const element = document.createElement('p');
+    element.textContent = paragraph.trim();
+    text.appendChild(element);
+  });
+  ui.passage.appendChild(text);
+
+  const choices = player.choices();
+  if (!choices.length) {
+    const ending = document.createElement('p');
+    ending.className = 'player-ending';
+    ending.textContent = 'The End.';
+    ui.passage.appendChild(ending);
+  } else {
+    const list = document.createElement('ul');
+    list.className = 'player-choices';
+    choices.forEach((choice) => {
+      const item = document.createElement('li');
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'player-choice';
+      button.classList.toggle('player-choice--visited', choice.visited);
+      button.textContent = choice.label;
+      button.disabled = !choice.available;
+      if (choice.reason) {
+        const reason = document.createElement('span');
+        reason.className = 'player-choice__reason';
+        reason.textContent = choice.reason;
+        button.appendChild(reason);
+      }
+      button.addEventListener('click', () => {
+        if (player.choose(choice.index)) render();
+      });
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+    ui.passage.appendChild(list);
+  }
+}
+
+function render() {
+  renderPassage();
+  renderState();
+  window.scrollTo({ top: 0 });
+}
+
+async function bootstrap() {
+  ui.projectInfo = document.querySelector('[data-project-info]');
+  ui.passage = document.querySelector('[data-passage]');
+  ui.variables = document.querySelector('[data-variables]');
+  ui.visited = document.querySelector('[data-visited]');
+  ui.backButton = document.querySelector('[data-action="back"]');
+  ui.restartButton = document.querySelector('[data-action="restart"]');
+  ui.editLink = document.querySelector('[data-action="edit-passage"]');
+
+  const context = readProjectContext();
+  state.projectId = context.projectId;
+  renderProjectInfo(context.projectId, context.name);
+  if (!state.projectId) {
+    showMessage('Select a project in the hub to play its story.');
+    return;
+  }
+
+  try {
+    const graph = await fetchGraph(state.projectId);
+    state.player = createStoryPlayer(buildStory(graph || {}), { startId: context.startId });
+  } catch (error) {
+    console.error('Failed to load story graph', error);
+    showMessage('Failed to load the story.');
+    return;
+  }
+
+  ui.backButton.addEventListener('click', () => {
+    if (state.player.back()) render();
+  });
+  ui.restartButton.addEventListener('click', () => {
+    state.player.restart();
+    render();
+  });
+  render();
+}
+
+document.addEventListener('DOMContentLoaded', bootstrap);
@@ -0,0 +1,243 @@
+import buildStructureFromGraph from '../common/projectStructure.js';
+
+const CHOICE_LABEL_PROPS = ['choice', 'label', 'text', 'title'];
+const VARIABLE_NAME = /^[A-Za-z_][\w.]*$/;
+const COMPARISON = /^([A-Za-z_][\w.]*)\s*(==|!=|>=|<=|>|<)\s*(.+)$/;
+const STEP = /^([+-])\s*(\d+(?:\.\d+)?)$/;
+const NUMERIC_OPERATORS = new Set(['>=', '<=', '>', '<']);
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readMeta(node) {
+  if (typeof node?.meta === 'string') {
+    try {
+      return JSON.parse(node.meta) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+  return isPlainObject(node?.meta) ? node.meta : {};
+}
+
+function parseLiteral(raw) {
+  const text = `${raw}`.trim();
+  if (/^(['"]).*\1$/.test(text)) return text.slice(1, -1);
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  const number = Number(text);
+  return text && !Number.isNaN(number) ? number : text;
+}
+
+// Mirrors parseCondition in src/utils/edgeProps.js, which validates the same
+// strings on save; tests/storyConditions.test.js runs both against one table.
+function parseCondition(value) {
+  let text = `${value}`.trim();
+  let negate = false;
+  if (text.startsWith('!')) {
+    negate = true;
+    text = text.slice(1).trim();
+  }
+  if (text.startsWith('visited:')) {
+    const id = text.slice('visited:'.length).trim();
+    return id ? { negate, kind: 'visited', id } : null;
+  }
+  const match = COMPARISON.exec(text);
+  if (match) {
+    const literal = parseLiteral(match[3]);
+    if (NUMERIC_OPERATORS.has(match[2]) && typeof literal !== 'number') return null;
+    return { negate, kind: 'compare', name: match[1], operator: match[2], value: literal };
+  }
+  return VARIABLE_NAME.test(text) ? { negate, kind: 'flag', name: text } : null;
+}
+
+function compare(left, operator, right) {
+  switch (operator) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '>=':
+      return Number(left ?? 0) >= Number(right);
+    case '<=':
+      return Number(left ?? 0) <= Number(right);
+    case '>':
+      return Number(left ?? 0) > Number(right);
+    case '<':
+      return Number(left ?? 0) < Number(right);
+    default:
+      return false;
+  }
+}
+
+// Evaluates `props.requires` against the player state. Accepts a single
+// condition string (`has_key`, `!has_key`, `gold >= 3`, `visited:<nodeId>`),
+// an array of them (all must hold) or an object of `variable: value` pairs.
+// Malformed conditions never hold.
+export function checkRequirement(requires, { variables = {}, visited = new Set() } = {}) {
+  if (requires === undefined || requires === null || requires === '') return true;
+  if (Array.isArray(requires)) {
+    return requires.every((condition) => checkRequirement(condition, { variables, visited }));
+  }
+  if (isPlainObject(requires)) {
+    return Object.entries(requires).every(([name, value]) => variables[name] === value);
+  }
+  const condition = parseCondition(requires);
+  if (!condition) return false;
+  let result;
+  if (condition.kind === 'visited') result = visited.has(condition.id);
+  else if (condition.kind === 'compare') {
+    result = compare(variables[condition.name], condition.operator, condition.value);
+  } else result = Boolean(variables[condition.name]);
+  return condition.negate ? !result : result;
+}
+
+// Applies a passage's `meta.storyState` on entry (or a choice's `effects`):
+// plain values are assigned, strings like `+1` or `-2` adjust a numeric
+// variable.
+export function applyStoryState(variables, storyState) {
+  const next = { ...variables };
+  if (!isPlainObject(storyState)) return next;
+  Object.entries(storyState).forEach(([name, value]) => {
+    const step = typeof value === 'string' ? STEP.exec(value.trim()) : null;
+    if (step) {
+      const delta = Number(step[2]) * (step[1] === '-' ? -1 : 1);
+      next[name] = Number(next[name] || 0) + delta;
+    } else {
+      next[name] = value;
+    }
+  });
+  return next;
+}
+
+function describeRequirement(requires) {
+  if (Array.isArray(requires)) return requires.map(describeRequirement).join(' and ');
+  if (isPlainObject(requires)) {
+    return Object.entries(requires)
+      .map(([name, value]) => `${name} = ${JSON.stringify(value)}`)
+      .join(' and ');
+  }
+  return `${requires}`;
+}
+
+// Reads the project builder's nodes out of a graph as passages. Choices are
+// outgoing LINKS_TO edges between them, carrying the edge's `requires` and
+// `effects` props; passages without any offer their CHILD_OF children
+// instead, so an unlinked outline can still be played.
+export function buildStory({ nodes = [], edges = [] } = {}) {
+  const structure = buildStructureFromGraph(nodes, edges);
+  const rawNodes = new Map(nodes.map((node) => [`${node.id}`, node]));
+  const passages = new Map();
+  structure.project_graph.nodes.forEach((entry) => {
+    const raw = rawNodes.get(entry.id);
+    const meta = readMeta(raw);
+    const text = typeof meta.fullText === 'string' && meta.fullText.trim() ? meta.fullText : raw?.content || '';
+    passages.set(entry.id, {
+      id: entry.id,
+      title: entry.label,
+      text,
+      storyState: isPlainObject(meta.storyState) ? meta.storyState : null,
+      isStart: meta.storyStart === true,
+      children: entry.children,
+      choices: [],
+    });
+  });
+  edges.forEach((edge) => {
+    const type = `${edge?.type || 'LINKS_TO'}`.trim().toUpperCase();
+    const from = passages.get(`${edge?.from}`);
+    const to = passages.get(`${edge?.to}`);
+    if (type !== 'LINKS_TO' || !from || !to) return;
+    const props = isPlainObject(edge.props) ? edge.props : {};
+    const labelKey = CHOICE_LABEL_PROPS.find((key) => typeof props[key] === 'string' && props[key].trim());
+    from.choices.push({
+      to: to.id,
+      label: labelKey ? props[labelKey].trim() : to.title,
+      requires: props.requires,
+      effects: props.effects,
+    });
+  });
+  passages.forEach((passage) => {
+    if (!passage.choices.length) {
+      passage.choices = passage.children
+        .filter((id) => passages.has(id))
+        .map((id) => ({ to: id, label: passages.get(id).title, requires: undefined }));
+    }
+  });
+  const childIds = new Set(
+    structure.project_graph.edges.filter((edge) => edge.type === 'CHILD_OF').map((edge) => edge.to)
+  );
+  const roots = [...passages.keys()].filter((id) => !childIds.has(id));
+  const flagged = [...passages.values()].find((passage) => passage.isStart);
+  return { passages, defaultStart: flagged?.id || roots[0] || passages.keys().next().value || null };
+}
+
+// Playthrough state over a story from `buildStory`: the current passage, the
+// visited passages, story variables and the path taken so far (for undo).
+export function createStoryPlayer(story, { startId = null } = {}) {
+  const start = startId && story.passages.has(startId) ? startId : story.defaultStart;
+  let state = null;
+
+  // A choice's effects apply before the passage's own storyState.
+  function enter(passageId, previous, effects = null) {
+    const passage = story.passages.get(passageId);
+    const visited = new Set(previous?.visited || []);
+    visited.add(passageId);
+    state = {
+      passageId,
+      visited,
+      variables: applyStoryState(applyStoryState(previous?.variables || {}, effects), passage.storyState),
+      history: previous ? [...previous.history, previous] : [],
+    };
+  }
+
+  const player = {
+    get passage() {
+      return state ? story.passages.get(state.passageId) : null;
+    },
+    get variables() {
+      return { ...(state?.variables || {}) };
+    },
+    get visited() {
+      return new Set(state?.visited || []);
+    },
+    get canGoBack() {
+      return Boolean(state?.history.length);
+    },
+    choices() {
+      const passage = player.passage;
+      if (!passage) return [];
+      return passage.choices.map((choice, index) => {
+        const available = checkRequirement(choice.requires, state);
+        return {
+          index,
+          to: choice.to,
+          label: choice.label,
+          available,
+          visited: state.visited.has(choice.to),
+          reason: available ? '' : `Requires ${describeRequirement(choice.requires)}`,
+        };
+      });
+    },
+    choose(index) {
+      const choice = player.choices()[index];
+      if (!choice || !choice.available) return false;
+      enter(choice.to, state, player.passage.choices[index].effects);
+      return true;
+    },
+    back() {
+      if (!player.canGoBack) return false;
+      state = state.history[state.history.length - 1];
+      return true;
+    },
+    restart(passageId = start) {
+      state = null;
+      if (passageId && story.passages.has(passageId)) {
+        enter(passageId, null);
+      }
+    },
+  };
+  player.restart();
+  return player;
+}
@@ -721,6 +721,17 @@ class ProjectNode extends NodeBase {
     this.syncProjectDataToMeta();
   }
 
+  applyRemoteMeta(meta) {
+    this.projectData = this.ensureProjectData(meta.projectData);
+    if (typeof meta.childOrbit === 'number') {
+      this.childOrbit = meta.childOrbit;
+    }
+    if (meta.pyramidSpacing && typeof meta.pyramidSpacing === 'object') {
+      this.pyramidSpacing = { ...this.pyramidSpacing, ...meta.pyramidSpacing };
+    }
+    this.syncProjectDataToMeta();
+  }
+
   getCardTitle(type) {
     if (type === 'data') {
       return `${this.title} — Project Data`;
@@ -2,7 +2,16 @@ import NodeBase from '../../core/nodebase.js';
 import ProjectNode from './ProjectNode.js';
 import util, { enableZoomPan, ensureCanvas, log } from '../../core/util.js';
 import AutosaveManager from '../common/autosaveManager.js';
-import { fetchGraph, createNode, createEdge, createCheckpoint } from '../common/api.js';
+import {
+  fetchGraph,
+  createNode,
+  createEdge,
+  createCheckpoint,
+  downloadProjectExport,
+  importFountain,
+  importVault,
+} from '../common/api.js';
+import { subscribeToChanges } from '../common/changeFeed.js';
 import buildStructureFromGraph from '../common/projectStructure.js';
 import {
   initialiseWorkingMemory,
@@ -174,6 +183,7 @@ const state = {
   lifecycleAttached: false,
   navigationGuardAttached: false,
   nodeInteractionAttached: false,
+  changeFeedUnsubscribe: null,
 };
 
 function parseProjectContext(raw) {
@@ -274,6 +284,14 @@ function handleStatusChange(status) {
   updateStatusIndicator(status);
 }
 
+function handleSaveFailed(failures) {
+  failures.forEach(({ node, link, error }) => {
+    console.error('Autosave dropped an edit the server refused', node?.id || link, error);
+  });
+  const noun = failures.length === 1 ? 'edit' : 'edits';
+  showStatusMessage(`${failures.length} ${noun} could not be saved`, 'error');
+}
+
 function showStatusMessage(message, type = 'saved') {
   if (!state.statusDot || !state.statusLabel) {
     return;
@@ -434,6 +452,7 @@ const init = async (projectId) => {
   const autosave = new AutosaveManager({
     projectId,
     onStatusChange: handleStatusChange,
+    onSaveFailed: handleSaveFailed,
   });
   state.autosave = autosave;
 
@@ -465,6 +484,71 @@ const init = async (projectId) => {
     });
   }
 
+  const playLink = document.querySelector('[data-action="play-story"]');
+  if (playLink && state.projectId) {
+    playLink.href = `/modules/player/player.html?project=${encodeURIComponent(state.projectId)}`;
+  }
+
+  // Buttons name the export route with `data-export` and may pass a
+  // `data-export-format` query parameter.
+  document.querySelectorAll('[data-export]').forEach((button) => {
+    button.addEventListener('click', async () => {
+      if (!state.projectId) {
+        return;
+      }
+      const { export: kind, exportFormat: format, exportLabel: label = 'Project' } = button.dataset;
+      button.disabled = true;
+      try {
+        await state.autosave?.flush();
+        await downloadProjectExport(state.projectId, kind, { format });
+        showStatusMessage(`${label} exported`, 'saved');
+      } catch (error) {
+        console.error(`Failed to export ${label}`, error);
+        showStatusMessage(`${label} export failed`, 'error');
+      } finally {
+        button.disabled = false;
+      }
+    });
+  });
+
+  // Import buttons name an importer with `data-import` and open the matching
+  // `data-import-file` input. Imported nodes arrive as new nodes, so the page
+  // reloads to lay them out like any other project load.
+  const importers = {
+    fountain: async (file) => importFountain(state.projectId, await file.text()),
+    vault: (file) => importVault(state.projectId, file),
+  };
+  document.querySelectorAll('[data-import]').forEach((button) => {
+    const { import: kind, importLabel: label = 'Import' } = button.dataset;
+    const input = document.querySelector(`[data-import-file="${kind}"]`);
+    if (!input || !importers[kind]) {
+      return;
+    }
+    button.addEventListener('click', () => {
+      if (state.projectId) {
+        input.click();
+      }
+    });
+    input.addEventListener('change', async () => {
+      const [file] = input.files;
+      input.value = '';
+      if (!file || !state.projectId) {
+        return;
+      }
+      button.disabled = true;
+      try {
+        await state.autosave?.flush();
+        await importers[kind](file);
+        showStatusMessage(`${label} imported`, 'saved');
+        window.location.reload();
+      } catch (error) {
+        console.error(`Failed to import ${label}`, error);
+        showStatusMessage(`${label} import failed`, 'error');
+        button.disabled = false;
+      }
+    });
+  });
+
   const workingMemoryButton = document.querySelector('[data-action="working-memory"]');
   if (workingMemoryButton) {
     workingMemoryButton.addEventListener('click', async () => {
@@ -511,9 +595,11 @@ const init = async (projectId) => {
       fullText: meta.fullText ?? nodeData.content ?? '',
       meta,
       projectId,
+      versionId: nodeData.version_id,
     });
     node.projectId = projectId;
     node.manualPosition = Boolean(meta.position);
+    node.markPersisted();
     nodesById.set(node.id, node);
     node.onAddChild = () => handleAddChild(node);
     return node;
@@ -585,9 +671,11 @@ const init = async (projectId) => {
         fullText: created?.content || '',
         meta: createdMeta,
         projectId,
+        versionId: created?.version_id,
       });
       child.projectId = projectId;
       child.manualPosition = false;
+      child.markPersisted();
       nodesById.set(child.id, child);
       child.onAddChild = () => handleAddChild(child);
       attachChild(parent, child, { expand: true });
@@ -621,6 +709,7 @@ const init = async (projectId) => {
   };
 
   const builderNodes = [];
+  let availableElements = [];
   try {
     const graph = await fetchGraph(projectId);
     const nodes = graph?.nodes || [];
@@ -638,7 +727,7 @@ const init = async (projectId) => {
     } catch (structureError) {
       console.warn('Failed to prime project structure in working memory', structureError);
     }
-    const availableElements = nodes
+    availableElements = nodes
       .filter((node) => (node.meta?.builder || '').toLowerCase() === 'elements')
       .map((nodeData) => {
         const meta = nodeData.meta || {};
@@ -736,16 +825,165 @@ const init = async (projectId) => {
     centerOnLoad: false,
   });
 
+  // `?node=<id>` (used by the story player) opens that node's text for editing.
+  const focusId = new URLSearchParams(window.location.search).get('node');
+  const focusNode = focusId ? nodesById.get(focusId) : null;
+  if (focusNode) {
+    const ancestors = [];
+    for (let parent = focusNode.parent; parent; parent = parent.parent) {
+      ancestors.unshift(parent);
+    }
+    ancestors.forEach((ancestor) => {
+      if (!ancestor.expanded) {
+        ancestor.expandChildren();
+      }
+    });
+  }
+
   requestAnimationFrame(() => {
-    if (rootNode) {
+    const target = focusNode || rootNode;
+    if (target) {
       viewport.focusOn(
-        { x: rootNode.position.x, y: rootNode.position.y },
+        { x: target.position.x, y: target.position.y },
         {
-          scale: 0.82,
+          scale: focusNode ? 1 : 0.82,
           offset: { x: 0, y: -Math.max(140, workspace.clientHeight * 0.18) },
         }
       );
     }
+    if (focusNode) {
+      focusNode.toggleCard('text');
+    }
+  });
+
+  const isProjectNode = (nodeData) => (nodeData?.meta?.builder || '').toLowerCase() === 'project';
+  const isElementNode = (nodeData) => (nodeData?.meta?.builder || '').toLowerCase() === 'elements';
+  const isChildEdge = (edge) => (edge?.type || '').toUpperCase() === 'CHILD_OF';
+
+  const setAvailableElement = (nodeData, { remove = false } = {}) => {
+    availableElements = availableElements.filter((item) => item.id !== nodeData.id);
+    if (!remove) {
+      const meta = nodeData.meta || {};
+      availableElements.push({
+        id: nodeData.id,
+        label: nodeData.label || meta.title || meta.elementData?.title || nodeData.id,
+        type: ProjectNode.normaliseElementType(meta.elementType || meta.type || meta.elementData?.type || 'other'),
+      });
+    }
+    ProjectNode.setAvailableElements(availableElements, projectId);
+  };
+
+  const detachChild = (child) => {
+    const parent = child?.parent;
+    if (!parent) {
+      return;
+    }
+    parent.children = parent.children.filter((item) => item !== child);
+    child.parent = null;
+    attachedChildIds.delete(child.id);
+    parent.onChildrenChanged?.();
+    child.show();
+  };
+
+  const refreshLinkedElementsFor = (...ids) => {
+    ids.forEach((id) => {
+      const node = nodesById.get(id);
+      if (node?.linkedElementsUI) {
+        node.refreshLinkedElements();
+      }
+    });
+  };
+
+  // Agent changes show on the discussion card of every node they touch.
+  const refreshAgentChangesFor = (...ids) => {
+    ids.forEach((id) => {
+      const node = nodesById.get(id);
+      if (node?.discussionUI) {
+        node.refreshAgentChanges();
+      }
+    });
+  };
+
+  // Deltas from other tabs and MCP tools. Nodes with unsaved local edits are
+  // skipped; autosave reconciles them through its version check instead.
+  const applyChange = (event) => {
+    const payload = event.payload || {};
+    const edge = payload.edge || payload.link;
+    if (event.source === 'mcp') {
+      refreshAgentChangesFor(payload.node?.id ?? payload.id, edge?.from, edge?.to);
+    }
+    switch (event.type) {
+      case 'node.created':
+      case 'node.updated': {
+        const nodeData = payload.node;
+        if (!nodeData?.id) break;
+        if (isElementNode(nodeData)) {
+          setAvailableElement(nodeData);
+          break;
+        }
+        if (!isProjectNode(nodeData)) break;
+        const existing = nodesById.get(nodeData.id);
+        if (!existing) {
+          instantiateNode(nodeData).show();
+        } else if (!state.autosave?.isNodePending(existing.id)) {
+          existing.applyRemoteState(nodeData);
+        }
+        break;
+      }
+      case 'node.deleted': {
+        const node = nodesById.get(payload.id);
+        if (!node) {
+          setAvailableElement({ id: payload.id }, { remove: true });
+          break;
+        }
+        node.children.slice().forEach((child) => detachChild(child));
+        node.detach();
+        nodesById.delete(node.id);
+        attachedChildIds.delete(node.id);
+        break;
+      }
+      case 'edge.created':
+      case 'edge.updated':
+      case 'link.created':
+        if (!edge) break;
+        if (isChildEdge(edge)) {
+          const parent = nodesById.get(edge.from);
+          const child = nodesById.get(edge.to);
+          if (parent && child && child.parent !== parent) {
+            detachChild(child);
+            attachChild(parent, child, { expand: false });
+            attachedChildIds.add(child.id);
+          }
+        }
+        refreshLinkedElementsFor(edge.from, edge.to);
+        break;
+      case 'edge.deleted':
+      case 'link.deleted':
+        if (!edge) break;
+        if (isChildEdge(edge)) {
+          const child = nodesById.get(edge.to);
+          if (child?.parent?.id === edge.from) {
+            detachChild(child);
+          }
+        }
+        refreshLinkedElementsFor(edge.from, edge.to);
+        break;
+      case 'agent_change.created':
+      case 'agent_change.updated':
+        refreshAgentChangesFor(...(payload.change?.node_ids || []));
+        break;
+      case 'checkpoint.restored':
+        window.location.reload();
+        break;
+      default:
+        break;
+    }
+  };
+
+  state.changeFeedUnsubscribe?.();
+  state.changeFeedUnsubscribe = subscribeToChanges(projectId, {
+    onEvent: applyChange,
+    onResync: () => window.location.reload(),
   });
 
   log('Project builder initialised.');
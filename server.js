@@ -5,12 +5,15 @@ const morgan = require('morgan');
 const config = require('./src/config');
 const apiRouter = require('./src/routes/api');
 const mcpRouter = require('./mcp');
-const { closeNeo4j, verifyNeo4jConnection } = require('./src/db/neo4j');
-const { closeMysql, initMysql } = require('./src/db/mysql');
+const { createMcpHttpRouter } = require('./mcp/http');
+const { closeGraphStore, initGraphStore } = require('./src/db/graphStore');
+const { closeRelationalStore, initRelationalStore } = require('./src/db/relationalStore');
 
 const app = express();
 
 app.use(morgan('dev'));
+// The MCP endpoint parses its own JSON-RPC bodies.
+app.use('/mcp', createMcpHttpRouter());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -40,7 +43,7 @@ app.use((err, req, res, next) => {
 
 let server;
 
-Promise.all([initMysql(), verifyNeo4jConnection()])
+Promise.all([initRelationalStore(), initGraphStore()])
   .then(() => {
     server = app.listen(config.port, () => {
       console.log(`Server listening at http://localhost:${config.port}`);
@@ -52,7 +55,7 @@ Promise.all([initMysql(), verifyNeo4jConnection()])
   });
 
 async function shutdown() {
-  await Promise.allSettled([closeNeo4j(), closeMysql()]);
+  await Promise.allSettled([closeGraphStore(), closeRelationalStore()]);
   if (server) {
     server.close(() => process.exit(0));
   } else {
@@ -16,6 +16,14 @@ if (process.env.LOAD_ENV !== 'false') {
 
 module.exports = {
   port: parseInt(process.env.PORT || '8080', 10),
+  graph: {
+    store: (process.env.GRAPH_STORE || 'neo4j').trim().toLowerCase(),
+    file: process.env.GRAPH_STORE_FILE || '',
+  },
+  relational: {
+    store: (process.env.RELATIONAL_STORE || 'mysql').trim().toLowerCase(),
+    file: process.env.RELATIONAL_STORE_FILE || '',
+  },
   neo4j: {
     uri: process.env.NEO4J_URI || 'neo4j://localhost:7687',
     user: process.env.NEO4J_USER || 'neo4j',
@@ -32,6 +40,16 @@ module.exports = {
   },
   defaults: {
     projectId: process.env.DEFAULT_PROJECT_ID || DEFAULT_PROJECT_ID,
-    versionPollIntervalMs: parseInt(process.env.VERSION_POLL_INTERVAL_MS || '5000', 10),
+  },
+  tombstones: {
+    retentionHours: parseInt(process.env.TOMBSTONE_RETENTION_HOURS || '168', 10),
+    purgeIntervalMs: parseInt(process.env.TOMBSTONE_PURGE_INTERVAL_MS || '3600000', 10),
+  },
+  changeFeed: {
+    heartbeatMs: parseInt(process.env.CHANGE_FEED_HEARTBEAT_MS || '25000', 10),
+    replayLimit: parseInt(process.env.CHANGE_FEED_REPLAY_LIMIT || '200', 10),
+  },
+  agentChanges: {
+    claimTimeoutMs: parseInt(process.env.AGENT_CHANGE_CLAIM_TIMEOUT_MS || '300000', 10),
   },
 };
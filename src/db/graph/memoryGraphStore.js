@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+
+const {
+  newVersionMeta,
+  parseMeta,
+  serialiseMeta,
+  validateRelationshipType,
+} = require('../../utils/neo4jHelpers');
+const { exposeTransactionMethods, ensureObject, toEdge } = require('./shared');
+
+function emptyState() {
+  return { projects: {} };
+}
+
+function cloneState(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+function normaliseMeta(meta) {
+  return ensureObject(parseMeta(meta));
+}
+
+function toNode(record) {
+  if (!record) return null;
+  return {
+    id: record.id,
+    label: record.label || '',
+    content: record.content || '',
+    meta: parseMeta(record.meta || {}),
+    project_id: record.project_id || null,
+    last_modified: record.last_modified || null,
+    version_id: record.version_id,
+  };
+}
+
+function getProject(state, projectId) {
+  if (!state.projects[projectId]) {
+    state.projects[projectId] = { nodes: {}, edges: [] };
+  }
+  return state.projects[projectId];
+}
+
+function isUndirectedMatch(edge, a, b) {
+  return (edge.from === a && edge.to === b) || (edge.from === b && edge.to === a);
+}
+
+function readProjectGraph(state, projectId) {
+  const project = state.projects[projectId] || { nodes: {}, edges: [] };
+  const nodes = Object.values(project.nodes).map(toNode);
+  const edges = project.edges
+    .filter((edge) => project.nodes[edge.from] && project.nodes[edge.to])
+    .map((edge) => toEdge(edge, projectId));
+  return { nodes, edges };
+}
+
+function createTransactionOps(state) {
+  return {
+    async fetchProjectGraph(projectId) {
+      return readProjectGraph(state, projectId);
+    },
+
+    async getNode(projectId, id) {
+      return toNode(getProject(state, projectId).nodes[id]);
+    },
+
+    async createNode(projectId, { id, label, content = '', meta = {} }) {
+      const project = getProject(state, projectId);
+      if (project.nodes[id]) {
+        throw new Error(`Node ${id} already exists`);
+      }
+      const { versionId, lastModified } = newVersionMeta();
+      project.nodes[id] = {
+        id,
+        project_id: projectId,
+        label,
+        content,
+        meta: serialiseMeta(meta),
+        version_id: versionId,
+        last_modified: lastModified,
+      };
+      return toNode(project.nodes[id]);
+    },
+
+    async updateNode(projectId, id, buildUpdate) {
+      const project = getProject(state, projectId);
+      const record = project.nodes[id];
+      if (!record) {
+        return { notFound: true };
+      }
+      const current = toNode(record);
+      const update = ensureObject(await buildUpdate(current));
+      if (update.rejected !== undefined) {
+        return { rejected: update.rejected, current };
+      }
+      const core = ensureObject(update.core);
+      Object.keys(core).forEach((key) => {
+        record[key] = core[key];
+      });
+      if (update.meta !== undefined) {
+        record.meta = serialiseMeta(update.meta);
+      }
+      const { versionId, lastModified } = newVersionMeta();
+      record.project_id = projectId;
+      record.version_id = versionId;
+      record.last_modified = lastModified;
+      return { node: toNode(record) };
+    },
+
+    async deleteNode(projectId, id) {
+      const project = getProject(state, projectId);
+      if (!project.nodes[id]) {
+        return false;
+      }
+      delete project.nodes[id];
+      project.edges = project.edges.filter((edge) => edge.from !== id && edge.to !== id);
+      return true;
+    },
+
+    async createEdge(projectId, { from, to, type, props = {} }) {
+      const relationshipType = validateRelationshipType(type);
+      const project = getProject(state, projectId);
+      if (!project.nodes[from] || !project.nodes[to]) {
+        return null;
+      }
+      const edge = {
+        from,
+        to,
+        type: relationshipType,
+        props: { ...ensureObject(props) },
+        version_id: newVersionMeta().versionId,
+      };
+      project.edges.push(edge);
+      return toEdge(edge, projectId);
+    },
+
+    async updateEdge(projectId, { from, to, type, props = {}, expectedVersionId = null }) {
+      const relationshipType = validateRelationshipType(type);
+      const project = getProject(state, projectId);
+      const matches = project.edges.filter(
+        (edge) => edge.from === from && edge.to === to && edge.type === relationshipType
+      );
+      if (!matches.length) {
+        return { notFound: true };
+      }
+      const current = toEdge(matches[0], projectId);
+      if (expectedVersionId && current.version_id !== expectedVersionId) {
+        return { rejected: 'version_conflict', current };
+      }
+      const { versionId } = newVersionMeta();
+      matches.forEach((edge) => {
+        edge.props = { ...ensureObject(props) };
+        edge.version_id = versionId;
+      });
+      return { edge: toEdge(matches[0], projectId) };
+    },
+
+    async deleteEdge(projectId, { from, to, type }) {
+      const relationshipType = validateRelationshipType(type);
+      const project = getProject(state, projectId);
+      const before = project.edges.length;
+      project.edges = project.edges.filter(
+        (edge) => !(edge.from === from && edge.to === to && edge.type === relationshipType)
+      );
+      return before - project.edges.length;
+    },
+
+    async mergeLink(projectId, { from, to, type, props = {} }) {
+      const relationshipType = validateRelationshipType(type);
+      const project = getProject(state, projectId);
+      if (!project.nodes[from] || !project.nodes[to]) {
+        return null;
+      }
+      let edge = project.edges.find(
+        (candidate) => candidate.type === relationshipType && isUndirectedMatch(candidate, from, to)
+      );
+      if (!edge) {
+        edge = { from, to, type: relationshipType, props: {} };
+        project.edges.push(edge);
+      }
+      edge.props = { ...ensureObject(edge.props), ...ensureObject(props) };
+      edge.version_id = newVersionMeta().versionId;
+      return toEdge(edge, projectId);
+    },
+
+    async deleteLink(projectId, { from, to, type }) {
+      const relationshipType = validateRelationshipType(type);
+      const project = getProject(state, projectId);
+      const before = project.edges.length;
+      project.edges = project.edges.filter(
+        (edge) => !(edge.type === relationshipType && isUndirectedMatch(edge, from, to))
+      );
+      return before - project.edges.length;
+    },
+
+    async restoreProject(projectId, { nodes = [], edges = [] } = {}) {
+      const project = { nodes: {}, edges: [] };
+      state.projects[projectId] = project;
+      const restored = [];
+      nodes.forEach((node) => {
+        if (!node?.id || (node.project_id && node.project_id !== projectId)) return;
+        const { versionId, lastModified } = newVersionMeta();
+        const meta = normaliseMeta(node.meta);
+        project.nodes[node.id] = {
+          id: node.id,
+          project_id: projectId,
+          label: node.label || '',
+          content: node.content || '',
+          meta: serialiseMeta(meta),
+          version_id: versionId,
+          last_modified: lastModified,
+        };
+        restored.push({ ...toNode(project.nodes[node.id]), meta });
+      });
+      edges.forEach((edge) => {
+        if (!edge?.from || !edge?.to) return;
+        if (!project.nodes[edge.from] || !project.nodes[edge.to]) return;
+        const { version_id: _staleVersion, ...props } = ensureObject(edge.props);
+        project.edges.push({
+          from: edge.from,
+          to: edge.to,
+          type: validateRelationshipType(edge.type),
+          props,
+          version_id: newVersionMeta().versionId,
+        });
+      });
+      return restored;
+    },
+
+    async deleteProject(projectId) {
+      const project = state.projects[projectId];
+      delete state.projects[projectId];
+      return project ? Object.keys(project.nodes).length : 0;
+    },
+  };
+}
+
+/**
+ * In-process graph store mirroring the Cypher semantics of the Neo4j store.
+ * When `file` is provided the graph is loaded from and written back to that
+ * JSON file after every committed transaction.
+ */
+function createMemoryGraphStore({ file = '' } = {}) {
+  const filePath = file ? path.resolve(process.cwd(), file) : '';
+  let state = emptyState();
+  let queue = Promise.resolve();
+
+  function persist() {
+    if (!filePath) {
+      return;
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function readProject(projectId) {
+    return state.projects[projectId] || { nodes: {}, edges: [] };
+  }
+
+  const store = {
+    name: 'memory',
+
+    async init() {
+      if (filePath && fs.existsSync(filePath)) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const parsed = raw.trim() ? JSON.parse(raw) : emptyState();
+        state = parsed && typeof parsed.projects === 'object' ? parsed : emptyState();
+      }
+      console.log(`Using in-memory graph store${filePath ? ` (file: ${filePath})` : ''}`);
+    },
+
+    async close() {
+      await queue;
+    },
+
+    async ping() {
+      return 1;
+    },
+
+    // Transactions run one at a time against a working copy of the state and
+    // only replace it once `work` resolves, so a thrown error rolls back.
+    withTransaction(work) {
+      const run = queue.then(async () => {
+        const working = cloneState(state);
+        const result = await work(createTransactionOps(working));
+        state = working;
+        persist();
+        return result;
+      });
+      queue = run.catch(() => {});
+      return run;
+    },
+
+    async fetchProjectGraph(projectId) {
+      return readProjectGraph(state, projectId);
+    },
+
+    async snapshotProject(projectId) {
+      const { nodes, edges } = await store.fetchProjectGraph(projectId);
+      return {
+        nodes: nodes.map((node) => ({ ...node, meta: normaliseMeta(node.meta) })),
+        edges: edges.map(({ from, to, type, props }) => ({ from, to, type, props })),
+      };
+    },
+
+    async getLinks(projectId, nodeId, type) {
+      const relationshipType = validateRelationshipType(type);
+      const project = readProject(projectId);
+      const node = project.nodes[nodeId];
+      if (!node) {
+        return null;
+      }
+      const links = project.edges
+        .filter(
+          (edge) => edge.type === relationshipType && (edge.from === nodeId || edge.to === nodeId)
+        )
+        .map((edge) => {
+          const otherId = edge.from === nodeId ? edge.to : edge.from;
+          return {
+            other: toNode(project.nodes[otherId]),
+            type: edge.type,
+            props: { ...ensureObject(edge.props) },
+            direction: edge.from === nodeId ? 'out' : 'in',
+            version_id: edge.version_id || null,
+          };
+        })
+        .filter((entry) => entry.other);
+      return { node: toNode(node), links };
+    },
+
+    async listVersions(projectId, since) {
+      const sinceTime = since ? new Date(since).getTime() : null;
+      return Object.values(readProject(projectId).nodes)
+        .filter((node) => sinceTime === null || new Date(node.last_modified).getTime() > sinceTime)
+        .map((node) => ({
+          node_id: node.id,
+          version_id: node.version_id,
+          last_modified: node.last_modified,
+        }));
+    },
+  };
+
+  return exposeTransactionMethods(store);
+}
+
+module.exports = {
+  createMemoryGraphStore,
+};
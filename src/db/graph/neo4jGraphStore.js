@@ -0,0 +1,443 @@
+const {
+  extractNode,
+  newVersionMeta,
+  parseMeta,
+  serialiseMeta,
+  validateRelationshipType,
+} = require('../../utils/neo4jHelpers');
+const config = require('../../config');
+const { exposeTransactionMethods, ensureObject, toEdge } = require('./shared');
+
+function normaliseMeta(meta) {
+  return ensureObject(parseMeta(meta));
+}
+
+// `runner` is a session or an open transaction.
+async function readProjectGraph(runner, projectId) {
+  const result = await runner.run(
+    `MATCH (n:ProjectNode)
+     WHERE n.project_id = $projectId
+     WITH n
+     OPTIONAL MATCH (n)-[r]->(m:ProjectNode)
+     WHERE m.project_id = $projectId
+     RETURN collect(DISTINCT n) AS nodes,
+            collect(DISTINCT {from: n.id, to: m.id, type: type(r), props: properties(r)}) AS edges`,
+    { projectId }
+  );
+  const record = result.records[0];
+  const nodes = (record?.get('nodes') || []).map(extractNode);
+  const edges = (record?.get('edges') || [])
+    .filter((edge) => edge && edge.from && edge.to)
+    .map((edge) => toEdge(edge, projectId));
+  return { nodes, edges };
+}
+
+function createTransactionOps(tx) {
+  return {
+    async fetchProjectGraph(projectId) {
+      return readProjectGraph(tx, projectId);
+    },
+
+    async getNode(projectId, id) {
+      const result = await tx.run(
+        `MATCH (n:ProjectNode {id: $id})
+         WHERE n.project_id = $projectId
+         RETURN n`,
+        { id, projectId }
+      );
+      return result.records.length ? extractNode(result.records[0].get('n')) : null;
+    },
+
+    async createNode(projectId, { id, label, content = '', meta = {} }) {
+      const { versionId, lastModified } = newVersionMeta();
+      const result = await tx.run(
+        `CREATE (n:ProjectNode {id: $id, project_id: $projectId, label: $label, content: $content, meta: $meta, version_id: $versionId, last_modified: datetime($lastModified)})
+         RETURN n`,
+        { id, projectId, label, content, meta: serialiseMeta(meta), versionId, lastModified }
+      );
+      return extractNode(result.records[0]?.get('n'));
+    },
+
+    async updateNode(projectId, id, buildUpdate) {
+      // The no-op SET takes the node's write lock, so the version handed to
+      // `buildUpdate` cannot change before this transaction writes.
+      const lockResult = await tx.run(
+        `MATCH (n:ProjectNode {id: $id})
+         WHERE n.project_id = $projectId
+         SET n.version_id = n.version_id
+         RETURN n`,
+        { id, projectId }
+      );
+      if (!lockResult.records.length) {
+        return { notFound: true };
+      }
+      const existingNode = extractNode(lockResult.records[0].get('n'));
+      const update = ensureObject(await buildUpdate(existingNode));
+      if (update.rejected !== undefined) {
+        return { rejected: update.rejected, current: existingNode };
+      }
+      const { versionId, lastModified } = newVersionMeta();
+      const queryParts = [
+        'MATCH (n:ProjectNode {id: $id})',
+        'WHERE n.project_id = $projectId',
+      ];
+      const params = { id, projectId, lastModified, versionId };
+      const core = ensureObject(update.core);
+      if (Object.keys(core).length > 0) {
+        params.core = core;
+        queryParts.push('SET n += $core');
+      }
+      if (update.meta !== undefined) {
+        params.meta = serialiseMeta(update.meta);
+        queryParts.push('SET n.meta = $meta');
+      }
+      queryParts.push('SET n.last_modified = datetime($lastModified), n.version_id = $versionId');
+      queryParts.push('RETURN n');
+      const updateResult = await tx.run(queryParts.join('\n'), params);
+      if (!updateResult.records.length) {
+        return { notFound: true };
+      }
+      return { node: extractNode(updateResult.records[0].get('n')) };
+    },
+
+    async deleteNode(projectId, id) {
+      const result = await tx.run(
+        `MATCH (n:ProjectNode {id: $id})
+         WHERE n.project_id = $projectId
+         WITH n
+         DETACH DELETE n
+         RETURN count(n) AS deleted`,
+        { id, projectId }
+      );
+      return Boolean(result.records[0]?.get('deleted'));
+    },
+
+    async createEdge(projectId, { from, to, type, props = {} }) {
+      const relationshipType = validateRelationshipType(type);
+      const { versionId } = newVersionMeta();
+      const result = await tx.run(
+        `MATCH (a:ProjectNode {id: $from}), (b:ProjectNode {id: $to})
+         WHERE a.project_id = $projectId AND b.project_id = $projectId
+         CREATE (a)-[r:${relationshipType}]->(b)
+         SET r += $props, r.version_id = $versionId
+         RETURN {from: a.id, to: b.id, type: type(r), props: properties(r)} AS edge`,
+        { from, to, props: ensureObject(props), projectId, versionId }
+      );
+      const edge = result.records[0]?.get('edge');
+      return edge ? toEdge(edge, projectId) : null;
+    },
+
+    async updateEdge(projectId, { from, to, type, props = {}, expectedVersionId = null }) {
+      const relationshipType = validateRelationshipType(type);
+      const params = { from, to, projectId };
+      const lockResult = await tx.run(
+        `MATCH (a:ProjectNode {id: $from})-[r:${relationshipType}]->(b:ProjectNode {id: $to})
+         WHERE a.project_id = $projectId AND b.project_id = $projectId
+         SET r.version_id = r.version_id
+         RETURN {from: a.id, to: b.id, type: type(r), props: properties(r)} AS edge`,
+        params
+      );
+      if (!lockResult.records.length) {
+        return { notFound: true };
+      }
+      const current = toEdge(lockResult.records[0].get('edge'), projectId);
+      if (expectedVersionId && current.version_id !== expectedVersionId) {
+        return { rejected: 'version_conflict', current };
+      }
+      const { versionId } = newVersionMeta();
+      const result = await tx.run(
+        `MATCH (a:ProjectNode {id: $from})-[r:${relationshipType}]->(b:ProjectNode {id: $to})
+         WHERE a.project_id = $projectId AND b.project_id = $projectId
+         SET r = $props
+         SET r.version_id = $versionId
+         RETURN {from: a.id, to: b.id, type: type(r), props: properties(r)} AS edge`,
+        { ...params, props: ensureObject(props), versionId }
+      );
+      return { edge: toEdge(result.records[0].get('edge'), projectId) };
+    },
+
+    async deleteEdge(projectId, { from, to, type }) {
+      const relationshipType = validateRelationshipType(type);
+      const result = await tx.run(
+        `MATCH (a:ProjectNode {id: $from})-[r:${relationshipType}]->(b:ProjectNode {id: $to})
+         WHERE a.project_id = $projectId AND b.project_id = $projectId
+         WITH r
+         DELETE r
+         RETURN count(*) AS deleted`,
+        { from, to, projectId }
+      );
+      return result.records[0]?.get('deleted') || 0;
+    },
+
+    async mergeLink(projectId, { from, to, type, props = {} }) {
+      const relationshipType = validateRelationshipType(type);
+      const { versionId } = newVersionMeta();
+      const result = await tx.run(
+        `MATCH (a:ProjectNode {id: $source}), (b:ProjectNode {id: $target})
+         WHERE a.project_id = $projectId AND b.project_id = $projectId
+         MERGE (a)-[r:${relationshipType}]-(b)
+         SET r += $props, r.version_id = $versionId
+         RETURN {from: a.id, to: b.id, type: type(r), props: properties(r)} AS link`,
+        { source: from, target: to, props: ensureObject(props), projectId, versionId }
+      );
+      const link = result.records[0]?.get('link');
+      return link ? toEdge(link, projectId) : null;
+    },
+
+    async deleteLink(projectId, { from, to, type }) {
+      const relationshipType = validateRelationshipType(type);
+      const result = await tx.run(
+        `MATCH (a:ProjectNode {id: $source})-[r:${relationshipType}]-(b:ProjectNode {id: $target})
+         WHERE a.project_id = $projectId AND b.project_id = $projectId
+         WITH r
+         DELETE r
+         RETURN count(*) AS deleted`,
+        { source: from, target: to, projectId }
+      );
+      return result.records[0]?.get('deleted') || 0;
+    },
+
+    async restoreProject(projectId, { nodes = [], edges = [] } = {}) {
+      await tx.run(
+        `MATCH (n:ProjectNode)
+         WHERE n.project_id = $projectId
+         WITH n
+         DETACH DELETE n`,
+        { projectId }
+      );
+      const restored = [];
+      for (const node of nodes) {
+        if (node.project_id && node.project_id !== projectId) continue;
+        const { versionId, lastModified } = newVersionMeta();
+        const meta = normaliseMeta(node.meta);
+        await tx.run(
+          `CREATE (n:ProjectNode {id: $id, project_id: $projectId, label: $label, content: $content, meta: $meta, version_id: $versionId, last_modified: datetime($lastModified)})`,
+          {
+            id: node.id,
+            projectId,
+            label: node.label || '',
+            content: node.content || '',
+            meta: serialiseMeta(meta),
+            versionId,
+            lastModified,
+          }
+        );
+        restored.push({
+          id: node.id,
+          label: node.label || '',
+          content: node.content || '',
+          meta,
+          project_id: projectId,
+          version_id: versionId,
+          last_modified: lastModified,
+        });
+      }
+      for (const edge of edges) {
+        if (!edge.from || !edge.to) continue;
+        const relationshipType = validateRelationshipType(edge.type);
+        const { versionId } = newVersionMeta();
+        await tx.run(
+          `MATCH (a:ProjectNode {id: $from}), (b:ProjectNode {id: $to})
+           WHERE a.project_id = $projectId AND b.project_id = $projectId
+           CREATE (a)-[r:${relationshipType}]->(b)
+           SET r += $props, r.version_id = $versionId`,
+          { from: edge.from, to: edge.to, props: toEdge(edge, projectId).props, projectId, versionId }
+        );
+      }
+      return restored;
+    },
+
+    async deleteProject(projectId) {
+      const result = await tx.run(
+        `MATCH (n:ProjectNode)
+         WHERE n.project_id = $projectId
+         WITH n
+         DETACH DELETE n
+         RETURN count(n) AS deleted`,
+        { projectId }
+      );
+      const deleted = result.records[0]?.get('deleted');
+      return typeof deleted?.toNumber === 'function' ? deleted.toNumber() : Number(deleted || 0);
+    },
+  };
+}
+
+function createNeo4jGraphStore() {
+  // Required lazily so in-process stores never open a Bolt driver.
+  const { getReadSession, getWriteSession, closeNeo4j, verifyNeo4jConnection } = require('../neo4j');
+
+  const store = {
+    name: 'neo4j',
+
+    async init() {
+      await verifyNeo4jConnection();
+      // Nodes written before projects existed carry no `project_id`; they
+      // belong to the default project, and every query matches it exactly.
+      const session = getWriteSession();
+      try {
+        await session.run('MATCH (n:ProjectNode) WHERE n.project_id IS NULL SET n.project_id = $projectId', {
+          projectId: config.defaults.projectId,
+        });
+      } finally {
+        await session.close();
+      }
+    },
+
+    async close() {
+      await closeNeo4j();
+    },
+
+    async ping() {
+      const session = getReadSession();
+      try {
+        const result = await session.run('RETURN 1 AS ok');
+        const okValue = result.records?.[0]?.get('ok');
+        return typeof okValue?.toNumber === 'function' ? okValue.toNumber() : okValue;
+      } finally {
+        await session.close();
+      }
+    },
+
+    // `retry: false` runs `work` once in an explicit transaction instead of
+    // letting the driver rerun it on transient errors, for work that also
+    // writes elsewhere.
+    async withTransaction(work, { retry = true } = {}) {
+      const session = getWriteSession();
+      try {
+        if (retry) {
+          return await session.writeTransaction((tx) => work(createTransactionOps(tx)));
+        }
+        const tx = session.beginTransaction();
+        try {
+          const result = await work(createTransactionOps(tx));
+          await tx.commit();
+          return result;
+        } catch (error) {
+          if (tx.isOpen()) {
+            await tx.rollback();
+          }
+          throw error;
+        }
+      } finally {
+        await session.close();
+      }
+    },
+
+    async fetchProjectGraph(projectId) {
+      const session = getReadSession();
+      try {
+        return await readProjectGraph(session, projectId);
+      } finally {
+        await session.close();
+      }
+    },
+
+    async snapshotProject(projectId) {
+      const session = getReadSession();
+      try {
+        const result = await session.run(
+          `MATCH (n:ProjectNode)
+           WHERE n.project_id = $projectId
+           WITH n
+           OPTIONAL MATCH (n)-[r]->(m:ProjectNode)
+           WHERE m.project_id = $projectId
+           RETURN collect(DISTINCT n{.*, meta: n.meta}) AS nodes,
+                  collect(DISTINCT {from: n.id, to: m.id, type: type(r), props: properties(r)}) AS edges`,
+          { projectId }
+        );
+        const record = result.records[0];
+        return {
+          nodes: (record?.get('nodes') || []).map((node) => ({
+            ...node,
+            meta: normaliseMeta(node.meta),
+            last_modified: node.last_modified?.toString?.() || node.last_modified,
+          })),
+          edges: (record?.get('edges') || [])
+            .filter((edge) => edge && edge.from && edge.to)
+            .map((edge) => {
+              const { from, to, type, props } = toEdge(edge, projectId);
+              return { from, to, type, props };
+            }),
+        };
+      } finally {
+        await session.close();
+      }
+    },
+
+    async getLinks(projectId, nodeId, type) {
+      const relationshipType = validateRelationshipType(type);
+      const session = getReadSession();
+      try {
+        const result = await session.run(
+          `MATCH (n:ProjectNode {id: $nodeId})
+           WHERE n.project_id = $projectId
+           WITH n
+           OPTIONAL MATCH (n)-[r:${relationshipType}]-(m:ProjectNode)
+           WHERE m.project_id = $projectId
+           RETURN n AS node,
+                  collect({
+                    other: m,
+                    type: type(r),
+                    props: properties(r),
+                    direction: CASE WHEN startNode(r).id = n.id THEN 'out' ELSE 'in' END
+                  }) AS links`,
+          { nodeId, projectId }
+        );
+        if (!result.records.length) {
+          return null;
+        }
+        const record = result.records[0];
+        const links = [];
+        (record.get('links') || []).forEach((entry) => {
+          const entryAccessor =
+            entry && typeof entry.get === 'function'
+              ? (key) => entry.get(key)
+              : (key) => (entry && Object.prototype.hasOwnProperty.call(entry, key) ? entry[key] : null);
+          const otherNode = entryAccessor('other');
+          if (!otherNode) {
+            return;
+          }
+          const { props, version_id: versionId } = toEdge({ props: entryAccessor('props') }, projectId);
+          links.push({
+            other: extractNode(otherNode),
+            type: entryAccessor('type'),
+            props,
+            direction: entryAccessor('direction'),
+            version_id: versionId,
+          });
+        });
+        return { node: extractNode(record.get('node')), links };
+      } finally {
+        await session.close();
+      }
+    },
+
+    async listVersions(projectId, since) {
+      const session = getReadSession();
+      try {
+        const query = since
+          ? `MATCH (n:ProjectNode)
+             WHERE n.project_id = $projectId AND n.last_modified > datetime($since)
+             RETURN n.id AS node_id, n.version_id AS version_id, n.last_modified AS last_modified`
+          : `MATCH (n:ProjectNode)
+             WHERE n.project_id = $projectId
+             RETURN n.id AS node_id, n.version_id AS version_id, n.last_modified AS last_modified`;
+        const params = since ? { since, projectId } : { projectId };
+        const result = await session.run(query, params);
+        return result.records.map((record) => ({
+          node_id: record.get('node_id'),
+          version_id: record.get('version_id'),
+          last_modified: record.get('last_modified')?.toString?.() || record.get('last_modified'),
+        }));
+      } finally {
+        await session.close();
+      }
+    },
+  };
+
+  return exposeTransactionMethods(store);
+}
+
+module.exports = {
+  createNeo4jGraphStore,
+};
@@ -0,0 +1,51 @@
+// Operations every graph store exposes both on the transaction handle passed to
+// `withTransaction` and as single-shot helpers on the store itself.
+const TRANSACTION_METHODS = [
+  'getNode',
+  'createNode',
+  'updateNode',
+  'deleteNode',
+  'createEdge',
+  'updateEdge',
+  'deleteEdge',
+  'mergeLink',
+  'deleteLink',
+  'restoreProject',
+  'deleteProject',
+];
+
+function exposeTransactionMethods(store) {
+  TRANSACTION_METHODS.forEach((name) => {
+    store[name] = (...args) => store.withTransaction((tx) => tx[name](...args));
+  });
+  return store;
+}
+
+function ensureObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return {};
+  }
+  return value;
+}
+
+// Edges carry their `version_id` alongside the user props in Neo4j and next to
+// them in the memory store; callers always see it as a top-level field so props
+// stay exactly what the user wrote.
+function toEdge(edge, projectId) {
+  const { version_id: versionId = edge?.version_id || null, ...props } = ensureObject(edge?.props);
+  return {
+    from: edge.from,
+    to: edge.to,
+    type: edge.type || 'LINKS_TO',
+    props,
+    project_id: projectId,
+    version_id: versionId,
+  };
+}
+
+module.exports = {
+  TRANSACTION_METHODS,
+  exposeTransactionMethods,
+  ensureObject,
+  toEdge,
+};
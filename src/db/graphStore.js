@@ -0,0 +1,31 @@
+const config = require('../config');
+
+const GRAPH_STORES = {
+  neo4j: () => require('./graph/neo4jGraphStore').createNeo4jGraphStore(),
+  memory: () => require('./graph/memoryGraphStore').createMemoryGraphStore({ file: config.graph.file }),
+};
+
+function createGraphStore(name = config.graph.store) {
+  const factory = GRAPH_STORES[name];
+  if (!factory) {
+    throw new Error(`Unknown graph store "${name}". Expected one of: ${Object.keys(GRAPH_STORES).join(', ')}`);
+  }
+  return factory();
+}
+
+const graphStore = createGraphStore();
+
+async function initGraphStore() {
+  await graphStore.init();
+}
+
+async function closeGraphStore() {
+  await graphStore.close();
+}
+
+module.exports = {
+  graphStore,
+  createGraphStore,
+  initGraphStore,
+  closeGraphStore,
+};
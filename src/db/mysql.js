@@ -1,14 +1,24 @@
 const mysql = require('mysql2/promise');
 const config = require('../config');
 const { queryWithLogging, executeWithLogging } = require('../utils/mysqlLogger');
+const { NAME_LENGTH } = require('./relational/shared');
 
 const pool = mysql.createPool(config.mysql);
 
 const SCHEMA_STATEMENTS = [
   `CREATE TABLE IF NOT EXISTS projects (
     id VARCHAR(64) PRIMARY KEY,
-    name VARCHAR(191) NOT NULL,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    name VARCHAR(${NAME_LENGTH}) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    archived_at DATETIME(3) NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS project_branches (
+    project_id VARCHAR(64) PRIMARY KEY,
+    parent_project_id VARCHAR(64) NOT NULL,
+    base_checkpoint_id BIGINT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    merged_at DATETIME(3) NULL,
+    INDEX idx_project_branches_parent (parent_project_id)
   )`,
   `CREATE TABLE IF NOT EXISTS node_versions (
     project_id VARCHAR(64) NOT NULL,
@@ -19,6 +29,32 @@ const SCHEMA_STATEMENTS = [
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     PRIMARY KEY (project_id, node_id)
   )`,
+  `CREATE TABLE IF NOT EXISTS deletion_tombstones (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    project_id VARCHAR(64) NOT NULL,
+    kind VARCHAR(16) NOT NULL,
+    node_id VARCHAR(64) NULL,
+    from_id VARCHAR(64) NULL,
+    to_id VARCHAR(64) NULL,
+    rel_type VARCHAR(64) NULL,
+    deleted_at DATETIME(3) NOT NULL,
+    INDEX idx_tombstones_project_deleted (project_id, deleted_at),
+    INDEX idx_tombstones_deleted (deleted_at)
+  )`,
+  `CREATE TABLE IF NOT EXISTS node_revisions (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    project_id VARCHAR(64) NOT NULL,
+    node_id VARCHAR(64) NOT NULL,
+    version_id VARCHAR(64) NULL,
+    label TEXT NOT NULL,
+    content LONGTEXT NOT NULL,
+    meta_json JSON NOT NULL,
+    author VARCHAR(191) NULL,
+    session_id BIGINT NULL,
+    source VARCHAR(16) NOT NULL DEFAULT 'api',
+    created_at DATETIME(3) NOT NULL,
+    INDEX idx_node_revisions_node (project_id, node_id, id)
+  )`,
   `CREATE TABLE IF NOT EXISTS sessions (
     id BIGINT PRIMARY KEY AUTO_INCREMENT,
     user_id VARCHAR(64) NOT NULL,
@@ -58,7 +94,7 @@ const SCHEMA_STATEMENTS = [
   `CREATE TABLE IF NOT EXISTS checkpoints (
     id BIGINT PRIMARY KEY AUTO_INCREMENT,
     project_id VARCHAR(64) NOT NULL,
-    name VARCHAR(191) NOT NULL,
+    name VARCHAR(${NAME_LENGTH}) NOT NULL,
     json_snapshot LONGTEXT NOT NULL,
     checksum CHAR(40) NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -76,6 +112,32 @@ const SCHEMA_STATEMENTS = [
     INDEX idx_working_memory_parts_part (part),
     INDEX idx_working_memory_parts_project_node (project_id, node_id)
   )`,
+  `CREATE TABLE IF NOT EXISTS prompt_templates (
+    project_id VARCHAR(64) NOT NULL,
+    name VARCHAR(64) NOT NULL,
+    title VARCHAR(191) NOT NULL,
+    description TEXT NOT NULL,
+    arguments_json JSON NOT NULL,
+    template LONGTEXT NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (project_id, name)
+  )`,
+  `CREATE TABLE IF NOT EXISTS agent_changes (
+    id BIGINT PRIMARY KEY AUTO_INCREMENT,
+    project_id VARCHAR(64) NOT NULL,
+    session_id BIGINT NULL,
+    node_id VARCHAR(64) NULL,
+    tool VARCHAR(64) NOT NULL,
+    summary VARCHAR(255) NOT NULL,
+    status VARCHAR(16) NOT NULL,
+    operations_json JSON NOT NULL,
+    inverse_json JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    decided_at DATETIME NULL,
+    decided_by VARCHAR(64) NULL,
+    INDEX idx_agent_changes_project_status (project_id, status),
+    INDEX idx_agent_changes_session (session_id)
+  )`,
 ];
 
 async function ensureSchema(connection) {
@@ -100,6 +162,11 @@ async function ensureSchema(connection) {
     await queryWithLogging(connection, 'ALTER TABLE node_versions DROP PRIMARY KEY, ADD PRIMARY KEY (project_id, node_id)');
   }
 
+  const [archivedColumn] = await queryWithLogging(connection, "SHOW COLUMNS FROM projects LIKE 'archived_at'");
+  if (archivedColumn.length === 0) {
+    await queryWithLogging(connection, 'ALTER TABLE projects ADD COLUMN archived_at DATETIME(3) NULL');
+  }
+
   const [messageTypeColumn] = await queryWithLogging(
     connection,
     "SHOW COLUMNS FROM messages LIKE 'message_type'"
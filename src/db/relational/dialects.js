@@ -0,0 +1,60 @@
+const config = require('../../config');
+
+// SQL fragments that differ between relational engines. Query helpers build
+// statements through the active dialect so a new engine (e.g. PostgreSQL with
+// `ON CONFLICT ... DO UPDATE` and `$n` placeholders) only needs a new entry here
+// plus a driver adapter exposing `execute`/`query` with mysql2-style results.
+const mysqlDialect = {
+  name: 'mysql',
+
+  upsert({ table, columns, values, keys, updates, touch = [] }) {
+    const assignments = [
+      ...updates.map((column) => `${column} = VALUES(${column})`),
+      ...touch.map((column) => `${column} = CURRENT_TIMESTAMP`),
+    ];
+    return `INSERT INTO ${table} (${columns.join(', ')})
+     VALUES (${(values || columns.map(() => '?')).join(', ')})
+     ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+  },
+
+  jsonParam() {
+    return 'CAST(? AS JSON)';
+  },
+
+  jsonArrayContains(column, path) {
+    return `JSON_CONTAINS(${column}, JSON_QUOTE(?), '${path}')`;
+  },
+
+  deleteJoined({ table, alias, join, where }) {
+    return `DELETE ${alias} FROM ${table} ${alias} ${join} WHERE ${where}`;
+  },
+
+  now() {
+    return 'SELECT NOW() AS now';
+  },
+
+  insertedId(result) {
+    return result?.insertId ?? null;
+  },
+
+  affectedRows(result) {
+    return result?.affectedRows ?? 0;
+  },
+
+  isDuplicateKeyError(error) {
+    return error?.code === 'ER_DUP_ENTRY';
+  },
+};
+
+const SQL_DIALECTS = {
+  mysql: mysqlDialect,
+};
+
+function getSqlDialect(name = config.relational.store) {
+  return SQL_DIALECTS[name] || mysqlDialect;
+}
+
+module.exports = {
+  SQL_DIALECTS,
+  getSqlDialect,
+};
@@ -0,0 +1,691 @@
+const fs = require('fs');
+const path = require('path');
+
+const metaHash = require('../../utils/metaHash');
+const { parseSummaryPayload } = require('../../utils/mysqlQueries');
+const { buildTombstone, toDeletedEntry } = require('../../utils/tombstones');
+const { buildRevision, buildBaselineRevision, toRevision } = require('../../utils/nodeRevisions');
+const { exposeRepositoryMethods } = require('./shared');
+
+const SEQUENCES = [
+  'sessions',
+  'messages',
+  'summaries',
+  'checkpoints',
+  'deletion_tombstones',
+  'node_revisions',
+  'agent_changes',
+];
+
+function emptyState() {
+  return {
+    projects: [],
+    project_branches: [],
+    sessions: [],
+    messages: [],
+    summaries: [],
+    checkpoints: [],
+    node_versions: {},
+    deletion_tombstones: [],
+    node_revisions: [],
+    node_working_history: {},
+    working_memory_parts: {},
+    prompt_templates: {},
+    agent_changes: [],
+    sequences: Object.fromEntries(SEQUENCES.map((table) => [table, 0])),
+  };
+}
+
+function cloneState(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+function compositeKey(...parts) {
+  return JSON.stringify(parts.map((part) => (part === null || part === undefined ? '' : `${part}`)));
+}
+
+function nextId(state, table) {
+  state.sequences[table] = (state.sequences[table] || 0) + 1;
+  return state.sequences[table];
+}
+
+function timestamp(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value || new Date().toISOString();
+}
+
+function sameId(a, b) {
+  return `${a}` === `${b}`;
+}
+
+function newestFirst(a, b) {
+  if (a.created_at === b.created_at) return b.id - a.id;
+  return a.created_at < b.created_at ? 1 : -1;
+}
+
+function toMessage(row) {
+  const { id, session_id, node_id, role, content, message_type, created_at } = row;
+  return { id, session_id, node_id, role, content, message_type, created_at };
+}
+
+function createMemoryRepository(state) {
+  function findSession(sessionId) {
+    return state.sessions.find((session) => sameId(session.id, sessionId)) || null;
+  }
+
+  function findBranch(projectId) {
+    return state.project_branches.find((branch) => branch.project_id === projectId) || null;
+  }
+
+  function toBranch(branch) {
+    const project = state.projects.find((entry) => entry.id === branch.project_id);
+    return { ...branch, name: project?.name ?? null };
+  }
+
+  function sessionIdsForProject(projectId) {
+    return new Set(
+      state.sessions.filter((session) => session.project_id === projectId).map((session) => session.id)
+    );
+  }
+
+  // Mirrors buildMessageFilters: a session id wins over the project join.
+  function filterMessages({ sessionId, projectId, nodeId, cursor, direction = 'ASC' } = {}) {
+    const projectSessions = !sessionId && projectId ? sessionIdsForProject(projectId) : null;
+    const numericCursor = cursor === null || cursor === undefined ? NaN : Number(cursor);
+    return state.messages.filter((message) => {
+      if (sessionId && !sameId(message.session_id, sessionId)) return false;
+      if (projectSessions && !projectSessions.has(message.session_id)) return false;
+      if (nodeId && message.node_id !== nodeId) return false;
+      if (!Number.isNaN(numericCursor)) {
+        return direction === 'DESC' ? message.id < numericCursor : message.id > numericCursor;
+      }
+      return true;
+    });
+  }
+
+  function deleteForProjectSessions(table, projectId) {
+    const sessionIds = sessionIdsForProject(projectId);
+    state[table] = state[table].filter((row) => !sessionIds.has(row.session_id));
+  }
+
+  function matchesPartScope(row, scope) {
+    if (scope.projectId === undefined) {
+      return row.session_id === `${scope.sessionId}`;
+    }
+    return (
+      row.session_id === (scope.sessionId || '') &&
+      row.project_id === scope.projectId &&
+      row.node_id === (scope.nodeId || '')
+    );
+  }
+
+  const repository = {
+    async ping() {
+      return 1;
+    },
+    async now() {
+      return new Date().toISOString();
+    },
+
+    async listProjects() {
+      return state.projects
+        .slice()
+        .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+        .map((project) => ({
+          ...project,
+          archived_at: project.archived_at ?? null,
+          parent_project_id: findBranch(project.id)?.parent_project_id ?? null,
+        }));
+    },
+    async getProject(projectId) {
+      return state.projects.find((project) => project.id === projectId) || null;
+    },
+    async createProject({ id, name }) {
+      if (state.projects.some((project) => project.id === id)) {
+        return null;
+      }
+      const project = { id, name, created_at: timestamp(), archived_at: null };
+      state.projects.push(project);
+      return { ...project };
+    },
+    async updateProject(projectId, { name, archived } = {}) {
+      const project = state.projects.find((entry) => entry.id === projectId);
+      if (!project) {
+        return null;
+      }
+      if (name !== undefined) {
+        project.name = name;
+      }
+      if (archived !== undefined) {
+        project.archived_at = archived ? timestamp() : null;
+      }
+      return { ...project };
+    },
+    async deleteProject(projectId) {
+      const sessionIds = sessionIdsForProject(projectId);
+      deleteForProjectSessions('messages', projectId);
+      deleteForProjectSessions('summaries', projectId);
+      Object.entries(state.working_memory_parts).forEach(([key, row]) => {
+        if (row.project_id === projectId || [...sessionIds].some((id) => sameId(id, row.session_id))) {
+          delete state.working_memory_parts[key];
+        }
+      });
+      state.sessions = state.sessions.filter((session) => session.project_id !== projectId);
+      ['node_versions', 'node_working_history', 'prompt_templates'].forEach((table) => {
+        Object.entries(state[table]).forEach(([key, row]) => {
+          if (row.project_id === projectId) delete state[table][key];
+        });
+      });
+      ['deletion_tombstones', 'node_revisions', 'checkpoints', 'agent_changes'].forEach((table) => {
+        state[table] = state[table].filter((row) => row.project_id !== projectId);
+      });
+      state.project_branches = state.project_branches.filter(
+        (branch) => branch.project_id !== projectId && branch.parent_project_id !== projectId
+      );
+      const before = state.projects.length;
+      state.projects = state.projects.filter((project) => project.id !== projectId);
+      return state.projects.length < before;
+    },
+    async createProjectBranch({ projectId, parentProjectId, baseCheckpointId }) {
+      state.project_branches.push({
+        project_id: projectId,
+        parent_project_id: parentProjectId,
+        base_checkpoint_id: baseCheckpointId,
+        created_at: timestamp(),
+        merged_at: null,
+      });
+      return repository.getProjectBranch(projectId);
+    },
+    async getProjectBranch(projectId) {
+      const branch = findBranch(projectId);
+      return branch ? toBranch(branch) : null;
+    },
+    async listProjectBranches(parentProjectId) {
+      return state.project_branches
+        .filter((branch) => branch.parent_project_id === parentProjectId)
+        .sort((a, b) => (a.created_at < b.created_at ? 1 : -1))
+        .map(toBranch);
+    },
+    async recordBranchMerge(projectId, { baseCheckpointId, mergedAt = new Date() }) {
+      const branch = findBranch(projectId);
+      if (branch) {
+        branch.base_checkpoint_id = baseCheckpointId;
+        branch.merged_at = timestamp(mergedAt);
+      }
+    },
+
+    async upsertNodeVersion(node) {
+      state.node_versions[compositeKey(node.project_id, node.id)] = {
+        project_id: node.project_id,
+        node_id: node.id,
+        version_id: node.version_id,
+        last_modified: node.last_modified,
+        meta_hash: metaHash(node.meta || {}),
+        updated_at: timestamp(),
+      };
+    },
+    async deleteNodeVersion(nodeId, projectId) {
+      Object.entries(state.node_versions).forEach(([key, row]) => {
+        if (row.node_id === nodeId && (!projectId || row.project_id === projectId)) {
+          delete state.node_versions[key];
+        }
+      });
+    },
+    async deleteNodeVersionsForProject(projectId) {
+      Object.entries(state.node_versions).forEach(([key, row]) => {
+        if (row.project_id === projectId) {
+          delete state.node_versions[key];
+        }
+      });
+    },
+
+    async recordTombstones(projectId, records) {
+      const rows = records.map((record) => buildTombstone(projectId, record)).filter(Boolean);
+      rows.forEach((row) => {
+        state.deletion_tombstones.push({ id: nextId(state, 'deletion_tombstones'), ...row });
+      });
+      return rows.length;
+    },
+    async listTombstones({ projectId, since }) {
+      const after = since ? Date.parse(since) : null;
+      return state.deletion_tombstones
+        .filter((row) => row.project_id === projectId && (after === null || Date.parse(row.deleted_at) > after))
+        .sort((a, b) => Date.parse(a.deleted_at) - Date.parse(b.deleted_at) || a.id - b.id)
+        .map(toDeletedEntry);
+    },
+    async purgeTombstones(before) {
+      const cutoff = Date.parse(before);
+      const kept = state.deletion_tombstones.filter((row) => Date.parse(row.deleted_at) >= cutoff);
+      const purged = state.deletion_tombstones.length - kept.length;
+      state.deletion_tombstones = kept;
+      return purged;
+    },
+
+    async recordNodeRevision(projectId, node, { baseline = null, ...attribution } = {}) {
+      const insert = (row) => {
+        const id = nextId(state, 'node_revisions');
+        state.node_revisions.push({ id, ...row });
+        return id;
+      };
+      const hasHistory = state.node_revisions.some((row) => row.project_id === projectId && row.node_id === node.id);
+      const first = baseline && !hasHistory ? buildBaselineRevision(projectId, baseline) : null;
+      if (first) {
+        insert(first);
+      }
+      const row = buildRevision(projectId, node, attribution);
+      return row ? insert(row) : null;
+    },
+    async listNodeRevisions({ projectId, nodeId, limit = 50, cursor = null }) {
+      const safeLimit = Math.max(Number.parseInt(limit, 10) || 1, 1);
+      const before = cursor === null || cursor === undefined ? NaN : Number(cursor);
+      return state.node_revisions
+        .filter((row) => row.project_id === projectId && row.node_id === nodeId)
+        .filter((row) => Number.isNaN(before) || row.id < before)
+        .sort((a, b) => b.id - a.id)
+        .slice(0, safeLimit)
+        .map(toRevision);
+    },
+    async getNodeRevision({ projectId, nodeId, revisionId }) {
+      const row = state.node_revisions.find(
+        (candidate) =>
+          candidate.project_id === projectId && candidate.node_id === nodeId && sameId(candidate.id, revisionId)
+      );
+      return row ? toRevision(row) : null;
+    },
+
+    async createSession({ userId, projectId, activeNode = null, createdAt = null }) {
+      const session = {
+        id: nextId(state, 'sessions'),
+        user_id: userId,
+        project_id: projectId,
+        active_node: activeNode,
+        last_sync: null,
+        created_at: timestamp(createdAt),
+      };
+      state.sessions.push(session);
+      return { id: session.id, user_id: userId, project_id: projectId, active_node: activeNode };
+    },
+    async getSession(sessionId) {
+      if (!sessionId) return null;
+      const session = findSession(sessionId);
+      return session
+        ? { id: session.id, user_id: session.user_id, project_id: session.project_id, active_node: session.active_node }
+        : null;
+    },
+    async updateSession(sessionId, updates = {}) {
+      const session = findSession(sessionId);
+      const changes = ['active_node', 'last_sync'].filter((column) => updates[column] !== undefined);
+      if (!session || !changes.length) {
+        return 0;
+      }
+      changes.forEach((column) => {
+        session[column] = updates[column];
+      });
+      return 1;
+    },
+    async resetSessionsForProject(projectId) {
+      state.sessions.forEach((session) => {
+        if (session.project_id === projectId) {
+          session.active_node = null;
+          session.last_sync = null;
+        }
+      });
+    },
+
+    async insertMessage({ sessionId, nodeId = null, role, messageType, content, createdAt = null }) {
+      const session = findSession(sessionId);
+      if (!session) {
+        throw new Error(`Session ${sessionId} does not exist`);
+      }
+      const message = {
+        id: nextId(state, 'messages'),
+        session_id: session.id,
+        node_id: nodeId,
+        role,
+        message_type: messageType || 'user_reply',
+        content,
+        created_at: timestamp(createdAt),
+      };
+      state.messages.push(message);
+      return toMessage(message);
+    },
+    async fetchMessagesPage({
+      sessionId,
+      projectId,
+      nodeId,
+      limit,
+      cursor,
+      direction = 'ASC',
+      includeExtraRow = false,
+    } = {}) {
+      const safeLimit = Math.max(Number.parseInt(limit, 10) || 1, 1);
+      const ordered = filterMessages({ sessionId, projectId, nodeId, cursor, direction }).sort((a, b) =>
+        direction === 'DESC' ? b.id - a.id : a.id - b.id
+      );
+      const rows = ordered.slice(0, includeExtraRow ? safeLimit + 1 : safeLimit).map(toMessage);
+      const hasMore = includeExtraRow && rows.length > safeLimit;
+      return { sql: null, params: [], messages: hasMore ? rows.slice(0, safeLimit) : rows, hasMore };
+    },
+    async countMessages(scope = {}) {
+      return filterMessages(scope).length;
+    },
+    async fetchLastUserMessage(scope = {}) {
+      const users = filterMessages(scope).filter((message) => message.role === 'user');
+      users.sort((a, b) => b.id - a.id);
+      return users[0]?.content || '';
+    },
+    async fetchMessagesForHistory(scope = {}) {
+      const { messages } = await repository.fetchMessagesPage({ ...scope, direction: 'DESC' });
+      return messages.slice().reverse();
+    },
+    async deleteMessagesForProject(projectId) {
+      deleteForProjectSessions('messages', projectId);
+    },
+
+    async insertSummary({ sessionId, summary, createdAt = null }) {
+      const session = findSession(sessionId);
+      if (!session) {
+        throw new Error(`Session ${sessionId} does not exist`);
+      }
+      const row = {
+        id: nextId(state, 'summaries'),
+        session_id: session.id,
+        summary_json: JSON.stringify(summary),
+        created_at: timestamp(createdAt),
+      };
+      state.summaries.push(row);
+      return row.id;
+    },
+    async listSummaries({ sessionId, limit = 1 } = {}) {
+      const safeLimit = Math.max(Number.parseInt(limit, 10) || 1, 1);
+      return state.summaries
+        .filter((row) => sameId(row.session_id, sessionId))
+        .sort(newestFirst)
+        .slice(0, safeLimit)
+        .map((row) => ({
+          id: row.id,
+          session_id: row.session_id,
+          summary_json: parseSummaryPayload(row.summary_json),
+          created_at: row.created_at,
+        }));
+    },
+    async fetchLatestSummaryText({ sessionId, nodeId } = {}) {
+      if (!sessionId) {
+        return '';
+      }
+      const rows = state.summaries
+        .filter((row) => sameId(row.session_id, sessionId))
+        .sort(newestFirst)
+        .map((row) => parseSummaryPayload(row.summary_json));
+      const payload =
+        (nodeId && rows.find((summary) => Array.isArray(summary?.nodes) && summary.nodes.includes(nodeId))) ||
+        rows[0];
+      return typeof payload?.text === 'string' ? payload.text : '';
+    },
+    async deleteSummariesForProject(projectId) {
+      deleteForProjectSessions('summaries', projectId);
+    },
+
+    async insertCheckpoint({ projectId, name, json, checksum, createdAt = null }) {
+      const row = {
+        id: nextId(state, 'checkpoints'),
+        project_id: projectId,
+        name,
+        json_snapshot: json,
+        checksum,
+        created_at: timestamp(createdAt),
+      };
+      state.checkpoints.push(row);
+      return row.id;
+    },
+    async listCheckpoints(projectId) {
+      return state.checkpoints
+        .filter((row) => row.project_id === projectId)
+        .sort(newestFirst)
+        .map(({ id, project_id, name, created_at, checksum }) => ({ id, project_id, name, created_at, checksum }));
+    },
+    async getCheckpoint(checkpointId) {
+      const row = state.checkpoints.find((checkpoint) => sameId(checkpoint.id, checkpointId));
+      return row ? { ...row } : null;
+    },
+
+    async fetchWorkingHistoryForNode({ projectId, nodeId } = {}) {
+      if (!projectId || !nodeId) {
+        return null;
+      }
+      const row = state.node_working_history[compositeKey(projectId, nodeId)];
+      return row ? { ...row } : null;
+    },
+    async saveNodeWorkingHistory({ projectId, nodeId, workingHistory } = {}) {
+      const trimmedProjectId = projectId ? `${projectId}`.trim() : '';
+      const trimmedNodeId = nodeId ? `${nodeId}`.trim() : '';
+      if (!trimmedProjectId) {
+        throw new Error('projectId is required');
+      }
+      if (!trimmedNodeId) {
+        throw new Error('nodeId is required');
+      }
+      let workingHistoryText = '';
+      if (typeof workingHistory === 'string') {
+        workingHistoryText = workingHistory;
+      } else if (workingHistory !== undefined && workingHistory !== null) {
+        workingHistoryText = JSON.stringify(workingHistory) || '';
+      }
+      state.node_working_history[compositeKey(trimmedProjectId, trimmedNodeId)] = {
+        project_id: trimmedProjectId,
+        node_id: trimmedNodeId,
+        working_history: workingHistoryText,
+        updated_at: timestamp(),
+      };
+      return { projectId: trimmedProjectId, nodeId: trimmedNodeId, workingHistory: workingHistoryText };
+    },
+
+    async fetchWorkingMemoryParts(scopes = []) {
+      return Object.values(state.working_memory_parts)
+        .filter((row) => scopes.some((scope) => matchesPartScope(row, scope)))
+        .map((row) => ({ ...row }));
+    },
+    async upsertWorkingMemoryPart({ sessionId, projectId, nodeId, part, payload }) {
+      const row = {
+        session_id: sessionId || '',
+        project_id: projectId,
+        node_id: nodeId || '',
+        part,
+        payload,
+        updated_at: timestamp(),
+      };
+      state.working_memory_parts[compositeKey(row.session_id, row.project_id, row.node_id, part)] = row;
+    },
+    async deleteFallbackWorkingMemoryParts({ projectId, nodeId, parts }) {
+      Object.entries(state.working_memory_parts).forEach(([key, row]) => {
+        if (
+          row.session_id === '' &&
+          row.project_id === projectId &&
+          row.node_id === nodeId &&
+          parts.includes(row.part)
+        ) {
+          delete state.working_memory_parts[key];
+        }
+      });
+    },
+
+    async listPromptTemplates(projectId) {
+      return Object.values(state.prompt_templates)
+        .filter((row) => row.project_id === projectId)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((row) => ({ ...row, arguments: row.arguments.map((argument) => ({ ...argument })) }));
+    },
+    async upsertPromptTemplate({ projectId, name, title, description, arguments: args = [], template }) {
+      const row = {
+        project_id: projectId,
+        name,
+        title,
+        description,
+        arguments: args.map((argument) => ({ ...argument })),
+        template,
+        updated_at: timestamp(),
+      };
+      state.prompt_templates[compositeKey(projectId, name)] = row;
+      return { ...row, arguments: row.arguments.map((argument) => ({ ...argument })) };
+    },
+    async deletePromptTemplate(projectId, name) {
+      const key = compositeKey(projectId, name);
+      const existed = Boolean(state.prompt_templates[key]);
+      delete state.prompt_templates[key];
+      return existed;
+    },
+
+    async insertAgentChange(change) {
+      const { projectId, sessionId = null, nodeId = null, tool, summary, status, operations, inverse = null } = change;
+      const row = {
+        id: nextId(state, 'agent_changes'),
+        project_id: projectId,
+        session_id: sessionId === null || sessionId === undefined ? null : Number(sessionId),
+        node_id: nodeId || null,
+        tool,
+        summary,
+        status,
+        operations,
+        inverse,
+        created_at: timestamp(),
+        decided_at: null,
+        decided_by: null,
+      };
+      state.agent_changes.push(row);
+      return cloneState(row);
+    },
+    async getAgentChange(changeId) {
+      const row = state.agent_changes.find((change) => sameId(change.id, changeId));
+      return row ? cloneState(row) : null;
+    },
+    async listAgentChanges({ projectId, sessionId, statuses, limit = 100 } = {}) {
+      return state.agent_changes
+        .filter(
+          (row) =>
+            row.project_id === projectId &&
+            (sessionId === undefined || sessionId === null || sameId(row.session_id, sessionId)) &&
+            (!statuses || statuses.includes(row.status))
+        )
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(cloneState);
+    },
+    // Moves a change on from `fromStatus`; null when it was no longer there.
+    async updateAgentChange(changeId, { fromStatus, status, inverse, decidedBy = null, decidedBefore = null }) {
+      const row = state.agent_changes.find((change) => sameId(change.id, changeId));
+      if (!row || row.status !== fromStatus) {
+        return null;
+      }
+      if (decidedBefore && !(new Date(row.decided_at) < decidedBefore)) {
+        return null;
+      }
+      row.status = status;
+      if (inverse !== undefined) row.inverse = inverse;
+      row.decided_at = status === 'pending' ? null : timestamp();
+      row.decided_by = status === 'pending' ? null : decidedBy;
+      return cloneState(row);
+    },
+
+    async fetchProjectArchiveRows(projectId) {
+      const sessionIds = sessionIdsForProject(projectId);
+      const bySession = (row) => sessionIds.has(row.session_id);
+      const byId = (a, b) => a.id - b.id;
+      return {
+        sessions: state.sessions
+          .filter((session) => session.project_id === projectId)
+          .sort(byId)
+          .map(({ project_id: _project, ...session }) => session),
+        messages: state.messages.filter(bySession).sort(byId).map(toMessage),
+        summaries: state.summaries
+          .filter(bySession)
+          .sort(byId)
+          .map((row) => ({ ...row, summary_json: parseSummaryPayload(row.summary_json) })),
+        checkpoints: state.checkpoints
+          .filter((row) => row.project_id === projectId)
+          .sort(byId)
+          .map(({ project_id: _project, ...checkpoint }) => checkpoint),
+        node_working_history: Object.values(state.node_working_history)
+          .filter((row) => row.project_id === projectId)
+          .sort((a, b) => (a.node_id < b.node_id ? -1 : 1))
+          .map(({ node_id, working_history, updated_at }) => ({ node_id, working_history, updated_at })),
+        working_memory_parts: Object.values(state.working_memory_parts)
+          .filter((row) => row.project_id === projectId || [...sessionIds].some((id) => sameId(id, row.session_id)))
+          .map((row) => ({ ...row })),
+      };
+    },
+  };
+
+  return repository;
+}
+
+/**
+ * In-process relational store with the same repository surface as the SQL
+ * store. When `file` is provided the tables are loaded from and written back to
+ * that JSON file after every call.
+ */
+function createMemoryRelationalStore({ file = '' } = {}) {
+  const filePath = file ? path.resolve(process.cwd(), file) : '';
+  let state = emptyState();
+  let queue = Promise.resolve();
+
+  function persist() {
+    if (!filePath) {
+      return;
+    }
+    const tmpPath = `${filePath}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(state));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function enqueue(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  const store = {
+    name: 'memory',
+
+    async init() {
+      if (filePath && fs.existsSync(filePath)) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        state = { ...emptyState(), ...(raw.trim() ? JSON.parse(raw) : {}) };
+      }
+      console.log(`Using in-memory relational store${filePath ? ` (file: ${filePath})` : ''}`);
+    },
+
+    async close() {
+      await queue;
+    },
+
+    // Plain calls behave like autocommit statements: they see and mutate the
+    // live tables, so a failure part-way keeps whatever already ran.
+    withConnection(work) {
+      return enqueue(async () => {
+        try {
+          return await work(createMemoryRepository(state));
+        } finally {
+          persist();
+        }
+      });
+    },
+
+    transaction(work) {
+      return enqueue(async () => {
+        const working = cloneState(state);
+        const result = await work(createMemoryRepository(working));
+        state = working;
+        persist();
+        return result;
+      });
+    },
+  };
+
+  return exposeRepositoryMethods(store);
+}
+
+module.exports = {
+  createMemoryRepository,
+  createMemoryRelationalStore,
+};
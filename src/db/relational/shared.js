@@ -0,0 +1,71 @@
+// Operations every relational store exposes on the repository handed to
+// `withConnection`/`transaction` and as single-shot helpers on the store itself.
+const REPOSITORY_METHODS = [
+  'ping',
+  'now',
+  'listProjects',
+  'getProject',
+  'createProject',
+  'updateProject',
+  'deleteProject',
+  'createProjectBranch',
+  'getProjectBranch',
+  'listProjectBranches',
+  'recordBranchMerge',
+  'upsertNodeVersion',
+  'deleteNodeVersion',
+  'deleteNodeVersionsForProject',
+  'recordTombstones',
+  'listTombstones',
+  'purgeTombstones',
+  'recordNodeRevision',
+  'listNodeRevisions',
+  'getNodeRevision',
+  'createSession',
+  'getSession',
+  'updateSession',
+  'resetSessionsForProject',
+  'insertMessage',
+  'fetchMessagesPage',
+  'countMessages',
+  'fetchLastUserMessage',
+  'fetchMessagesForHistory',
+  'deleteMessagesForProject',
+  'insertSummary',
+  'listSummaries',
+  'fetchLatestSummaryText',
+  'deleteSummariesForProject',
+  'insertCheckpoint',
+  'listCheckpoints',
+  'getCheckpoint',
+  'fetchWorkingHistoryForNode',
+  'saveNodeWorkingHistory',
+  'fetchWorkingMemoryParts',
+  'upsertWorkingMemoryPart',
+  'deleteFallbackWorkingMemoryParts',
+  'listPromptTemplates',
+  'upsertPromptTemplate',
+  'deletePromptTemplate',
+  'insertAgentChange',
+  'getAgentChange',
+  'listAgentChanges',
+  'updateAgentChange',
+  'fetchProjectArchiveRows',
+];
+
+function exposeRepositoryMethods(store) {
+  REPOSITORY_METHODS.forEach((name) => {
+    store[name] = (...args) => store.withConnection((db) => db[name](...args));
+  });
+  return store;
+}
+
+// Length of the `projects.name` and `checkpoints.name` columns; 191 characters
+// keeps a utf8mb4 VARCHAR within the InnoDB index limit.
+const NAME_LENGTH = 191;
+
+module.exports = {
+  NAME_LENGTH,
+  REPOSITORY_METHODS,
+  exposeRepositoryMethods,
+};
@@ -0,0 +1,151 @@
+const { queryWithLogging } = require('../../utils/mysqlLogger');
+const queries = require('../../utils/mysqlQueries');
+const nodeVersions = require('../../utils/nodeVersions');
+const tombstones = require('../../utils/tombstones');
+const nodeRevisions = require('../../utils/nodeRevisions');
+const { getSqlDialect } = require('./dialects');
+const { exposeRepositoryMethods } = require('./shared');
+
+function createSqlRepository(connection) {
+  return {
+    async ping() {
+      await queryWithLogging(connection, 'SELECT 1');
+      return 1;
+    },
+    async now() {
+      const [rows] = await queryWithLogging(connection, getSqlDialect().now());
+      return rows?.[0]?.now ?? null;
+    },
+
+    listProjects: () => queries.fetchProjects(connection),
+    getProject: (projectId) => queries.fetchProjectById(connection, projectId),
+    createProject: (project) => queries.insertProject(connection, project),
+    updateProject: (projectId, updates) => queries.updateProject(connection, projectId, updates),
+    deleteProject: (projectId) => queries.deleteProjectCascade(connection, projectId),
+    createProjectBranch: (branch) => queries.insertProjectBranch(connection, branch),
+    getProjectBranch: (projectId) => queries.fetchProjectBranch(connection, projectId),
+    listProjectBranches: (parentProjectId) => queries.fetchProjectBranches(connection, parentProjectId),
+    recordBranchMerge: (projectId, merge) => queries.updateProjectBranchMerge(connection, projectId, merge),
+
+    upsertNodeVersion: (node) => nodeVersions.upsertNodeVersion(connection, node),
+    deleteNodeVersion: (nodeId, projectId) => nodeVersions.deleteNodeVersion(connection, nodeId, projectId),
+    deleteNodeVersionsForProject: (projectId) => nodeVersions.deleteNodeVersionsForProject(connection, projectId),
+
+    recordTombstones: (projectId, records) =>
+      tombstones.insertTombstones(
+        connection,
+        records.map((record) => tombstones.buildTombstone(projectId, record)).filter(Boolean)
+      ),
+    async listTombstones(scope) {
+      const rows = await tombstones.fetchTombstones(connection, scope);
+      return rows.map(tombstones.toDeletedEntry);
+    },
+    purgeTombstones: (before) => tombstones.purgeTombstones(connection, before),
+
+    async recordNodeRevision(projectId, node, { baseline = null, ...attribution } = {}) {
+      if (baseline && !(await nodeRevisions.hasRevisions(connection, projectId, node.id))) {
+        const first = nodeRevisions.buildBaselineRevision(projectId, baseline);
+        if (first) {
+          await nodeRevisions.insertRevision(connection, first);
+        }
+      }
+      const row = nodeRevisions.buildRevision(projectId, node, attribution);
+      return row ? nodeRevisions.insertRevision(connection, row) : null;
+    },
+    async listNodeRevisions(scope) {
+      const rows = await nodeRevisions.fetchRevisions(connection, scope);
+      return rows.map(nodeRevisions.toRevision);
+    },
+    async getNodeRevision(scope) {
+      const row = await nodeRevisions.fetchRevision(connection, scope);
+      return row ? nodeRevisions.toRevision(row) : null;
+    },
+
+    createSession: (session) => queries.insertSession(connection, session),
+    getSession: (sessionId) => queries.fetchSessionById(connection, sessionId),
+    updateSession: (sessionId, updates) => queries.updateSessionById(connection, sessionId, updates),
+    resetSessionsForProject: (projectId) => queries.resetSessionsForProject(connection, projectId),
+
+    insertMessage: (message) => queries.insertMessage(connection, message),
+    fetchMessagesPage: (options) => queries.fetchMessagesPage(connection, options),
+    countMessages: (scope) => queries.countMessagesForScope(connection, scope),
+    fetchLastUserMessage: (scope) => queries.fetchLastUserMessageForScope(connection, scope),
+    fetchMessagesForHistory: (scope) => queries.fetchMessagesForHistory(connection, scope),
+    deleteMessagesForProject: (projectId) => queries.deleteMessagesForProject(connection, projectId),
+
+    insertSummary: (summary) => queries.insertSummary(connection, summary),
+    listSummaries: (options) => queries.fetchSummaries(connection, options),
+    fetchLatestSummaryText: (scope) => queries.fetchLatestSummaryText(connection, scope),
+    deleteSummariesForProject: (projectId) => queries.deleteSummariesForProject(connection, projectId),
+
+    insertCheckpoint: (checkpoint) => queries.insertCheckpoint(connection, checkpoint),
+    listCheckpoints: (projectId) => queries.fetchCheckpoints(connection, projectId),
+    getCheckpoint: (checkpointId) => queries.fetchCheckpointById(connection, checkpointId),
+
+    fetchWorkingHistoryForNode: (scope) => queries.fetchWorkingHistoryForNode(connection, scope),
+    saveNodeWorkingHistory: (record) => queries.saveNodeWorkingHistory(connection, record),
+
+    fetchWorkingMemoryParts: (scopes) => queries.fetchWorkingMemoryPartRows(connection, scopes),
+    upsertWorkingMemoryPart: (part) => queries.upsertWorkingMemoryPart(connection, part),
+    deleteFallbackWorkingMemoryParts: (scope) => queries.deleteFallbackWorkingMemoryParts(connection, scope),
+
+    listPromptTemplates: (projectId) => queries.fetchPromptTemplates(connection, projectId),
+    upsertPromptTemplate: (template) => queries.upsertPromptTemplate(connection, template),
+    deletePromptTemplate: (projectId, name) => queries.deletePromptTemplate(connection, projectId, name),
+
+    insertAgentChange: (change) => queries.insertAgentChange(connection, change),
+    getAgentChange: (changeId) => queries.fetchAgentChangeById(connection, changeId),
+    listAgentChanges: (filters) => queries.fetchAgentChanges(connection, filters),
+    updateAgentChange: (changeId, updates) => queries.updateAgentChange(connection, changeId, updates),
+
+    fetchProjectArchiveRows: (projectId) => queries.fetchProjectArchiveRows(connection, projectId),
+  };
+}
+
+/**
+ * Relational store backed by the shared mysql2 pool. The pool module is only
+ * loaded when this store is selected so other backends never open sockets.
+ */
+function createSqlRelationalStore() {
+  const { pool, initMysql, closeMysql } = require('../mysql');
+
+  const store = {
+    name: 'mysql',
+
+    init: () => initMysql(),
+    close: () => closeMysql(),
+
+    async withConnection(work) {
+      const connection = await pool.getConnection();
+      try {
+        return await work(createSqlRepository(connection));
+      } finally {
+        connection.release();
+      }
+    },
+
+    async transaction(work) {
+      const connection = await pool.getConnection();
+      try {
+        await connection.beginTransaction();
+        try {
+          const result = await work(createSqlRepository(connection));
+          await connection.commit();
+          return result;
+        } catch (error) {
+          await connection.rollback();
+          throw error;
+        }
+      } finally {
+        connection.release();
+      }
+    },
+  };
+
+  return exposeRepositoryMethods(store);
+}
+
+module.exports = {
+  createSqlRepository,
+  createSqlRelationalStore,
+};
@@ -0,0 +1,58 @@
+const config = require('../config');
+const { NAME_LENGTH } = require('./relational/shared');
+
+const RELATIONAL_STORES = {
+  mysql: () => require('./relational/sqlRelationalStore').createSqlRelationalStore(),
+  memory: () =>
+    require('./relational/memoryRelationalStore').createMemoryRelationalStore({ file: config.relational.file }),
+};
+
+function createRelationalStore(name = config.relational.store) {
+  const factory = RELATIONAL_STORES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown relational store "${name}". Expected one of: ${Object.keys(RELATIONAL_STORES).join(', ')}`
+    );
+  }
+  return factory();
+}
+
+const relationalStore = createRelationalStore();
+let tombstonePurgeTimer = null;
+
+function tombstoneCutoff(now = Date.now()) {
+  return new Date(now - config.tombstones.retentionHours * 60 * 60 * 1000).toISOString();
+}
+
+async function purgeExpiredTombstones(store = relationalStore) {
+  return store.purgeTombstones(tombstoneCutoff());
+}
+
+async function initRelationalStore() {
+  await relationalStore.init();
+  await purgeExpiredTombstones();
+  if (config.tombstones.purgeIntervalMs > 0) {
+    tombstonePurgeTimer = setInterval(() => {
+      purgeExpiredTombstones().catch((error) => console.warn('Failed to purge expired tombstones', error));
+    }, config.tombstones.purgeIntervalMs);
+    tombstonePurgeTimer.unref?.();
+  }
+}
+
+async function closeRelationalStore() {
+  if (tombstonePurgeTimer) {
+    clearInterval(tombstonePurgeTimer);
+    tombstonePurgeTimer = null;
+  }
+  await relationalStore.close();
+}
+
+module.exports = {
+  NAME_LENGTH,
+  relationalStore,
+  createRelationalStore,
+  initRelationalStore,
+  closeRelationalStore,
+  tombstoneCutoff,
+  purgeExpiredTombstones,
+};
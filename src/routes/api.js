@@ -3,27 +3,10 @@ const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
 
 const config = require('../config');
-const { getReadSession, getWriteSession } = require('../db/neo4j');
-const { pool } = require('../db/mysql');
-const {
-  extractNode,
-  newVersionMeta,
-  validateRelationshipType,
-  serialiseMeta,
-  parseMeta,
-} = require('../utils/neo4jHelpers');
-const { upsertNodeVersion, deleteNodeVersion } = require('../utils/nodeVersions');
-const { executeWithLogging, queryWithLogging } = require('../utils/mysqlLogger');
-const {
-  fetchMessagesPage,
-  countMessagesForScope,
-  fetchLastUserMessageForScope,
-  fetchMessagesForHistory,
-  fetchWorkingHistoryForNode,
-  fetchLatestSummaryText,
-  fetchSessionById,
-  saveNodeWorkingHistory,
-} = require('../utils/mysqlQueries');
+const { graphStore } = require('../db/graphStore');
+const { NAME_LENGTH, relationalStore, tombstoneCutoff } = require('../db/relationalStore');
+const { validateRelationshipType } = require('../utils/neo4jHelpers');
+const { normaliseMeta, createNodeUpdater } = require('../utils/nodeUpdates');
 const { ValidationError, validateMessagePayload } = require('../utils/validators');
 const {
   loadWorkingMemory,
@@ -36,6 +19,44 @@ const {
   sanitiseWorkingMemoryContext,
 } = require('../utils/workingMemorySchema');
 const { buildStructureFromGraph } = require('../utils/projectStructure');
+const { changeFeed, publishChange, readClientId } = require('../utils/changeFeed');
+const {
+  BatchOperationError,
+  parseBatchOperations,
+  applyGraphBatch,
+  describeBatchFailure,
+} = require('../utils/graphBatch');
+const { readRevisionAuthor, summariseRevision, diffRevisions } = require('../utils/nodeRevisions');
+const { diffGraphs } = require('../utils/graphDiff');
+const {
+  parseRestoreOptions,
+  resolveRestoreSelection,
+  planSelectiveRestore,
+  prepareForkSnapshot,
+} = require('../utils/checkpointRestore');
+const { MERGE_SIDES, planThreeWayMerge, describeMergeOperation } = require('../utils/graphMerge');
+const {
+  buildProjectArchive,
+  encodeProjectArchive,
+  readProjectArchive,
+  remapArchiveNodeIds,
+} = require('../utils/projectArchive');
+const { buildTwee } = require('../utils/twee');
+const { normaliseEdgeProps } = require('../utils/edgeProps');
+const { checkStory } = require('../utils/storyCheck');
+const { compileManuscript } = require('../utils/manuscript');
+const { buildEpub } = require('../utils/epub');
+const { buildFountain, parseFountain, planFountainImport } = require('../utils/fountain');
+const { GRAPH_FORMATS, exportGraph } = require('../utils/graphExchange');
+const { buildVault, readVault, planVaultImport } = require('../utils/markdownVault');
+const { describeLink } = require('../utils/nodeLinks');
+const { validatePromptTemplate, mergePromptTemplates } = require('../utils/promptLibrary');
+const {
+  listAgentChanges,
+  approveAgentChange,
+  rejectAgentChange,
+  undoAgentChange,
+} = require('../utils/agentChanges');
 const router = express.Router();
 
 function ensureObject(value) {
@@ -43,29 +64,6 @@ function ensureObject(value) {
   return value;
 }
 
-function normaliseMeta(meta) {
-  return ensureObject(parseMeta(meta));
-}
-
-function sanitiseMeta(meta) {
-  return serialiseMeta(normaliseMeta(meta));
-}
-
-function deepMergeMeta(baseValue, updateValue) {
-  if (Array.isArray(updateValue)) {
-    return updateValue.slice();
-  }
-  if (updateValue && typeof updateValue === 'object' && !Array.isArray(updateValue)) {
-    const source = baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue) ? baseValue : {};
-    const result = { ...source };
-    for (const key of Object.keys(updateValue)) {
-      result[key] = deepMergeMeta(source[key], updateValue[key]);
-    }
-    return result;
-  }
-  return updateValue === undefined ? baseValue : updateValue;
-}
-
 function generateCheckpointName(date = new Date()) {
   const fallback = new Date();
   const source = date instanceof Date && !Number.isNaN(date.getTime()) ? date : fallback;
@@ -96,10 +94,41 @@ function parseLimitParam(value, defaultValue, maxValue) {
   return Math.min(positive, maxValue);
 }
 
+// The version a caller edited from, taken from `If-Match` (quotes and weak
+// prefix stripped) or the body's `version_id`. Empty or `*` skips the check.
+function readExpectedVersion(req) {
+  const header = typeof req.get === 'function' ? req.get('If-Match') : '';
+  const raw = header || req.body?.version_id;
+  const value = raw === undefined || raw === null ? '' : `${raw}`.trim().replace(/^W\//, '').replace(/^"|"$/g, '');
+  return value && value !== '*' ? value : null;
+}
+
+function respondWithVersionConflict(res, kind, current) {
+  res.status(409).json({
+    error: `${kind} was modified by someone else. Reload it or resend with the current version_id.`,
+    code: 'version_conflict',
+    current,
+  });
+}
+
+// Change-feed origin and revision attribution for writes routed through a batch.
+function batchOptions(req) {
+  const { author, sessionId } = readRevisionAuthor(req);
+  return { origin: readClientId(req), author, sessionId };
+}
+
+// Single-resource routes answer a failed one-operation batch like their own errors.
+function respondWithOperationError(res, error) {
+  res.status(error.status).json({
+    error: error.message,
+    code: error.code || undefined,
+    current: error.current || undefined,
+  });
+}
+
 router.get('/config', (req, res) => {
   res.json({
     default_project_id: config.defaults.projectId,
-    version_poll_interval_ms: config.defaults.versionPollIntervalMs,
   });
 });
 
@@ -201,9 +230,8 @@ router.post('/node-working-history', async (req, res, next) => {
     }
   }
 
-  const connection = await pool.getConnection();
   try {
-    await saveNodeWorkingHistory(connection, {
+    await relationalStore.saveNodeWorkingHistory({
       projectId,
       nodeId,
       workingHistory: workingHistoryText,
@@ -215,23 +243,18 @@ router.post('/node-working-history', async (req, res, next) => {
     });
   } catch (error) {
     next(error);
-  } finally {
-    connection.release();
   }
 });
 
 router.get('/projects', async (req, res, next) => {
-  const connection = await pool.getConnection();
+  const includeArchived = `${req.query?.include_archived || ''}`.toLowerCase() === 'true';
   try {
-    const [rows] = await queryWithLogging(
-      connection,
-      'SELECT id, name, created_at FROM projects ORDER BY created_at DESC'
+    const projects = (await relationalStore.listProjects()).filter(
+      (project) => includeArchived || !project.archived_at
     );
-    res.json({ projects: rows });
+    res.json({ projects });
   } catch (error) {
     next(error);
-  } finally {
-    connection.release();
   }
 });
 
@@ -241,22 +264,15 @@ router.get('/project/:id', async (req, res, next) => {
     res.status(400).json({ error: 'id is required' });
     return;
   }
-  const connection = await pool.getConnection();
   try {
-    const [rows] = await queryWithLogging(
-      connection,
-      'SELECT id, name, created_at FROM projects WHERE id = ?',
-      [id]
-    );
-    if (!rows.length) {
+    const project = await relationalStore.getProject(id);
+    if (!project) {
       res.status(404).json({ error: 'Project not found' });
       return;
     }
-    res.json(rows[0]);
+    res.json(project);
   } catch (error) {
     next(error);
-  } finally {
-    connection.release();
   }
 });
 
@@ -276,65 +292,777 @@ router.post('/project', async (req, res, next) => {
     return;
   }
 
-  const connection = await pool.getConnection();
   try {
-    await executeWithLogging(connection, 'INSERT INTO projects (id, name) VALUES (?, ?)', [projectId, rawName]);
-    const [rows] = await queryWithLogging(
-      connection,
-      'SELECT id, name, created_at FROM projects WHERE id = ?',
-      [projectId]
-    );
-    const payload = rows[0] || { id: projectId, name: rawName };
-    res.status(201).json(payload);
+    const project = await relationalStore.createProject({ id: projectId, name: rawName });
+    if (!project) {
+      res.status(409).json({ error: 'Project with this id already exists' });
+      return;
+    }
+    res.status(201).json(project);
   } catch (error) {
-    if (error?.code === 'ER_DUP_ENTRY') {
+    next(error);
+  }
+});
+
+router.patch('/project/:id', async (req, res, next) => {
+  const { id } = req.params;
+  const body = ensureObject(req.body);
+  const updates = {};
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      res.status(400).json({ error: 'name must be a non-empty string' });
+      return;
+    }
+    updates.name = name.slice(0, NAME_LENGTH);
+  }
+  if (body.archived !== undefined) {
+    updates.archived = Boolean(body.archived);
+  }
+  if (!Object.keys(updates).length) {
+    res.status(400).json({ error: 'name or archived is required' });
+    return;
+  }
+  try {
+    const project = await relationalStore.updateProject(id, updates);
+    if (!project) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    res.json(project);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deletes the project's graph first, then every relational row scoped to it.
+router.delete('/project/:id', async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const nodesDeleted = await graphStore.deleteProject(id);
+    const existed = await relationalStore.transaction((db) => db.deleteProject(id));
+    if (!existed && !nodesDeleted) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    res.json({ deleted: true, project_id: id, nodes_deleted: nodesDeleted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/project/:id/duplicate', async (req, res, next) => {
+  const { id: sourceId } = req.params;
+  const body = ensureObject(req.body);
+  try {
+    const source = await relationalStore.getProject(sourceId);
+    if (!source) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    const target = readNewProjectBody(body, sourceId, `${source.name} (copy)`);
+    if (target.error) {
+      res.status(400).json({ error: target.error });
+      return;
+    }
+    const clone = await cloneProject(sourceId, {
+      targetId: target.id,
+      name: target.name,
+      includeWorkingHistory: body.include_working_history !== false,
+    });
+    if (!clone) {
       res.status(409).json({ error: 'Project with this id already exists' });
       return;
     }
+    res.status(201).json({ ...clone.project, working_history_copied: clone.workingHistoryCopied });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The project row and graph behind an export, or null when neither exists.
+async function loadExportSource(projectId) {
+  const project = await relationalStore.getProject(projectId);
+  const graph = await graphStore.snapshotProject(projectId);
+  if (!project && !graph.nodes.length) {
+    return null;
+  }
+  return { project: project || { id: projectId, name: projectId }, graph };
+}
+
+function sendAttachment(res, { name, extension, contentType, body }) {
+  const slug = `${name || ''}`.replace(/[^\w.-]+/g, '-').slice(0, 80) || 'project';
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${slug}${extension}"`);
+  res.send(body);
+}
+
+router.get('/project/:id/export', async (req, res, next) => {
+  const { id } = req.params;
+  const gzip = `${req.query?.format || ''}`.toLowerCase() === 'gzip';
+  try {
+    const source = await loadExportSource(id);
+    if (!source) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    const rows = await relationalStore.fetchProjectArchiveRows(id);
+    const archive = buildProjectArchive({ ...source, rows });
+    sendAttachment(res, {
+      name: archive.project.name,
+      extension: gzip ? '.storygraph.json.gz' : '.storygraph.json',
+      contentType: gzip ? 'application/gzip' : 'application/json; charset=utf-8',
+      body: encodeProjectArchive(archive, { gzip }),
+    });
+  } catch (error) {
     next(error);
-  } finally {
-    connection.release();
   }
 });
 
-async function fetchProjectGraph(projectId) {
-  const session = getWriteSession();
+// Exports the project builder's story as a Twee 3 file for Twine.
+router.get('/project/:id/export/twee', async (req, res, next) => {
+  const { id } = req.params;
+  const query = ensureObject(req.query);
   try {
-    const result = await session.run(
-      `MATCH (n:ProjectNode)
-       WHERE coalesce(n.project_id, $projectId) = $projectId
-       SET n.project_id = coalesce(n.project_id, $projectId)
-       WITH n
-       OPTIONAL MATCH (n)-[r]->(m:ProjectNode)
-       WHERE coalesce(m.project_id, $projectId) = $projectId
-       RETURN collect(DISTINCT n) AS nodes,
-              collect(DISTINCT {from: n.id, to: m.id, type: type(r), props: properties(r)}) AS edges`,
-      { projectId }
-    );
-    const record = result.records[0];
-    const nodes = (record?.get('nodes') || []).map((node) => {
-      const extracted = extractNode(node);
-      if (!extracted.project_id) {
-        extracted.project_id = projectId;
+    const source = await loadExportSource(id);
+    if (!source) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    const story = buildTwee(source.graph, {
+      title: source.project.name,
+      projectId: id,
+      storyFormat: query.story_format,
+      startId: typeof query.start === 'string' && query.start.trim() ? query.start.trim() : null,
+    });
+    sendAttachment(res, {
+      name: source.project.name,
+      extension: '.twee',
+      contentType: 'text/plain; charset=utf-8',
+      body: story.twee,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+router.get('/project/:id/export/manuscript', async (req, res, next) => {
+  const { id } = req.params;
+  const query = ensureObject(req.query);
+  try {
+    const source = await loadExportSource(id);
+    if (!source) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    const manuscript = compileManuscript(source.graph, {
+      title: source.project.name,
+      format: query.format,
+      notes: `${query.notes || ''}`.toLowerCase() === 'true',
+      appendix: `${query.appendix || ''}`.toLowerCase() !== 'false',
+    });
+    const html = manuscript.format === 'html';
+    sendAttachment(res, {
+      name: source.project.name,
+      extension: html ? '.html' : '.md',
+      contentType: html ? 'text/html; charset=utf-8' : 'text/markdown; charset=utf-8',
+      body: manuscript.body,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+router.get('/project/:id/export/epub', async (req, res, next) => {
+  const { id } = req.params;
+  const query = ensureObject(req.query);
+  try {
+    const source = await loadExportSource(id);
+    if (!source) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    const book = buildEpub(source.graph, {
+      project: source.project,
+      language: typeof query.language === 'string' ? query.language : undefined,
+      author: typeof query.author === 'string' ? query.author : '',
+      notes: `${query.notes || ''}`.toLowerCase() === 'true',
+      glossary: `${query.glossary || ''}`.toLowerCase() !== 'false',
+    });
+    sendAttachment(res, {
+      name: source.project.name,
+      extension: '.epub',
+      contentType: 'application/epub+zip',
+      body: book.buffer,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+// Exports the project builder's nodes as a Fountain screenplay, one scene per
+// leaf node, with cues taken from the linked character elements.
+router.get('/project/:id/export/fountain', async (req, res, next) => {
+  const { id } = req.params;
+  const query = ensureObject(req.query);
+  try {
+    const source = await loadExportSource(id);
+    if (!source) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    const script = buildFountain(source.graph, {
+      title: source.project.name,
+      author: typeof query.author === 'string' ? query.author : '',
+    });
+    sendAttachment(res, {
+      name: source.project.name,
+      extension: '.fountain',
+      contentType: 'text/plain; charset=utf-8',
+      body: script.fountain,
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+// Adds a Fountain script to the project: a node per section and scene and a
+// character element per speaking character, reusing characters that already
+// exist by name. Accepts the script as text/plain or as `{ fountain }` JSON.
+router.post(
+  '/project/:id/import/fountain',
+  express.text({ type: ['text/plain', 'text/x-fountain'], limit: '5mb' }),
+  async (req, res, next) => {
+    const projectId = req.params.id;
+    const body = typeof req.body === 'string' ? { fountain: req.body } : ensureObject(req.body);
+    const query = ensureObject(req.query);
+    const rawParent = body.parent_id ?? query.parent_id;
+    const parentId = typeof rawParent === 'string' && rawParent.trim() ? rawParent.trim() : null;
+    if (typeof body.fountain !== 'string' || !body.fountain.trim()) {
+      res.status(400).json({ error: 'fountain must be a non-empty string' });
+      return;
+    }
+    try {
+      const parsed = parseFountain(body.fountain);
+      const graph = await graphStore.fetchProjectGraph(projectId);
+      if (parentId && !graph.nodes.some((node) => `${node.id}` === parentId)) {
+        res.status(404).json({ error: 'Parent node not found' });
+        return;
       }
-      return extracted;
+      const structure = buildStructureFromGraph(graph.nodes, graph.edges);
+      const existingCharacters = new Map(
+        structure.elements_graph.nodes
+          .filter((node) => `${node.type}`.toLowerCase() === 'character')
+          .map((node) => [`${node.label}`.trim().toLowerCase(), node.id])
+      );
+      const plan = planFountainImport(parsed, { parentId, existingCharacters });
+      await applyGraphBatch(projectId, plan.operations, batchOptions(req));
+      res.status(201).json({
+        project_id: projectId,
+        title: parsed.title,
+        sections: plan.sections,
+        scenes: plan.scenes,
+        characters: plan.characters,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      if (error instanceof BatchOperationError) {
+        respondWithOperationError(res, error);
+        return;
+      }
+      next(error);
+    }
+  }
+);
+
+// Exports every node as a Markdown note with YAML frontmatter and wiki links,
+// zipped as a folder for note tools such as Obsidian.
+router.get('/project/:id/export/vault', async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const source = await loadExportSource(id);
+    if (!source) {
+      res.status(404).json({ error: 'Project not found' });
+      return;
+    }
+    const vault = buildVault(source.graph, { title: source.project.name });
+    sendAttachment(res, {
+      name: source.project.name,
+      extension: '.vault.zip',
+      contentType: 'application/zip',
+      body: vault.buffer,
     });
-    const edges = (record?.get('edges') || [])
-      .filter((edge) => edge && edge.from && edge.to)
-      .map((edge) => ({
-        from: edge.from,
-        to: edge.to,
-        type: edge.type || 'LINKS_TO',
-        props: edge.props || {},
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+// Adds a zipped folder of Markdown notes to the project: a node per note and a
+// relationship per resolved wiki link. Unresolved links are reported back.
+router.post(
+  '/project/:id/import/vault',
+  express.raw({
+    type: ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'],
+    limit: '50mb',
+  }),
+  async (req, res, next) => {
+    const projectId = req.params.id;
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      res.status(400).json({ error: 'Send the vault as a zip archive (Content-Type: application/zip)' });
+      return;
+    }
+    try {
+      const notes = readVault(req.body);
+      const graph = await graphStore.fetchProjectGraph(projectId);
+      const plan = planVaultImport(notes, { existingIds: new Set(graph.nodes.map((node) => `${node.id}`)) });
+      await applyGraphBatch(projectId, plan.operations, batchOptions(req));
+      res.status(201).json({
         project_id: projectId,
-      }));
-    return { nodes, edges };
-  } finally {
-    await session.close();
+        nodes: plan.nodes,
+        links: plan.links,
+        unresolved: plan.unresolved,
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      if (error instanceof BatchOperationError) {
+        respondWithOperationError(res, error);
+        return;
+      }
+      next(error);
+    }
   }
+);
+
+router.get('/project/:id/story-check', async (req, res, next) => {
+  const { id } = req.params;
+  const start = typeof req.query?.start === 'string' ? req.query.start.trim() : '';
+  try {
+    const graph = await graphStore.snapshotProject(id);
+    res.json(checkStory(graph, { startId: start || null }));
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+// Prompt templates served to MCP clients: the built-in library plus the
+// project's own templates, which can override a built-in by name.
+router.get('/project/:id/prompts', async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const stored = await relationalStore.listPromptTemplates(id);
+    res.json({ project_id: id, prompts: mergePromptTemplates(stored) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/project/:id/prompts/:name', async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const template = validatePromptTemplate(ensureObject(req.body), { name: req.params.name });
+    const saved = await relationalStore.upsertPromptTemplate({ projectId: id, ...template });
+    const prompt = mergePromptTemplates([saved]).find((entry) => entry.name === saved.name);
+    res.json({ project_id: id, prompt });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+router.delete('/project/:id/prompts/:name', async (req, res, next) => {
+  const { id, name } = req.params;
+  try {
+    const deleted = await relationalStore.deletePromptTemplate(id, name);
+    if (!deleted) {
+      res.status(404).json({ error: 'Prompt template not found' });
+      return;
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+function readDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
 }
 
-function respondWithGraph(res, payload, projectId) {
+// Writes the relational rows of `archive` into `projectId`. Sessions and
+// checkpoints get new ids from the store; messages, summaries and working
+// memory are re-pointed at the new sessions. Rows tied to a session missing
+// from the archive are skipped.
+async function importArchiveRows(db, projectId, archive) {
+  const sessionIds = {};
+  const checkpointIds = {};
+  const counts = {
+    checkpoints: 0,
+    sessions: 0,
+    messages: 0,
+    summaries: 0,
+    node_working_history: 0,
+    working_memory_parts: 0,
+  };
+
+  for (const checkpoint of archive.checkpoints) {
+    const snapshot = {
+      nodes: checkpoint.snapshot.nodes.map((node) => ({ ...node, project_id: projectId })),
+      edges: checkpoint.snapshot.edges,
+    };
+    const record = buildCheckpointRecord(projectId, checkpoint.name, snapshot);
+    const id = await db.insertCheckpoint({ ...record, createdAt: readDate(checkpoint.created_at) });
+    checkpointIds[checkpoint.id] = `${id}`;
+    counts.checkpoints += 1;
+  }
+
+  for (const session of archive.sessions) {
+    const created = await db.createSession({
+      userId: `${session.user_id || 'imported'}`.slice(0, 64),
+      projectId,
+      activeNode: session.active_node || null,
+      createdAt: readDate(session.created_at),
+    });
+    const lastSync = readDate(session.last_sync);
+    if (lastSync) {
+      await db.updateSession(created.id, { last_sync: lastSync });
+    }
+    sessionIds[session.id] = `${created.id}`;
+    counts.sessions += 1;
+  }
+
+  for (const message of archive.messages) {
+    const sessionId = sessionIds[message.session_id];
+    if (!sessionId) continue;
+    await db.insertMessage({
+      sessionId,
+      nodeId: message.node_id || null,
+      role: message.role || 'user',
+      messageType: message.message_type || 'user_reply',
+      content: message.content,
+      createdAt: readDate(message.created_at),
+    });
+    counts.messages += 1;
+  }
+
+  for (const row of archive.summaries) {
+    const sessionId = sessionIds[row.session_id];
+    if (!sessionId) continue;
+    await db.insertSummary({ sessionId, summary: row.summary ?? {}, createdAt: readDate(row.created_at) });
+    counts.summaries += 1;
+  }
+
+  for (const row of archive.node_working_history) {
+    await db.saveNodeWorkingHistory({ projectId, nodeId: row.node_id, workingHistory: row.working_history });
+    counts.node_working_history += 1;
+  }
+
+  for (const row of archive.working_memory_parts) {
+    const sessionId = row.session_id ? sessionIds[row.session_id] : '';
+    if (sessionId === undefined) continue;
+    await db.upsertWorkingMemoryPart({
+      sessionId,
+      projectId,
+      nodeId: row.node_id || '',
+      part: row.part,
+      payload: JSON.stringify(row.payload ?? null),
+    });
+    counts.working_memory_parts += 1;
+  }
+
+  return { sessionIds, checkpointIds, counts };
+}
+
+// Creates project `id` and restores `graph` into it. Returns null when the id is
+// already taken; if the restore fails the half-created project is removed again.
+async function createProjectFromGraph(id, name, graph, options = {}) {
+  const [existingProject, existingGraph] = await Promise.all([
+    relationalStore.getProject(id),
+    graphStore.fetchProjectGraph(id),
+  ]);
+  const project =
+    existingProject || existingGraph.nodes.length ? null : await relationalStore.createProject({ id, name });
+  if (!project) {
+    return null;
+  }
+  try {
+    await applyGraphBatch(id, [{ op: 'project.restore', ...graph }], options);
+  } catch (error) {
+    await graphStore.deleteProject(id);
+    await relationalStore.transaction((db) => db.deleteProject(id));
+    throw error;
+  }
+  return project;
+}
+
+// Recreates an exported project. The archive is the request body, as JSON or
+// gzipped; `project_id`, `name` and `remap_node_ids` are read from the query.
+router.post(
+  '/projects/import',
+  express.raw({ type: ['application/gzip', 'application/octet-stream'], limit: '50mb' }),
+  async (req, res, next) => {
+    const query = ensureObject(req.query);
+    let archive;
+    try {
+      archive = readProjectArchive(req.body);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      next(error);
+      return;
+    }
+    const projectId = (typeof query.project_id === 'string' ? query.project_id.trim() : '') || uuidv4();
+    const rawName = typeof query.name === 'string' ? query.name.trim() : '';
+    const name = (rawName || archive.project.name || projectId).slice(0, NAME_LENGTH);
+    if (projectId.length > 64) {
+      res.status(400).json({ error: 'project_id must be 64 characters or fewer' });
+      return;
+    }
+    const nodeIds = `${query.remap_node_ids || ''}`.toLowerCase() === 'true' ? remapArchiveNodeIds(archive) : null;
+    if (nodeIds) {
+      archive = nodeIds.archive;
+    }
+    try {
+      let imported = null;
+      const project = await createProjectFromGraph(projectId, name, archive.graph, {
+        relationalWork: async (db) => {
+          imported = await importArchiveRows(db, projectId, archive);
+        },
+      });
+      if (!project) {
+        res.status(409).json({ error: 'Project with this id already exists' });
+        return;
+      }
+      res.status(201).json({
+        project,
+        imported_from: archive.project.id,
+        counts: { nodes: archive.graph.nodes.length, edges: archive.graph.edges.length, ...imported.counts },
+        id_map: {
+          sessions: imported.sessionIds,
+          checkpoints: imported.checkpointIds,
+          nodes: nodeIds ? Object.fromEntries(nodeIds.ids) : null,
+        },
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      next(error);
+    }
+  }
+);
+
+// Branches are projects forked from a parent. The fork point is saved as a
+// checkpoint of the parent and serves as the base of the three-way merge.
+router.get('/project/:id/branches', async (req, res, next) => {
+  const { id } = req.params;
+  try {
+    const branches = await relationalStore.listProjectBranches(id);
+    res.json({ project_id: id, branches });
+  } catch (error) {
+    next(error);
+  }
+});
+
+async function copyWorkingHistory(db, fromProjectId, toProjectId, nodes) {
+  let copied = 0;
+  for (const node of nodes) {
+    const row = await db.fetchWorkingHistoryForNode({ projectId: fromProjectId, nodeId: node.id });
+    if (row?.working_history) {
+      await db.saveNodeWorkingHistory({ projectId: toProjectId, nodeId: node.id, workingHistory: row.working_history });
+      copied += 1;
+    }
+  }
+  return copied;
+}
+
+// Validates the `name` and optional `id` of a project created from `sourceId`.
+function readNewProjectBody(body, sourceId, fallbackName = '') {
+  const name = (typeof body.name === 'string' ? body.name.trim() : '') || fallbackName;
+  const id = (typeof body.id === 'string' ? body.id.trim() : '') || uuidv4();
+  if (!name) {
+    return { error: 'name is required' };
+  }
+  if (id.length > 64 || id === sourceId) {
+    return { error: 'id must be a new project id of 64 characters or fewer' };
+  }
+  return { id, name: name.slice(0, NAME_LENGTH) };
+}
+
+// Copies the graph of `sourceId` (and optionally its node working history) into
+// a new project. Returns null when `targetId` is already taken.
+async function cloneProject(sourceId, { targetId, name, includeWorkingHistory = false, relationalWork }) {
+  const snapshot = await graphStore.snapshotProject(sourceId);
+  let workingHistoryCopied = 0;
+  const project = await createProjectFromGraph(targetId, name, prepareForkSnapshot(snapshot), {
+    relationalWork: async (db) => {
+      if (includeWorkingHistory) {
+        workingHistoryCopied = await copyWorkingHistory(db, sourceId, targetId, snapshot.nodes || []);
+      }
+      if (typeof relationalWork === 'function') {
+        await relationalWork(db, snapshot);
+      }
+    },
+  });
+  return project ? { project, workingHistoryCopied } : null;
+}
+
+router.post('/project/:id/branches', async (req, res, next) => {
+  const { id: parentId } = req.params;
+  const body = ensureObject(req.body);
+  const target = readNewProjectBody(body, parentId);
+  if (target.error) {
+    res.status(400).json({ error: target.error });
+    return;
+  }
+  try {
+    let branch = null;
+    const clone = await cloneProject(parentId, {
+      targetId: target.id,
+      name: target.name,
+      includeWorkingHistory: Boolean(body.include_working_history),
+      relationalWork: async (db, snapshot) => {
+        const forkPoint = buildCheckpointRecord(parentId, `Branch point: ${target.name}`, snapshot);
+        const baseCheckpointId = await db.insertCheckpoint(forkPoint);
+        branch = await db.createProjectBranch({ projectId: target.id, parentProjectId: parentId, baseCheckpointId });
+      },
+    });
+    if (!clone) {
+      res.status(409).json({ error: 'Project with this id already exists' });
+      return;
+    }
+    res.status(201).json({
+      project: { ...clone.project, parent_project_id: parentId },
+      branch,
+      working_history_copied: clone.workingHistoryCopied,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Merges branch `:id` into its parent. `dry_run` only reports the plan;
+// conflicts must be settled through `strategy` or per-conflict `resolutions`
+// (keyed by `conflict.key`, each 'ours' for the parent or 'theirs' for the branch).
+router.post('/project/:id/merge', async (req, res, next) => {
+  const { id: branchId } = req.params;
+  const body = ensureObject(req.body);
+  if (body.strategy !== undefined && body.strategy !== null && !MERGE_SIDES.includes(body.strategy)) {
+    res.status(400).json({ error: `strategy must be one of ${MERGE_SIDES.join(', ')}` });
+    return;
+  }
+  try {
+    const branch = await relationalStore.getProjectBranch(branchId);
+    if (!branch) {
+      res.status(404).json({ error: 'Branch not found' });
+      return;
+    }
+    const forkPoint = await relationalStore.getCheckpoint(branch.base_checkpoint_id);
+    if (!forkPoint) {
+      res.status(409).json({ error: 'The branch fork-point checkpoint no longer exists' });
+      return;
+    }
+    const parentId = branch.parent_project_id;
+    const ours = await graphStore.fetchProjectGraph(parentId);
+    const theirs = await graphStore.snapshotProject(branchId);
+    const plan = planThreeWayMerge(JSON.parse(forkPoint.json_snapshot), ours, theirs, {
+      strategy: body.strategy,
+      resolutions: ensureObject(body.resolutions),
+    });
+    const report = {
+      project_id: parentId,
+      branch_id: branchId,
+      operations: plan.operations.map(describeMergeOperation),
+      conflicts: plan.conflicts,
+      dropped_edges: plan.dropped_edges,
+    };
+    if (body.dry_run) {
+      res.json({ ...report, dry_run: true, merged: false });
+      return;
+    }
+    if (plan.unresolved) {
+      res.status(409).json({ error: 'Merge has unresolved conflicts', code: 'merge_conflict', ...report, merged: false });
+      return;
+    }
+
+    // The branch as merged becomes the base for its next merge.
+    const mergeBase = buildCheckpointRecord(branchId, `Merged into ${parentId}`, theirs);
+    let baseCheckpointId = null;
+    const relationalWork = async (db) => {
+      baseCheckpointId = await db.insertCheckpoint(mergeBase);
+      await db.recordBranchMerge(branchId, { baseCheckpointId });
+    };
+    if (plan.operations.length) {
+      await applyGraphBatch(parentId, plan.operations, { ...batchOptions(req), revisionSource: 'merge', relationalWork });
+    } else {
+      await relationalStore.transaction(relationalWork);
+    }
+    res.json({ ...report, merged: true, base_checkpoint_id: baseCheckpointId });
+  } catch (error) {
+    if (error instanceof BatchOperationError) {
+      respondWithOperationError(res, error);
+      return;
+    }
+    next(error);
+  }
+});
+
+const GRAPH_FORMAT_TYPES = {
+  graphml: 'application/graphml+xml; charset=utf-8',
+  gexf: 'application/gexf+xml; charset=utf-8',
+};
+
+// `format=graphml|gexf` downloads the graph for external graph tools instead.
+function respondWithGraph(res, payload, projectId, format) {
+  const kind = `${format || 'json'}`.toLowerCase();
+  if (kind !== 'json') {
+    if (!GRAPH_FORMATS.includes(kind)) {
+      res.status(400).json({ error: `format must be one of: json, ${GRAPH_FORMATS.join(', ')}` });
+      return;
+    }
+    sendAttachment(res, {
+      name: projectId,
+      extension: `.${kind}`,
+      contentType: GRAPH_FORMAT_TYPES[kind],
+      body: exportGraph(payload, { format: kind, projectId }),
+    });
+    return;
+  }
   const structure = buildStructureFromGraph(payload.nodes, payload.edges);
   res.json({
     nodes: payload.nodes,
@@ -349,8 +1077,8 @@ function respondWithGraph(res, payload, projectId) {
 router.get('/graph', async (req, res, next) => {
   const projectId = (req.query?.project_id || config.defaults.projectId).toString();
   try {
-    const payload = await fetchProjectGraph(projectId);
-    respondWithGraph(res, payload, projectId);
+    const payload = await graphStore.fetchProjectGraph(projectId);
+    respondWithGraph(res, payload, projectId, req.query?.format);
   } catch (error) {
     next(error);
   }
@@ -360,8 +1088,8 @@ router.get('/graph/:projectId', async (req, res, next) => {
   const { projectId: rawProjectId } = req.params;
   const projectId = (rawProjectId || config.defaults.projectId).toString();
   try {
-    const payload = await fetchProjectGraph(projectId);
-    respondWithGraph(res, payload, projectId);
+    const payload = await graphStore.fetchProjectGraph(projectId);
+    respondWithGraph(res, payload, projectId, req.query?.format);
   } catch (error) {
     next(error);
   }
@@ -379,161 +1107,173 @@ router.post('/node', async (req, res, next) => {
     res.status(400).json({ error: 'label is required' });
     return;
   }
-  const nodeId = id || uuidv4();
-  const metaString = sanitiseMeta(meta);
-  const { versionId, lastModified } = newVersionMeta();
   const projectId = (projectIdInput || config.defaults.projectId).toString();
-  const session = getWriteSession();
   try {
-    const result = await session.writeTransaction((tx) =>
-      tx.run(
-        `CREATE (n:ProjectNode {id: $id, project_id: $projectId, label: $label, content: $content, meta: $meta, version_id: $versionId, last_modified: datetime($lastModified)})
-         RETURN n`,
-        { id: nodeId, projectId, label, content, meta: metaString, versionId, lastModified }
-      )
+    const [{ node }] = await applyGraphBatch(
+      projectId,
+      [{ op: 'node.create', id: id || uuidv4(), label, content, meta: normaliseMeta(meta) }],
+      batchOptions(req)
     );
-    const node = extractNode(result.records[0].get('n'));
-    const connection = await pool.getConnection();
-    try {
-      await upsertNodeVersion(connection, { ...node, project_id: projectId });
-    } finally {
-      connection.release();
-    }
     res.status(201).json(node);
+  } catch (error) {
+    if (error instanceof BatchOperationError) {
+      respondWithOperationError(res, error);
+      return;
+    }
+    next(error);
+  }
+});
+
+router.patch('/node/:id', async (req, res, next) => {
+  const { id } = req.params;
+  const body = req.body || {};
+  const projectId = (body.project_id || req.query?.project_id || config.defaults.projectId).toString();
+  const buildUpdate = createNodeUpdater(body, { expectedVersionId: readExpectedVersion(req) });
+
+  if (!buildUpdate) {
+    res.status(400).json({ error: 'No updates provided' });
+    return;
+  }
+
+  try {
+    const [{ node }] = await applyGraphBatch(projectId, [{ op: 'node.update', id, buildUpdate }], batchOptions(req));
+    res.json(node);
+  } catch (error) {
+    if (error instanceof BatchOperationError) {
+      respondWithOperationError(res, error);
+      return;
+    }
+    next(error);
+  }
+});
+
+router.delete('/node/:id', async (req, res, next) => {
+  const { id } = req.params;
+  const projectId = (req.body?.project_id || req.query?.project_id || config.defaults.projectId).toString();
+  try {
+    const deleted = await graphStore.deleteNode(projectId, id);
+    if (!deleted) {
+      res.status(404).json({ error: 'Node not found' });
+      return;
+    }
+    await relationalStore.transaction(async (db) => {
+      await db.deleteNodeVersion(id, projectId);
+      await db.recordTombstones(projectId, [{ kind: 'node', id }]);
+    });
+    publishChange(projectId, 'node.deleted', { id }, { origin: readClientId(req) });
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/node/:id/revisions', async (req, res, next) => {
+  const { id } = req.params;
+  const projectId = (req.query?.project_id || config.defaults.projectId).toString();
+  const limit = parseLimitParam(req.query?.limit, 50, 200);
+  try {
+    const revisions = await relationalStore.listNodeRevisions({
+      projectId,
+      nodeId: id,
+      limit: limit + 1,
+      cursor: req.query?.cursor ?? null,
+    });
+    const page = revisions.slice(0, limit);
+    const hasMore = revisions.length > limit;
+    res.json({
+      node_id: id,
+      project_id: projectId,
+      revisions: page.map(summariseRevision),
+      has_more: hasMore,
+      next_cursor: hasMore ? page[page.length - 1].id : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A revision by id, or the live node when `ref` is `current`.
+async function loadNodeState(projectId, nodeId, ref) {
+  if (`${ref}` === 'current') {
+    const node = await graphStore.getNode(projectId, nodeId);
+    return node
+      ? { ...node, meta: normaliseMeta(node.meta), id: 'current', created_at: node.last_modified || null }
+      : null;
+  }
+  return relationalStore.getNodeRevision({ projectId, nodeId, revisionId: ref });
+}
+
+router.get('/node/:id/revisions/diff', async (req, res, next) => {
+  const { id } = req.params;
+  const projectId = (req.query?.project_id || config.defaults.projectId).toString();
+  const fromRef = req.query?.from;
+  const toRef = req.query?.to || 'current';
+  if (!fromRef) {
+    res.status(400).json({ error: 'from is required' });
+    return;
+  }
+  try {
+    const [before, after] = await Promise.all([
+      loadNodeState(projectId, id, fromRef),
+      loadNodeState(projectId, id, toRef),
+    ]);
+    if (!before || !after) {
+      res.status(404).json({ error: 'Revision not found' });
+      return;
+    }
+    res.json({
+      node_id: id,
+      project_id: projectId,
+      from: summariseRevision(before),
+      to: summariseRevision(after),
+      changes: diffRevisions(before, after),
+    });
   } catch (error) {
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
-router.patch('/node/:id', async (req, res, next) => {
-  const { id } = req.params;
-  const { label, content, meta: metaReplace, metaUpdates, project_id: projectIdInput } = req.body || {};
-  const coreUpdates = {};
-  if (label !== undefined) coreUpdates.label = label;
-  if (content !== undefined) coreUpdates.content = content;
-
-  const hasCore = Object.keys(coreUpdates).length > 0;
-  const hasMetaReplace = metaReplace !== undefined;
-  const metaReplaceObject = hasMetaReplace ? normaliseMeta(metaReplace) : null;
-  const metaUpdateObject = normaliseMeta(metaUpdates);
-  const hasMetaUpdates = !hasMetaReplace && Object.keys(metaUpdateObject).length > 0;
-
-  const projectId = (projectIdInput || req.query?.project_id || config.defaults.projectId).toString();
-
-  if (!hasCore && !hasMetaReplace && !hasMetaUpdates) {
-    res.status(400).json({ error: 'No updates provided' });
-    return;
-  }
-
-  const { versionId, lastModified } = newVersionMeta();
-  const session = getWriteSession();
+router.get('/node/:id/revisions/:revisionId', async (req, res, next) => {
+  const { id, revisionId } = req.params;
+  const projectId = (req.query?.project_id || config.defaults.projectId).toString();
   try {
-    const result = await session.writeTransaction(async (tx) => {
-      const existingResult = await tx.run(
-        `MATCH (n:ProjectNode {id: $id})
-         WHERE coalesce(n.project_id, $projectId) = $projectId
-         RETURN n`,
-        { id, projectId }
-      );
-      if (existingResult.records.length === 0) {
-        return { notFound: true };
-      }
-      const existingNode = extractNode(existingResult.records[0].get('n'));
-      const queryParts = [
-        'MATCH (n:ProjectNode {id: $id})',
-        'WHERE coalesce(n.project_id, $projectId) = $projectId',
-        'SET n.project_id = $projectId',
-      ];
-      const params = {
-        id,
-        projectId,
-        lastModified,
-        versionId,
-      };
-      if (hasCore) {
-        params.core = coreUpdates;
-        queryParts.push('SET n += $core');
-      }
-      if (hasMetaReplace || hasMetaUpdates) {
-        const existingMeta = normaliseMeta(existingNode.meta);
-        if (hasMetaReplace) {
-          const incoming = metaReplaceObject || {};
-          const hadProject = Object.prototype.hasOwnProperty.call(existingMeta, 'projectData');
-          const hadElement = Object.prototype.hasOwnProperty.call(existingMeta, 'elementData');
-          const dropsProject = hadProject && !Object.prototype.hasOwnProperty.call(incoming, 'projectData');
-          const dropsElement = hadElement && !Object.prototype.hasOwnProperty.call(incoming, 'elementData');
-          if (dropsProject || dropsElement) {
-            return { conflict: true };
-          }
-        }
-        const mergedMeta = hasMetaReplace ? { ...metaReplaceObject } : deepMergeMeta(existingMeta, metaUpdateObject);
-        params.meta = sanitiseMeta(mergedMeta);
-        queryParts.push('SET n.meta = $meta');
-      }
-      queryParts.push('SET n.last_modified = datetime($lastModified), n.version_id = $versionId');
-      queryParts.push('RETURN n');
-      const updateResult = await tx.run(queryParts.join('\n'), params);
-      return { updateResult };
-    });
-    if (result?.conflict) {
-      res.status(409).json({ error: 'Refusing meta replace that would drop other builder data. Use metaUpdates.' });
+    const revision = await relationalStore.getNodeRevision({ projectId, nodeId: id, revisionId });
+    if (!revision) {
+      res.status(404).json({ error: 'Revision not found' });
       return;
     }
-    if (!result || result.notFound || !result.updateResult || result.updateResult.records.length === 0) {
-      res.status(404).json({ error: 'Node not found' });
-      return;
-    }
-    const node = extractNode(result.updateResult.records[0].get('n'));
-    const connection = await pool.getConnection();
-    try {
-      await upsertNodeVersion(connection, { ...node, project_id: projectId });
-    } finally {
-      connection.release();
-    }
-    res.json(node);
+    res.json(revision);
   } catch (error) {
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
-router.delete('/node/:id', async (req, res, next) => {
-  const { id } = req.params;
+// Puts a node's label, content and meta back to a revision. The revert is
+// itself recorded as a new revision, so it can be undone the same way.
+router.post('/node/:id/revisions/:revisionId/revert', async (req, res, next) => {
+  const { id, revisionId } = req.params;
   const projectId = (req.body?.project_id || req.query?.project_id || config.defaults.projectId).toString();
-  const session = getWriteSession();
   try {
-    const result = await session.writeTransaction((tx) =>
-      tx.run(
-        `MATCH (n:ProjectNode {id: $id})
-         WHERE coalesce(n.project_id, $projectId) = $projectId
-         WITH n
-         DETACH DELETE n
-         RETURN count(n) AS deleted`,
-        {
-          id,
-          projectId,
-        }
-      )
-    );
-    const deleted = result.records[0].get('deleted');
-    if (!deleted) {
-      res.status(404).json({ error: 'Node not found' });
+    const revision = await relationalStore.getNodeRevision({ projectId, nodeId: id, revisionId });
+    if (!revision) {
+      res.status(404).json({ error: 'Revision not found' });
       return;
     }
-    const connection = await pool.getConnection();
-    try {
-      await deleteNodeVersion(connection, id, projectId);
-    } finally {
-      connection.release();
-    }
-    res.status(204).end();
+    const buildUpdate = createNodeUpdater(
+      { label: revision.label, content: revision.content, meta: revision.meta },
+      { expectedVersionId: readExpectedVersion(req) }
+    );
+    const [{ node }] = await applyGraphBatch(projectId, [{ op: 'node.update', id, buildUpdate }], {
+      ...batchOptions(req),
+      revisionSource: 'revert',
+    });
+    res.json({ node, reverted_to: revision.id });
   } catch (error) {
+    if (error instanceof BatchOperationError) {
+      respondWithOperationError(res, error);
+      return;
+    }
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
@@ -543,32 +1283,27 @@ router.post('/edge', async (req, res, next) => {
     res.status(400).json({ error: 'from and to are required' });
     return;
   }
-  const relationshipType = validateRelationshipType(type);
   const projectId = (projectIdInput || config.defaults.projectId).toString();
-  const session = getWriteSession();
   try {
-    const result = await session.writeTransaction((tx) =>
-      tx.run(
-        `MATCH (a:ProjectNode {id: $from}), (b:ProjectNode {id: $to})
-         WHERE coalesce(a.project_id, $projectId) = $projectId AND coalesce(b.project_id, $projectId) = $projectId
-         SET a.project_id = coalesce(a.project_id, $projectId)
-         SET b.project_id = coalesce(b.project_id, $projectId)
-         CREATE (a)-[r:${relationshipType}]->(b)
-         SET r += $props
-         RETURN {from: a.id, to: b.id, type: type(r), props: properties(r), project_id: $projectId} AS edge`,
-        { from, to, props: ensureObject(props), projectId }
-      )
-    );
-    if (result.records.length === 0) {
+    const relationshipType = validateRelationshipType(type);
+    const edge = await graphStore.createEdge(projectId, {
+      from,
+      to,
+      type: relationshipType,
+      props: normaliseEdgeProps(props),
+    });
+    if (!edge) {
       res.status(404).json({ error: 'Nodes not found' });
       return;
     }
-    const edge = result.records[0].get('edge');
+    publishChange(projectId, 'edge.created', { edge }, { origin: readClientId(req) });
     res.status(201).json(edge);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
@@ -578,30 +1313,23 @@ router.delete('/edge', async (req, res, next) => {
     res.status(400).json({ error: 'from and to are required' });
     return;
   }
-  const relationshipType = validateRelationshipType(type);
   const projectId = (projectIdInput || config.defaults.projectId).toString();
-  const session = getWriteSession();
   try {
-    const result = await session.writeTransaction((tx) =>
-      tx.run(
-        `MATCH (a:ProjectNode {id: $from})-[r:${relationshipType}]->(b:ProjectNode {id: $to})
-         WHERE coalesce(a.project_id, $projectId) = $projectId AND coalesce(b.project_id, $projectId) = $projectId
-         WITH r
-         DELETE r
-         RETURN count(*) AS deleted`,
-        { from, to, projectId }
-      )
-    );
-    const deleted = result.records[0].get('deleted');
+    const relationshipType = validateRelationshipType(type);
+    const deleted = await graphStore.deleteEdge(projectId, { from, to, type: relationshipType });
     if (!deleted) {
       res.status(404).json({ error: 'Edge not found' });
       return;
     }
+    await relationalStore.recordTombstones(projectId, [{ kind: 'edge', from, to, type: relationshipType }]);
+    publishChange(projectId, 'edge.deleted', { edge: { from, to, type: relationshipType } }, { origin: readClientId(req) });
     res.status(204).end();
   } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
@@ -612,32 +1340,33 @@ router.patch('/edge', async (req, res, next) => {
     res.status(400).json({ error: 'from and to are required' });
     return;
   }
-  const relationshipType = validateRelationshipType(body.type);
   const projectId = (body.project_id || config.defaults.projectId).toString();
-  const props = ensureObject(body.props);
-  const session = getWriteSession();
   try {
-    const result = await session.writeTransaction((tx) =>
-      tx.run(
-        `MATCH (a:ProjectNode {id: $from})-[r:${relationshipType}]->(b:ProjectNode {id: $to})
-         WHERE coalesce(a.project_id, $projectId) = $projectId AND coalesce(b.project_id, $projectId) = $projectId
-         SET a.project_id = coalesce(a.project_id, $projectId)
-         SET b.project_id = coalesce(b.project_id, $projectId)
-         SET r = $props
-         RETURN {from: a.id, to: b.id, type: type(r), props: properties(r), project_id: $projectId} AS edge`,
-        { from, to, projectId, props }
-      )
-    );
-    if (result.records.length === 0) {
+    const relationshipType = validateRelationshipType(body.type);
+    const props = normaliseEdgeProps(body.props);
+    const result = await graphStore.updateEdge(projectId, {
+      from,
+      to,
+      type: relationshipType,
+      props,
+      expectedVersionId: readExpectedVersion(req),
+    });
+    if (result.rejected) {
+      respondWithVersionConflict(res, 'Edge', result.current);
+      return;
+    }
+    if (!result.edge) {
       res.status(404).json({ error: 'Edge not found' });
       return;
     }
-    const edge = result.records[0].get('edge');
-    res.json(edge);
+    publishChange(projectId, 'edge.updated', { edge: result.edge }, { origin: readClientId(req) });
+    res.json(result.edge);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
@@ -647,76 +1376,30 @@ router.get('/links', async (req, res, next) => {
     res.status(400).json({ error: 'node_id is required' });
     return;
   }
-  const relationshipType = validateRelationshipType(req.query?.type);
   const projectId = (req.query?.project_id || config.defaults.projectId).toString();
-  // This query normalises `project_id` on nodes as part of the read, so it
-  // needs write access despite serving a GET route.
-  const session = getWriteSession();
   try {
-    const result = await session.run(
-      `MATCH (n:ProjectNode {id: $nodeId})
-       WHERE coalesce(n.project_id, $projectId) = $projectId
-       SET n.project_id = coalesce(n.project_id, $projectId)
-       WITH n
-       OPTIONAL MATCH (n)-[r:${relationshipType}]-(m:ProjectNode)
-       WHERE coalesce(m.project_id, $projectId) = $projectId
-       RETURN n AS node,
-              collect({
-                other: m,
-                type: type(r),
-                props: properties(r),
-                direction: CASE WHEN startNode(r).id = n.id THEN 'out' ELSE 'in' END
-              }) AS links`,
-      { nodeId, projectId }
-    );
-    if (!result.records.length) {
+    const relationshipType = validateRelationshipType(req.query?.type);
+    const result = await graphStore.getLinks(projectId, nodeId, relationshipType);
+    if (!result) {
       res.status(404).json({ error: 'Node not found' });
       return;
     }
-    const record = result.records[0];
-    const node = extractNode(record.get('node'));
-    const rawLinks = record.get('links') || [];
+    const { node } = result;
     const links = [];
     const groups = {};
-    rawLinks.forEach((entry) => {
-      const entryAccessor =
-        entry && typeof entry.get === 'function'
-          ? (key) => entry.get(key)
-          : (key) => (entry && Object.prototype.hasOwnProperty.call(entry, key) ? entry[key] : null);
-      const otherNode = entryAccessor('other');
-      if (!otherNode) {
-        return;
-      }
-      const extracted = extractNode(otherNode);
-      if (!extracted?.id) {
+    result.links.forEach((entry) => {
+      const described = describeLink(entry, { projectId, relationshipType });
+      if (!described) {
         return;
       }
-      const meta = extracted.meta || {};
-      const builder = (meta.builder || '').toLowerCase() || 'unknown';
-      let subtype = 'default';
-      if (builder === 'elements') {
-        subtype = (meta.elementType || meta.type || 'other').toLowerCase();
-      } else if (builder === 'project') {
-        subtype = 'project';
-      } else if (builder !== 'unknown') {
-        subtype = builder;
-      }
+      const { subtype, ...detail } = described;
+      const { builder } = detail;
       if (!groups[builder]) {
         groups[builder] = {};
       }
       if (!groups[builder][subtype]) {
         groups[builder][subtype] = [];
       }
-      const detail = {
-        id: extracted.id,
-        label: extracted.label || extracted.id,
-        builder,
-        element_type: builder === 'elements' ? subtype : null,
-        project_id: extracted.project_id || projectId,
-        relationship_type: entryAccessor('type') || relationshipType,
-        direction: entryAccessor('direction') || 'undirected',
-        props: ensureObject(entryAccessor('props')),
-      };
       groups[builder][subtype].push(detail);
       links.push(detail);
     });
@@ -728,9 +1411,11 @@ router.get('/links', async (req, res, next) => {
       groups,
     });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
@@ -741,33 +1426,29 @@ router.post('/link', async (req, res, next) => {
     res.status(400).json({ error: 'from and to are required' });
     return;
   }
-  const relationshipType = validateRelationshipType(body.type);
   const projectId = (body.project_id || config.defaults.projectId).toString();
   const props = ensureObject(body.props);
-  const session = getWriteSession();
   const [source, target] = [from, to].sort();
   try {
-    const result = await session.writeTransaction((tx) =>
-      tx.run(
-        `MATCH (a:ProjectNode {id: $source}), (b:ProjectNode {id: $target})
-         WHERE coalesce(a.project_id, $projectId) = $projectId AND coalesce(b.project_id, $projectId) = $projectId
-         SET a.project_id = coalesce(a.project_id, $projectId)
-         SET b.project_id = coalesce(b.project_id, $projectId)
-         MERGE (a)-[r:${relationshipType}]-(b)
-         SET r += $props
-         RETURN {from: a.id, to: b.id, type: type(r), props: properties(r), project_id: $projectId} AS link`,
-        { source, target, props, projectId }
-      )
-    );
-    if (!result.records.length) {
+    const relationshipType = validateRelationshipType(body.type);
+    const link = await graphStore.mergeLink(projectId, {
+      from: source,
+      to: target,
+      type: relationshipType,
+      props,
+    });
+    if (!link) {
       res.status(404).json({ error: 'Nodes not found' });
       return;
     }
-    res.status(201).json(result.records[0].get('link'));
+    publishChange(projectId, 'link.created', { link }, { origin: readClientId(req) });
+    res.status(201).json(link);
   } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
@@ -778,61 +1459,179 @@ router.delete('/link', async (req, res, next) => {
     res.status(400).json({ error: 'from and to are required' });
     return;
   }
-  const relationshipType = validateRelationshipType(body.type);
   const projectId = (body.project_id || config.defaults.projectId).toString();
-  const session = getWriteSession();
   const [source, target] = [from, to].sort();
   try {
-    const result = await session.writeTransaction((tx) =>
-      tx.run(
-        `MATCH (a:ProjectNode {id: $source})-[r:${relationshipType}]-(b:ProjectNode {id: $target})
-         WHERE coalesce(a.project_id, $projectId) = $projectId AND coalesce(b.project_id, $projectId) = $projectId
-         WITH r
-         DELETE r
-         RETURN count(*) AS deleted`,
-        { source, target, projectId }
-      )
-    );
-    const deleted = result.records[0].get('deleted');
+    const relationshipType = validateRelationshipType(body.type);
+    const deleted = await graphStore.deleteLink(projectId, {
+      from: source,
+      to: target,
+      type: relationshipType,
+    });
     if (!deleted) {
       res.status(404).json({ error: 'Link not found' });
       return;
     }
+    await relationalStore.recordTombstones(projectId, [
+      { kind: 'link', from: source, to: target, type: relationshipType },
+    ]);
+    publishChange(
+      projectId,
+      'link.deleted',
+      { link: { from: source, to: target, type: relationshipType } },
+      { origin: readClientId(req) }
+    );
     res.status(204).end();
   } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+// Applies an ordered list of node/edge/link operations atomically. A failing
+// operation rolls back the whole batch and is reported with its index.
+router.post('/batch', async (req, res, next) => {
+  const body = ensureObject(req.body);
+  const projectId = (body.project_id || config.defaults.projectId).toString();
+  let operations;
+  try {
+    operations = parseBatchOperations(body.operations);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+    return;
+  }
+  try {
+    const results = await applyGraphBatch(projectId, operations, batchOptions(req));
+    res.json({
+      project_id: projectId,
+      results: results.map((result) => ({ ...result, status: 'applied' })),
+    });
+  } catch (error) {
+    if (error instanceof BatchOperationError) {
+      res.status(error.status).json({
+        error: error.message,
+        code: error.code || undefined,
+        current: error.current || undefined,
+        failed_index: error.index,
+        results: describeBatchFailure(operations, error.index),
+      });
+      return;
+    }
+    next(error);
+  }
+});
+
+// Graph changes made or proposed by MCP agents. `node_id` narrows the list to
+// changes that touch a node, as the discussion card shows them.
+router.get('/agent-changes', async (req, res, next) => {
+  const projectId = (req.query?.project_id || config.defaults.projectId).toString();
+  try {
+    const changes = await listAgentChanges(projectId, {
+      nodeId: req.query.node_id || null,
+      status: req.query.status || null,
+      sessionId: req.query.session_id || null,
+      limit: parseLimitParam(req.query.limit, 50, 200),
+    });
+    res.json({ project_id: projectId, changes });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
+    next(error);
+  }
+});
+
+const AGENT_CHANGE_ACTIONS = {
+  approve: approveAgentChange,
+  reject: rejectAgentChange,
+  undo: undoAgentChange,
+};
+
+// Approving or undoing writes the graph, so a node that moved on meanwhile
+// answers 409 with the current node as other version conflicts do. The events
+// carry no origin: the deciding tab has not applied the change itself.
+router.post('/agent-changes/:id/:action(approve|reject|undo)', async (req, res, next) => {
+  const projectId = (req.body?.project_id || req.query?.project_id || config.defaults.projectId).toString();
+  const { author } = readRevisionAuthor(req);
+  try {
+    const change = await AGENT_CHANGE_ACTIONS[req.params.action](projectId, req.params.id, { decidedBy: author });
+    res.json({ project_id: projectId, change });
+  } catch (error) {
+    if (error instanceof BatchOperationError) {
+      respondWithOperationError(res, error);
+      return;
+    }
+    if (error instanceof ValidationError) {
+      res.status(error.status).json({ error: error.message });
+      return;
+    }
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
+// Nodes changed since `since` plus tombstones for nodes, edges and links
+// deleted since then. Tombstones only live for the retention window, so a
+// `since` older than `retention_cutoff` is answered with `resync: true`.
 router.get('/versions/check', async (req, res, next) => {
   const { since } = req.query;
   const projectId = (req.query?.project_id || config.defaults.projectId).toString();
-  const session = getReadSession();
+  const retentionCutoff = tombstoneCutoff();
   try {
-    const query = since
-      ? `MATCH (n:ProjectNode)
-         WHERE coalesce(n.project_id, $projectId) = $projectId AND n.last_modified > datetime($since)
-         RETURN n.id AS node_id, n.version_id AS version_id, n.last_modified AS last_modified`
-      : `MATCH (n:ProjectNode)
-         WHERE coalesce(n.project_id, $projectId) = $projectId
-         RETURN n.id AS node_id, n.version_id AS version_id, n.last_modified AS last_modified`;
-    const params = since ? { since, projectId } : { projectId };
-    const result = await session.run(query, params);
-    const versions = result.records.map((record) => ({
-      node_id: record.get('node_id'),
-      version_id: record.get('version_id'),
-      last_modified: record.get('last_modified')?.toString?.() || record.get('last_modified'),
-    }));
-    res.json({ versions });
+    const versions = await graphStore.listVersions(projectId, since);
+    const deleted = (await relationalStore.listTombstones({ projectId, since })).filter(
+      (entry) => Date.parse(entry.deleted_at) >= Date.parse(retentionCutoff)
+    );
+    res.json({
+      versions,
+      deleted,
+      retention_cutoff: retentionCutoff,
+      resync: Boolean(since) && Date.parse(since) < Date.parse(retentionCutoff),
+    });
   } catch (error) {
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Server-sent change feed for one project. Reconnecting clients send
+// `Last-Event-ID`; when the gap can no longer be replayed they get a `resync`
+// event and should reload the graph.
+router.get('/events', (req, res) => {
+  const projectId = (req.query?.project_id || config.defaults.projectId).toString();
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders?.();
+  res.write('retry: 3000\n\n');
+
+  const lastEventId = req.get('Last-Event-ID') || req.query?.last_event_id;
+  if (lastEventId) {
+    const missed = changeFeed.replay(projectId, lastEventId);
+    if (missed === null) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ project_id: projectId })}\n\n`);
+    } else {
+      missed.forEach((event) => writeEvent(res, event));
+    }
+  }
+
+  const unsubscribe = changeFeed.subscribe(projectId, (event) => writeEvent(res, event));
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.changeFeed.heartbeatMs);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
 router.post('/messages', async (req, res, next) => {
   const allowedRoles = ['user', 'reflector', 'planner', 'doer', 'tool_result'];
   const allowedMessageTypes = ['user_reply', 'inner_process', 'assistant_reply', 'system_notice', 'tool_result'];
@@ -853,36 +1652,22 @@ router.post('/messages', async (req, res, next) => {
   }
 
   const { sessionId, nodeId, role, content: trimmedContent, messageType } = payload;
-  const createdAt = new Date();
-  const connection = await pool.getConnection();
   try {
-    const insertSql =
-      'INSERT INTO messages (session_id, node_id, role, message_type, content, created_at) VALUES (?, ?, ?, ?, ?, ?)';
-    const insertParams = [sessionId, nodeId, role, messageType, trimmedContent, createdAt];
-    console.log('Executing query', insertSql, insertParams);
-    const [result] = await executeWithLogging(connection, insertSql, insertParams);
-    const insertedId = result.insertId;
-    const selectSql =
-      'SELECT id, session_id, node_id, role, content, message_type, created_at FROM messages WHERE id = ?';
-    const selectParams = [insertedId];
-    console.log('Executing query', selectSql, selectParams);
-    const [rows] = await executeWithLogging(connection, selectSql, selectParams);
-    const saved = rows && rows.length ? rows[0] : null;
-    res.status(201).json(
-      saved || {
-        id: insertedId,
-        session_id: sessionId,
-        node_id: nodeId,
-        role,
-        content: trimmedContent,
-        message_type: messageType,
-        created_at: createdAt.toISOString(),
-      }
-    );
+    const saved = await relationalStore.insertMessage({
+      sessionId,
+      nodeId,
+      role,
+      messageType,
+      content: trimmedContent,
+      createdAt: new Date(),
+    });
+    const session = await relationalStore.getSession(sessionId);
+    if (session?.project_id) {
+      publishChange(session.project_id, 'message.created', { message: saved }, { origin: readClientId(req) });
+    }
+    res.status(201).json(saved);
   } catch (error) {
     next(error);
-  } finally {
-    connection.release();
   }
 });
 
@@ -909,9 +1694,8 @@ router.get('/messages', async (req, res, next) => {
 
     const limit = parseLimitParam(req.query?.limit, 100, 500);
     const cursor = req.query?.cursor ? Number(req.query.cursor) : null;
-    const connection = await pool.getConnection();
-    try {
-      const page = await fetchMessagesPage(connection, {
+    await relationalStore.withConnection(async (db) => {
+      const page = await db.fetchMessagesPage({
         sessionId,
         projectId: sessionId ? null : projectId,
         nodeId,
@@ -920,18 +1704,20 @@ router.get('/messages', async (req, res, next) => {
         direction: 'ASC',
         includeExtraRow: true,
       });
-      console.log('[GET /api/messages]', {
-        sql: page.sql,
-        params: page.params,
-        placeholders: (page.sql.match(/\?/g) || []).length,
-      });
+      if (page.sql) {
+        console.log('[GET /api/messages]', {
+          sql: page.sql,
+          params: page.params,
+          placeholders: (page.sql.match(/\?/g) || []).length,
+        });
+      }
 
       const messages = page.messages;
       const hasMore = page.hasMore;
       const nextCursor = messages.length ? String(messages[messages.length - 1].id) : null;
       const scopeProjectId = sessionId ? null : projectId;
-      const totalCount = await countMessagesForScope(connection, { sessionId, projectId: scopeProjectId, nodeId });
-      const lastUserMessage = await fetchLastUserMessageForScope(connection, {
+      const totalCount = await db.countMessages({ sessionId, projectId: scopeProjectId, nodeId });
+      const lastUserMessage = await db.fetchLastUserMessage({
         sessionId,
         projectId: scopeProjectId,
         nodeId,
@@ -944,9 +1730,7 @@ router.get('/messages', async (req, res, next) => {
         next_cursor: nextCursor,
         last_user_message: lastUserMessage,
       });
-    } finally {
-      connection.release();
-    }
+    });
   } catch (error) {
     next(error);
   }
@@ -967,82 +1751,81 @@ router.get('/working-memory/context', async (req, res, next) => {
     MAX_HISTORY_LENGTH
   );
 
-  const connection = await pool.getConnection();
   try {
-    let projectId = providedProjectId;
-    let workingNodeId = nodeId;
-
-    if (sessionId) {
-      const sessionRecord = await fetchSessionById(connection, sessionId);
-      projectId = projectId || sessionRecord?.project_id || '';
-      if (!projectId) {
-        projectId = config.defaults.projectId;
-      }
-      const activeNodeId = sessionRecord?.active_node ? String(sessionRecord.active_node).trim() : '';
-      if (!workingNodeId && activeNodeId) {
-        workingNodeId = activeNodeId;
-      }
-    } else {
-      projectId = projectId || config.defaults.projectId;
-      if (!projectId || !workingNodeId) {
-        res.status(400).json({ error: 'project_id and node_id are required when session_id is missing' });
-        return;
+    await relationalStore.withConnection(async (db) => {
+      let projectId = providedProjectId;
+      let workingNodeId = nodeId;
+
+      if (sessionId) {
+        const sessionRecord = await db.getSession(sessionId);
+        projectId = projectId || sessionRecord?.project_id || '';
+        if (!projectId) {
+          projectId = config.defaults.projectId;
+        }
+        const activeNodeId = sessionRecord?.active_node ? String(sessionRecord.active_node).trim() : '';
+        if (!workingNodeId && activeNodeId) {
+          workingNodeId = activeNodeId;
+        }
+      } else {
+        projectId = projectId || config.defaults.projectId;
+        if (!projectId || !workingNodeId) {
+          res.status(400).json({ error: 'project_id and node_id are required when session_id is missing' });
+          return;
+        }
       }
-    }
-
-    const messageScopeProjectId = sessionId ? null : projectId;
 
-    const messages = await fetchMessagesForHistory(connection, {
-      sessionId,
-      projectId: messageScopeProjectId,
-      nodeId: workingNodeId,
-      limit: historyLength,
-    });
-    const totalCount = await countMessagesForScope(connection, {
-      sessionId,
-      projectId: messageScopeProjectId,
-      nodeId: workingNodeId,
-    });
-    const lastUserMessage = await fetchLastUserMessageForScope(connection, {
-      sessionId,
-      projectId: messageScopeProjectId,
-      nodeId: workingNodeId,
-    });
+      const messageScopeProjectId = sessionId ? null : projectId;
 
-    let workingHistoryRecord = null;
-    if (projectId && workingNodeId) {
-      workingHistoryRecord = await fetchWorkingHistoryForNode(connection, {
-        projectId,
+      const messages = await db.fetchMessagesForHistory({
+        sessionId,
+        projectId: messageScopeProjectId,
         nodeId: workingNodeId,
+        limit: historyLength,
       });
-    }
-    let workingHistoryText = workingHistoryRecord?.working_history || '';
-    if (!workingHistoryText && sessionId) {
-      workingHistoryText = await fetchLatestSummaryText(connection, {
+      const totalCount = await db.countMessages({
         sessionId,
-        nodeId: workingNodeId || null,
+        projectId: messageScopeProjectId,
+        nodeId: workingNodeId,
+      });
+      const lastUserMessage = await db.fetchLastUserMessage({
+        sessionId,
+        projectId: messageScopeProjectId,
+        nodeId: workingNodeId,
       });
-    }
 
-    const sanitised = sanitiseWorkingMemoryContext({
-      messages,
-      messages_meta: {
-        total_count: totalCount,
-        filtered_count: messages.length,
-        has_more: totalCount > messages.length,
-        next_cursor: null,
+      let workingHistoryRecord = null;
+      if (projectId && workingNodeId) {
+        workingHistoryRecord = await db.fetchWorkingHistoryForNode({
+          projectId,
+          nodeId: workingNodeId,
+        });
+      }
+      let workingHistoryText = workingHistoryRecord?.working_history || '';
+      if (!workingHistoryText && sessionId) {
+        workingHistoryText = await db.fetchLatestSummaryText({
+          sessionId,
+          nodeId: workingNodeId || null,
+        });
+      }
+
+      const sanitised = sanitiseWorkingMemoryContext({
+        messages,
+        messages_meta: {
+          total_count: totalCount,
+          filtered_count: messages.length,
+          has_more: totalCount > messages.length,
+          next_cursor: null,
+          last_user_message: lastUserMessage,
+        },
+        working_history: workingHistoryText,
         last_user_message: lastUserMessage,
-      },
-      working_history: workingHistoryText,
-      last_user_message: lastUserMessage,
-      historyLength,
-    });
+        historyLength,
+      });
 
-    res.json(sanitised);
+      res.json(sanitised);
+    });
   } catch (error) {
     next(error);
-  } finally {
-    connection.release();
   }
 });
 
@@ -1052,16 +1835,10 @@ router.post('/summaries/rollup', async (req, res, next) => {
     res.status(400).json({ error: 'session_id and text are required' });
     return;
   }
-  const summaryJson = JSON.stringify({ text, nodes, last_n: last_n ?? null });
+  const summary = { text, nodes, last_n: last_n ?? null };
   try {
-    const [result] = await executeWithLogging(
-      pool,
-      'INSERT INTO summaries (session_id, summary_json) VALUES (?, ?)',
-      [session_id, summaryJson]
-    );
-    const parsedSummary = JSON.parse(summaryJson);
-    let memorySummary = { summary: parsedSummary, created_at: new Date().toISOString() };
-    res.status(201).json({ id: result.insertId, session_id, summary_json: parsedSummary });
+    const id = await relationalStore.insertSummary({ sessionId: session_id, summary });
+    res.status(201).json({ id, session_id, summary_json: summary });
   } catch (error) {
     next(error);
   }
@@ -1076,184 +1853,204 @@ router.get('/summaries', async (req, res, next) => {
   const rawLimit = Number.parseInt(limit ?? 1, 10);
   const cappedLimit = parseLimitParam(rawLimit, 1, 100);
   try {
-    const [rows] = await executeWithLogging(
-      pool,
-      `SELECT * FROM summaries WHERE session_id = ? ORDER BY created_at DESC LIMIT ${cappedLimit}`,
-      [session_id]
-    );
-    const summaries = rows.map((row) => ({
-      id: row.id,
-      session_id: row.session_id,
-      summary_json: typeof row.summary_json === 'string' ? JSON.parse(row.summary_json) : row.summary_json,
-      created_at: row.created_at,
-    }));
+    const summaries = await relationalStore.listSummaries({ sessionId: session_id, limit: cappedLimit });
     res.json({ summaries });
   } catch (error) {
     next(error);
   }
 });
 
+function buildCheckpointRecord(projectId, name, snapshot) {
+  const json = JSON.stringify(snapshot);
+  const checksum = crypto.createHash('sha1').update(json).digest('hex');
+  return { projectId, name: name.slice(0, NAME_LENGTH), json, checksum };
+}
+
 router.post('/checkpoints', async (req, res, next) => {
   const body = ensureObject(req.body);
   const projectId = (body.project_id || config.defaults.projectId).toString();
   const rawName = typeof body.name === 'string' ? body.name.trim() : '';
   const generatedName = generateCheckpointName();
-  const checkpointName = (rawName || generatedName).slice(0, 255);
-  const session = getWriteSession();
+  const checkpointName = (rawName || generatedName).slice(0, NAME_LENGTH);
   try {
-    const result = await session.run(
-      `MATCH (n:ProjectNode)
-       WHERE coalesce(n.project_id, $projectId) = $projectId
-       SET n.project_id = coalesce(n.project_id, $projectId)
-       WITH n
-       OPTIONAL MATCH (n)-[r]->(m:ProjectNode)
-       WHERE coalesce(m.project_id, $projectId) = $projectId
-       RETURN collect(DISTINCT n{.*, meta: n.meta}) AS nodes,
-              collect(DISTINCT {from: n.id, to: m.id, type: type(r), props: properties(r)}) AS edges`,
-      { projectId }
-    );
-    const record = result.records[0];
-    const snapshot = {
-      nodes: (record?.get('nodes') || []).map((node) => ({
-        ...node,
-        meta: normaliseMeta(node.meta),
-        project_id: node.project_id || projectId,
-        last_modified: node.last_modified?.toString?.() || node.last_modified,
-      })),
-      edges: (record?.get('edges') || []).filter((edge) => edge && edge.from && edge.to),
-    };
-    const json = JSON.stringify(snapshot);
-    const checksum = crypto.createHash('sha1').update(json).digest('hex');
-    const [insertResult] = await executeWithLogging(
-      pool,
-      `INSERT INTO checkpoints (project_id, name, json_snapshot, checksum) VALUES (?, ?, ?, ?)` ,
-      [projectId, checkpointName, json, checksum]
-    );
+    const record = buildCheckpointRecord(projectId, checkpointName, await graphStore.snapshotProject(projectId));
+    const checkpointId = await relationalStore.insertCheckpoint(record);
     res.status(201).json({
-      id: insertResult.insertId,
+      id: checkpointId,
       project_id: projectId,
       name: checkpointName,
-      checksum,
+      checksum: record.checksum,
     });
   } catch (error) {
     next(error);
-  } finally {
-    await session.close();
   }
 });
 
 router.get('/checkpoints', async (req, res, next) => {
   const projectId = (req.query?.project_id || config.defaults.projectId).toString();
   try {
-    const [rows] = await executeWithLogging(
-      pool,
-      'SELECT id, project_id, name, created_at, checksum FROM checkpoints WHERE project_id = ? ORDER BY created_at DESC',
-      [projectId]
-    );
-    res.json({ checkpoints: rows });
+    const checkpoints = await relationalStore.listCheckpoints(projectId);
+    res.json({ checkpoints });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function describeCheckpoint(checkpoint) {
+  return { id: checkpoint.id, name: checkpoint.name, created_at: checkpoint.created_at };
+}
+
+// What restoring checkpoint `:id` would change, compared with the live graph
+// (`against=current`, the default) or with another checkpoint of the same project.
+router.get('/checkpoints/:id/diff', async (req, res, next) => {
+  const { id } = req.params;
+  const against = `${req.query?.against || 'current'}`;
+  try {
+    const checkpoint = await relationalStore.getCheckpoint(id);
+    if (!checkpoint) {
+      res.status(404).json({ error: 'Checkpoint not found' });
+      return;
+    }
+    const projectId = checkpoint.project_id;
+    let base;
+    let from = { id: 'current', name: 'Current graph' };
+    if (against === 'current') {
+      base = await graphStore.fetchProjectGraph(projectId);
+    } else {
+      const other = await relationalStore.getCheckpoint(against);
+      if (!other) {
+        res.status(404).json({ error: 'Checkpoint to compare against not found' });
+        return;
+      }
+      if (other.project_id !== projectId) {
+        res.status(400).json({ error: 'Checkpoints belong to different projects' });
+        return;
+      }
+      base = JSON.parse(other.json_snapshot);
+      from = describeCheckpoint(other);
+    }
+    const snapshot = JSON.parse(checkpoint.json_snapshot);
+    res.json({
+      project_id: projectId,
+      from,
+      to: describeCheckpoint(checkpoint),
+      ...diffGraphs(base, snapshot),
+    });
   } catch (error) {
     next(error);
   }
 });
 
+// Nodes and edges present before a restore that the snapshot does not bring
+// back. Edges of removed nodes are implied by the node tombstone.
+function listRemovedByRestore(before, restoredNodes, snapshotEdges) {
+  const restoredIds = new Set(restoredNodes.map((node) => node.id));
+  const edgeKey = (edge) => JSON.stringify([edge.from, edge.to, edge.type]);
+  const restoredEdges = new Set(snapshotEdges.map(edgeKey));
+  const removedNodes = (before.nodes || [])
+    .filter((node) => !restoredIds.has(node.id))
+    .map((node) => ({ kind: 'node', id: node.id }));
+  const removedEdges = (before.edges || [])
+    .filter((edge) => restoredIds.has(edge.from) && restoredIds.has(edge.to) && !restoredEdges.has(edgeKey(edge)))
+    .map((edge) => ({ kind: 'edge', from: edge.from, to: edge.to, type: edge.type }));
+  return [...removedNodes, ...removedEdges];
+}
+
+// Restores checkpoint `id` into a new project instead of over its own.
+async function restoreIntoFork(res, checkpoint, snapshot, options) {
+  const targetId = options.targetProjectId || uuidv4();
+  if (targetId === checkpoint.project_id) {
+    res.status(400).json({ error: 'target_project_id must differ from the checkpoint project' });
+    return;
+  }
+  const nodeIds = options.selective ? resolveRestoreSelection(options, snapshot, { nodes: [], edges: [] }) : null;
+  const source = await relationalStore.getProject(checkpoint.project_id);
+  const generated = `${source?.name || checkpoint.project_id} (fork of ${checkpoint.name})`;
+  const name = (options.targetName || generated).slice(0, NAME_LENGTH);
+  const project = await createProjectFromGraph(targetId, name, prepareForkSnapshot(snapshot, nodeIds));
+  if (!project) {
+    res.status(409).json({ error: 'Project with this id already exists' });
+    return;
+  }
+  res.status(201).json({
+    restored: true,
+    project_id: targetId,
+    project,
+    forked_from: { project_id: checkpoint.project_id, checkpoint_id: checkpoint.id },
+    node_ids: nodeIds,
+  });
+}
+
 router.post('/checkpoints/:id/restore', async (req, res, next) => {
   const { id } = req.params;
-  const connection = await pool.getConnection();
   try {
-    const [rows] = await executeWithLogging(connection, 'SELECT * FROM checkpoints WHERE id = ?', [id]);
-    if (rows.length === 0) {
+    const options = parseRestoreOptions(req.body);
+    const checkpoint = await relationalStore.getCheckpoint(id);
+    if (!checkpoint) {
       res.status(404).json({ error: 'Checkpoint not found' });
       return;
     }
-    const checkpoint = rows[0];
     const projectId = checkpoint.project_id;
     const snapshot = JSON.parse(checkpoint.json_snapshot);
-    const nodes = snapshot.nodes || [];
-    const edges = snapshot.edges || [];
-    const session = getWriteSession();
-    try {
-      await session.writeTransaction(async (tx) => {
-        await tx.run(
-          `MATCH (n:ProjectNode)
-           WHERE coalesce(n.project_id, $projectId) = $projectId
-           WITH n
-           DETACH DELETE n`,
-          { projectId }
-        );
-        for (const node of nodes) {
-          if (node.project_id && node.project_id !== projectId) continue;
-          const { versionId, lastModified } = newVersionMeta();
-          const metaData = sanitiseMeta(node.meta);
-          await tx.run(
-            `CREATE (n:ProjectNode {id: $id, project_id: $projectId, label: $label, content: $content, meta: $meta, version_id: $versionId, last_modified: datetime($lastModified)})`,
-            {
-              id: node.id,
-              projectId,
-              label: node.label || '',
-              content: node.content || '',
-              meta: metaData,
-              versionId,
-              lastModified,
-            }
-          );
-          node.version_id = versionId;
-          node.last_modified = lastModified;
-          node.project_id = projectId;
-        }
-        for (const edge of edges) {
-          if (!edge.from || !edge.to) continue;
-          const relationshipType = validateRelationshipType(edge.type);
-          await tx.run(
-            `MATCH (a:ProjectNode {id: $from}), (b:ProjectNode {id: $to})
-             WHERE coalesce(a.project_id, $projectId) = $projectId AND coalesce(b.project_id, $projectId) = $projectId
-             SET a.project_id = coalesce(a.project_id, $projectId)
-             SET b.project_id = coalesce(b.project_id, $projectId)
-             CREATE (a)-[r:${relationshipType}]->(b)
-             SET r += $props`,
-            { from: edge.from, to: edge.to, props: ensureObject(edge.props), projectId }
-          );
-        }
-      });
-    } finally {
-      await session.close();
+    if (options.fork) {
+      await restoreIntoFork(res, checkpoint, snapshot, options);
+      return;
     }
 
-    await connection.beginTransaction();
-    try {
-      await executeWithLogging(connection, 'DELETE FROM node_versions WHERE project_id = ?', [projectId]);
-      for (const node of nodes) {
-        if (node.project_id && node.project_id !== projectId) continue;
-        await upsertNodeVersion(connection, {
-          id: node.id,
-          meta: normaliseMeta(node.meta),
-          version_id: node.version_id,
-          last_modified: node.last_modified,
-          project_id: projectId,
-        });
+    const before = await graphStore.fetchProjectGraph(projectId);
+    const nodeIds = options.selective ? resolveRestoreSelection(options, snapshot, before) : null;
+    const restoreOperation = { op: 'project.restore', nodes: snapshot.nodes || [], edges: snapshot.edges || [] };
+    const operations = nodeIds ? planSelectiveRestore(snapshot, before, nodeIds) : [restoreOperation];
+    const safety = options.safetyCheckpoint
+      ? buildCheckpointRecord(projectId, `Before restoring ${checkpoint.name}`, await graphStore.snapshotProject(projectId))
+      : null;
+    let safetyCheckpointId = null;
+    const relationalWork = async (db, results) => {
+      if (safety) {
+        safetyCheckpointId = await db.insertCheckpoint(safety);
       }
-      await executeWithLogging(
-        `DELETE m FROM messages m JOIN sessions s ON m.session_id = s.id WHERE s.project_id = ?`,
-        [projectId]
-      );
-      await executeWithLogging(
-        `DELETE su FROM summaries su JOIN sessions s ON su.session_id = s.id WHERE s.project_id = ?`,
-        [projectId]
-      );
-      await executeWithLogging(
-        `UPDATE sessions SET active_node = NULL, last_sync = NULL WHERE project_id = ?`,
-        [projectId]
-      );
-      await connection.commit();
-    } catch (err) {
-      await connection.rollback();
-      throw err;
+      if (!nodeIds) {
+        await db.recordTombstones(projectId, listRemovedByRestore(before, results[0].nodes, restoreOperation.edges));
+      }
+      if (!options.keepHistory) {
+        await db.deleteMessagesForProject(projectId);
+        await db.deleteSummariesForProject(projectId);
+        await db.resetSessionsForProject(projectId);
+      }
+    };
+    if (operations.length) {
+      await applyGraphBatch(projectId, operations, {
+        ...batchOptions(req),
+        revisionSource: 'restore',
+        relationalWork,
+      });
+    } else {
+      await relationalStore.transaction((db) => relationalWork(db, []));
     }
 
-    res.json({ restored: true });
+    publishChange(
+      projectId,
+      'checkpoint.restored',
+      { checkpoint_id: checkpoint.id, name: checkpoint.name, node_ids: nodeIds, keep_history: options.keepHistory },
+      { origin: readClientId(req) }
+    );
+    res.json({
+      restored: true,
+      project_id: projectId,
+      node_ids: nodeIds,
+      keep_history: options.keepHistory,
+      safety_checkpoint: safety ? { id: safetyCheckpointId, name: safety.name } : null,
+    });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    if (error instanceof BatchOperationError) {
+      respondWithOperationError(res, error);
+      return;
+    }
     next(error);
-  } finally {
-    connection.release();
   }
 });
 
@@ -1265,12 +2062,12 @@ router.post('/sessions', async (req, res, next) => {
   }
   const projectId = projectIdInput.toString();
   try {
-    const [result] = await executeWithLogging(
-      pool,
-      `INSERT INTO sessions (user_id, project_id, active_node, last_sync) VALUES (?, ?, ?, NULL)` ,
-      [user_id, projectId, active_node]
-    );
-    res.status(201).json({ id: result.insertId, user_id, project_id: projectId, active_node });
+    const session = await relationalStore.createSession({
+      userId: user_id,
+      projectId,
+      activeNode: active_node,
+    });
+    res.status(201).json(session);
   } catch (error) {
     next(error);
   }
@@ -1279,24 +2076,13 @@ router.post('/sessions', async (req, res, next) => {
 router.patch('/sessions/:id', async (req, res, next) => {
   const { id } = req.params;
   const { active_node, last_sync } = req.body || {};
-  const updates = [];
-  const params = [];
-  if (active_node !== undefined) {
-    updates.push('active_node = ?');
-    params.push(active_node);
-  }
-  if (last_sync !== undefined) {
-    updates.push('last_sync = ?');
-    params.push(last_sync);
-  }
-  if (updates.length === 0) {
+  if (active_node === undefined && last_sync === undefined) {
     res.status(400).json({ error: 'No updates provided' });
     return;
   }
-  params.push(id);
   try {
-    const [result] = await executeWithLogging(pool, `UPDATE sessions SET ${updates.join(', ')} WHERE id = ?`, params);
-    if (result.affectedRows === 0) {
+    const affected = await relationalStore.updateSession(id, { active_node, last_sync });
+    if (affected === 0) {
       res.status(404).json({ error: 'Session not found' });
       return;
     }
@@ -1306,29 +2092,25 @@ router.patch('/sessions/:id', async (req, res, next) => {
   }
 });
 
+// `mysql` and `neo4j` keep their names for existing monitors whichever stores run.
 router.get('/health', async (req, res) => {
-  const status = { mysql: 'ok', neo4j: 'ok' };
-  let session;
+  const status = {
+    mysql: 'ok',
+    relational_store: relationalStore.name,
+    neo4j: 'ok',
+    graph_store: graphStore.name,
+  };
   try {
-    await queryWithLogging(pool, 'SELECT 1');
+    await relationalStore.ping();
   } catch (error) {
     status.mysql = 'error';
     status.error = error.message;
   }
   try {
-    session = getReadSession();
-    await session.run('RETURN 1 AS ok');
+    await graphStore.ping();
   } catch (error) {
     status.neo4j = 'error';
     status.error = status.error ? `${status.error}; ${error.message}` : error.message;
-  } finally {
-    if (session) {
-      try {
-        await session.close();
-      } catch (closeError) {
-        // Ignore close errors in health checks.
-      }
-    }
   }
   const httpStatus = status.mysql === 'ok' && status.neo4j === 'ok' ? 200 : 500;
   res.status(httpStatus).json(status);
@@ -1336,39 +2118,28 @@ router.get('/health', async (req, res) => {
 
 router.get('/debug/db', async (req, res) => {
   const payload = {
-    mysql: { ok: true },
-    neo4j: { ok: true },
+    mysql: { ok: true, store: relationalStore.name },
+    neo4j: { ok: true, store: graphStore.name },
   };
-  let session;
   try {
-    const [rows] = await queryWithLogging(pool, 'SELECT NOW() AS now');
-    payload.mysql.now = rows?.[0]?.now ?? null;
+    payload.mysql.now = await relationalStore.now();
   } catch (error) {
     payload.mysql = {
       ok: false,
+      store: relationalStore.name,
       error: error.message,
       sql: error.sql || null,
       params: error.sqlParams || null,
     };
   }
   try {
-    session = getReadSession();
-    const result = await session.run('RETURN 1 AS ok');
-    const okValue = result.records?.[0]?.get('ok');
-    payload.neo4j.okResult = typeof okValue?.toNumber === 'function' ? okValue.toNumber() : okValue;
+    payload.neo4j.okResult = await graphStore.ping();
   } catch (error) {
     payload.neo4j = {
       ok: false,
+      store: graphStore.name,
       error: error.message,
     };
-  } finally {
-    if (session) {
-      try {
-        await session.close();
-      } catch (closeError) {
-        // ignore
-      }
-    }
   }
   const statusCode = payload.mysql.ok !== false && payload.neo4j.ok !== false ? 200 : 500;
   res.status(statusCode).json(payload);
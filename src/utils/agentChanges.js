@@ -0,0 +1,425 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { graphStore } = require('../db/graphStore');
+const { relationalStore } = require('../db/relationalStore');
+const { validateRelationshipType } = require('./neo4jHelpers');
+const { ValidationError } = require('./validators');
+const { publishChange } = require('./changeFeed');
+const { normaliseMeta } = require('./nodeUpdates');
+const { normaliseEdgeProps } = require('./edgeProps');
+const { BatchOperationError, parseBatchOperations, applyGraphBatch } = require('./graphBatch');
+
+// pending → applying → applied (back to pending if applying fails) | rejected; applied → undone.
+const AGENT_CHANGE_STATUSES = ['pending', 'applying', 'applied', 'rejected', 'undone'];
+const AGENT_CHANGE_TOOLS = ['createNode', 'updateNode', 'deleteNode', 'linkNodes', 'unlinkNodes'];
+
+function ensureObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return value;
+}
+
+function quote(node) {
+  return `"${node?.label || node?.id}"`;
+}
+
+function sameEdge(edge, { from, to, type }) {
+  const edgeType = `${edge.type || 'LINKS_TO'}`.toUpperCase();
+  return `${edge.from}` === `${from}` && `${edge.to}` === `${to}` && edgeType === type;
+}
+
+async function requireNode(projectId, nodeId) {
+  const node = await graphStore.getNode(projectId, `${nodeId}`);
+  if (!node) {
+    throw new ValidationError('Node not found', 404);
+  }
+  return node;
+}
+
+// Turns a mutating tool call into the serialisable batch operations it would
+// run, checked against the graph as it is now. Node updates are pinned to the
+// version they were planned from so a stale proposal cannot be approved.
+async function planAgentChange(projectId, tool, args) {
+  const input = ensureObject(args);
+  switch (tool) {
+    case 'createNode': {
+      const { builder, label, content = '', meta = {} } = input;
+      if (!builder) throw new ValidationError('builder is required');
+      if (!label) throw new ValidationError('label is required');
+      return {
+        tool,
+        summary: `Create ${builder} node "${label}"`,
+        node_id: null,
+        operations: [{ op: 'node.create', id: uuidv4(), label, content, meta: normaliseMeta(meta) }],
+      };
+    }
+    case 'updateNode': {
+      const { node_id: nodeId, fields, version_id: versionIdRaw } = input;
+      if (!nodeId) throw new ValidationError('node_id is required');
+      const updates = ensureObject(fields);
+      const metaUpdates = ensureObject(updates.metaUpdates);
+      const operation = { op: 'node.update', id: `${nodeId}` };
+      if (updates.label !== undefined) operation.label = updates.label;
+      if (updates.content !== undefined) operation.content = updates.content;
+      if (updates.meta === undefined && !Object.keys(metaUpdates).length && Object.keys(operation).length === 2) {
+        throw new ValidationError('No updates provided');
+      }
+      const node = await requireNode(projectId, nodeId);
+      const expectedVersionId = typeof versionIdRaw === 'string' ? versionIdRaw.trim() : '';
+      if (expectedVersionId && node.version_id !== expectedVersionId) {
+        throw new BatchOperationError('Node was modified since version_id; re-read it and retry', {
+          status: 409,
+          code: 'version_conflict',
+          current: node,
+        });
+      }
+      // metaUpdates merge shallowly over the meta the change was planned from.
+      if (updates.meta !== undefined) operation.meta = normaliseMeta(updates.meta);
+      else if (Object.keys(metaUpdates).length) operation.meta = { ...normaliseMeta(node.meta), ...metaUpdates };
+      operation.version_id = node.version_id;
+      const fieldNames = ['label', 'content', 'meta'].filter((field) => operation[field] !== undefined);
+      return {
+        tool,
+        summary: `Update ${quote(node)} (${fieldNames.join(', ')})`,
+        node_id: `${node.id}`,
+        operations: [operation],
+      };
+    }
+    case 'deleteNode': {
+      if (!input.node_id) throw new ValidationError('node_id is required');
+      const node = await requireNode(projectId, input.node_id);
+      return {
+        tool,
+        summary: `Delete ${quote(node)}`,
+        node_id: `${node.id}`,
+        operations: [{ op: 'node.delete', id: `${node.id}`, version_id: node.version_id }],
+      };
+    }
+    case 'linkNodes':
+    case 'unlinkNodes': {
+      const { from_id: fromId, to_id: toId } = input;
+      if (!fromId || !toId) throw new ValidationError('from_id and to_id are required');
+      const type = validateRelationshipType(input.type);
+      const [from, to] = await Promise.all([
+        graphStore.getNode(projectId, `${fromId}`),
+        graphStore.getNode(projectId, `${toId}`),
+      ]);
+      const edge = { from: `${fromId}`, to: `${toId}`, type };
+      if (tool === 'linkNodes') {
+        const props = normaliseEdgeProps(input.props || {});
+        if (!from || !to) throw new ValidationError('Nodes not found', 404);
+        return {
+          tool,
+          summary: `Link ${quote(from)} to ${quote(to)} (${type})`,
+          node_id: edge.from,
+          operations: [{ op: 'edge.create', ...edge, props }],
+        };
+      }
+      const { edges } = await graphStore.fetchProjectGraph(projectId);
+      if (!edges.some((candidate) => sameEdge(candidate, edge))) {
+        throw new ValidationError('Edge not found', 404);
+      }
+      return {
+        tool,
+        summary: `Unlink ${quote(from)} from ${quote(to)} (${type})`,
+        node_id: edge.from,
+        operations: [{ op: 'edge.delete', ...edge }],
+      };
+    }
+    default:
+      throw new ValidationError(`${tool} does not change the graph`);
+  }
+}
+
+// Sets exactly the stored label, content and meta: undo has to be able to put
+// back meta that a later update added builder data to.
+function replaceNode({ label, content, meta, version_id: expectedVersionId }) {
+  return (existingNode) => {
+    if (expectedVersionId && existingNode.version_id !== expectedVersionId) {
+      return { rejected: 'version_conflict' };
+    }
+    const update = {};
+    const core = {};
+    if (label !== undefined) core.label = label;
+    if (content !== undefined) core.content = content;
+    if (Object.keys(core).length) update.core = core;
+    if (meta !== undefined) update.meta = normaliseMeta(meta);
+    return update;
+  };
+}
+
+function toBatchOperations(operations) {
+  return parseBatchOperations(operations).map((parsed, index) =>
+    parsed.op === 'node.update' ? { op: parsed.op, id: parsed.id, buildUpdate: replaceNode(operations[index]) } : parsed
+  );
+}
+
+// The operations that take the graph from after `operations` back to
+// `before`, plus the node versions they expect to find. Undo refuses to run
+// once a guarded node has moved on.
+function invertOperations(before, operations, results) {
+  const nodes = new Map(before.nodes.map((node) => [`${node.id}`, node]));
+  const edgeCreate = (edge) => ({
+    op: 'edge.create',
+    from: `${edge.from}`,
+    to: `${edge.to}`,
+    type: `${edge.type || 'LINKS_TO'}`.toUpperCase(),
+    props: ensureObject(edge.props),
+  });
+  const guards = [];
+  const groups = operations.map((operation, index) => {
+    const result = results[index] || {};
+    switch (operation.op) {
+      case 'node.create':
+        guards.push({ id: result.node.id, version_id: result.node.version_id });
+        return [{ op: 'node.delete', id: result.node.id }];
+      case 'node.update': {
+        const previous = nodes.get(`${operation.id}`);
+        guards.push({ id: result.node.id, version_id: result.node.version_id });
+        return [
+          {
+            op: 'node.update',
+            id: result.node.id,
+            version_id: result.node.version_id,
+            label: previous.label,
+            content: previous.content || '',
+            meta: normaliseMeta(previous.meta),
+          },
+        ];
+      }
+      case 'node.delete': {
+        const previous = nodes.get(`${operation.id}`);
+        const touching = before.edges.filter(
+          (edge) => `${edge.from}` === `${operation.id}` || `${edge.to}` === `${operation.id}`
+        );
+        const { id, label, content, meta } = previous;
+        return [{ op: 'node.create', id, label, content: content || '', meta }, ...touching.map(edgeCreate)];
+      }
+      case 'edge.create': {
+        // Creating an edge that already existed adds a duplicate, and deleting
+        // removes every copy, so the originals are put back afterwards.
+        const existing = before.edges.filter((edge) => sameEdge(edge, result.edge));
+        return [{ op: 'edge.delete', from: result.edge.from, to: result.edge.to, type: result.edge.type }].concat(
+          existing.map(edgeCreate)
+        );
+      }
+      case 'edge.delete':
+        return before.edges.filter((edge) => sameEdge(edge, result.edge)).map(edgeCreate);
+      default:
+        throw new ValidationError(`${operation.op} cannot be undone`);
+    }
+  });
+  return { operations: groups.reverse().flat(), guards };
+}
+
+// Node ids a change concerns, for matching it to a builder card.
+function changeNodeIds(change) {
+  const ids = new Set(change.node_id ? [`${change.node_id}`] : []);
+  (change.operations || []).forEach((operation) => {
+    [operation.id, operation.from, operation.to].forEach((id) => {
+      if (id !== undefined && id !== null) ids.add(`${id}`);
+    });
+  });
+  return [...ids];
+}
+
+function announce(projectId, type, change, { origin = null, source = 'api' } = {}) {
+  publishChange(projectId, type, { change: { ...change, node_ids: changeNodeIds(change) } }, { origin, source });
+}
+
+// Applies operations in one batch and records, in the same relational
+// transaction, the change row `record(db, inverse)` writes. The inverse is
+// worked out from the graph as the batch's own transaction saw it.
+async function applyRecorded(projectId, operations, record, batchOptions) {
+  let change = null;
+  const results = await applyGraphBatch(projectId, toBatchOperations(operations), {
+    ...batchOptions,
+    prepare: (tx) => tx.fetchProjectGraph(projectId),
+    relationalWork: async (db, applied, before) => {
+      change = await record(db, invertOperations(before, operations, applied));
+    },
+  });
+  return { results, change };
+}
+
+function newChange(projectId, plan, { sessionId = null, nodeId = null }, status) {
+  return {
+    projectId,
+    sessionId,
+    nodeId: plan.node_id || nodeId,
+    tool: plan.tool,
+    summary: plan.summary.slice(0, 255),
+    status,
+    operations: plan.operations,
+  };
+}
+
+// Records a planned change for a person to approve or reject.
+async function proposeAgentChange(projectId, plan, { sessionId = null, nodeId = null, origin = null } = {}) {
+  const change = await relationalStore.insertAgentChange(newChange(projectId, plan, { sessionId, nodeId }, 'pending'));
+  announce(projectId, 'agent_change.created', change, { origin, source: 'mcp' });
+  return change;
+}
+
+// Applies a planned change straight away, keeping its inverse for undo. The
+// graph events of the batch announce it.
+function applyAgentChange(projectId, plan, { sessionId = null, nodeId = null, origin = null } = {}) {
+  const row = newChange(projectId, plan, { sessionId, nodeId }, 'applied');
+  return applyRecorded(projectId, plan.operations, (db, inverse) => db.insertAgentChange({ ...row, inverse }), {
+    origin,
+    source: 'mcp',
+    sessionId,
+  });
+}
+
+async function loadChange(projectId, changeId) {
+  const change = await relationalStore.getAgentChange(changeId);
+  if (!change || `${change.project_id}` !== `${projectId}`) {
+    throw new ValidationError('Change not found', 404);
+  }
+  return change;
+}
+
+function moveChange(db, change, updates) {
+  return db.updateAgentChange(change.id, { fromStatus: change.status, ...updates }).then((updated) => {
+    if (!updated) {
+      throw new ValidationError(`Change is no longer ${change.status}`, 409);
+    }
+    return updated;
+  });
+}
+
+// Applies a pending change on a person's say-so. The revisions still name
+// the agent's session. The row is claimed as `applying` before the graph is
+// touched, so of two concurrent approvals only one gets to apply it; a claim
+// older than `config.agentChanges.claimTimeoutMs` was left by an approval that
+// never finished and may be taken over.
+async function approveAgentChange(projectId, changeId, { decidedBy = null, origin = null } = {}) {
+  const change = await loadChange(projectId, changeId);
+  const claimCutoff = new Date(Date.now() - config.agentChanges.claimTimeoutMs);
+  const abandoned = change.status === 'applying' && new Date(change.decided_at) < claimCutoff;
+  if (change.status !== 'pending' && !abandoned) {
+    throw new ValidationError(`Change is ${change.status}, not pending`, 409);
+  }
+  const claimed = await moveChange(relationalStore, change, {
+    status: 'applying',
+    decidedBy,
+    decidedBefore: abandoned ? claimCutoff : null,
+  });
+  let updated;
+  try {
+    ({ change: updated } = await applyRecorded(
+      projectId,
+      change.operations,
+      (db, inverse) => moveChange(db, claimed, { status: 'applied', inverse, decidedBy }),
+      { origin, source: 'api', revisionSource: 'mcp', sessionId: change.session_id }
+    ));
+  } catch (error) {
+    try {
+      await moveChange(relationalStore, claimed, { status: 'pending' });
+    } catch (releaseError) {
+      console.error(`Failed to release agent change ${claimed.id} after a failed approval`, releaseError);
+    }
+    throw error;
+  }
+  announce(projectId, 'agent_change.updated', updated, { origin });
+  return updated;
+}
+
+async function rejectAgentChange(projectId, changeId, { decidedBy = null, origin = null } = {}) {
+  const change = await loadChange(projectId, changeId);
+  if (change.status !== 'pending') {
+    throw new ValidationError(`Change is ${change.status}, not pending`, 409);
+  }
+  const updated = await moveChange(relationalStore, change, { status: 'rejected', decidedBy });
+  announce(projectId, 'agent_change.updated', updated, { origin });
+  return updated;
+}
+
+function latestApplied(projectId, sessionId) {
+  return relationalStore
+    .listAgentChanges({ projectId, sessionId, statuses: ['applied'], limit: 1 })
+    .then(([latest]) => latest || null);
+}
+
+// Reverts an applied change. Each session undoes newest first, and only while
+// the nodes the change wrote are still at the versions it left them.
+async function undoAgentChange(projectId, changeId, { decidedBy = null, origin = null, source = 'api' } = {}) {
+  const change = await loadChange(projectId, changeId);
+  if (change.status !== 'applied' || !change.inverse) {
+    throw new ValidationError(`Change is ${change.status}, not applied`, 409);
+  }
+  const latest = await latestApplied(projectId, change.session_id);
+  if (latest && `${latest.id}` !== `${change.id}`) {
+    throw new ValidationError('Undo newer changes first', 409);
+  }
+  for (const guard of change.inverse.guards || []) {
+    const current = await graphStore.getNode(projectId, guard.id);
+    if (!current || current.version_id !== guard.version_id) {
+      throw new BatchOperationError('The graph changed after this change was applied', {
+        status: 409,
+        code: 'version_conflict',
+        current,
+      });
+    }
+  }
+  const { change: updated } = await applyRecorded(
+    projectId,
+    change.inverse.operations,
+    (db) => moveChange(db, change, { status: 'undone', decidedBy }),
+    { origin, source, author: decidedBy, sessionId: change.session_id }
+  );
+  announce(projectId, 'agent_change.updated', updated, { origin, source });
+  return updated;
+}
+
+// Undoes the newest applied change of a session. Without a session there is
+// no telling whose change is the last one, so the call is refused.
+async function undoLastAgentChange(projectId, sessionId, options = {}) {
+  if (sessionId === undefined || sessionId === null || `${sessionId}`.trim() === '') {
+    throw new ValidationError('A session id is required to undo the last change');
+  }
+  const latest = await latestApplied(projectId, sessionId);
+  if (!latest) {
+    throw new ValidationError('Nothing to undo', 404);
+  }
+  return undoAgentChange(projectId, latest.id, options);
+}
+
+// Changes for the review list, newest first. `undoable` marks the newest
+// applied change of each session.
+async function listAgentChanges(projectId, { nodeId = null, status = null, sessionId = null, limit = 100 } = {}) {
+  if (status && !AGENT_CHANGE_STATUSES.includes(status)) {
+    throw new ValidationError(`status must be one of: ${AGENT_CHANGE_STATUSES.join(', ')}`);
+  }
+  const rows = await relationalStore.listAgentChanges({
+    projectId,
+    sessionId,
+    statuses: status ? [status] : null,
+    limit,
+  });
+  const newest = new Map();
+  (await relationalStore.listAgentChanges({ projectId, sessionId, statuses: ['applied'] })).forEach((change) => {
+    if (!newest.has(`${change.session_id}`)) newest.set(`${change.session_id}`, change.id);
+  });
+  return rows
+    .map((change) => ({
+      ...change,
+      node_ids: changeNodeIds(change),
+      undoable: change.status === 'applied' && newest.get(`${change.session_id}`) === change.id,
+    }))
+    .filter((change) => !nodeId || change.node_ids.includes(`${nodeId}`));
+}
+
+module.exports = {
+  AGENT_CHANGE_STATUSES,
+  AGENT_CHANGE_TOOLS,
+  planAgentChange,
+  invertOperations,
+  proposeAgentChange,
+  applyAgentChange,
+  approveAgentChange,
+  rejectAgentChange,
+  undoAgentChange,
+  undoLastAgentChange,
+  listAgentChanges,
+};
@@ -0,0 +1,115 @@
+const { EventEmitter } = require('events');
+
+const config = require('../config');
+
+const CHANGE_TYPES = Object.freeze([
+  'node.created',
+  'node.updated',
+  'node.deleted',
+  'edge.created',
+  'edge.updated',
+  'edge.deleted',
+  'link.created',
+  'link.deleted',
+  'message.created',
+  'checkpoint.restored',
+  'agent_change.created',
+  'agent_change.updated',
+]);
+
+// Per-project fan-out of graph and conversation changes. Event ids increase
+// monotonically across the process so SSE clients can resume with
+// `Last-Event-ID`; each project keeps a short replay buffer for that purpose.
+// The buffer lives in memory, so ids start above the boot time: an id handed
+// out before a restart is always lower than `startAt` and asks for a resync.
+function createChangeFeed({ replayLimit = config.changeFeed.replayLimit, startAt = Date.now() * 1000 } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  const buffers = new Map();
+  let sequence = startAt;
+
+  function publish(projectId, type, payload = {}, { origin = null, source = 'api' } = {}) {
+    if (!projectId || !CHANGE_TYPES.includes(type)) {
+      return null;
+    }
+    const key = projectId.toString();
+    sequence += 1;
+    const event = {
+      id: sequence,
+      type,
+      project_id: key,
+      origin: origin || null,
+      source,
+      at: new Date().toISOString(),
+      payload,
+    };
+    const buffer = buffers.get(key) || { events: [], trimmedThrough: 0 };
+    buffer.events.push(event);
+    if (buffer.events.length > replayLimit) {
+      const dropped = buffer.events.splice(0, buffer.events.length - replayLimit);
+      buffer.trimmedThrough = dropped[dropped.length - 1].id;
+    }
+    buffers.set(key, buffer);
+    emitter.emit(key, event);
+    return event;
+  }
+
+  function subscribe(projectId, listener) {
+    const key = projectId.toString();
+    emitter.on(key, listener);
+    return () => emitter.off(key, listener);
+  }
+
+  // Events newer than `lastEventId`, or null when the buffer no longer reaches
+  // back that far and the client has to reload from scratch.
+  function replay(projectId, lastEventId) {
+    const after = Number.parseInt(lastEventId, 10);
+    if (Number.isNaN(after)) {
+      return [];
+    }
+    // Ids from before this process started, or from another one, cannot be
+    // resumed either.
+    if (after < startAt || after > sequence) {
+      return null;
+    }
+    const buffer = buffers.get(projectId.toString());
+    if (!buffer) {
+      return [];
+    }
+    if (after < buffer.trimmedThrough) {
+      return null;
+    }
+    return buffer.events.filter((event) => event.id > after);
+  }
+
+  function listenerCount(projectId) {
+    return emitter.listenerCount(projectId.toString());
+  }
+
+  return {
+    publish,
+    subscribe,
+    replay,
+    listenerCount,
+  };
+}
+
+const changeFeed = createChangeFeed();
+
+// Tabs tag their writes with `X-Client-Id` so they can skip their own echoes.
+function readClientId(req) {
+  const header = typeof req?.get === 'function' ? req.get('X-Client-Id') : '';
+  return typeof header === 'string' && header.trim() ? header.trim().slice(0, 128) : null;
+}
+
+function publishChange(projectId, type, payload, options) {
+  return changeFeed.publish(projectId, type, payload, options);
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  changeFeed,
+  createChangeFeed,
+  publishChange,
+  readClientId,
+};
@@ -0,0 +1,172 @@
+const { ValidationError } = require('./validators');
+const { normaliseMeta } = require('./nodeUpdates');
+const { NAME_LENGTH } = require('../db/relational/shared');
+
+function ensureObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return value;
+}
+
+function readText(value) {
+  return value === undefined || value === null ? '' : `${value}`.trim();
+}
+
+function readFlag(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  if (typeof value === 'string') return !['false', '0', 'no'].includes(value.trim().toLowerCase());
+  return Boolean(value);
+}
+
+function edgeKey(edge) {
+  return JSON.stringify([edge.from, edge.to, edge.type]);
+}
+
+// Reads the optional body of `POST /api/checkpoints/:id/restore`. With no
+// options the whole project is replaced and its conversation history wiped, as
+// before, after a safety checkpoint of the current graph is saved.
+function parseRestoreOptions(body) {
+  const input = ensureObject(body);
+  let nodeIds = null;
+  if (input.node_ids !== undefined && input.node_ids !== null) {
+    if (!Array.isArray(input.node_ids) || !input.node_ids.length) {
+      throw new ValidationError('node_ids must be a non-empty array');
+    }
+    nodeIds = [...new Set(input.node_ids.map(readText))];
+    if (nodeIds.some((id) => !id)) {
+      throw new ValidationError('node_ids must not contain empty ids');
+    }
+  }
+  const subtreeRoot = readText(input.subtree_root) || null;
+  const selective = Boolean(nodeIds || subtreeRoot);
+
+  const targetProjectId = readText(input.target_project_id);
+  const fork = Boolean(targetProjectId) || readFlag(input.fork, false);
+  if (targetProjectId.length > 64) {
+    throw new ValidationError('target_project_id must be 64 characters or fewer');
+  }
+
+  return {
+    nodeIds,
+    subtreeRoot,
+    selective,
+    keepHistory: readFlag(input.keep_history, selective),
+    safetyCheckpoint: !fork && readFlag(input.safety_checkpoint, true),
+    fork,
+    targetProjectId: targetProjectId || null,
+    targetName: readText(input.target_name).slice(0, NAME_LENGTH) || null,
+  };
+}
+
+// Ids reachable from `rootId` over outgoing edges in any of the given graphs,
+// so nodes added under the root since the checkpoint are part of the subtree.
+function collectSubtree(rootId, graphs) {
+  const children = new Map();
+  graphs.forEach((graph) => {
+    (graph.edges || []).forEach((edge) => {
+      if (!children.has(edge.from)) children.set(edge.from, new Set());
+      children.get(edge.from).add(edge.to);
+    });
+  });
+  const seen = new Set([rootId]);
+  const queue = [rootId];
+  while (queue.length) {
+    const id = queue.shift();
+    (children.get(id) || []).forEach((child) => {
+      if (!seen.has(child)) {
+        seen.add(child);
+        queue.push(child);
+      }
+    });
+  }
+  return [...seen];
+}
+
+// The node ids a selective restore covers: `node_ids` plus the subtree under
+// `subtree_root`. Ids unknown to both the checkpoint and the live graph are
+// rejected.
+function resolveRestoreSelection(options, snapshot, current) {
+  const known = new Set([...(snapshot.nodes || []), ...(current.nodes || [])].map((node) => node.id));
+  const selected = new Set(options.nodeIds || []);
+  if (options.subtreeRoot) {
+    if (!known.has(options.subtreeRoot)) {
+      throw new ValidationError(`Unknown subtree_root ${options.subtreeRoot}`);
+    }
+    collectSubtree(options.subtreeRoot, [snapshot, current]).forEach((id) => selected.add(id));
+  }
+  const unknown = [...selected].filter((id) => !known.has(id));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown node ids: ${unknown.join(', ')}`);
+  }
+  return [...selected];
+}
+
+// Batch operations that put the selected nodes, and the edges touching them,
+// back to their checkpoint state while leaving the rest of the graph alone.
+// Selected nodes missing from the checkpoint are deleted.
+function planSelectiveRestore(snapshot, current, nodeIds) {
+  const selected = new Set(nodeIds);
+  const snapshotNodes = new Map((snapshot.nodes || []).map((node) => [node.id, node]));
+  const currentNodes = new Map((current.nodes || []).map((node) => [node.id, node]));
+  const present = new Set(currentNodes.keys());
+  nodeIds.forEach((id) => (snapshotNodes.has(id) ? present.add(id) : present.delete(id)));
+  const touches = (edge) =>
+    (selected.has(edge.from) || selected.has(edge.to)) && present.has(edge.from) && present.has(edge.to);
+
+  const currentEdges = new Map((current.edges || []).filter(touches).map((edge) => [edgeKey(edge), edge]));
+  const snapshotEdges = new Map((snapshot.edges || []).filter(touches).map((edge) => [edgeKey(edge), edge]));
+
+  const operations = [];
+  currentEdges.forEach((edge, key) => {
+    if (!snapshotEdges.has(key)) {
+      operations.push({ op: 'edge.delete', from: edge.from, to: edge.to, type: edge.type });
+    }
+  });
+  nodeIds.forEach((id) => {
+    const saved = snapshotNodes.get(id);
+    if (!saved) {
+      if (currentNodes.has(id)) operations.push({ op: 'node.delete', id });
+      return;
+    }
+    const fields = { label: saved.label || '', content: saved.content || '', meta: normaliseMeta(saved.meta) };
+    if (!currentNodes.has(id)) {
+      operations.push({ op: 'node.create', id, ...fields });
+      return;
+    }
+    operations.push({
+      op: 'node.update',
+      id,
+      buildUpdate: () => ({ core: { label: fields.label, content: fields.content }, meta: fields.meta }),
+    });
+  });
+  snapshotEdges.forEach((edge, key) => {
+    const props = ensureObject(edge.props);
+    const existing = currentEdges.get(key);
+    if (!existing) {
+      operations.push({ op: 'edge.create', from: edge.from, to: edge.to, type: edge.type, props });
+    } else if (JSON.stringify(ensureObject(existing.props)) !== JSON.stringify(props)) {
+      operations.push({ op: 'edge.update', from: edge.from, to: edge.to, type: edge.type, props });
+    }
+  });
+  return operations;
+}
+
+// A checkpoint snapshot narrowed to `nodeIds` (when given) and detached from
+// its source project, ready to restore into a fork. Node ids are kept: they are
+// unique per project, and branch merges match nodes across projects by id.
+function prepareForkSnapshot(snapshot, nodeIds) {
+  const keep = nodeIds ? new Set(nodeIds) : null;
+  const nodes = (snapshot.nodes || [])
+    .filter((node) => !keep || keep.has(node.id))
+    .map(({ project_id: _source, ...node }) => node);
+  const ids = new Set(nodes.map((node) => node.id));
+  const edges = (snapshot.edges || []).filter((edge) => ids.has(edge.from) && ids.has(edge.to));
+  return { nodes, edges };
+}
+
+module.exports = {
+  parseRestoreOptions,
+  collectSubtree,
+  resolveRestoreSelection,
+  planSelectiveRestore,
+  prepareForkSnapshot,
+};
@@ -0,0 +1,202 @@
+const { ValidationError } = require('./validators');
+
+// Edge props that drive interactive branching. Everything else on an edge's
+// props is free-form and passed through untouched.
+//   choice   – the text a reader clicks to follow the edge
+//   requires – a condition (see parseCondition), an array of them (all must
+//              hold) or an object of `variable: value` equality checks
+//   effects  – `variable: value` assignments applied when the choice is taken;
+//              strings like `+1` or `-2` adjust a numeric variable
+const MAX_CHOICE_LENGTH = 280;
+const VARIABLE_NAME = /^[A-Za-z_][\w.]*$/;
+const COMPARISON = /^([A-Za-z_][\w.]*)\s*(==|!=|>=|<=|>|<)\s*(.+)$/;
+const STEP = /^([+-])\s*(\d+(?:\.\d+)?)$/;
+const NUMERIC_OPERATORS = new Set(['>=', '<=', '>', '<']);
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function parseLiteral(raw) {
+  const text = `${raw}`.trim();
+  if (/^(['"]).*\1$/.test(text)) return text.slice(1, -1);
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === 'null') return null;
+  const number = Number(text);
+  return text && !Number.isNaN(number) ? number : text;
+}
+
+// Parses one condition string: `has_key`, `!has_key`, `gold >= 3`,
+// `mood == 'calm'` or `visited:<nodeId>`. Returns null when it is malformed.
+function parseCondition(value) {
+  let text = `${value}`.trim();
+  let negate = false;
+  if (text.startsWith('!')) {
+    negate = true;
+    text = text.slice(1).trim();
+  }
+  if (text.startsWith('visited:')) {
+    const id = text.slice('visited:'.length).trim();
+    return id ? { negate, kind: 'visited', id } : null;
+  }
+  const match = COMPARISON.exec(text);
+  if (match) {
+    const literal = parseLiteral(match[3]);
+    if (NUMERIC_OPERATORS.has(match[2]) && typeof literal !== 'number') return null;
+    return { negate, kind: 'compare', name: match[1], operator: match[2], value: literal };
+  }
+  return VARIABLE_NAME.test(text) ? { negate, kind: 'flag', name: text } : null;
+}
+
+function normaliseRequires(requires) {
+  const fail = (message) => new ValidationError(`props.requires: ${message}`);
+  const normaliseString = (entry) => {
+    if (typeof entry !== 'string' || !entry.trim()) {
+      throw fail('conditions must be non-empty strings');
+    }
+    if (!parseCondition(entry)) {
+      throw fail(`cannot parse "${entry.trim()}"`);
+    }
+    return entry.trim();
+  };
+  if (Array.isArray(requires)) {
+    return requires.map(normaliseString);
+  }
+  if (isPlainObject(requires)) {
+    Object.entries(requires).forEach(([name, value]) => {
+      if (!VARIABLE_NAME.test(name)) throw fail(`invalid variable name "${name}"`);
+      if (!isScalar(value)) throw fail(`${name} must be a string, number, boolean or null`);
+    });
+    return { ...requires };
+  }
+  return normaliseString(requires);
+}
+
+function normaliseEffects(effects) {
+  const fail = (message) => new ValidationError(`props.effects: ${message}`);
+  if (!isPlainObject(effects)) {
+    throw fail('must be an object of variable assignments');
+  }
+  const result = {};
+  Object.entries(effects).forEach(([name, value]) => {
+    if (!VARIABLE_NAME.test(name)) throw fail(`invalid variable name "${name}"`);
+    if (!isScalar(value)) throw fail(`${name} must be a string, number, boolean or null`);
+    result[name] = typeof value === 'string' && STEP.test(value.trim()) ? value.replace(/\s+/g, '') : value;
+  });
+  return result;
+}
+
+// Validates the branching keys of an edge's props, throwing a ValidationError
+// naming the offending key. Empty values are dropped so clearing a field in
+// the editor removes it.
+function normaliseEdgeProps(props) {
+  if (props === undefined || props === null) return {};
+  if (!isPlainObject(props)) {
+    throw new ValidationError('props must be an object');
+  }
+  const result = { ...props };
+  if (result.choice !== undefined) {
+    if (result.choice !== null && typeof result.choice !== 'string') {
+      throw new ValidationError('props.choice must be a string');
+    }
+    const choice = `${result.choice || ''}`.trim();
+    if (choice.length > MAX_CHOICE_LENGTH) {
+      throw new ValidationError(`props.choice must be at most ${MAX_CHOICE_LENGTH} characters`);
+    }
+    if (choice) result.choice = choice;
+    else delete result.choice;
+  }
+  const emptyRequires =
+    result.requires === null ||
+    result.requires === '' ||
+    (Array.isArray(result.requires) && !result.requires.length) ||
+    (isPlainObject(result.requires) && !Object.keys(result.requires).length);
+  if (emptyRequires) delete result.requires;
+  else if (result.requires !== undefined) result.requires = normaliseRequires(result.requires);
+  if (result.effects === null || (isPlainObject(result.effects) && !Object.keys(result.effects).length)) {
+    delete result.effects;
+  } else if (result.effects !== undefined) {
+    result.effects = normaliseEffects(result.effects);
+  }
+  return result;
+}
+
+function compare(left, operator, right) {
+  switch (operator) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case '>=':
+      return Number(left ?? 0) >= Number(right);
+    case '<=':
+      return Number(left ?? 0) <= Number(right);
+    case '>':
+      return Number(left ?? 0) > Number(right);
+    case '<':
+      return Number(left ?? 0) < Number(right);
+    default:
+      return false;
+  }
+}
+
+// Evaluates `props.requires` for the story check. The player evaluates it in
+// the browser with checkRequirement in modules/player/storyEngine.js, and
+// tests/storyConditions.test.js holds both to one table. Malformed conditions
+// never hold.
+function checkCondition(requires, { variables = {}, visited = new Set() } = {}) {
+  if (requires === undefined || requires === null || requires === '') return true;
+  if (Array.isArray(requires)) {
+    return requires.every((condition) => checkCondition(condition, { variables, visited }));
+  }
+  if (isPlainObject(requires)) {
+    return Object.entries(requires).every(([name, value]) => variables[name] === value);
+  }
+  const condition = parseCondition(requires);
+  if (!condition) return false;
+  let result;
+  if (condition.kind === 'visited') result = visited.has(condition.id);
+  else if (condition.kind === 'compare') {
+    result = compare(variables[condition.name], condition.operator, condition.value);
+  } else result = Boolean(variables[condition.name]);
+  return condition.negate ? !result : result;
+}
+
+// Node ids a condition tests with `visited:`.
+function conditionVisits(requires) {
+  if (Array.isArray(requires)) return requires.flatMap(conditionVisits);
+  if (typeof requires !== 'string') return [];
+  const condition = parseCondition(requires);
+  return condition?.kind === 'visited' ? [condition.id] : [];
+}
+
+// Counterpart of the player's applyStoryState: plain values are assigned,
+// strings like `+1` or `-2` adjust a numeric variable.
+function applyEffects(variables, effects) {
+  const next = { ...variables };
+  if (!isPlainObject(effects)) return next;
+  Object.entries(effects).forEach(([name, value]) => {
+    const step = typeof value === 'string' ? STEP.exec(value.trim()) : null;
+    if (step) {
+      const delta = Number(step[2]) * (step[1] === '-' ? -1 : 1);
+      next[name] = Number(next[name] || 0) + delta;
+    } else {
+      next[name] = value;
+    }
+  });
+  return next;
+}
+
+module.exports = {
+  MAX_CHOICE_LENGTH,
+  parseCondition,
+  normaliseEdgeProps,
+  checkCondition,
+  conditionVisits,
+  applyEffects,
+};
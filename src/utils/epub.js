@@ -0,0 +1,265 @@
+const { v5: uuidv5 } = require('uuid');
+const { ValidationError } = require('./validators');
+const { escapeHtml, paragraphs, readManuscript } = require('./manuscript');
+const { createZip } = require('./zipArchive');
+
+// Namespace for book identifiers so re-exporting a project keeps its id.
+const BOOK_ID_NAMESPACE = '3f9c1b7e-2d4a-4e86-b5c3-7a1e0d9f6b24';
+const LANGUAGE_TAG = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/;
+// Glossary sections list these element types first, then the rest by name.
+const GLOSSARY_TYPE_ORDER = ['character', 'place'];
+
+const STYLESHEET = `body { font-family: Georgia, serif; line-height: 1.5; margin: 0 5%; }
+h1, h2, h3, h4, h5, h6 { font-family: sans-serif; line-height: 1.2; page-break-after: avoid; }
+h1 { margin-top: 2em; }
+p { margin: 0 0 0.8em; }
+.glossary dt { font-weight: bold; margin-top: 1em; }
+.glossary dd { margin-left: 1.5em; }
+.element-fields { font-size: 0.9em; }
+`;
+
+function oneLine(value) {
+  return `${value || ''}`.replace(/\s+/g, ' ').trim();
+}
+
+// Control characters other than tab and newline are not allowed in XML.
+function xmlEscape(value) {
+  return escapeHtml(`${value || ''}`.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''));
+}
+
+function xmlText(value) {
+  return xmlEscape(oneLine(value));
+}
+
+function toParagraphs(text) {
+  return paragraphs(text)
+    .map((paragraph) => `<p>${xmlEscape(paragraph).replace(/\n/g, '<br/>\n')}</p>`)
+    .join('\n');
+}
+
+// XHTML ids must be XML names, which node ids (uuids, user input) need not be.
+function anchorId(nodeId) {
+  return `node-${`${nodeId}`.replace(/[^A-Za-z0-9_-]/g, '_')}`;
+}
+
+function xhtmlDocument({ title, language, body, type = 'bodymatter', stylesheet = '../styles.css' }) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html>',
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${language}" ` +
+      `xml:lang="${language}">`,
+    '<head>',
+    '<meta charset="UTF-8"/>',
+    `<title>${xmlText(title)}</title>`,
+    `<link rel="stylesheet" type="text/css" href="${stylesheet}"/>`,
+    '</head>',
+    `<body epub:type="${type}">`,
+    body,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+// Groups the manuscript's chapters into one document per top-level node.
+function splitDocuments(chapters) {
+  const documents = [];
+  chapters.forEach((chapter) => {
+    if (chapter.depth === 0 || !documents.length) {
+      documents.push({ file: `text/chapter-${String(documents.length + 1).padStart(3, '0')}.xhtml`, chapters: [] });
+    }
+    documents[documents.length - 1].chapters.push(chapter);
+  });
+  return documents;
+}
+
+function renderChapterDocument(doc, { language, notes }) {
+  const baseDepth = doc.chapters[0].depth;
+  const sections = doc.chapters.map((chapter) => {
+    const level = Math.min(chapter.depth - baseDepth + 1, 6);
+    const parts = [`<h${level}>${xmlText(chapter.title)}</h${level}>`];
+    if (notes && chapter.notes) {
+      parts.push(`<aside epub:type="annotation">\n${toParagraphs(chapter.notes)}\n</aside>`);
+    }
+    const text = toParagraphs(chapter.text);
+    if (text) parts.push(text);
+    const type = chapter.depth === baseDepth ? ' epub:type="chapter"' : '';
+    return `<section id="${anchorId(chapter.id)}"${type}>\n${parts.join('\n')}\n</section>`;
+  });
+  return xhtmlDocument({ title: doc.chapters[0].title, language, body: sections.join('\n') });
+}
+
+function groupGlossary(elements) {
+  const groups = new Map();
+  elements.forEach((element) => {
+    const type = oneLine(element.type).toLowerCase() || 'element';
+    if (!groups.has(type)) groups.set(type, []);
+    groups.get(type).push(element);
+  });
+  const rank = (type) => {
+    const index = GLOSSARY_TYPE_ORDER.indexOf(type);
+    return index === -1 ? GLOSSARY_TYPE_ORDER.length : index;
+  };
+  return [...groups].sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function renderGlossaryDocument(elements, { language }) {
+  const sections = groupGlossary(elements).map(([type, entries]) => {
+    const items = entries.map((element) => {
+      const details = [];
+      if (element.notes) details.push(toParagraphs(element.notes));
+      if (element.fields.length) {
+        const rows = element.fields.map((field) => `<li>${xmlText(field.key)}: ${xmlText(field.value)}</li>`);
+        details.push(`<ul class="element-fields">\n${rows.join('\n')}\n</ul>`);
+      }
+      if (element.appearsIn.length) {
+        details.push(`<p>Appears in: ${xmlText(element.appearsIn.join(', '))}</p>`);
+      }
+      return `<dt id="${anchorId(element.id)}">${xmlText(element.label)}</dt>\n<dd>\n${details.join('\n')}\n</dd>`;
+    });
+    const heading = `${type[0].toUpperCase()}${type.slice(1)}`;
+    return `<section>\n<h2>${xmlText(heading)}</h2>\n<dl class="glossary">\n${items.join('\n')}\n</dl>\n</section>`;
+  });
+  const body = `<section epub:type="glossary">\n<h1>Glossary</h1>\n${sections.join('\n')}\n</section>`;
+  return xhtmlDocument({ title: 'Glossary', language, body, type: 'backmatter' });
+}
+
+// Nested `<ol>` lists following the chapters' depth, linking into each
+// chapter's document.
+function renderNavList(entries) {
+  const root = { children: [] };
+  const stack = [{ depth: -1, node: root }];
+  entries.forEach((entry) => {
+    while (stack[stack.length - 1].depth >= entry.depth) stack.pop();
+    const node = { entry, children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ depth: entry.depth, node });
+  });
+  const render = (nodes, indent) => {
+    const pad = ' '.repeat(indent);
+    const items = nodes.map((node) => {
+      const link = `<a href="${node.entry.href}">${xmlText(node.entry.title)}</a>`;
+      if (!node.children.length) return `${pad}  <li>${link}</li>`;
+      return `${pad}  <li>${link}\n${render(node.children, indent + 4)}\n${pad}  </li>`;
+    });
+    return `${pad}<ol>\n${items.join('\n')}\n${pad}</ol>`;
+  };
+  return render(root.children, 0);
+}
+
+function isoSeconds(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Builds an EPUB 3 book from the project's manuscript (see readManuscript):
+// one XHTML document per top-level project node, a navigation document
+// following the project tree and, unless `glossary` is false, a glossary of
+// the element nodes grouped by type. `project` supplies the metadata.
+function buildEpub(
+  graph,
+  { project = {}, language = 'en', author = '', notes = false, glossary = true, exportedAt = new Date() } = {}
+) {
+  const lang = `${language || 'en'}`.trim();
+  if (!LANGUAGE_TAG.test(lang)) {
+    throw new ValidationError('language must be a language tag such as en or en-GB');
+  }
+  const { chapters, elements } = readManuscript(graph);
+  if (!chapters.length) {
+    throw new ValidationError('Every story node is excluded from the manuscript');
+  }
+  const title = oneLine(project.name) || 'Untitled manuscript';
+  const bookId = `urn:uuid:${uuidv5(`${project.id || title}`, BOOK_ID_NAMESPACE)}`;
+  const documents = splitDocuments(chapters);
+  const glossaryEntries = glossary ? elements : [];
+
+  const files = documents.map((doc) => ({
+    name: `OEBPS/${doc.file}`,
+    data: renderChapterDocument(doc, { language: lang, notes }),
+  }));
+  const navEntries = documents.flatMap((doc) =>
+    doc.chapters.map((chapter, index) => ({
+      title: chapter.title,
+      depth: chapter.depth,
+      href: index ? `${doc.file}#${anchorId(chapter.id)}` : doc.file,
+    }))
+  );
+  if (glossaryEntries.length) {
+    files.push({
+      name: 'OEBPS/text/glossary.xhtml',
+      data: renderGlossaryDocument(glossaryEntries, { language: lang }),
+    });
+    navEntries.push({ title: 'Glossary', depth: 0, href: 'text/glossary.xhtml' });
+  }
+  const nav = xhtmlDocument({
+    title,
+    language: lang,
+    type: 'frontmatter',
+    stylesheet: 'styles.css',
+    body: `<nav epub:type="toc" id="toc">\n<h1>${xmlText(title)}</h1>\n${renderNavList(navEntries)}\n</nav>`,
+  });
+
+  const content = files.map((file, index) => ({
+    id: file.name.endsWith('glossary.xhtml') ? 'glossary' : `chapter-${index + 1}`,
+    href: file.name.replace(/^OEBPS\//, ''),
+  }));
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="css" href="styles.css" media-type="text/css"/>',
+    ...content.map((item) => `<item id="${item.id}" href="${item.href}" media-type="application/xhtml+xml"/>`),
+  ];
+  const spine = content.map((item) => `<itemref idref="${item.id}"/>`);
+  const metadata = [
+    `<dc:identifier id="book-id">${bookId}</dc:identifier>`,
+    `<dc:title>${xmlText(title)}</dc:title>`,
+    `<dc:language>${lang}</dc:language>`,
+  ];
+  if (oneLine(author)) metadata.push(`<dc:creator>${xmlText(author)}</dc:creator>`);
+  const created = project.created_at ? new Date(project.created_at) : null;
+  if (created && !Number.isNaN(created.getTime())) metadata.push(`<dc:date>${isoSeconds(created)}</dc:date>`);
+  metadata.push(`<meta property="dcterms:modified">${isoSeconds(exportedAt)}</meta>`);
+  const opf = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">`,
+    '  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    ...metadata.map((line) => `    ${line}`),
+    '  </metadata>',
+    '  <manifest>',
+    ...manifest.map((line) => `    ${line}`),
+    '  </manifest>',
+    '  <spine>',
+    ...spine.map((line) => `    ${line}`),
+    '  </spine>',
+    '</package>',
+    '',
+  ].join('\n');
+  const container = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+    '  <rootfiles>',
+    '    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>',
+    '  </rootfiles>',
+    '</container>',
+    '',
+  ].join('\n');
+
+  const buffer = createZip(
+    [
+      { name: 'mimetype', data: 'application/epub+zip', store: true },
+      { name: 'META-INF/container.xml', data: container },
+      { name: 'OEBPS/content.opf', data: opf },
+      { name: 'OEBPS/nav.xhtml', data: nav },
+      { name: 'OEBPS/styles.css', data: STYLESHEET },
+      ...files,
+    ],
+    { modifiedAt: exportedAt }
+  );
+  return {
+    buffer,
+    identifier: bookId,
+    documents: files.map((file) => file.name),
+  };
+}
+
+module.exports = {
+  buildEpub,
+};
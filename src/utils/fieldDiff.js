@@ -0,0 +1,27 @@
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Leaf-level differences between two values under `path`. Plain objects are
+// walked key by key (`meta.elementData.traits`); arrays and scalars compare as
+// a whole. Missing values are reported as null.
+function diffValues(path, before, after, changes = []) {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+      diffValues(`${path}.${key}`, before[key], after[key], changes);
+    });
+    return changes;
+  }
+  if (JSON.stringify(before) !== JSON.stringify(after)) {
+    changes.push({
+      field: path,
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after,
+    });
+  }
+  return changes;
+}
+
+module.exports = {
+  diffValues,
+};
@@ -0,0 +1,302 @@
+const { v4: uuidv4 } = require('uuid');
+const { buildStructureFromGraph } = require('./projectStructure');
+const { normaliseMeta } = require('./nodeUpdates');
+const { ValidationError } = require('./validators');
+const { readManuscript } = require('./manuscript');
+
+const SCENE_HEADING = /^(?:INT|EXT|EST|INT\.?\/EXT|I\/E)[. ]/i;
+// projectData custom fields that override a scene's label as its heading.
+const HEADING_FIELDS = ['scene heading', 'slugline', 'heading'];
+const TITLE_PAGE_KEY = /^([A-Za-z][A-Za-z ]*):\s*(.*)$/;
+
+function oneLine(value) {
+  return `${value || ''}`.replace(/\s+/g, ' ').trim();
+}
+
+function normaliseText(text) {
+  return `${text || ''}`.replace(/\r\n?/g, '\n');
+}
+
+// Cues are usually upper case; `@`-forced names keep the writer's casing.
+function characterLabel(name) {
+  if (name !== name.toUpperCase()) return name;
+  return name.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (match, lead, letter) => `${lead}${letter.toUpperCase()}`);
+}
+
+function sceneHeading(meta, label) {
+  const fields = Array.isArray(meta.projectData?.customFields) ? meta.projectData.customFields : [];
+  const field = fields.find(
+    (entry) => HEADING_FIELDS.includes(oneLine(entry?.key).toLowerCase()) && oneLine(entry?.value)
+  );
+  const heading = oneLine(field ? field.value : label).replace(/^\.+/, '');
+  // Headings without INT./EXT. are forced with a leading dot.
+  return SCENE_HEADING.test(heading) ? heading.toUpperCase() : `.${heading}`;
+}
+
+// Writes a passage's text as Fountain. Lines naming one of the scene's
+// characters become cues: `Ada: Hello.` or `Ada` alone above the speech turn
+// into `ADA` followed by the dialogue. Everything else passes through as
+// action, so text that is already Fountain round-trips.
+function formatSceneText(text, characters) {
+  const names = new Map(characters.map((name) => [name.toLowerCase(), name.toUpperCase()]));
+  const cue = (name, extension) => {
+    const upper = names.get(oneLine(name).toLowerCase());
+    return upper ? `${upper}${extension ? ` ${extension.trim()}` : ''}` : null;
+  };
+  return normaliseText(text)
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => {
+      const [first, ...rest] = paragraph.split('\n');
+      const inline = /^([^:()]+?)\s*(\([^)]*\))?\s*:\s*(\S.*)$/.exec(first);
+      if (inline && cue(inline[1], inline[2])) {
+        return [cue(inline[1], inline[2]), inline[3], ...rest].join('\n');
+      }
+      const alone = /^([^:()]+?)\s*(\([^)]*\))?\s*:?$/.exec(first);
+      if (rest.length && alone && cue(alone[1], alone[2])) {
+        return [cue(alone[1], alone[2]), ...rest].join('\n');
+      }
+      return paragraph;
+    })
+    .join('\n\n');
+}
+
+// Turns the project into a Fountain screenplay. Project nodes are read in
+// manuscript order (see readManuscript); nodes without included children are
+// scenes headed by their label or a `Scene heading` projectData custom field,
+// while nodes with children become `#` sections. Character elements linked to
+// a scene name the cues in its text.
+function buildFountain(graph = {}, { title = '', author = '' } = {}) {
+  const { nodes = [], edges = [] } = graph;
+  const { chapters } = readManuscript(graph);
+  const structure = buildStructureFromGraph(nodes, edges);
+  const rawNodes = new Map(nodes.map((node) => [`${node.id}`, node]));
+  const characters = new Map(
+    structure.elements_graph.nodes
+      .filter((node) => oneLine(node.type).toLowerCase() === 'character')
+      .map((node) => [node.id, node.label])
+  );
+  const castByNode = new Map();
+  structure.cross_links.forEach(({ from, to }) => {
+    const [sceneId, elementId] = characters.has(to) ? [from, to] : [to, from];
+    if (!characters.has(elementId)) return;
+    if (!castByNode.has(sceneId)) castByNode.set(sceneId, []);
+    const cast = castByNode.get(sceneId);
+    if (!cast.includes(characters.get(elementId))) cast.push(characters.get(elementId));
+  });
+
+  const titlePage = [`Title: ${oneLine(title) || 'Untitled screenplay'}`];
+  if (oneLine(author)) titlePage.push(`Author: ${oneLine(author)}`);
+  const blocks = [titlePage.join('\n')];
+  const scenes = [];
+  chapters.forEach((chapter, index) => {
+    const meta = normaliseMeta(rawNodes.get(chapter.id)?.meta);
+    const cast = castByNode.get(chapter.id) || [];
+    const text = formatSceneText(chapter.text, cast);
+    const hasChildren = chapters[index + 1]?.depth > chapter.depth;
+    if (hasChildren) {
+      blocks.push(`${'#'.repeat(Math.min(chapter.depth + 1, 6))} ${oneLine(chapter.title)}`);
+      if (text) blocks.push(text);
+      return;
+    }
+    const heading = sceneHeading(meta, chapter.title);
+    scenes.push({ id: chapter.id, heading: heading.replace(/^\./, ''), characters: cast });
+    blocks.push(text ? `${heading}\n\n${text}` : heading);
+  });
+  return { fountain: `${blocks.join('\n\n')}\n`, scenes };
+}
+
+function isBlank(line) {
+  return line === undefined || !line.trim();
+}
+
+// All-caps lines (ignoring extensions like `(V.O.)`) and `@`-forced names.
+function readCue(line) {
+  const trimmed = line.trim();
+  if (trimmed.startsWith('@')) return oneLine(trimmed.slice(1).replace(/\(.*?\)|\^$/g, ''));
+  const name = oneLine(trimmed.replace(/\(.*?\)|\^$/g, ''));
+  if (!/\p{Lu}/u.test(name) || name !== name.toUpperCase() || /TO:$/.test(name) || SCENE_HEADING.test(name)) {
+    return null;
+  }
+  return /^[!.>=~#]/.test(trimmed) ? null : name;
+}
+
+// Parses a Fountain screenplay into sections and scenes. Scene text keeps its
+// Fountain markup (minus notes and boneyard) so exporting it again gives the
+// same script; `characters` lists each scene's speaking characters.
+function parseFountain(input) {
+  const text = normaliseText(input)
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/\[\[[\s\S]*?\]\]/g, '');
+  const lines = text.split('\n');
+  let cursor = 0;
+  const titlePage = {};
+  if (TITLE_PAGE_KEY.test(lines[0] || '') && !SCENE_HEADING.test(lines[0])) {
+    let key = null;
+    for (; cursor < lines.length && !isBlank(lines[cursor]); cursor += 1) {
+      const match = TITLE_PAGE_KEY.exec(lines[cursor]);
+      if (match && !/^\s/.test(lines[cursor])) {
+        key = match[1].trim().toLowerCase();
+        titlePage[key] = match[2].trim();
+      } else if (key) {
+        titlePage[key] = oneLine(`${titlePage[key]} ${lines[cursor]}`);
+      }
+    }
+  }
+
+  const sections = [];
+  const scenes = [];
+  const openSections = [];
+  let current = null;
+  const preamble = [];
+  for (let index = cursor; index < lines.length; index += 1) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    const section = /^(#+)\s*(.*)$/.exec(trimmed);
+    if (section) {
+      const depth = section[1].length;
+      while (openSections.length && openSections[openSections.length - 1].depth >= depth) openSections.pop();
+      const entry = {
+        title: oneLine(section[2]) || 'Section',
+        depth,
+        parent: openSections.length ? sections.indexOf(openSections[openSections.length - 1]) : null,
+      };
+      sections.push(entry);
+      openSections.push(entry);
+      current = null;
+      continue;
+    }
+    const forced = /^\.[^.]/.test(trimmed);
+    if ((forced || SCENE_HEADING.test(trimmed)) && isBlank(lines[index - 1]) && isBlank(lines[index + 1])) {
+      current = {
+        heading: oneLine(trimmed.replace(/^\./, '').replace(/#[^#]*#$/, '')),
+        lines: [],
+        parent: openSections.length ? sections.indexOf(openSections[openSections.length - 1]) : null,
+      };
+      scenes.push(current);
+      continue;
+    }
+    if (/^=(?!==)/.test(trimmed)) continue;
+    (current ? current.lines : preamble).push(line);
+  }
+  if (preamble.some((line) => line.trim())) {
+    scenes.unshift({ heading: 'Opening', lines: preamble, parent: null });
+  }
+  if (!scenes.length) {
+    throw new ValidationError('The Fountain file has no scenes');
+  }
+
+  const allCharacters = [];
+  const parsedScenes = scenes.map((scene) => {
+    const cast = [];
+    scene.lines.forEach((line, index) => {
+      if (!isBlank(line) && isBlank(scene.lines[index - 1]) && !isBlank(scene.lines[index + 1])) {
+        const name = readCue(line);
+        if (name && !cast.some((entry) => entry.toUpperCase() === name.toUpperCase())) cast.push(name);
+      }
+    });
+    cast.forEach((name) => {
+      if (!allCharacters.some((entry) => entry.toUpperCase() === name.toUpperCase())) allCharacters.push(name);
+    });
+    return { heading: scene.heading, text: scene.lines.join('\n').trim(), characters: cast, parent: scene.parent };
+  });
+  return {
+    title: titlePage.title || '',
+    author: titlePage.author || titlePage.authors || '',
+    sections,
+    scenes: parsedScenes,
+    characters: allCharacters,
+  };
+}
+
+// Batch operations that add a parsed script to a project: a project node per
+// section and scene (under `parentId` when given), a character element per
+// speaking character not already in `existingCharacters` (lower-cased name to
+// node id) and LINKS_TO edges from each scene to its characters.
+function planFountainImport(parsed, { parentId = null, existingCharacters = new Map() } = {}) {
+  const operations = [];
+  const sectionIds = parsed.sections.map(() => uuidv4());
+  const projectMeta = (label, fullText, position) => ({
+    builder: 'project',
+    position,
+    notes: '',
+    discussion: '',
+    fullText,
+    projectData: { title: label, notes: '', customFields: [] },
+  });
+  const attach = (id, parent) => {
+    const from = parent === null ? parentId : sectionIds[parent];
+    if (from) operations.push({ op: 'edge.create', from, to: id, type: 'CHILD_OF', props: {} });
+  };
+  parsed.sections.forEach((section, index) => {
+    const position = { x: 200 + index * 260, y: 120 + section.depth * 180 };
+    operations.push({
+      op: 'node.create',
+      id: sectionIds[index],
+      label: section.title,
+      content: '',
+      meta: projectMeta(section.title, '', position),
+    });
+    attach(sectionIds[index], section.parent);
+  });
+
+  const characters = [];
+  const characterIds = new Map();
+  parsed.characters.forEach((name, index) => {
+    const existing = existingCharacters.get(name.toLowerCase());
+    const label = characterLabel(name);
+    if (existing) {
+      characterIds.set(name.toUpperCase(), existing);
+      characters.push({ id: existing, label, created: false });
+      return;
+    }
+    const id = uuidv4();
+    characterIds.set(name.toUpperCase(), id);
+    characters.push({ id, label, created: true });
+    operations.push({
+      op: 'node.create',
+      id,
+      label,
+      content: '',
+      meta: {
+        builder: 'elements',
+        elementType: 'character',
+        elementData: { title: label, customFields: [] },
+        position: { x: 200 + index * 220, y: 200 },
+        notes: '',
+        discussion: '',
+        fullText: '',
+      },
+    });
+  });
+
+  const scenes = parsed.scenes.map((scene, index) => {
+    const id = uuidv4();
+    const cast = scene.characters.map((name) => characterIds.get(name.toUpperCase()));
+    const depth = scene.parent === null ? 1 : parsed.sections[scene.parent].depth + 1;
+    const position = { x: 200 + index * 260, y: 120 + depth * 180 };
+    operations.push({
+      op: 'node.create',
+      id,
+      label: scene.heading,
+      content: '',
+      meta: projectMeta(scene.heading, scene.text, position),
+    });
+    attach(id, scene.parent);
+    cast.forEach((to) => operations.push({ op: 'edge.create', from: id, to, type: 'LINKS_TO', props: {} }));
+    return { id, label: scene.heading, characters: cast };
+  });
+  return {
+    operations,
+    sections: parsed.sections.map((section, index) => ({ id: sectionIds[index], label: section.title })),
+    scenes,
+    characters,
+  };
+}
+
+module.exports = {
+  buildFountain,
+  parseFountain,
+  planFountainImport,
+};
@@ -0,0 +1,363 @@
+const { v4: uuidv4 } = require('uuid');
+const { graphStore } = require('../db/graphStore');
+const { relationalStore } = require('../db/relationalStore');
+const { validateRelationshipType } = require('./neo4jHelpers');
+const { ValidationError } = require('./validators');
+const { publishChange } = require('./changeFeed');
+const { normaliseMeta, createNodeUpdater } = require('./nodeUpdates');
+const { normaliseEdgeProps } = require('./edgeProps');
+
+const MAX_BATCH_OPERATIONS = 500;
+
+const BATCH_EVENT_TYPES = {
+  'node.create': 'node.created',
+  'node.update': 'node.updated',
+  'node.delete': 'node.deleted',
+  'edge.create': 'edge.created',
+  'edge.update': 'edge.updated',
+  'edge.delete': 'edge.deleted',
+  'link.create': 'link.created',
+  'link.delete': 'link.deleted',
+};
+
+const BATCH_OPERATIONS = Object.keys(BATCH_EVENT_TYPES);
+
+// Raised inside the graph transaction to abort the whole batch; `index` is the
+// position of the operation that failed.
+class BatchOperationError extends Error {
+  constructor(message, { status = 400, code = null, current = null } = {}) {
+    super(message);
+    this.name = 'BatchOperationError';
+    this.status = status;
+    this.code = code;
+    this.current = current;
+    this.index = null;
+  }
+}
+
+function ensureObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return value;
+}
+
+function readVersionId(value) {
+  const trimmed = value === undefined || value === null ? '' : `${value}`.trim();
+  return trimmed && trimmed !== '*' ? trimmed : null;
+}
+
+function versionConflict(kind, current) {
+  return new BatchOperationError(
+    `${kind} was modified by someone else. Reload it or resend with the current version_id.`,
+    { status: 409, code: 'version_conflict', current }
+  );
+}
+
+function parseOperation(raw, index) {
+  const entry = ensureObject(raw);
+  const op = typeof entry.op === 'string' ? entry.op.trim() : '';
+  const fail = (message) => new ValidationError(`operations[${index}]: ${message}`);
+  if (!BATCH_OPERATIONS.includes(op)) {
+    throw fail(`unknown op "${entry.op ?? ''}"`);
+  }
+  const [kind, action] = op.split('.');
+
+  if (kind === 'node') {
+    const id = entry.id === undefined || entry.id === null ? '' : `${entry.id}`.trim();
+    if (action === 'create') {
+      if (!entry.label) {
+        throw fail('label is required');
+      }
+      return {
+        op,
+        id: id || uuidv4(),
+        label: entry.label,
+        content: entry.content ?? '',
+        meta: normaliseMeta(entry.meta),
+      };
+    }
+    if (!id) {
+      throw fail('id is required');
+    }
+    if (action === 'delete') {
+      return { op, id, expectedVersionId: readVersionId(entry.version_id) };
+    }
+    const buildUpdate = createNodeUpdater(entry, { expectedVersionId: readVersionId(entry.version_id) });
+    if (!buildUpdate) {
+      throw fail('No updates provided');
+    }
+    return { op, id, buildUpdate };
+  }
+
+  if (!entry.from || !entry.to) {
+    throw fail('from and to are required');
+  }
+  let type;
+  try {
+    type = validateRelationshipType(entry.type);
+  } catch (error) {
+    throw fail(error.message);
+  }
+  let props = ensureObject(entry.props);
+  if (kind === 'edge' && action !== 'delete') {
+    try {
+      props = normaliseEdgeProps(entry.props);
+    } catch (error) {
+      throw fail(error.message);
+    }
+  }
+  // Links are undirected and stored with their endpoints sorted.
+  const [from, to] = kind === 'link' ? [entry.from, entry.to].sort() : [entry.from, entry.to];
+  return {
+    op,
+    from,
+    to,
+    type,
+    props,
+    expectedVersionId: readVersionId(entry.version_id),
+  };
+}
+
+// Validates a `POST /api/batch` operation list, throwing a ValidationError
+// naming the first bad entry.
+function parseBatchOperations(list) {
+  if (!Array.isArray(list) || !list.length) {
+    throw new ValidationError('operations must be a non-empty array');
+  }
+  if (list.length > MAX_BATCH_OPERATIONS) {
+    throw new ValidationError(`A batch may hold at most ${MAX_BATCH_OPERATIONS} operations`);
+  }
+  return list.map(parseOperation);
+}
+
+async function applyOperation(tx, projectId, operation) {
+  const { op } = operation;
+  switch (op) {
+    case 'node.create': {
+      if (await tx.getNode(projectId, operation.id)) {
+        throw new BatchOperationError(`Node ${operation.id} already exists`, { status: 409 });
+      }
+      const node = await tx.createNode(projectId, operation);
+      return { op, node };
+    }
+    case 'node.update': {
+      let previous = null;
+      const result = await tx.updateNode(projectId, operation.id, (existingNode) => {
+        previous = existingNode;
+        return operation.buildUpdate(existingNode);
+      });
+      if (result?.rejected === 'version_conflict') {
+        throw versionConflict('Node', result.current);
+      }
+      if (result?.rejected) {
+        throw new BatchOperationError('Refusing meta replace that would drop other builder data. Use metaUpdates.', {
+          status: 409,
+        });
+      }
+      if (!result || result.notFound || !result.node) {
+        throw new BatchOperationError('Node not found', { status: 404 });
+      }
+      return { op, node: result.node, previous };
+    }
+    case 'node.delete': {
+      if (operation.expectedVersionId) {
+        const current = await tx.getNode(projectId, operation.id);
+        if (current && current.version_id !== operation.expectedVersionId) {
+          throw versionConflict('Node', current);
+        }
+      }
+      if (!(await tx.deleteNode(projectId, operation.id))) {
+        throw new BatchOperationError('Node not found', { status: 404 });
+      }
+      return { op, id: operation.id };
+    }
+    case 'edge.create': {
+      const edge = await tx.createEdge(projectId, operation);
+      if (!edge) {
+        throw new BatchOperationError('Nodes not found', { status: 404 });
+      }
+      return { op, edge };
+    }
+    case 'edge.update': {
+      const result = await tx.updateEdge(projectId, operation);
+      if (result.rejected) {
+        throw versionConflict('Edge', result.current);
+      }
+      if (!result.edge) {
+        throw new BatchOperationError('Edge not found', { status: 404 });
+      }
+      return { op, edge: result.edge };
+    }
+    case 'edge.delete': {
+      const { from, to, type } = operation;
+      if (!(await tx.deleteEdge(projectId, { from, to, type }))) {
+        throw new BatchOperationError('Edge not found', { status: 404 });
+      }
+      return { op, edge: { from, to, type } };
+    }
+    case 'link.create': {
+      const link = await tx.mergeLink(projectId, operation);
+      if (!link) {
+        throw new BatchOperationError('Nodes not found', { status: 404 });
+      }
+      return { op, link };
+    }
+    case 'link.delete': {
+      const { from, to, type } = operation;
+      if (!(await tx.deleteLink(projectId, { from, to, type }))) {
+        throw new BatchOperationError('Link not found', { status: 404 });
+      }
+      return { op, link: { from, to, type } };
+    }
+    case 'project.restore': {
+      const nodes = await tx.restoreProject(projectId, { nodes: operation.nodes, edges: operation.edges });
+      return { op, nodes };
+    }
+    default:
+      throw new BatchOperationError(`Unknown op "${op}"`);
+  }
+}
+
+async function resolveAttribution(db, { author = null, sessionId = null, source = 'api' }) {
+  if (author || !sessionId) {
+    return { author, sessionId, source };
+  }
+  const session = await db.getSession(sessionId);
+  return { author: session?.user_id || null, sessionId, source };
+}
+
+async function recordBatchVersions(db, projectId, results, { baselines, attribution }) {
+  const tombstones = [];
+  let resolved = null;
+  const revisionAttribution = async () => {
+    resolved = resolved || (await resolveAttribution(db, attribution));
+    return resolved;
+  };
+  for (const result of results) {
+    switch (result.op) {
+      case 'node.create':
+        await db.upsertNodeVersion({ ...result.node, project_id: projectId });
+        await db.recordNodeRevision(projectId, result.node, await revisionAttribution());
+        break;
+      case 'node.update':
+        await db.upsertNodeVersion({ ...result.node, project_id: projectId });
+        await db.recordNodeRevision(projectId, result.node, {
+          ...(await revisionAttribution()),
+          baseline: baselines.get(result.node.id) || null,
+        });
+        break;
+      case 'node.delete':
+        await db.deleteNodeVersion(result.id, projectId);
+        tombstones.push({ kind: 'node', id: result.id });
+        break;
+      case 'edge.delete':
+        tombstones.push({ kind: 'edge', ...result.edge });
+        break;
+      case 'link.delete':
+        tombstones.push({ kind: 'link', ...result.link });
+        break;
+      case 'project.restore':
+        await db.deleteNodeVersionsForProject(projectId);
+        for (const node of result.nodes) {
+          await db.upsertNodeVersion({
+            id: node.id,
+            meta: normaliseMeta(node.meta),
+            version_id: node.version_id,
+            last_modified: node.last_modified,
+            project_id: projectId,
+          });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+  if (tombstones.length) {
+    await db.recordTombstones(projectId, tombstones);
+  }
+}
+
+// Applies parsed operations in order inside one graph write transaction, then
+// mirrors node versions, revisions and tombstones in one relational transaction
+// (plus any `relationalWork` the caller needs in it). `prepare(tx)` reads the
+// graph in the same transaction before the operations run; `relationalWork`
+// gets what it returned. Any failing operation throws a BatchOperationError and
+// nothing is written. Change events go out only after both commits;
+// `project.restore` results are left for the caller to announce. Revisions are
+// attributed to `author`, or to the user behind `sessionId`, and tagged with
+// `revisionSource` (defaults to `source`).
+async function applyGraphBatch(
+  projectId,
+  operations,
+  {
+    origin = null,
+    source = 'api',
+    revisionSource = source,
+    author = null,
+    sessionId = null,
+    prepare,
+    relationalWork,
+  } = {}
+) {
+  // The relational transaction wraps the graph one: versions, revisions and
+  // `relationalWork` are written before the graph commits, so a failure there
+  // rolls the graph back too, and the relational side only commits once the
+  // graph has. Only a failing relational commit can still leave the two apart.
+  const results = await relationalStore.transaction((db) =>
+    graphStore.withTransaction(
+      async (tx) => {
+        const prepared = typeof prepare === 'function' ? await prepare(tx) : undefined;
+        const applied = [];
+        const baselines = new Map();
+        for (const [index, operation] of operations.entries()) {
+          try {
+            const { previous, ...result } = await applyOperation(tx, projectId, operation);
+            if (previous && !baselines.has(previous.id)) {
+              baselines.set(previous.id, previous);
+            }
+            applied.push(result);
+          } catch (error) {
+            if (error instanceof BatchOperationError) {
+              error.index = index;
+            }
+            throw error;
+          }
+        }
+        await recordBatchVersions(db, projectId, applied, {
+          baselines,
+          attribution: { author, sessionId, source: revisionSource },
+        });
+        if (typeof relationalWork === 'function') {
+          await relationalWork(db, applied, prepared);
+        }
+        return applied;
+      },
+      { retry: false }
+    )
+  );
+
+  results.forEach(({ op, ...payload }) => {
+    if (BATCH_EVENT_TYPES[op]) {
+      publishChange(projectId, BATCH_EVENT_TYPES[op], payload, { origin, source });
+    }
+  });
+  return results;
+}
+
+// Per-operation outcome of an aborted batch: everything before the failure was
+// rolled back and everything after it never ran.
+function describeBatchFailure(operations, failedIndex) {
+  return operations.map(({ op }, index) => {
+    if (index < failedIndex) return { op, status: 'rolled_back' };
+    if (index === failedIndex) return { op, status: 'failed' };
+    return { op, status: 'skipped' };
+  });
+}
+
+module.exports = {
+  BATCH_OPERATIONS,
+  MAX_BATCH_OPERATIONS,
+  BatchOperationError,
+  parseBatchOperations,
+  applyGraphBatch,
+  describeBatchFailure,
+};
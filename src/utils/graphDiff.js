@@ -0,0 +1,86 @@
+const { diffRevisions } = require('./nodeRevisions');
+const { diffValues } = require('./fieldDiff');
+
+function ensureObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return value;
+}
+
+function edgeKey(edge) {
+  return JSON.stringify([edge.from, edge.to, edge.type || 'LINKS_TO']);
+}
+
+function describeEdge(edge) {
+  return { from: edge.from, to: edge.to, type: edge.type || 'LINKS_TO', props: ensureObject(edge.props) };
+}
+
+function byNodeId(a, b) {
+  return `${a.id}`.localeCompare(`${b.id}`);
+}
+
+function byEdgeKey(a, b) {
+  return edgeKey(a).localeCompare(edgeKey(b));
+}
+
+// Compares two `{ nodes, edges }` graphs (checkpoint snapshots or the live
+// graph) and lists what going from `before` to `after` adds, removes and
+// modifies. Modified nodes and edges carry field-level `changes`; version ids
+// and timestamps are ignored.
+function diffGraphs(before = {}, after = {}) {
+  const beforeNodes = new Map((before.nodes || []).map((node) => [node.id, node]));
+  const afterNodes = new Map((after.nodes || []).map((node) => [node.id, node]));
+  const nodes = { added: [], removed: [], modified: [] };
+  afterNodes.forEach((node, id) => {
+    if (!beforeNodes.has(id)) {
+      nodes.added.push({ id, label: node.label || '' });
+      return;
+    }
+    const changes = diffRevisions(beforeNodes.get(id), node);
+    if (changes.length) {
+      nodes.modified.push({ id, label: node.label || '', changes });
+    }
+  });
+  beforeNodes.forEach((node, id) => {
+    if (!afterNodes.has(id)) {
+      nodes.removed.push({ id, label: node.label || '' });
+    }
+  });
+
+  const beforeEdges = new Map((before.edges || []).map((edge) => [edgeKey(edge), edge]));
+  const afterEdges = new Map((after.edges || []).map((edge) => [edgeKey(edge), edge]));
+  const edges = { added: [], removed: [], modified: [] };
+  afterEdges.forEach((edge, key) => {
+    if (!beforeEdges.has(key)) {
+      edges.added.push(describeEdge(edge));
+      return;
+    }
+    const changes = diffValues('props', ensureObject(beforeEdges.get(key).props), ensureObject(edge.props));
+    if (changes.length) {
+      edges.modified.push({ ...describeEdge(edge), changes });
+    }
+  });
+  beforeEdges.forEach((edge, key) => {
+    if (!afterEdges.has(key)) {
+      edges.removed.push(describeEdge(edge));
+    }
+  });
+
+  Object.values(nodes).forEach((list) => list.sort(byNodeId));
+  Object.values(edges).forEach((list) => list.sort(byEdgeKey));
+  return {
+    nodes,
+    edges,
+    summary: {
+      nodes_added: nodes.added.length,
+      nodes_removed: nodes.removed.length,
+      nodes_modified: nodes.modified.length,
+      edges_added: edges.added.length,
+      edges_removed: edges.removed.length,
+      edges_modified: edges.modified.length,
+    },
+  };
+}
+
+module.exports = {
+  diffGraphs,
+};
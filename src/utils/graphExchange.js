@@ -0,0 +1,224 @@
+const { buildStructureFromGraph } = require('./projectStructure');
+const { normaliseMeta } = require('./nodeUpdates');
+const { ValidationError } = require('./validators');
+const { escapeHtml } = require('./manuscript');
+
+const GRAPH_FORMATS = ['graphml', 'gexf'];
+
+// Node attributes read from the node and its meta. Types use GraphML's names;
+// GEXF spells them the same for these four.
+const NODE_ATTRIBUTES = [
+  { key: 'label', type: 'string', read: (node, meta, entry) => node.label || entry.label },
+  { key: 'builder', type: 'string', read: (node, meta, entry) => entry.builder },
+  { key: 'elementType', type: 'string', read: (node, meta, entry) => (entry.builder === 'elements' ? entry.type : '') },
+  {
+    key: 'title',
+    type: 'string',
+    read: (node, meta) => meta.projectData?.title || meta.elementData?.title || '',
+  },
+  { key: 'notes', type: 'string', read: (node, meta) => meta.notes },
+  { key: 'fullText', type: 'string', read: (node, meta) => meta.fullText },
+  { key: 'storyStart', type: 'boolean', read: (node, meta) => meta.storyStart === true },
+  { key: 'includeInManuscript', type: 'boolean', read: (node, meta) => meta.includeInManuscript !== false },
+  { key: 'x', type: 'double', read: (node, meta) => meta.position?.x },
+  { key: 'y', type: 'double', read: (node, meta) => meta.position?.y },
+  { key: 'last_modified', type: 'string', read: (node) => node.last_modified },
+];
+
+// `scope` tells project links, element links and cross-builder links apart.
+const EDGE_ATTRIBUTES = [
+  { key: 'type', type: 'string' },
+  { key: 'scope', type: 'string' },
+];
+
+// Control characters other than tab and newline are not allowed in XML.
+function xmlEscape(value) {
+  return escapeHtml(`${value ?? ''}`.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''));
+}
+
+function hasValue(value, type = 'string') {
+  if (type === 'double') return hasValue(value) && Number.isFinite(Number(value));
+  return value !== undefined && value !== null && value !== '';
+}
+
+function propType(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return 'double';
+  return typeof value === 'boolean' ? 'boolean' : 'string';
+}
+
+function formatValue(value, type) {
+  if (type === 'boolean') return value ? 'true' : 'false';
+  if (type === 'double') return `${Number(value)}`;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Relationship props become `props.<key>` attributes, typed as numbers or
+// booleans when every value agrees and as (JSON) strings otherwise.
+function describePropAttributes(edges) {
+  const types = new Map();
+  edges.forEach((edge) => {
+    Object.entries(edge.props || {}).forEach(([key, value]) => {
+      if (!hasValue(value)) return;
+      const type = propType(value);
+      const seen = types.get(key);
+      types.set(key, !seen || seen === type ? type : 'string');
+    });
+  });
+  return [...types]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([prop, type]) => ({ key: `props.${prop}`, prop, type }));
+}
+
+// Reads the graph into rows of typed attribute values shared by both formats.
+function describeGraph({ nodes = [], edges = [] } = {}) {
+  const structure = buildStructureFromGraph(nodes, edges);
+  const entries = new Map(
+    [...structure.project_graph.nodes, ...structure.elements_graph.nodes].map((entry) => [entry.id, entry])
+  );
+  const crossLinks = new Set(structure.cross_links.map((link) => `${link.from}->${link.to}:${link.type}`));
+
+  const nodeRows = nodes
+    .filter((node) => entries.has(`${node.id}`))
+    .map((node) => {
+      const entry = entries.get(`${node.id}`);
+      const meta = normaliseMeta(node.meta);
+      const values = new Map();
+      NODE_ATTRIBUTES.forEach((attribute) => {
+        const value = attribute.read(node, meta, entry);
+        if (hasValue(value, attribute.type)) {
+          values.set(attribute.key, formatValue(value, attribute.type));
+        }
+      });
+      return { id: entry.id, label: node.label || entry.label, builder: entry.builder, values };
+    });
+
+  const builders = new Map(nodeRows.map((row) => [row.id, row.builder]));
+  const edgeRows = edges
+    .filter((edge) => builders.has(`${edge.from}`) && builders.has(`${edge.to}`))
+    .map((edge, index) => {
+      const from = `${edge.from}`;
+      const to = `${edge.to}`;
+      const scope = crossLinks.has(`${from}->${to}:${edge.type}`)
+        ? 'cross'
+        : builders.get(from) === 'elements'
+          ? 'elements'
+          : 'project';
+      return { id: `e${index}`, from, to, type: edge.type, scope, props: edge.props || {} };
+    });
+  const propAttributes = describePropAttributes(edgeRows);
+  edgeRows.forEach((row) => {
+    row.values = new Map([
+      ['type', row.type],
+      ['scope', row.scope],
+    ]);
+    propAttributes.forEach((attribute) => {
+      const value = row.props[attribute.prop];
+      if (hasValue(value)) row.values.set(attribute.key, formatValue(value, attribute.type));
+    });
+  });
+  return { nodes: nodeRows, edges: edgeRows, edgeAttributes: [...EDGE_ATTRIBUTES, ...propAttributes] };
+}
+
+function buildGraphml(graph, { projectId = '' } = {}) {
+  const { nodes, edges, edgeAttributes } = describeGraph(graph);
+  const nodeKeys = new Map(NODE_ATTRIBUTES.map((attribute, index) => [attribute.key, `n${index}`]));
+  const edgeKeys = new Map(edgeAttributes.map((attribute, index) => [attribute.key, `e${index}`]));
+  const keyLine = (id, scope, attribute) =>
+    `  <key id="${id}" for="${scope}" attr.name="${xmlEscape(attribute.key)}" attr.type="${attribute.type}"/>`;
+  const data = (keys, values) =>
+    [...values].map(([key, value]) => `      <data key="${keys.get(key)}">${xmlEscape(value)}</data>`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...NODE_ATTRIBUTES.map((attribute) => keyLine(nodeKeys.get(attribute.key), 'node', attribute)),
+    ...edgeAttributes.map((attribute) => keyLine(edgeKeys.get(attribute.key), 'edge', attribute)),
+    `  <graph id="${xmlEscape(projectId || 'project')}" edgedefault="directed">`,
+    ...nodes.flatMap((node) => [
+      `    <node id="${xmlEscape(node.id)}">`,
+      ...data(nodeKeys, node.values),
+      '    </node>',
+    ]),
+    ...edges.flatMap((edge) => [
+      `    <edge id="${edge.id}" source="${xmlEscape(edge.from)}" target="${xmlEscape(edge.to)}">`,
+      ...data(edgeKeys, edge.values),
+      '    </edge>',
+    ]),
+    '  </graph>',
+    '</graphml>',
+    '',
+  ].join('\n');
+}
+
+function buildGexf(graph, { projectId = '', exportedAt = new Date() } = {}) {
+  const { nodes, edges, edgeAttributes } = describeGraph(graph);
+  // `label` is the node's own GEXF label rather than an attribute.
+  const nodeAttributes = NODE_ATTRIBUTES.filter((attribute) => attribute.key !== 'label');
+  const nodeIds = new Map(nodeAttributes.map((attribute, index) => [attribute.key, `${index}`]));
+  const edgeIds = new Map(edgeAttributes.map((attribute, index) => [attribute.key, `${index}`]));
+  const declare = (scope, attributes, ids) => [
+    `    <attributes class="${scope}">`,
+    ...attributes.map(
+      (attribute) =>
+        `      <attribute id="${ids.get(attribute.key)}" title="${xmlEscape(attribute.key)}" type="${attribute.type}"/>`
+    ),
+    '    </attributes>',
+  ];
+  const attvalues = (ids, values) => {
+    const rows = [...values]
+      .filter(([key]) => ids.has(key))
+      .map(([key, value]) => `          <attvalue for="${ids.get(key)}" value="${xmlEscape(value)}"/>`);
+    return rows.length ? ['        <attvalues>', ...rows, '        </attvalues>'] : [];
+  };
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">',
+    `  <meta lastmodifieddate="${exportedAt.toISOString().slice(0, 10)}">`,
+    '    <creator>Story Graph</creator>',
+    `    <description>${xmlEscape(projectId ? `Project ${projectId}` : 'Project graph')}</description>`,
+    '  </meta>',
+    '  <graph defaultedgetype="directed" mode="static">',
+    ...declare('node', nodeAttributes, nodeIds),
+    ...declare('edge', edgeAttributes, edgeIds),
+    '    <nodes>',
+    ...nodes.flatMap((node) => {
+      const position =
+        node.values.has('x') && node.values.has('y')
+          ? [`        <viz:position x="${node.values.get('x')}" y="${node.values.get('y')}" z="0"/>`]
+          : [];
+      return [
+        `      <node id="${xmlEscape(node.id)}" label="${xmlEscape(node.label)}">`,
+        ...attvalues(nodeIds, node.values),
+        ...position,
+        '      </node>',
+      ];
+    }),
+    '    </nodes>',
+    '    <edges>',
+    ...edges.flatMap((edge) => [
+      `      <edge id="${edge.id}" source="${xmlEscape(edge.from)}" target="${xmlEscape(edge.to)}" ` +
+        `label="${xmlEscape(edge.type)}" kind="${xmlEscape(edge.type)}">`,
+      ...attvalues(edgeIds, edge.values),
+      '      </edge>',
+    ]),
+    '    </edges>',
+    '  </graph>',
+    '</gexf>',
+    '',
+  ].join('\n');
+}
+
+// Serialises a project graph (as from `fetchProjectGraph`) for external graph
+// tools: both builders' nodes with typed attributes and every relationship
+// with its type, props and `scope` (`project`, `elements` or `cross`).
+function exportGraph(graph, { format, projectId, exportedAt } = {}) {
+  const kind = `${format || ''}`.toLowerCase();
+  if (kind === 'graphml') return buildGraphml(graph, { projectId });
+  if (kind === 'gexf') return buildGexf(graph, { projectId, exportedAt });
+  throw new ValidationError(`format must be one of: json, ${GRAPH_FORMATS.join(', ')}`);
+}
+
+module.exports = {
+  GRAPH_FORMATS,
+  describeGraph,
+  exportGraph,
+};
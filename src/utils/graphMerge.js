@@ -0,0 +1,225 @@
+const stableStringify = require('./stableStringify');
+const { normaliseMeta } = require('./nodeUpdates');
+
+const MERGE_SIDES = ['ours', 'theirs'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function sameValue(a, b) {
+  return stableStringify(a === undefined ? null : a) === stableStringify(b === undefined ? null : b);
+}
+
+function edgeKey(edge) {
+  return `${edge.from}|${edge.to}|${edge.type}`;
+}
+
+function nodeState(node) {
+  return node ? { label: node.label || '', content: node.content || '', meta: normaliseMeta(node.meta) } : null;
+}
+
+function edgeState(edge) {
+  return edge ? { props: isPlainObject(edge.props) ? edge.props : {} } : null;
+}
+
+// Node fields keyed by dotted path (`label`, `content`, `meta.elementData.age`),
+// with meta walked down to its leaves so unrelated meta edits merge cleanly.
+function flattenNode(state) {
+  const fields = new Map();
+  if (!state) return fields;
+  fields.set('label', { path: ['label'], value: state.label });
+  fields.set('content', { path: ['content'], value: state.content });
+  const walk = (path, value) => {
+    if (isPlainObject(value) && (Object.keys(value).length || path.length === 1)) {
+      Object.keys(value).forEach((key) => walk([...path, key], value[key]));
+      return;
+    }
+    fields.set(path.join('.'), { path, value });
+  };
+  walk(['meta'], state.meta);
+  return fields;
+}
+
+function buildNodeState(fields) {
+  const state = { label: '', content: '', meta: {} };
+  fields.forEach(({ path, value }) => {
+    if (value === undefined) return;
+    if (path.length === 1) {
+      state[path[0]] = value;
+      return;
+    }
+    let target = state.meta;
+    path.slice(1, -1).forEach((key) => {
+      if (!isPlainObject(target[key])) target[key] = {};
+      target = target[key];
+    });
+    target[path[path.length - 1]] = value;
+  });
+  return state;
+}
+
+function mergeValue(base, ours, theirs) {
+  if (sameValue(base, theirs) || sameValue(ours, theirs)) return { value: ours };
+  if (sameValue(base, ours)) return { value: theirs };
+  return { conflict: true };
+}
+
+// Three-way merge of `theirs` (a branch) into `ours` (its parent) using the
+// fork-point snapshot `base`. Changes made on only one side are taken; nodes
+// changed on both sides are merged field by field and edges by their props.
+// Anything changed differently on both sides is a conflict, settled through
+// `resolutions[conflict.key]` or `strategy` ('ours' | 'theirs') and otherwise
+// left unresolved. Returns batch operations that turn `ours` into the result.
+function planThreeWayMerge(base, ours, theirs, { strategy = null, resolutions = {} } = {}) {
+  const resolve = (key) => {
+    const choice = resolutions?.[key] ?? strategy;
+    return MERGE_SIDES.includes(choice) ? choice : null;
+  };
+  const conflicts = [];
+  const addConflict = (conflict, oursValue, theirsValue) => {
+    const resolution = resolve(conflict.key);
+    conflicts.push({ ...conflict, resolution });
+    return resolution === 'theirs' ? theirsValue : oursValue;
+  };
+
+  const byId = (graph) => new Map((graph?.nodes || []).map((node) => [node.id, node]));
+  const baseNodes = byId(base);
+  const ourNodes = byId(ours);
+  const theirNodes = byId(theirs);
+  const mergedNodes = new Map();
+  const nodeIds = [...new Set([...baseNodes.keys(), ...ourNodes.keys(), ...theirNodes.keys()])].sort();
+  nodeIds.forEach((id) => {
+    const b = nodeState(baseNodes.get(id));
+    const o = nodeState(ourNodes.get(id));
+    const t = nodeState(theirNodes.get(id));
+    const merged = mergeValue(b, o, t);
+    if (!merged.conflict) {
+      mergedNodes.set(id, merged.value);
+      return;
+    }
+    if (!o || !t) {
+      const state = addConflict(
+        { key: `node:${id}`, kind: 'node', id, field: null, reason: o ? 'deleted_in_branch' : 'deleted_in_parent' },
+        o,
+        t
+      );
+      mergedNodes.set(id, state);
+      return;
+    }
+    const baseFields = flattenNode(b);
+    const ourFields = flattenNode(o);
+    const theirFields = flattenNode(t);
+    const fields = new Map();
+    const names = new Set([...baseFields.keys(), ...ourFields.keys(), ...theirFields.keys()]);
+    names.forEach((name) => {
+      const path = (ourFields.get(name) || theirFields.get(name) || baseFields.get(name)).path;
+      const [bv, ov, tv] = [baseFields, ourFields, theirFields].map((map) => map.get(name)?.value);
+      const field = mergeValue(bv, ov, tv);
+      const value = field.conflict
+        ? addConflict(
+            { key: `node:${id}:${name}`, kind: 'node', id, field: name, base: bv ?? null, ours: ov ?? null, theirs: tv ?? null },
+            ov,
+            tv
+          )
+        : field.value;
+      fields.set(name, { path, value });
+    });
+    mergedNodes.set(id, buildNodeState(fields));
+  });
+
+  const byKey = (graph) => new Map((graph?.edges || []).map((edge) => [edgeKey(edge), edge]));
+  const baseEdges = byKey(base);
+  const ourEdges = byKey(ours);
+  const theirEdges = byKey(theirs);
+  const mergedEdges = new Map();
+  const droppedEdges = [];
+  const edgeKeys = [...new Set([...baseEdges.keys(), ...ourEdges.keys(), ...theirEdges.keys()])].sort();
+  edgeKeys.forEach((key) => {
+    const edge = ourEdges.get(key) || theirEdges.get(key) || baseEdges.get(key);
+    const b = edgeState(baseEdges.get(key));
+    const o = edgeState(ourEdges.get(key));
+    const t = edgeState(theirEdges.get(key));
+    const merged = mergeValue(b, o, t);
+    const { from, to, type } = edge;
+    const state = merged.conflict
+      ? addConflict(
+          {
+            key: `edge:${key}`,
+            kind: 'edge',
+            from,
+            to,
+            type,
+            field: o && t ? 'props' : null,
+            reason: o && t ? undefined : o ? 'deleted_in_branch' : 'deleted_in_parent',
+            base: b?.props ?? null,
+            ours: o?.props ?? null,
+            theirs: t?.props ?? null,
+          },
+          o,
+          t
+        )
+      : merged.value;
+    if (!state) return;
+    if (!mergedNodes.get(from) || !mergedNodes.get(to)) {
+      droppedEdges.push({ from, to, type });
+      return;
+    }
+    mergedEdges.set(key, { from, to, type, props: state.props });
+  });
+
+  const operations = [];
+  ourEdges.forEach((edge, key) => {
+    if (!mergedEdges.has(key) && mergedNodes.get(edge.from) && mergedNodes.get(edge.to)) {
+      operations.push({ op: 'edge.delete', from: edge.from, to: edge.to, type: edge.type });
+    }
+  });
+  nodeIds.forEach((id) => {
+    const current = ourNodes.get(id);
+    const merged = mergedNodes.get(id);
+    if (!merged) {
+      if (current) operations.push({ op: 'node.delete', id });
+      return;
+    }
+    if (!current) {
+      operations.push({ op: 'node.create', id, ...merged });
+      return;
+    }
+    if (sameValue(nodeState(current), merged)) return;
+    operations.push({
+      op: 'node.update',
+      id,
+      // Refuse to overwrite parent edits made after the merge was planned.
+      buildUpdate: (existing) =>
+        existing.version_id !== current.version_id
+          ? { rejected: 'version_conflict' }
+          : { core: { label: merged.label, content: merged.content }, meta: merged.meta },
+    });
+  });
+  mergedEdges.forEach((edge, key) => {
+    const current = ourEdges.get(key);
+    if (!current) {
+      operations.push({ op: 'edge.create', ...edge });
+    } else if (!sameValue(edgeState(current), { props: edge.props })) {
+      operations.push({ op: 'edge.update', ...edge });
+    }
+  });
+
+  return {
+    operations,
+    conflicts,
+    unresolved: conflicts.filter((conflict) => !conflict.resolution).length,
+    dropped_edges: droppedEdges,
+  };
+}
+
+// JSON-friendly view of a planned operation for dry runs and responses.
+function describeMergeOperation({ op, id, from, to, type }) {
+  return id !== undefined ? { op, id } : { op, from, to, type };
+}
+
+module.exports = {
+  MERGE_SIDES,
+  planThreeWayMerge,
+  describeMergeOperation,
+};
@@ -0,0 +1,311 @@
+const { buildStructureFromGraph } = require('./projectStructure');
+const { normaliseMeta } = require('./nodeUpdates');
+const { ValidationError } = require('./validators');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_DEPTH = 3;
+const MAX_PATH_DEPTH = 8;
+const EXCERPT_LENGTH = 200;
+// Longest text field `describeNodeDetail` returns before truncating it.
+const MAX_TEXT_LENGTH = 4000;
+const MAX_NODE_RELATIONSHIPS = 50;
+const DIRECTIONS = ['out', 'in', 'both'];
+
+function text(value) {
+  return typeof value === 'string' ? value : '';
+}
+
+function excerpt(value, length = EXCERPT_LENGTH) {
+  const flat = text(value).replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+}
+
+function readText(node) {
+  const meta = normaliseMeta(node.meta);
+  return text(meta.fullText) || text(node.content);
+}
+
+// Reads `limit`/`cursor` arguments; the cursor is the offset of the next page.
+function readPage({ limit, cursor } = {}) {
+  const size = limit === undefined || limit === null ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(size) || size < 1) {
+    throw new ValidationError('limit must be a positive integer');
+  }
+  const offset = cursor === undefined || cursor === null || cursor === '' ? 0 : Number(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError('cursor is not valid');
+  }
+  return { offset, size: Math.min(size, MAX_PAGE_SIZE) };
+}
+
+function paginate(items, page) {
+  const next = page.offset + page.size;
+  return {
+    items: items.slice(page.offset, next),
+    total: items.length,
+    next_cursor: next < items.length ? `${next}` : null,
+  };
+}
+
+function readTypes(types) {
+  if (types === undefined || types === null) return null;
+  const list = (Array.isArray(types) ? types : [types]).map((type) => `${type}`.trim().toUpperCase()).filter(Boolean);
+  return list.length ? new Set(list) : null;
+}
+
+function readDirection(direction) {
+  const value = direction || 'both';
+  if (!DIRECTIONS.includes(value)) {
+    throw new ValidationError(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+  }
+  return value;
+}
+
+// Indexes a project graph once so the queries below can share it.
+function indexGraph({ nodes = [], edges = [] } = {}) {
+  const structure = buildStructureFromGraph(nodes, edges);
+  const entries = new Map(
+    [...structure.project_graph.nodes, ...structure.elements_graph.nodes].map((entry) => [entry.id, entry])
+  );
+  const byId = new Map(nodes.map((node) => [`${node.id}`, node]));
+  const adjacency = new Map();
+  const connect = (id, step) => {
+    if (!adjacency.has(id)) adjacency.set(id, []);
+    adjacency.get(id).push(step);
+  };
+  edges.forEach((edge) => {
+    const from = `${edge.from}`;
+    const to = `${edge.to}`;
+    if (!byId.has(from) || !byId.has(to)) return;
+    const relation = { from, to, type: `${edge.type || 'LINKS_TO'}`.toUpperCase() };
+    connect(from, { id: to, direction: 'out', edge: relation });
+    connect(to, { id: from, direction: 'in', edge: relation });
+  });
+  return { nodes, byId, entries, adjacency };
+}
+
+function requireNode(index, nodeId, name = 'node_id') {
+  const node = index.byId.get(`${nodeId}`);
+  if (!node) {
+    throw new ValidationError(`${name} ${nodeId} not found`, 404);
+  }
+  return node;
+}
+
+// A few lines per node, enough to pick what to read in full with getNode.
+function summariseNode(index, node) {
+  const entry = index.entries.get(`${node.id}`) || {};
+  return {
+    id: `${node.id}`,
+    label: entry.label || node.label || `${node.id}`,
+    builder: entry.builder || null,
+    type: entry.type || null,
+    excerpt: excerpt(readText(node)),
+    version_id: node.version_id || null,
+  };
+}
+
+function capText(value, field, truncated) {
+  const full = text(value);
+  if (full.length <= MAX_TEXT_LENGTH) return value;
+  truncated.push(field);
+  return `${full.slice(0, MAX_TEXT_LENGTH)}…`;
+}
+
+// The node with its text capped at MAX_TEXT_LENGTH and up to
+// MAX_NODE_RELATIONSHIPS of its relationships.
+function describeNodeDetail(index, nodeId) {
+  const node = requireNode(index, nodeId);
+  const truncated = [];
+  const meta = normaliseMeta(node.meta);
+  const cappedMeta = { ...meta };
+  if (meta.fullText !== undefined) cappedMeta.fullText = capText(meta.fullText, 'meta.fullText', truncated);
+  const steps = index.adjacency.get(`${node.id}`) || [];
+  const relationships = steps.slice(0, MAX_NODE_RELATIONSHIPS).map((step) => ({
+    ...step.edge,
+    direction: step.direction,
+    other: { id: step.id, label: summariseNode(index, index.byId.get(step.id)).label },
+  }));
+  const { excerpt: _excerpt, ...summary } = summariseNode(index, node);
+  return {
+    node: {
+      ...summary,
+      content: capText(node.content || '', 'content', truncated),
+      meta: cappedMeta,
+      last_modified: node.last_modified || null,
+    },
+    relationships,
+    relationship_count: steps.length,
+    truncated,
+  };
+}
+
+function readMetaPath(meta, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), meta);
+}
+
+// Matches a meta field by dotted path (`elementData.role`) or by the key of a
+// custom field on elementData/projectData.
+function readMetaField(meta, field) {
+  const direct = readMetaPath(meta, field);
+  if (direct !== undefined) return direct;
+  const custom = [meta.elementData?.customFields, meta.projectData?.customFields, meta.customFields]
+    .flatMap((list) => (Array.isArray(list) ? list : []))
+    .find((entry) => text(entry?.key).trim().toLowerCase() === field.toLowerCase());
+  return custom?.value;
+}
+
+function includes(haystack, needle) {
+  return text(haystack).toLowerCase().includes(needle);
+}
+
+function matchesValue(value, needle) {
+  if (Array.isArray(value)) return value.some((entry) => matchesValue(entry, needle));
+  if (value && typeof value === 'object') return includes(JSON.stringify(value), needle);
+  return value !== undefined && value !== null && includes(`${value}`, needle);
+}
+
+// Case-insensitive substring search. `query` matches label or text; every
+// filter given has to match.
+function searchNodes(index, { query, label, text: body, element_type: elementType, builder, field, value } = {}) {
+  const lower = (input) => (typeof input === 'string' && input.trim() ? input.trim().toLowerCase() : null);
+  const filters = {
+    query: lower(query),
+    label: lower(label),
+    text: lower(body),
+    elementType: lower(elementType),
+    builder: lower(builder),
+    field: typeof field === 'string' && field.trim() ? field.trim() : null,
+    value: lower(value),
+  };
+  if (filters.value && !filters.field) {
+    throw new ValidationError('value needs a field to match');
+  }
+  return index.nodes
+    .filter((node) => {
+      const entry = index.entries.get(`${node.id}`);
+      if (!entry) return false;
+      const nodeText = readText(node);
+      if (filters.query && !includes(entry.label, filters.query) && !includes(nodeText, filters.query)) return false;
+      if (filters.label && !includes(entry.label, filters.label)) return false;
+      if (filters.text && !includes(nodeText, filters.text)) return false;
+      if (filters.builder && entry.builder !== filters.builder) return false;
+      if (filters.elementType && (entry.builder !== 'elements' || entry.type.toLowerCase() !== filters.elementType)) {
+        return false;
+      }
+      if (filters.field) {
+        const found = readMetaField(normaliseMeta(node.meta), filters.field);
+        if (found === undefined || found === null || found === '') return false;
+        if (filters.value && !matchesValue(found, filters.value)) return false;
+      }
+      return true;
+    })
+    .map((node) => summariseNode(index, node));
+}
+
+function stepsFrom(index, id, { types, direction }) {
+  return (index.adjacency.get(id) || []).filter(
+    (step) => (!types || types.has(step.edge.type)) && (direction === 'both' || step.direction === direction)
+  );
+}
+
+// Breadth-first neighbourhood up to `depth` (at most MAX_DEPTH) hops, nearest
+// first; each neighbour names the relationship it was first reached through.
+function findNeighbors(index, { node_id: nodeId, depth = 1, types, direction } = {}) {
+  const start = requireNode(index, nodeId);
+  const maxDepth = Number(depth);
+  if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > MAX_DEPTH) {
+    throw new ValidationError(`depth must be an integer from 1 to ${MAX_DEPTH}`);
+  }
+  const options = { types: readTypes(types), direction: readDirection(direction) };
+  const seen = new Set([`${start.id}`]);
+  const neighbors = [];
+  let frontier = [`${start.id}`];
+  for (let level = 1; level <= maxDepth && frontier.length; level += 1) {
+    const next = [];
+    frontier.forEach((id) => {
+      stepsFrom(index, id, options).forEach((step) => {
+        if (seen.has(step.id)) return;
+        seen.add(step.id);
+        next.push(step.id);
+        neighbors.push({ ...summariseNode(index, index.byId.get(step.id)), depth: level, via: step.edge });
+      });
+    });
+    frontier = next;
+  }
+  return neighbors;
+}
+
+// Shortest path by hop count, or null when none exists within `max_depth`.
+function findPath(index, { from_id: fromId, to_id: toId, types, direction, max_depth: maxDepthRaw } = {}) {
+  const start = `${requireNode(index, fromId, 'from_id').id}`;
+  const goal = `${requireNode(index, toId, 'to_id').id}`;
+  const maxDepth = maxDepthRaw === undefined || maxDepthRaw === null ? MAX_PATH_DEPTH : Number(maxDepthRaw);
+  if (!Number.isInteger(maxDepth) || maxDepth < 1 || maxDepth > MAX_PATH_DEPTH) {
+    throw new ValidationError(`max_depth must be an integer from 1 to ${MAX_PATH_DEPTH}`);
+  }
+  const options = { types: readTypes(types), direction: readDirection(direction) };
+  const previous = new Map([[start, null]]);
+  let frontier = [start];
+  for (let level = 0; level < maxDepth && frontier.length && !previous.has(goal); level += 1) {
+    const next = [];
+    frontier.forEach((id) => {
+      stepsFrom(index, id, options).forEach((step) => {
+        if (previous.has(step.id)) return;
+        previous.set(step.id, { id, edge: step.edge });
+        next.push(step.id);
+      });
+    });
+    frontier = next;
+  }
+  if (!previous.has(goal)) {
+    return null;
+  }
+  const ids = [goal];
+  const edges = [];
+  for (let link = previous.get(goal); link; link = previous.get(link.id)) {
+    ids.unshift(link.id);
+    edges.unshift(link.edge);
+  }
+  return { length: edges.length, nodes: ids.map((id) => summariseNode(index, index.byId.get(id))), edges };
+}
+
+// Elements, optionally of one type, with their element fields and a count per type.
+function listElements(index, { element_type: elementType } = {}) {
+  const wanted = typeof elementType === 'string' && elementType.trim() ? elementType.trim().toLowerCase() : null;
+  const counts = {};
+  const elements = [];
+  index.nodes.forEach((node) => {
+    const entry = index.entries.get(`${node.id}`);
+    if (entry?.builder !== 'elements') return;
+    const type = entry.type.toLowerCase();
+    counts[type] = (counts[type] || 0) + 1;
+    if (wanted && type !== wanted) return;
+    const { customFields, ...fields } = normaliseMeta(node.meta).elementData || {};
+    const data = Object.fromEntries(
+      Object.entries(fields).map(([key, value]) => [key, typeof value === 'string' ? excerpt(value) : value])
+    );
+    if (Array.isArray(customFields) && customFields.length) {
+      data.customFields = customFields.map((entryField) => ({ ...entryField, value: excerpt(entryField?.value) }));
+    }
+    elements.push({ ...summariseNode(index, node), data });
+  });
+  return { elements, types: counts };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  MAX_DEPTH,
+  MAX_PATH_DEPTH,
+  MAX_TEXT_LENGTH,
+  readPage,
+  paginate,
+  indexGraph,
+  describeNodeDetail,
+  searchNodes,
+  findNeighbors,
+  findPath,
+  listElements,
+};
@@ -0,0 +1,225 @@
+const { buildStructureFromGraph } = require('./projectStructure');
+const { normaliseMeta } = require('./nodeUpdates');
+const { ValidationError } = require('./validators');
+
+const MANUSCRIPT_FORMATS = ['markdown', 'html'];
+
+function oneLine(value) {
+  return `${value || ''}`.replace(/\s+/g, ' ').trim();
+}
+
+function escapeHtml(value) {
+  return `${value || ''}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function paragraphs(text) {
+  return `${text || ''}`
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean);
+}
+
+function readText(node, meta) {
+  return typeof meta.fullText === 'string' && meta.fullText.trim() ? meta.fullText : node?.content || '';
+}
+
+function readElement(entry, meta, appearsIn) {
+  const data = meta.elementData && typeof meta.elementData === 'object' ? meta.elementData : {};
+  const notes = [meta.notes, data.notes].find((value) => typeof value === 'string' && value.trim()) || '';
+  const fields = (Array.isArray(data.customFields) ? data.customFields : [])
+    .filter((field) => field && typeof field === 'object' && (field.key || field.value))
+    .map((field) => ({ key: oneLine(field.key), value: `${field.value || ''}`.trim() }));
+  return { id: entry.id, label: entry.label, type: entry.type, notes: notes.trim(), fields, appearsIn };
+}
+
+// Chapters are headed one level below the book title, down to `######`.
+function headingLevel(depth) {
+  return Math.min(depth + 2, 6);
+}
+
+function renderMarkdown({ title, chapters, elements, includeNotes }) {
+  const sections = [`# ${oneLine(title)}`];
+  chapters.forEach((chapter) => {
+    const parts = [`${'#'.repeat(headingLevel(chapter.depth))} ${oneLine(chapter.title)}`];
+    if (includeNotes && chapter.notes) {
+      parts.push(paragraphs(chapter.notes).map((paragraph) => `> ${paragraph.replace(/\n/g, '\n> ')}`).join('\n>\n'));
+    }
+    parts.push(...paragraphs(chapter.text));
+    sections.push(parts.join('\n\n'));
+  });
+  if (elements.length) {
+    const entries = elements.map((element) => {
+      const lines = [`### ${oneLine(element.label)}`, `*${oneLine(element.type)}*`];
+      if (element.notes) lines.push(...paragraphs(element.notes));
+      if (element.fields.length) {
+        lines.push(element.fields.map((field) => `- **${field.key}:** ${oneLine(field.value)}`).join('\n'));
+      }
+      lines.push(`Appears in: ${element.appearsIn.map(oneLine).join(', ')}`);
+      return lines.join('\n\n');
+    });
+    sections.push(['## Appendix: Elements', ...entries].join('\n\n'));
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+function renderHtml({ title, chapters, elements, includeNotes }) {
+  const toParagraphs = (text) =>
+    paragraphs(text)
+      .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>\n')}</p>`)
+      .join('\n');
+  const body = [`<h1>${escapeHtml(oneLine(title))}</h1>`];
+  chapters.forEach((chapter) => {
+    const level = headingLevel(chapter.depth);
+    const parts = [`<h${level}>${escapeHtml(oneLine(chapter.title))}</h${level}>`];
+    if (includeNotes && chapter.notes) {
+      parts.push(`<aside class="note">\n${toParagraphs(chapter.notes)}\n</aside>`);
+    }
+    const text = toParagraphs(chapter.text);
+    if (text) parts.push(text);
+    body.push(`<section id="node-${escapeHtml(chapter.id)}">\n${parts.join('\n')}\n</section>`);
+  });
+  if (elements.length) {
+    const entries = elements.map((element) => {
+      const parts = [
+        `<h3>${escapeHtml(oneLine(element.label))}</h3>`,
+        `<p class="element-type">${escapeHtml(oneLine(element.type))}</p>`,
+      ];
+      if (element.notes) parts.push(toParagraphs(element.notes));
+      if (element.fields.length) {
+        const rows = element.fields.map(
+          (field) => `<dt>${escapeHtml(field.key)}</dt><dd>${escapeHtml(oneLine(field.value))}</dd>`
+        );
+        parts.push(`<dl>\n${rows.join('\n')}\n</dl>`);
+      }
+      parts.push(`<p class="appears-in">Appears in: ${escapeHtml(element.appearsIn.map(oneLine).join(', '))}</p>`);
+      return `<article>\n${parts.join('\n')}\n</article>`;
+    });
+    body.push(`<section id="appendix">\n<h2>Appendix: Elements</h2>\n${entries.join('\n')}\n</section>`);
+  }
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(oneLine(title))}</title>`,
+    '<style>',
+    'body { max-width: 40em; margin: 3em auto; padding: 0 1em; font: 1.1em/1.6 Georgia, serif; color: #222; }',
+    'h1, h2, h3, h4, h5, h6 { font-family: system-ui, sans-serif; line-height: 1.2; }',
+    'section { margin-bottom: 2.5em; }',
+    '.note { border-left: 3px solid #c9a227; padding-left: 1em; color: #555; font-style: italic; }',
+    '.element-type, .appears-in { color: #666; font-size: 0.9em; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    body.join('\n'),
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+// Reads the project builder's nodes in manuscript order: depth first from the
+// roots of the CHILD_OF hierarchy, children in the order they were linked. A
+// node whose meta has `includeInManuscript: false` is left out together with
+// everything below it. `elements` describes every element node with the
+// included chapters it is linked to (`appearsIn`), sorted by label.
+function readManuscript({ nodes = [], edges = [] } = {}) {
+  const structure = buildStructureFromGraph(nodes, edges);
+  const rawNodes = new Map(nodes.map((node) => [`${node.id}`, node]));
+  const projectNodes = new Map(structure.project_graph.nodes.map((node) => [node.id, node]));
+  if (!projectNodes.size) {
+    throw new ValidationError('The project has no story nodes to compile');
+  }
+
+  const childIds = new Set(
+    structure.project_graph.edges.filter((edge) => edge.type === 'CHILD_OF').map((edge) => edge.to)
+  );
+  const seen = new Set();
+  const chapters = [];
+  const excluded = [];
+  const exclude = (id) => {
+    if (seen.has(id)) return;
+    seen.add(id);
+    excluded.push(id);
+    projectNodes.get(id).children.forEach(exclude);
+  };
+  const visit = (id, depth) => {
+    if (seen.has(id)) return;
+    const entry = projectNodes.get(id);
+    const meta = normaliseMeta(rawNodes.get(id)?.meta);
+    if (meta.includeInManuscript === false) {
+      exclude(id);
+      return;
+    }
+    seen.add(id);
+    chapters.push({
+      id,
+      title: entry.label,
+      depth,
+      text: readText(rawNodes.get(id), meta),
+      notes: typeof meta.notes === 'string' ? meta.notes.trim() : '',
+    });
+    entry.children.forEach((child) => visit(child, depth + 1));
+  };
+  [...projectNodes.keys()].filter((id) => !childIds.has(id)).forEach((id) => visit(id, 0));
+  // Nodes only reachable through a CHILD_OF cycle still get compiled.
+  projectNodes.forEach((node, id) => visit(id, 0));
+
+  const included = new Map(chapters.map((chapter) => [chapter.id, chapter]));
+  const elementNodes = new Map(structure.elements_graph.nodes.map((node) => [node.id, node]));
+  const appearances = new Map([...elementNodes.keys()].map((id) => [id, new Set()]));
+  structure.cross_links.forEach(({ from, to }) => {
+    const chapterId = included.has(from) ? from : to;
+    const elementId = chapterId === from ? to : from;
+    if (!included.has(chapterId) || !elementNodes.has(elementId)) return;
+    appearances.get(elementId).add(chapterId);
+  });
+  const order = new Map(chapters.map((chapter, index) => [chapter.id, index]));
+  const elements = [...appearances].map(([elementId, chapterIds]) => {
+    const appearsIn = [...chapterIds]
+      .sort((a, b) => order.get(a) - order.get(b))
+      .map((id) => included.get(id).title);
+    return readElement(elementNodes.get(elementId), normaliseMeta(rawNodes.get(elementId)?.meta), appearsIn);
+  });
+  elements.sort((a, b) => a.label.localeCompare(b.label));
+  return { chapters, excluded, elements };
+}
+
+// Compiles the project builder's nodes into one manuscript: each node in
+// `readManuscript` order becomes a heading (from its label, nested by depth)
+// followed by its `fullText`. `notes` adds each node's `meta.notes`;
+// `appendix` lists the elements linked to the included nodes with their
+// notes, custom fields and where they appear.
+function compileManuscript(graph, { title = '', format = 'markdown', notes = false, appendix = true } = {}) {
+  const kind = `${format || 'markdown'}`.toLowerCase();
+  if (!MANUSCRIPT_FORMATS.includes(kind)) {
+    throw new ValidationError(`format must be one of ${MANUSCRIPT_FORMATS.join(', ')}`);
+  }
+  const manuscript = readManuscript(graph);
+  const { chapters, excluded } = manuscript;
+  const elements = appendix ? manuscript.elements.filter((element) => element.appearsIn.length) : [];
+
+  const source = { title: oneLine(title) || 'Untitled manuscript', chapters, elements, includeNotes: Boolean(notes) };
+  const words = chapters.reduce((total, chapter) => total + (chapter.text.match(/\S+/g) || []).length, 0);
+  return {
+    format: kind,
+    body: kind === 'html' ? renderHtml(source) : renderMarkdown(source),
+    chapters: chapters.map(({ id, title: chapterTitle, depth }) => ({ id, title: chapterTitle, depth })),
+    excluded,
+    elements: elements.map(({ id, label }) => ({ id, label })),
+    words,
+  };
+}
+
+module.exports = {
+  MANUSCRIPT_FORMATS,
+  escapeHtml,
+  paragraphs,
+  readManuscript,
+  compileManuscript,
+};
@@ -0,0 +1,396 @@
+const { v4: uuidv4 } = require('uuid');
+const { buildStructureFromGraph } = require('./projectStructure');
+const { normaliseMeta } = require('./nodeUpdates');
+const { ValidationError } = require('./validators');
+const { createZip, readZip } = require('./zipArchive');
+
+const PROJECT_FOLDER = 'Project';
+const ELEMENTS_FOLDER = 'Elements';
+// Frontmatter keys the vault itself uses; everything else is node meta.
+const VAULT_KEYS = ['id', 'label', 'children', 'relationships', 'link_props'];
+// Meta written to the note body instead of the frontmatter.
+const BODY_META = ['fullText', 'notes'];
+const NOTES_HEADING = '## Notes';
+const LINKS_HEADING = '## Links';
+const WIKI_LINK = /!?\[\[([^[\]|#^]*)(?:[#^][^[\]|]*)?(?:\|([^[\]]*))?\]\]/g;
+const PLAIN_STRING = /^[A-Za-z_][\w ./()'-]*$/;
+const YAML_WORDS = /^(?:true|false|null|yes|no|on|off|~)$/i;
+const NODE_ID = /^[\w-]{1,64}$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normaliseText(text) {
+  return `${text || ''}`.replace(/\r\n?/g, '\n');
+}
+
+// Note names are link targets too, so they avoid the characters wiki links
+// and file systems reserve.
+function noteName(value) {
+  const name = `${value || ''}`
+    .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .slice(0, 100)
+    .trim();
+  return name || 'Untitled';
+}
+
+function yamlScalar(value) {
+  if (typeof value === 'string') {
+    const plain = PLAIN_STRING.test(value) && !YAML_WORDS.test(value) && value === value.trim();
+    return plain ? value : JSON.stringify(value);
+  }
+  if (typeof value === 'number' || typeof value === 'boolean' || value === null) {
+    return `${value}`;
+  }
+  // JSON is valid YAML flow style.
+  return JSON.stringify(value);
+}
+
+function isScalar(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function writeFrontmatter(data) {
+  const lines = Object.entries(data).flatMap(([key, value]) => {
+    const name = /^[A-Za-z_][\w-]*$/.test(key) ? key : JSON.stringify(key);
+    if (Array.isArray(value) && value.length && value.every(isScalar)) {
+      return [`${name}:`, ...value.map((item) => `  - ${yamlScalar(item)}`)];
+    }
+    return [`${name}: ${yamlScalar(value)}`];
+  });
+  return ['---', ...lines, '---'].join('\n');
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (value.startsWith('"')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.replace(/^"|"$/g, '');
+    }
+  }
+  if (value.startsWith("'")) {
+    return value.replace(/^'|'$/g, '').replace(/''/g, "'");
+  }
+  if (value.startsWith('[') || value.startsWith('{')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      // `[a, b]` without quotes is still a YAML flow list.
+      if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1).split(',').map(parseScalar).filter((item) => item !== '');
+      }
+      return value;
+    }
+  }
+  const plain = value.replace(/\s+#.*$/, '');
+  if (/^(?:true|yes|on)$/i.test(plain)) return true;
+  if (/^(?:false|no|off)$/i.test(plain)) return false;
+  if (/^(?:null|~)?$/i.test(plain)) return plain ? null : '';
+  if (/^-?\d+(?:\.\d+)?(?:e[-+]?\d+)?$/i.test(plain)) return Number(plain);
+  return plain;
+}
+
+// Reads the YAML frontmatter note tools write: `key: value` pairs whose values
+// are scalars, JSON/flow collections, indented `- item` lists, one level of
+// indented `key: value` maps or `|`/`>` blocks. Returns the data and the rest
+// of the note.
+function parseFrontmatter(text, fileName = 'note') {
+  const source = normaliseText(text);
+  const match = /^---[ \t]*\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/.exec(source);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+  const lines = match[1].split('\n');
+  const data = {};
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    if (!line.trim() || /^\s*#/.test(line)) continue;
+    const entry = /^("(?:[^"\\]|\\.)*"|'[^']*'|[^\s:][^:]*?)\s*:(?:\s+(.*)|\s*)$/.exec(line);
+    if (!entry || /^\s/.test(line)) {
+      throw new ValidationError(`${fileName}: cannot read frontmatter line "${line.trim()}"`);
+    }
+    const key = /^["']/.test(entry[1]) ? parseScalar(entry[1]) : entry[1];
+    const rest = (entry[2] || '').trim();
+    const block = [];
+    while (index + 1 < lines.length && (/^\s/.test(lines[index + 1]) || !lines[index + 1].trim())) {
+      index += 1;
+      block.push(lines[index]);
+    }
+    const items = block.filter((item) => item.trim());
+    if (rest === '|' || rest === '>' || /^[|>][-+]?$/.test(rest)) {
+      const indent = Math.min(...items.map((item) => /^\s*/.exec(item)[0].length));
+      const content = block.map((item) => item.slice(indent)).join('\n').replace(/\n+$/, '');
+      data[key] = rest.startsWith('>') ? content.replace(/\n(?!\n)/g, ' ') : content;
+    } else if (rest) {
+      data[key] = parseScalar(rest);
+    } else if (items.length && items.every((item) => /^\s*-(?:\s|$)/.test(item))) {
+      data[key] = items.map((item) => parseScalar(item.replace(/^\s*-\s?/, '')));
+    } else if (items.length) {
+      data[key] = Object.fromEntries(
+        items.map((item) => {
+          const pair = /^\s+([^:]+?)\s*:\s*(.*)$/.exec(item);
+          if (!pair) {
+            throw new ValidationError(`${fileName}: cannot read frontmatter line "${item.trim()}"`);
+          }
+          return [pair[1].replace(/^["']|["']$/g, ''), parseScalar(pair[2])];
+        })
+      );
+    } else {
+      data[key] = null;
+    }
+  }
+  return { data, body: source.slice(match[0].length) };
+}
+
+function wikiLink(name, label) {
+  const alias = `${label || ''}`.replace(/[[\]|]/g, '').trim();
+  return alias && alias !== name ? `[[${name}|${alias}]]` : `[[${name}]]`;
+}
+
+// Writes every node as a Markdown note: project nodes under `Project/`,
+// elements under `Elements/<Type>/`. The frontmatter holds the node's id,
+// label and meta, with CHILD_OF and other relationships as wiki links; the
+// body holds `fullText`, a `## Notes` section and a `## Links` list of the
+// node's LINKS_TO targets. Props on those links go to `link_props`.
+function buildVault(graph = {}, { title = '', modifiedAt } = {}) {
+  const { nodes = [], edges = [] } = graph;
+  const structure = buildStructureFromGraph(nodes, edges);
+  const entries = new Map(
+    [...structure.project_graph.nodes, ...structure.elements_graph.nodes].map((entry) => [entry.id, entry])
+  );
+  const root = noteName(title || 'Vault');
+  const taken = new Set();
+  const notes = nodes
+    .filter((node) => entries.has(`${node.id}`))
+    .map((node) => {
+      const entry = entries.get(`${node.id}`);
+      const base = noteName(node.label || entry.label);
+      let name = base;
+      for (let copy = 2; taken.has(name.toLowerCase()); copy += 1) name = `${base} ${copy}`;
+      taken.add(name.toLowerCase());
+      const folder =
+        entry.builder === 'elements'
+          ? `${ELEMENTS_FOLDER}/${noteName(entry.type.charAt(0).toUpperCase() + entry.type.slice(1))}`
+          : PROJECT_FOLDER;
+      return { node, entry, name, path: `${folder}/${name}.md` };
+    });
+  const names = new Map(notes.map((note) => [note.entry.id, note.name]));
+
+  const files = notes.map(({ node, entry, name, path }) => {
+    const meta = normaliseMeta(node.meta);
+    const outgoing = edges.filter((edge) => `${edge.from}` === entry.id && names.has(`${edge.to}`));
+    const links = outgoing.filter((edge) => edge.type === 'LINKS_TO');
+    const frontmatter = { id: entry.id, label: node.label || entry.label, builder: entry.builder };
+    if (entry.builder === 'elements') frontmatter.elementType = entry.type;
+    Object.entries(meta).forEach(([key, value]) => {
+      if (BODY_META.includes(key) || VAULT_KEYS.includes(key) || key in frontmatter) return;
+      if (value === undefined || value === null || value === '') return;
+      frontmatter[key] = value;
+    });
+    const children = outgoing
+      .filter((edge) => edge.type === 'CHILD_OF')
+      .map((edge) => wikiLink(names.get(`${edge.to}`)));
+    if (children.length) frontmatter.children = children;
+    const relationships = {};
+    outgoing
+      .filter((edge) => edge.type !== 'LINKS_TO' && edge.type !== 'CHILD_OF')
+      .forEach((edge) => {
+        relationships[edge.type] = [...(relationships[edge.type] || []), wikiLink(names.get(`${edge.to}`))];
+      });
+    if (Object.keys(relationships).length) frontmatter.relationships = relationships;
+    const linkProps = Object.fromEntries(
+      links
+        .filter((edge) => isPlainObject(edge.props) && Object.keys(edge.props).length)
+        .map((edge) => [names.get(`${edge.to}`), edge.props])
+    );
+    if (Object.keys(linkProps).length) frontmatter.link_props = linkProps;
+
+    const sections = [writeFrontmatter(frontmatter)];
+    const text = normaliseText(meta.fullText || node.content).trim();
+    if (text) sections.push(text);
+    if (typeof meta.notes === 'string' && meta.notes.trim()) {
+      sections.push(`${NOTES_HEADING}\n\n${meta.notes.trim()}`);
+    }
+    if (links.length) {
+      const list = links.map((edge) => {
+        const target = names.get(`${edge.to}`);
+        return `- ${wikiLink(target, entries.get(`${edge.to}`).label)}`;
+      });
+      sections.push(`${LINKS_HEADING}\n\n${list.join('\n')}`);
+    }
+    return { name: `${root}/${path}`, data: `${sections.join('\n\n')}\n` };
+  });
+  if (!files.length) {
+    throw new ValidationError('The project has no nodes to export');
+  }
+  return {
+    buffer: createZip(files, modifiedAt ? { modifiedAt } : {}),
+    files: files.map((file) => file.name),
+  };
+}
+
+// Splits a note body into its text, its `## Notes` section and its `## Links`
+// list (the sections buildVault writes).
+function splitBody(body) {
+  const sections = { text: [], notes: [], links: [] };
+  let current = sections.text;
+  normaliseText(body)
+    .split('\n')
+    .forEach((line) => {
+      if (line.trim() === NOTES_HEADING) current = sections.notes;
+      else if (line.trim() === LINKS_HEADING) current = sections.links;
+      else current.push(line);
+    });
+  const join = (lines) => lines.join('\n').trim();
+  return { fullText: join(sections.text), notes: join(sections.notes), links: join(sections.links) };
+}
+
+function readLinks(text) {
+  return [...normaliseText(text).matchAll(WIKI_LINK)].map((match) => match[1].trim()).filter(Boolean);
+}
+
+// Reads a zipped folder of Markdown notes. Hidden folders (such as a note
+// tool's settings) and non-Markdown files are skipped; a single folder
+// wrapping the whole vault is dropped from the paths.
+function readVault(buffer) {
+  const files = readZip(buffer).filter(
+    ({ name }) => /\.md$/i.test(name) && !name.split('/').some((part) => part.startsWith('.') || part === '__MACOSX')
+  );
+  if (!files.length) {
+    throw new ValidationError('The archive has no Markdown notes');
+  }
+  const [first] = files[0].name.split('/');
+  const wrapped = files.every(({ name }) => name.includes('/') && name.split('/')[0] === first);
+  return files.map(({ name, data }) => {
+    const path = wrapped ? name.slice(first.length + 1) : name;
+    const { data: frontmatter, body } = parseFrontmatter(data.toString('utf8').replace(/^\uFEFF/, ''), path);
+    return { path, name: path.split('/').pop().replace(/\.md$/i, ''), frontmatter, ...splitBody(body) };
+  });
+}
+
+// Finds the note a wiki link points at: by path, then by note name, then by
+// label, ignoring case.
+function createResolver(notes) {
+  const byPath = new Map();
+  const byName = new Map();
+  const byLabel = new Map();
+  notes.forEach((note) => {
+    const add = (map, key) => {
+      if (!map.has(key.toLowerCase())) map.set(key.toLowerCase(), note);
+    };
+    add(byPath, note.path.replace(/\.md$/i, ''));
+    add(byName, note.name);
+    add(byLabel, note.label);
+  });
+  return (target) => {
+    const key = `${target}`.trim().replace(/\.md$/i, '').toLowerCase();
+    return byPath.get(key) || byName.get(key.split('/').pop()) || byLabel.get(key) || null;
+  };
+}
+
+function readLinkTarget(value) {
+  const [target] = readLinks(value);
+  return target || `${value || ''}`.trim();
+}
+
+// Batch operations that add a vault's notes to a project. Each note becomes a
+// node classified by its frontmatter `builder`/`elementType`, keeping its
+// frontmatter `id` when that is free (`existingIds`). Wiki links anywhere in
+// the body become LINKS_TO relationships, `children` CHILD_OF and
+// `relationships` their own types.
+function planVaultImport(notes, { existingIds = new Set() } = {}) {
+  const usedIds = new Set(existingIds);
+  const prepared = notes.map((note, index) => {
+    const { frontmatter } = note;
+    const label = `${frontmatter.label || frontmatter.title || note.name}`.trim() || note.name;
+    const rawId = typeof frontmatter.id === 'string' ? frontmatter.id.trim() : '';
+    const id = NODE_ID.test(rawId) && !usedIds.has(rawId) ? rawId : uuidv4();
+    usedIds.add(id);
+    const builderName = `${frontmatter.builder || ''}`.trim().toLowerCase();
+    const elementType = `${frontmatter.elementType || ''}`.trim();
+    const builder = builderName === 'elements' || (!builderName && elementType) ? 'elements' : 'project';
+    const meta = Object.fromEntries(Object.entries(frontmatter).filter(([key]) => !VAULT_KEYS.includes(key)));
+    meta.builder = builder;
+    meta.fullText = note.fullText;
+    meta.notes = note.notes;
+    if (typeof meta.discussion !== 'string') meta.discussion = '';
+    if (!isPlainObject(meta.position)) {
+      meta.position = { x: 200 + (index % 6) * 260, y: 120 + Math.floor(index / 6) * 180 };
+    }
+    if (builder === 'elements') {
+      meta.elementType = elementType || 'element';
+      meta.elementData = {
+        title: label,
+        customFields: [],
+        ...(isPlainObject(meta.elementData) ? meta.elementData : {}),
+      };
+    } else {
+      meta.projectData = {
+        title: label,
+        notes: '',
+        customFields: [],
+        ...(isPlainObject(meta.projectData) ? meta.projectData : {}),
+      };
+    }
+    return { ...note, id, label, meta };
+  });
+
+  const resolve = createResolver(prepared);
+  const operations = prepared.map(({ id, label, meta }) => ({ op: 'node.create', id, label, content: '', meta }));
+  const unresolved = [];
+  const edgeKeys = new Set();
+  const link = (note, target, type, props = {}) => {
+    const other = resolve(target);
+    if (!other) {
+      unresolved.push({ path: note.path, target });
+      return;
+    }
+    const key = `${note.id}->${other.id}:${type}`;
+    if (other.id === note.id || edgeKeys.has(key)) return;
+    edgeKeys.add(key);
+    operations.push({ op: 'edge.create', from: note.id, to: other.id, type, props });
+  };
+  prepared.forEach((note) => {
+    const { frontmatter } = note;
+    const linkProps = isPlainObject(frontmatter.link_props) ? frontmatter.link_props : {};
+    const propsFor = (target) => {
+      const other = resolve(target);
+      const entry = Object.entries(linkProps).find(([name]) => other && resolve(name) === other);
+      return entry && isPlainObject(entry[1]) ? entry[1] : {};
+    };
+    readLinks([note.fullText, note.notes, note.links].join('\n')).forEach((target) => {
+      link(note, target, 'LINKS_TO', propsFor(target));
+    });
+    [].concat(frontmatter.children || []).forEach((child) => link(note, readLinkTarget(child), 'CHILD_OF'));
+    if (isPlainObject(frontmatter.relationships)) {
+      Object.entries(frontmatter.relationships).forEach(([type, targets]) => {
+        [].concat(targets || []).forEach((target) => link(note, readLinkTarget(target), type));
+      });
+    }
+  });
+  return {
+    operations,
+    nodes: prepared.map(({ id, label, path, meta }) => ({
+      id,
+      label,
+      path,
+      builder: meta.builder,
+      elementType: meta.builder === 'elements' ? meta.elementType : undefined,
+    })),
+    links: operations.filter((operation) => operation.op === 'edge.create').length,
+    unresolved,
+  };
+}
+
+module.exports = {
+  parseFrontmatter,
+  buildVault,
+  readVault,
+  planVaultImport,
+};
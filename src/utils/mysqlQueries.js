@@ -1,4 +1,5 @@
-const { executeWithLogging } = require('./mysqlLogger');
+const { executeWithLogging, queryWithLogging } = require('./mysqlLogger');
+const { getSqlDialect } = require('../db/relational/dialects');
 
 function buildMessageFilters({ sessionId, projectId, nodeId, cursor, direction = 'ASC' } = {}) {
   const filters = [];
@@ -150,9 +151,13 @@ async function saveNodeWorkingHistory(connection, { projectId, nodeId, workingHi
   }
   await executeWithLogging(
     connection,
-    `INSERT INTO node_working_history (project_id, node_id, working_history)
-     VALUES (?, ?, ?)
-     ON DUPLICATE KEY UPDATE working_history = VALUES(working_history), updated_at = CURRENT_TIMESTAMP`,
+    getSqlDialect().upsert({
+      table: 'node_working_history',
+      columns: ['project_id', 'node_id', 'working_history'],
+      keys: ['project_id', 'node_id'],
+      updates: ['working_history'],
+      touch: ['updated_at'],
+    }),
     [trimmedProjectId, trimmedNodeId, workingHistoryText]
   );
   return {
@@ -190,7 +195,7 @@ async function fetchLatestSummaryText(connection, { sessionId, nodeId } = {}) {
       SELECT summary_json
       FROM summaries
       WHERE session_id = ?
-        AND JSON_CONTAINS(summary_json, JSON_QUOTE(?), '$.nodes')
+        AND ${getSqlDialect().jsonArrayContains('summary_json', '$.nodes')}
       ORDER BY created_at DESC
       LIMIT 1
     `;
@@ -232,7 +237,7 @@ async function fetchSessionById(connection, sessionId) {
     return null;
   }
   const sql = `
-    SELECT id, project_id, active_node
+    SELECT id, user_id, project_id, active_node
     FROM sessions
     WHERE id = ?
     LIMIT 1
@@ -241,6 +246,512 @@ async function fetchSessionById(connection, sessionId) {
   return Array.isArray(rows) && rows.length ? rows[0] : null;
 }
 
+async function fetchProjects(connection) {
+  const [rows] = await queryWithLogging(
+    connection,
+    `SELECT p.id, p.name, p.created_at, p.archived_at, b.parent_project_id
+     FROM projects p
+     LEFT JOIN project_branches b ON b.project_id = p.id
+     ORDER BY p.created_at DESC`
+  );
+  return rows;
+}
+
+async function fetchProjectById(connection, projectId) {
+  const [rows] = await queryWithLogging(
+    connection,
+    'SELECT id, name, created_at, archived_at FROM projects WHERE id = ?',
+    [projectId]
+  );
+  return rows && rows.length ? rows[0] : null;
+}
+
+async function insertProject(connection, { id, name }) {
+  try {
+    await executeWithLogging(connection, 'INSERT INTO projects (id, name) VALUES (?, ?)', [id, name]);
+  } catch (error) {
+    if (getSqlDialect().isDuplicateKeyError(error)) {
+      return null;
+    }
+    throw error;
+  }
+  return (await fetchProjectById(connection, id)) || { id, name };
+}
+
+async function updateProject(connection, projectId, { name, archived } = {}) {
+  const assignments = [];
+  const params = [];
+  if (name !== undefined) {
+    assignments.push('name = ?');
+    params.push(name);
+  }
+  if (archived !== undefined) {
+    assignments.push('archived_at = ?');
+    params.push(archived ? new Date() : null);
+  }
+  if (assignments.length) {
+    await executeWithLogging(connection, `UPDATE projects SET ${assignments.join(', ')} WHERE id = ?`, [
+      ...params,
+      projectId,
+    ]);
+  }
+  return fetchProjectById(connection, projectId);
+}
+
+// Tables whose rows belong to a project directly through `project_id`.
+const PROJECT_SCOPED_TABLES = [
+  'node_versions',
+  'deletion_tombstones',
+  'node_revisions',
+  'checkpoints',
+  'node_working_history',
+  'prompt_templates',
+  'agent_changes',
+];
+
+// Removes a project and every relational row hanging off it. Branches of the
+// project are kept as standalone projects. Returns whether the project row existed.
+async function deleteProjectCascade(connection, projectId) {
+  await deleteMessagesForProject(connection, projectId);
+  await deleteSummariesForProject(connection, projectId);
+  await executeWithLogging(
+    connection,
+    `DELETE FROM working_memory_parts
+     WHERE project_id = ? OR session_id IN (SELECT CAST(id AS CHAR) FROM sessions WHERE project_id = ?)`,
+    [projectId, projectId]
+  );
+  await executeWithLogging(connection, 'DELETE FROM sessions WHERE project_id = ?', [projectId]);
+  for (const table of PROJECT_SCOPED_TABLES) {
+    await executeWithLogging(connection, `DELETE FROM ${table} WHERE project_id = ?`, [projectId]);
+  }
+  await executeWithLogging(
+    connection,
+    'DELETE FROM project_branches WHERE project_id = ? OR parent_project_id = ?',
+    [projectId, projectId]
+  );
+  const [result] = await executeWithLogging(connection, 'DELETE FROM projects WHERE id = ?', [projectId]);
+  return getSqlDialect().affectedRows(result) > 0;
+}
+
+async function insertProjectBranch(connection, { projectId, parentProjectId, baseCheckpointId }) {
+  await executeWithLogging(
+    connection,
+    'INSERT INTO project_branches (project_id, parent_project_id, base_checkpoint_id) VALUES (?, ?, ?)',
+    [projectId, parentProjectId, baseCheckpointId]
+  );
+  return fetchProjectBranch(connection, projectId);
+}
+
+const PROJECT_BRANCH_COLUMNS = `b.project_id, p.name, b.parent_project_id, b.base_checkpoint_id, b.created_at, b.merged_at
+     FROM project_branches b
+     LEFT JOIN projects p ON p.id = b.project_id`;
+
+async function fetchProjectBranch(connection, projectId) {
+  const [rows] = await executeWithLogging(
+    connection,
+    `SELECT ${PROJECT_BRANCH_COLUMNS}
+     WHERE b.project_id = ?`,
+    [projectId]
+  );
+  return rows && rows.length ? rows[0] : null;
+}
+
+async function fetchProjectBranches(connection, parentProjectId) {
+  const [rows] = await executeWithLogging(
+    connection,
+    `SELECT ${PROJECT_BRANCH_COLUMNS}
+     WHERE b.parent_project_id = ?
+     ORDER BY b.created_at DESC`,
+    [parentProjectId]
+  );
+  return rows;
+}
+
+async function updateProjectBranchMerge(connection, projectId, { baseCheckpointId, mergedAt = new Date() }) {
+  await executeWithLogging(
+    connection,
+    'UPDATE project_branches SET base_checkpoint_id = ?, merged_at = ? WHERE project_id = ?',
+    [baseCheckpointId, mergedAt, projectId]
+  );
+}
+
+async function insertSession(connection, { userId, projectId, activeNode = null, createdAt = null }) {
+  const columns = ['user_id', 'project_id', 'active_node'];
+  const params = [userId, projectId, activeNode];
+  if (createdAt) {
+    columns.push('created_at');
+    params.push(createdAt);
+  }
+  const [result] = await executeWithLogging(
+    connection,
+    `INSERT INTO sessions (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    params
+  );
+  return { id: getSqlDialect().insertedId(result), user_id: userId, project_id: projectId, active_node: activeNode };
+}
+
+async function updateSessionById(connection, sessionId, updates = {}) {
+  const assignments = [];
+  const params = [];
+  if (updates.active_node !== undefined) {
+    assignments.push('active_node = ?');
+    params.push(updates.active_node);
+  }
+  if (updates.last_sync !== undefined) {
+    assignments.push('last_sync = ?');
+    params.push(updates.last_sync);
+  }
+  if (!assignments.length) {
+    return 0;
+  }
+  params.push(sessionId);
+  const [result] = await executeWithLogging(
+    connection,
+    `UPDATE sessions SET ${assignments.join(', ')} WHERE id = ?`,
+    params
+  );
+  return getSqlDialect().affectedRows(result);
+}
+
+async function resetSessionsForProject(connection, projectId) {
+  await executeWithLogging(
+    connection,
+    'UPDATE sessions SET active_node = NULL, last_sync = NULL WHERE project_id = ?',
+    [projectId]
+  );
+}
+
+async function insertMessage(connection, { sessionId, nodeId = null, role, messageType, content, createdAt = null }) {
+  const columns = ['session_id', 'node_id', 'role', 'message_type', 'content'];
+  const params = [sessionId, nodeId, role, messageType, content];
+  if (createdAt) {
+    columns.push('created_at');
+    params.push(createdAt);
+  }
+  const [result] = await executeWithLogging(
+    connection,
+    `INSERT INTO messages (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    params
+  );
+  const insertedId = getSqlDialect().insertedId(result);
+  const saved = insertedId ? await fetchMessageById(connection, insertedId) : null;
+  return (
+    saved || {
+      id: insertedId,
+      session_id: sessionId,
+      node_id: nodeId,
+      role,
+      content,
+      message_type: messageType,
+      created_at: createdAt || new Date(),
+    }
+  );
+}
+
+async function fetchMessageById(connection, messageId) {
+  const [rows] = await executeWithLogging(
+    connection,
+    'SELECT id, session_id, node_id, role, content, message_type, created_at FROM messages WHERE id = ?',
+    [messageId]
+  );
+  return rows && rows.length ? rows[0] : null;
+}
+
+async function deleteMessagesForProject(connection, projectId) {
+  await executeWithLogging(
+    connection,
+    getSqlDialect().deleteJoined({
+      table: 'messages',
+      alias: 'm',
+      join: 'JOIN sessions s ON m.session_id = s.id',
+      where: 's.project_id = ?',
+    }),
+    [projectId]
+  );
+}
+
+async function insertSummary(connection, { sessionId, summary, createdAt = null }) {
+  const [result] = await executeWithLogging(
+    connection,
+    createdAt
+      ? 'INSERT INTO summaries (session_id, summary_json, created_at) VALUES (?, ?, ?)'
+      : 'INSERT INTO summaries (session_id, summary_json) VALUES (?, ?)',
+    createdAt ? [sessionId, JSON.stringify(summary), createdAt] : [sessionId, JSON.stringify(summary)]
+  );
+  return getSqlDialect().insertedId(result);
+}
+
+async function fetchSummaries(connection, { sessionId, limit = 1 } = {}) {
+  const safeLimit = Math.max(Number.parseInt(limit, 10) || 1, 1);
+  const [rows] = await executeWithLogging(
+    connection,
+    `SELECT * FROM summaries WHERE session_id = ? ORDER BY created_at DESC LIMIT ${safeLimit}`,
+    [sessionId]
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    session_id: row.session_id,
+    summary_json: parseSummaryPayload(row.summary_json),
+    created_at: row.created_at,
+  }));
+}
+
+async function deleteSummariesForProject(connection, projectId) {
+  await executeWithLogging(
+    connection,
+    getSqlDialect().deleteJoined({
+      table: 'summaries',
+      alias: 'su',
+      join: 'JOIN sessions s ON su.session_id = s.id',
+      where: 's.project_id = ?',
+    }),
+    [projectId]
+  );
+}
+
+async function insertCheckpoint(connection, { projectId, name, json, checksum, createdAt = null }) {
+  const columns = ['project_id', 'name', 'json_snapshot', 'checksum'];
+  const params = [projectId, name, json, checksum];
+  if (createdAt) {
+    columns.push('created_at');
+    params.push(createdAt);
+  }
+  const [result] = await executeWithLogging(
+    connection,
+    `INSERT INTO checkpoints (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+    params
+  );
+  return getSqlDialect().insertedId(result);
+}
+
+async function fetchCheckpoints(connection, projectId) {
+  const [rows] = await executeWithLogging(
+    connection,
+    'SELECT id, project_id, name, created_at, checksum FROM checkpoints WHERE project_id = ? ORDER BY created_at DESC',
+    [projectId]
+  );
+  return rows;
+}
+
+async function fetchCheckpointById(connection, checkpointId) {
+  const [rows] = await executeWithLogging(connection, 'SELECT * FROM checkpoints WHERE id = ?', [checkpointId]);
+  return rows && rows.length ? rows[0] : null;
+}
+
+async function fetchWorkingMemoryPartRows(connection, scopes = []) {
+  const clauses = [];
+  const params = [];
+  scopes.forEach((scope) => {
+    if (scope.projectId === undefined) {
+      clauses.push('(session_id = ?)');
+      params.push(scope.sessionId);
+      return;
+    }
+    clauses.push('(session_id = ? AND project_id = ? AND node_id = ?)');
+    params.push(scope.sessionId || '', scope.projectId, scope.nodeId || '');
+  });
+  if (!clauses.length) {
+    return [];
+  }
+  const [rows] = await queryWithLogging(
+    connection,
+    `SELECT session_id, part, payload, project_id, node_id FROM working_memory_parts WHERE ${clauses.join(' OR ')}`,
+    params
+  );
+  return rows;
+}
+
+async function upsertWorkingMemoryPart(connection, { sessionId, projectId, nodeId, part, payload }) {
+  const dialect = getSqlDialect();
+  await executeWithLogging(
+    connection,
+    dialect.upsert({
+      table: 'working_memory_parts',
+      columns: ['session_id', 'project_id', 'node_id', 'part', 'payload'],
+      values: ['?', '?', '?', '?', dialect.jsonParam()],
+      keys: ['session_id', 'project_id', 'node_id', 'part'],
+      updates: ['project_id', 'node_id', 'payload'],
+      touch: ['updated_at'],
+    }),
+    [sessionId, projectId, nodeId || '', part, payload]
+  );
+}
+
+// Every relational row of a project, for whole-project archives. Working
+// memory parts are included when scoped to the project or one of its sessions.
+async function fetchProjectArchiveRows(connection, projectId) {
+  const select = async (sql, params = [projectId]) => (await executeWithLogging(connection, sql, params))[0];
+  const sessions = await select(
+    'SELECT id, user_id, active_node, last_sync, created_at FROM sessions WHERE project_id = ? ORDER BY id'
+  );
+  const messages = await select(
+    `SELECT m.id, m.session_id, m.node_id, m.role, m.message_type, m.content, m.created_at
+     FROM messages m JOIN sessions s ON m.session_id = s.id
+     WHERE s.project_id = ? ORDER BY m.id`
+  );
+  const summaries = await select(
+    `SELECT su.id, su.session_id, su.summary_json, su.created_at
+     FROM summaries su JOIN sessions s ON su.session_id = s.id
+     WHERE s.project_id = ? ORDER BY su.id`
+  );
+  const checkpoints = await select(
+    'SELECT id, name, json_snapshot, checksum, created_at FROM checkpoints WHERE project_id = ? ORDER BY id'
+  );
+  const workingHistory = await select(
+    'SELECT node_id, working_history, updated_at FROM node_working_history WHERE project_id = ? ORDER BY node_id'
+  );
+  const workingMemoryParts = await select(
+    `SELECT session_id, project_id, node_id, part, payload FROM working_memory_parts
+     WHERE project_id = ? OR session_id IN (SELECT CAST(id AS CHAR) FROM sessions WHERE project_id = ?)`,
+    [projectId, projectId]
+  );
+  return {
+    sessions,
+    messages,
+    summaries: summaries.map((row) => ({ ...row, summary_json: parseSummaryPayload(row.summary_json) })),
+    checkpoints,
+    node_working_history: workingHistory,
+    working_memory_parts: workingMemoryParts,
+  };
+}
+
+async function deleteFallbackWorkingMemoryParts(connection, { projectId, nodeId, parts }) {
+  const placeholders = parts.map(() => '?').join(', ');
+  await executeWithLogging(
+    connection,
+    `DELETE FROM working_memory_parts
+     WHERE session_id = '' AND project_id = ? AND node_id = ? AND part IN (${placeholders})`,
+    [projectId, nodeId, ...parts]
+  );
+}
+
+function toPromptTemplate({ arguments_json: argumentsJson, ...row }) {
+  const args = parseSummaryPayload(argumentsJson);
+  return { ...row, arguments: Array.isArray(args) ? args : [] };
+}
+
+async function fetchPromptTemplates(connection, projectId) {
+  const [rows] = await executeWithLogging(
+    connection,
+    `SELECT project_id, name, title, description, arguments_json, template, updated_at
+     FROM prompt_templates WHERE project_id = ? ORDER BY name`,
+    [projectId]
+  );
+  return rows.map(toPromptTemplate);
+}
+
+async function upsertPromptTemplate(connection, template) {
+  const { projectId, name, title, description, arguments: args = [] } = template;
+  const dialect = getSqlDialect();
+  await executeWithLogging(
+    connection,
+    dialect.upsert({
+      table: 'prompt_templates',
+      columns: ['project_id', 'name', 'title', 'description', 'arguments_json', 'template'],
+      values: ['?', '?', '?', '?', dialect.jsonParam(), '?'],
+      keys: ['project_id', 'name'],
+      updates: ['title', 'description', 'arguments_json', 'template'],
+      touch: ['updated_at'],
+    }),
+    [projectId, name, title, description, JSON.stringify(args), template.template]
+  );
+  const [rows] = await executeWithLogging(
+    connection,
+    `SELECT project_id, name, title, description, arguments_json, template, updated_at
+     FROM prompt_templates WHERE project_id = ? AND name = ?`,
+    [projectId, name]
+  );
+  return rows.length ? toPromptTemplate(rows[0]) : null;
+}
+
+async function deletePromptTemplate(connection, projectId, name) {
+  const [result] = await executeWithLogging(
+    connection,
+    'DELETE FROM prompt_templates WHERE project_id = ? AND name = ?',
+    [projectId, name]
+  );
+  return getSqlDialect().affectedRows(result) > 0;
+}
+
+function toAgentChange({ operations_json: operations, inverse_json: inverse, ...row }) {
+  return { ...row, operations: parseSummaryPayload(operations) || [], inverse: parseSummaryPayload(inverse) };
+}
+
+async function insertAgentChange(connection, change) {
+  const { projectId, sessionId = null, nodeId = null, tool, summary, status, operations, inverse = null } = change;
+  const dialect = getSqlDialect();
+  const [result] = await executeWithLogging(
+    connection,
+    `INSERT INTO agent_changes (project_id, session_id, node_id, tool, summary, status, operations_json, inverse_json)
+     VALUES (?, ?, ?, ?, ?, ?, ${dialect.jsonParam()}, ${dialect.jsonParam()})`,
+    [
+      projectId,
+      sessionId,
+      nodeId,
+      tool,
+      summary,
+      status,
+      JSON.stringify(operations),
+      inverse === null ? null : JSON.stringify(inverse),
+    ]
+  );
+  return fetchAgentChangeById(connection, dialect.insertedId(result));
+}
+
+async function fetchAgentChangeById(connection, changeId) {
+  const [rows] = await executeWithLogging(connection, 'SELECT * FROM agent_changes WHERE id = ?', [changeId]);
+  return rows && rows.length ? toAgentChange(rows[0]) : null;
+}
+
+async function fetchAgentChanges(connection, { projectId, sessionId, statuses, limit = 100 } = {}) {
+  const clauses = ['project_id = ?'];
+  const params = [projectId];
+  if (sessionId !== undefined && sessionId !== null) {
+    clauses.push('session_id = ?');
+    params.push(sessionId);
+  }
+  if (statuses?.length) {
+    clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+  const [rows] = await executeWithLogging(
+    connection,
+    `SELECT * FROM agent_changes WHERE ${clauses.join(' AND ')} ORDER BY id DESC LIMIT ${Number(limit) || 100}`,
+    params
+  );
+  return rows.map(toAgentChange);
+}
+
+// Moves a change on from `fromStatus` (and, with `decidedBefore`, only if it
+// was last decided before then); null when it was no longer there. Moving back
+// to `pending` clears the decision.
+async function updateAgentChange(
+  connection,
+  changeId,
+  { fromStatus, status, inverse, decidedBy = null, decidedBefore = null }
+) {
+  const dialect = getSqlDialect();
+  const pending = status === 'pending';
+  const assignments = ['status = ?', `decided_at = ${pending ? 'NULL' : 'CURRENT_TIMESTAMP'}`, 'decided_by = ?'];
+  const params = [status, pending ? null : decidedBy];
+  if (inverse !== undefined) {
+    assignments.push(`inverse_json = ${dialect.jsonParam()}`);
+    params.push(inverse === null ? null : JSON.stringify(inverse));
+  }
+  const clauses = ['id = ?', 'status = ?'];
+  params.push(changeId, fromStatus);
+  if (decidedBefore) {
+    clauses.push('decided_at < ?');
+    params.push(decidedBefore);
+  }
+  const [result] = await executeWithLogging(
+    connection,
+    `UPDATE agent_changes SET ${assignments.join(', ')} WHERE ${clauses.join(' AND ')}`,
+    params
+  );
+  return dialect.affectedRows(result) > 0 ? fetchAgentChangeById(connection, changeId) : null;
+}
+
 module.exports = {
   buildMessageFilters,
   fetchMessagesPage,
@@ -251,4 +762,37 @@ module.exports = {
   saveNodeWorkingHistory,
   fetchLatestSummaryText,
   fetchSessionById,
+  fetchProjects,
+  fetchProjectById,
+  insertProject,
+  updateProject,
+  deleteProjectCascade,
+  insertProjectBranch,
+  fetchProjectBranch,
+  fetchProjectBranches,
+  updateProjectBranchMerge,
+  insertSession,
+  updateSessionById,
+  resetSessionsForProject,
+  insertMessage,
+  fetchMessageById,
+  deleteMessagesForProject,
+  insertSummary,
+  fetchSummaries,
+  deleteSummariesForProject,
+  parseSummaryPayload,
+  insertCheckpoint,
+  fetchCheckpoints,
+  fetchCheckpointById,
+  fetchWorkingMemoryPartRows,
+  upsertWorkingMemoryPart,
+  fetchProjectArchiveRows,
+  deleteFallbackWorkingMemoryParts,
+  fetchPromptTemplates,
+  upsertPromptTemplate,
+  deletePromptTemplate,
+  insertAgentChange,
+  fetchAgentChangeById,
+  fetchAgentChanges,
+  updateAgentChange,
 };
@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const { ValidationError } = require('./validators');
 
 function parseMeta(meta) {
   if (!meta) {
@@ -129,7 +130,7 @@ function validateRelationshipType(type) {
   if (!type) return 'LINKS_TO';
   const valid = type.toUpperCase();
   if (!/^[A-Z0-9_]+$/.test(valid)) {
-    throw new Error('Invalid relationship type.');
+    throw new ValidationError('Invalid relationship type.');
   }
   return valid;
 }
@@ -0,0 +1,39 @@
+function ensureObject(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+// Flattens one `graphStore.getLinks` entry into the shape `/api/links` answers
+// with. `subtype` groups it: the element type for elements, `project` for
+// story nodes and the builder name otherwise.
+function describeLink(entry, { projectId, relationshipType }) {
+  const other = entry?.other;
+  if (!other?.id) {
+    return null;
+  }
+  const meta = other.meta || {};
+  const builder = (meta.builder || '').toLowerCase() || 'unknown';
+  let subtype = 'default';
+  if (builder === 'elements') {
+    subtype = (meta.elementType || meta.type || 'other').toLowerCase();
+  } else if (builder === 'project') {
+    subtype = 'project';
+  } else if (builder !== 'unknown') {
+    subtype = builder;
+  }
+  return {
+    id: other.id,
+    label: other.label || other.id,
+    builder,
+    subtype,
+    element_type: builder === 'elements' ? subtype : null,
+    project_id: other.project_id || projectId,
+    relationship_type: entry.type || relationshipType,
+    direction: entry.direction || 'undirected',
+    props: ensureObject(entry.props),
+    version_id: entry.version_id || null,
+  };
+}
+
+module.exports = {
+  describeLink,
+};
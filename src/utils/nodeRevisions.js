@@ -0,0 +1,150 @@
+const { executeWithLogging } = require('./mysqlLogger');
+const { normalizeMySQLDate } = require('./nodeVersions');
+const { parseMeta } = require('./neo4jHelpers');
+const { diffValues } = require('./fieldDiff');
+const { getSqlDialect } = require('../db/relational/dialects');
+
+function ensureObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return value;
+}
+
+function readSessionId(value) {
+  const text = value === undefined || value === null ? '' : `${value}`.trim();
+  return /^\d+$/.test(text) ? text : null;
+}
+
+function readAuthor(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  return text ? text.slice(0, 191) : null;
+}
+
+// Who made a REST write: `X-User-Id` and `X-Session-Id` headers sent by the UI.
+function readRevisionAuthor(req) {
+  const header = (name) => (typeof req?.get === 'function' ? req.get(name) : '');
+  return { author: readAuthor(header('X-User-Id')), sessionId: readSessionId(header('X-Session-Id')) };
+}
+
+// A revision row is a full copy of the node as saved, so any revision can be
+// reverted to on its own without replaying the ones before it.
+function buildRevision(projectId, node, { author = null, sessionId = null, source = 'api', createdAt } = {}) {
+  if (!projectId || !node?.id) {
+    return null;
+  }
+  return {
+    project_id: projectId,
+    node_id: `${node.id}`,
+    version_id: node.version_id || null,
+    label: typeof node.label === 'string' ? node.label : '',
+    content: typeof node.content === 'string' ? node.content : '',
+    meta: ensureObject(parseMeta(node.meta)),
+    author: readAuthor(author),
+    session_id: readSessionId(sessionId),
+    source,
+    created_at: createdAt || new Date().toISOString(),
+  };
+}
+
+// The state a node had before its first recorded edit, so nodes created before
+// revisions existed can still be reverted to where they started.
+function buildBaselineRevision(projectId, node) {
+  const lastModified = typeof node?.last_modified === 'string' ? node.last_modified : undefined;
+  return buildRevision(projectId, node, { source: 'baseline', createdAt: lastModified });
+}
+
+function toRevision(row) {
+  const createdAt = row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at;
+  const meta = row.meta !== undefined ? row.meta : row.meta_json;
+  return {
+    id: Number(row.id),
+    project_id: row.project_id,
+    node_id: row.node_id,
+    version_id: row.version_id || null,
+    label: row.label || '',
+    content: row.content || '',
+    meta: ensureObject(typeof meta === 'string' ? parseMeta(meta) : meta),
+    author: row.author || null,
+    session_id: row.session_id === null || row.session_id === undefined ? null : `${row.session_id}`,
+    source: row.source || 'api',
+    created_at: createdAt,
+  };
+}
+
+// Revision listings leave out the (possibly large) content and meta.
+function summariseRevision(revision) {
+  const { content, meta, ...summary } = revision;
+  return summary;
+}
+
+// Field-level differences between two node states.
+function diffRevisions(before, after) {
+  const changes = [];
+  diffValues('label', before?.label ?? '', after?.label ?? '', changes);
+  diffValues('content', before?.content ?? '', after?.content ?? '', changes);
+  diffValues('meta', ensureObject(parseMeta(before?.meta)), ensureObject(parseMeta(after?.meta)), changes);
+  return changes;
+}
+
+async function insertRevision(connection, row) {
+  const [result] = await executeWithLogging(
+    connection,
+    `INSERT INTO node_revisions (project_id, node_id, version_id, label, content, meta_json, author, session_id, source, created_at)
+     VALUES (?, ?, ?, ?, ?, ${getSqlDialect().jsonParam()}, ?, ?, ?, ?)`,
+    [
+      row.project_id,
+      row.node_id,
+      row.version_id,
+      row.label,
+      row.content,
+      JSON.stringify(row.meta),
+      row.author,
+      row.session_id,
+      row.source,
+      normalizeMySQLDate(row.created_at),
+    ]
+  );
+  return getSqlDialect().insertedId(result);
+}
+
+async function hasRevisions(connection, projectId, nodeId) {
+  const [rows] = await executeWithLogging(
+    connection,
+    'SELECT id FROM node_revisions WHERE project_id = ? AND node_id = ? LIMIT 1',
+    [projectId, nodeId]
+  );
+  return rows.length > 0;
+}
+
+async function fetchRevisions(connection, { projectId, nodeId, limit = 50, cursor = null }) {
+  const safeLimit = Math.max(Number.parseInt(limit, 10) || 1, 1);
+  const params = [projectId, nodeId];
+  let sql = 'SELECT * FROM node_revisions WHERE project_id = ? AND node_id = ?';
+  if (cursor !== null && cursor !== undefined && !Number.isNaN(Number(cursor))) {
+    sql += ' AND id < ?';
+    params.push(Number(cursor));
+  }
+  const [rows] = await executeWithLogging(connection, `${sql} ORDER BY id DESC LIMIT ${safeLimit}`, params);
+  return rows;
+}
+
+async function fetchRevision(connection, { projectId, nodeId, revisionId }) {
+  const [rows] = await executeWithLogging(
+    connection,
+    'SELECT * FROM node_revisions WHERE project_id = ? AND node_id = ? AND id = ?',
+    [projectId, nodeId, revisionId]
+  );
+  return rows && rows.length ? rows[0] : null;
+}
+
+module.exports = {
+  readRevisionAuthor,
+  buildRevision,
+  buildBaselineRevision,
+  toRevision,
+  summariseRevision,
+  diffRevisions,
+  insertRevision,
+  hasRevisions,
+  fetchRevisions,
+  fetchRevision,
+};
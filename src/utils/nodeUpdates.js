@@ -0,0 +1,76 @@
+const { parseMeta } = require('./neo4jHelpers');
+
+function ensureObject(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+  return value;
+}
+
+function normaliseMeta(meta) {
+  return ensureObject(parseMeta(meta));
+}
+
+function deepMergeMeta(baseValue, updateValue) {
+  if (Array.isArray(updateValue)) {
+    return updateValue.slice();
+  }
+  if (updateValue && typeof updateValue === 'object' && !Array.isArray(updateValue)) {
+    const source = baseValue && typeof baseValue === 'object' && !Array.isArray(baseValue) ? baseValue : {};
+    const result = { ...source };
+    for (const key of Object.keys(updateValue)) {
+      result[key] = deepMergeMeta(source[key], updateValue[key]);
+    }
+    return result;
+  }
+  return updateValue === undefined ? baseValue : updateValue;
+}
+
+// Turns a PATCH-style body (`label`, `content`, `meta` to replace or
+// `metaUpdates` to deep-merge) into the `buildUpdate` callback graph stores
+// expect. Returns null when the body carries no updates.
+function createNodeUpdater({ label, content, meta: metaReplace, metaUpdates } = {}, { expectedVersionId = null } = {}) {
+  const coreUpdates = {};
+  if (label !== undefined) coreUpdates.label = label;
+  if (content !== undefined) coreUpdates.content = content;
+
+  const hasCore = Object.keys(coreUpdates).length > 0;
+  const hasMetaReplace = metaReplace !== undefined;
+  const metaReplaceObject = hasMetaReplace ? normaliseMeta(metaReplace) : null;
+  const metaUpdateObject = normaliseMeta(metaUpdates);
+  const hasMetaUpdates = !hasMetaReplace && Object.keys(metaUpdateObject).length > 0;
+
+  if (!hasCore && !hasMetaReplace && !hasMetaUpdates) {
+    return null;
+  }
+
+  return (existingNode) => {
+    if (expectedVersionId && existingNode.version_id !== expectedVersionId) {
+      return { rejected: 'version_conflict' };
+    }
+    const update = {};
+    if (hasCore) {
+      update.core = coreUpdates;
+    }
+    if (hasMetaReplace || hasMetaUpdates) {
+      const existingMeta = normaliseMeta(existingNode.meta);
+      if (hasMetaReplace) {
+        const incoming = metaReplaceObject || {};
+        const hadProject = Object.prototype.hasOwnProperty.call(existingMeta, 'projectData');
+        const hadElement = Object.prototype.hasOwnProperty.call(existingMeta, 'elementData');
+        const dropsProject = hadProject && !Object.prototype.hasOwnProperty.call(incoming, 'projectData');
+        const dropsElement = hadElement && !Object.prototype.hasOwnProperty.call(incoming, 'elementData');
+        if (dropsProject || dropsElement) {
+          return { rejected: 'meta_replace' };
+        }
+      }
+      const mergedMeta = hasMetaReplace ? { ...metaReplaceObject } : deepMergeMeta(existingMeta, metaUpdateObject);
+      update.meta = normaliseMeta(mergedMeta);
+    }
+    return update;
+  };
+}
+
+module.exports = {
+  normaliseMeta,
+  deepMergeMeta,
+  createNodeUpdater,
+};
@@ -1,5 +1,6 @@
 const metaHash = require('./metaHash');
 const { executeWithLogging } = require('./mysqlLogger');
+const { getSqlDialect } = require('../db/relational/dialects');
 
 function normalizeMySQLDate(isoString) {
   if (!isoString) return null;
@@ -13,15 +14,12 @@ async function upsertNodeVersion(connection, node) {
   const hash = metaHash(node.meta || {});
   const cleanDate = normalizeMySQLDate(node.last_modified);
 
-  const sql = `
-    INSERT INTO node_versions (project_id, node_id, version_id, last_modified, meta_hash)
-    VALUES (?, ?, ?, ?, ?)
-    ON DUPLICATE KEY UPDATE
-      version_id = VALUES(version_id),
-      last_modified = VALUES(last_modified),
-      meta_hash = VALUES(meta_hash),
-      project_id = VALUES(project_id)
-  `;
+  const sql = getSqlDialect().upsert({
+    table: 'node_versions',
+    columns: ['project_id', 'node_id', 'version_id', 'last_modified', 'meta_hash'],
+    keys: ['project_id', 'node_id'],
+    updates: ['version_id', 'last_modified', 'meta_hash', 'project_id'],
+  });
   await executeWithLogging(connection, sql, [
     node.project_id,
     node.id,
@@ -39,7 +37,13 @@ async function deleteNodeVersion(connection, nodeId, projectId) {
   await executeWithLogging(connection, sql, params);
 }
 
+async function deleteNodeVersionsForProject(connection, projectId) {
+  await executeWithLogging(connection, 'DELETE FROM node_versions WHERE project_id = ?', [projectId]);
+}
+
 module.exports = {
+  normalizeMySQLDate,
   upsertNodeVersion,
   deleteNodeVersion,
+  deleteNodeVersionsForProject,
 };
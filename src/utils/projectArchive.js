@@ -0,0 +1,220 @@
+const zlib = require('zlib');
+const { v4: uuidv4 } = require('uuid');
+const { ValidationError } = require('./validators');
+const { normaliseMeta } = require('./nodeUpdates');
+
+const ARCHIVE_FORMAT = 'story-graph-project';
+const ARCHIVE_VERSION = 1;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toIso(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value || null;
+}
+
+function parseJson(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  const text = Buffer.isBuffer(value) ? value.toString('utf8') : value;
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function toArchiveNode(node) {
+  return { id: `${node.id}`, label: node.label || '', content: node.content || '', meta: normaliseMeta(node.meta) };
+}
+
+function toArchiveGraph(graph) {
+  return {
+    nodes: (graph?.nodes || []).map(toArchiveNode),
+    edges: (graph?.edges || []).map(({ from, to, type, props }) => ({
+      from,
+      to,
+      type,
+      props: isPlainObject(props) ? props : {},
+    })),
+  };
+}
+
+// A self-contained copy of a project: its graph plus the relational rows from
+// `fetchProjectArchiveRows`. Ids are kept as exported and remapped on import.
+function buildProjectArchive({ project, graph, rows, exportedAt = new Date() }) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: toIso(exportedAt),
+    project: { id: project.id, name: project.name || project.id, created_at: toIso(project.created_at) },
+    graph: toArchiveGraph(graph),
+    checkpoints: rows.checkpoints.map((row) => ({
+      id: `${row.id}`,
+      name: row.name,
+      checksum: row.checksum,
+      created_at: toIso(row.created_at),
+      snapshot: toArchiveGraph(parseJson(row.json_snapshot, {})),
+    })),
+    sessions: rows.sessions.map((row) => ({
+      id: `${row.id}`,
+      user_id: row.user_id,
+      active_node: row.active_node || null,
+      last_sync: toIso(row.last_sync),
+      created_at: toIso(row.created_at),
+    })),
+    messages: rows.messages.map((row) => ({
+      id: `${row.id}`,
+      session_id: `${row.session_id}`,
+      node_id: row.node_id || null,
+      role: row.role,
+      message_type: row.message_type,
+      content: row.content,
+      created_at: toIso(row.created_at),
+    })),
+    summaries: rows.summaries.map((row) => ({
+      id: `${row.id}`,
+      session_id: `${row.session_id}`,
+      summary: row.summary_json,
+      created_at: toIso(row.created_at),
+    })),
+    node_working_history: rows.node_working_history.map((row) => ({
+      node_id: row.node_id,
+      working_history: row.working_history,
+      updated_at: toIso(row.updated_at),
+    })),
+    working_memory_parts: rows.working_memory_parts.map((row) => ({
+      session_id: row.session_id || '',
+      node_id: row.node_id || '',
+      part: row.part,
+      payload: parseJson(row.payload),
+    })),
+  };
+}
+
+function encodeProjectArchive(archive, { gzip = false } = {}) {
+  const json = Buffer.from(JSON.stringify(archive));
+  return gzip ? zlib.gzipSync(json) : json;
+}
+
+function readArray(archive, key) {
+  const value = archive[key];
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    throw new ValidationError(`${key} must be an array`);
+  }
+  return value.filter(isPlainObject);
+}
+
+function readGraph(graph, label) {
+  if (!isPlainObject(graph)) {
+    throw new ValidationError(`${label} must be an object with nodes and edges`);
+  }
+  const nodes = readArray(graph, 'nodes');
+  const edges = readArray(graph, 'edges');
+  if (nodes.some((node) => typeof node.id !== 'string' || !node.id.trim())) {
+    throw new ValidationError(`${label} contains a node without an id`);
+  }
+  return toArchiveGraph({ nodes, edges });
+}
+
+// Parses and validates an archive given as a parsed object, JSON text or a
+// gzipped buffer. Throws a ValidationError when it cannot be imported.
+function readProjectArchive(input) {
+  let archive = input;
+  if (Buffer.isBuffer(input)) {
+    let text = input;
+    if (input[0] === 0x1f && input[1] === 0x8b) {
+      try {
+        text = zlib.gunzipSync(input);
+      } catch (error) {
+        throw new ValidationError('Archive could not be decompressed');
+      }
+    }
+    archive = parseJson(text);
+  } else if (typeof input === 'string') {
+    archive = parseJson(input);
+  }
+  if (!isPlainObject(archive)) {
+    throw new ValidationError('Archive must be a JSON object');
+  }
+  if (archive.format !== ARCHIVE_FORMAT) {
+    throw new ValidationError(`Archive format must be ${ARCHIVE_FORMAT}`);
+  }
+  if (!Number.isInteger(archive.version) || archive.version < 1 || archive.version > ARCHIVE_VERSION) {
+    throw new ValidationError(`Unsupported archive version ${archive.version}`);
+  }
+  const project = isPlainObject(archive.project) ? archive.project : {};
+  return {
+    format: ARCHIVE_FORMAT,
+    version: archive.version,
+    exported_at: archive.exported_at || null,
+    project: { id: project.id ? `${project.id}` : null, name: typeof project.name === 'string' ? project.name : '' },
+    graph: readGraph(archive.graph, 'graph'),
+    checkpoints: readArray(archive, 'checkpoints').map((checkpoint) => ({
+      ...checkpoint,
+      name: `${checkpoint.name || 'Imported checkpoint'}`,
+      snapshot: readGraph(checkpoint.snapshot, `checkpoint ${checkpoint.id}`),
+    })),
+    sessions: readArray(archive, 'sessions').filter((session) => session.id !== undefined && session.id !== null),
+    messages: readArray(archive, 'messages').filter((message) => typeof message.content === 'string'),
+    summaries: readArray(archive, 'summaries'),
+    node_working_history: readArray(archive, 'node_working_history').filter((row) => row.node_id),
+    working_memory_parts: readArray(archive, 'working_memory_parts').filter((row) => row.part),
+  };
+}
+
+// Replaces every string equal to a remapped id, however deeply nested, so
+// references kept in meta, summaries and working memory follow their nodes.
+function replaceIds(value, ids) {
+  if (typeof value === 'string') return ids.has(value) ? ids.get(value) : value;
+  if (Array.isArray(value)) return value.map((item) => replaceIds(item, ids));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, replaceIds(item, ids)]));
+  }
+  return value;
+}
+
+// Gives every node of the archive a fresh id. Returns the rewritten archive
+// and the old-to-new id map.
+function remapArchiveNodeIds(archive) {
+  const ids = new Map();
+  const remember = (id) => {
+    if (id && !ids.has(id)) ids.set(id, uuidv4());
+  };
+  archive.graph.nodes.forEach((node) => remember(node.id));
+  archive.checkpoints.forEach((checkpoint) => checkpoint.snapshot.nodes.forEach((node) => remember(node.id)));
+  const nodeId = (id) => (id && ids.has(id) ? ids.get(id) : id);
+  const graph = (source) => ({
+    nodes: source.nodes.map((node) => ({ ...node, id: nodeId(node.id), meta: replaceIds(node.meta, ids) })),
+    edges: source.edges.map((edge) => ({ ...edge, from: nodeId(edge.from), to: nodeId(edge.to) })),
+  });
+  return {
+    ids,
+    archive: {
+      ...archive,
+      graph: graph(archive.graph),
+      checkpoints: archive.checkpoints.map((checkpoint) => ({ ...checkpoint, snapshot: graph(checkpoint.snapshot) })),
+      sessions: archive.sessions.map((session) => ({ ...session, active_node: nodeId(session.active_node) })),
+      messages: archive.messages.map((message) => ({ ...message, node_id: nodeId(message.node_id) })),
+      summaries: archive.summaries.map((row) => ({ ...row, summary: replaceIds(row.summary, ids) })),
+      node_working_history: archive.node_working_history.map((row) => ({ ...row, node_id: nodeId(row.node_id) })),
+      working_memory_parts: archive.working_memory_parts.map((row) => ({
+        ...row,
+        node_id: nodeId(row.node_id),
+        payload: replaceIds(row.payload, ids),
+      })),
+    },
+  };
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  buildProjectArchive,
+  encodeProjectArchive,
+  readProjectArchive,
+  remapArchiveNodeIds,
+};
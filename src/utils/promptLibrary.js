@@ -0,0 +1,303 @@
+const { buildStructureFromGraph } = require('./projectStructure');
+const { normaliseMeta } = require('./nodeUpdates');
+const { ValidationError } = require('./validators');
+
+const PROMPT_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const ARGUMENT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const MAX_TEMPLATE_LENGTH = 20000;
+const EXCERPT_LENGTH = 240;
+const EMPTY = '(none)';
+
+// `{{name}}` inserts a value and `{{#name}}…{{/name}}` keeps its text only
+// when the value is not empty.
+const SECTION_PATTERN = /\{\{#\s*([\w.-]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Values filled in from the node a prompt is run against. `linked.<type>`
+// narrows `linked` to elements of one type.
+const CONTEXT_VARIABLES = [
+  'project.id',
+  'node.id',
+  'node.label',
+  'node.type',
+  'node.builder',
+  'node.data',
+  'node.text',
+  'node.notes',
+  'linked',
+  'children',
+  'working_history',
+];
+
+const BUILT_IN_PROMPTS = [
+  {
+    name: 'develop-character-conflict',
+    title: 'Develop internal conflict',
+    description: "Develop a character's internal conflict from what the project already says about them.",
+    arguments: [{ name: 'focus', description: 'Optional angle to concentrate on.', required: false }],
+    template: [
+      "Develop the internal conflict of {{node.label}} ({{node.type}}). Stay consistent with what we know.",
+      '',
+      'Details:',
+      '{{node.data}}',
+      '',
+      'Notes:',
+      '{{node.notes}}',
+      '',
+      'Linked elements:',
+      '{{linked}}',
+      '',
+      'Working history:',
+      '{{working_history}}',
+      '{{#focus}}',
+      'Concentrate on: {{focus}}',
+      '{{/focus}}',
+      '',
+      'Name what they want and the need that contradicts it, the belief or wound that keeps the two apart, and two ' +
+        'moments in the story where the conflict could surface.',
+    ].join('\n'),
+  },
+  {
+    name: 'outline-chapter-children',
+    title: 'Outline chapter children',
+    description: 'Outline the nodes below a chapter and suggest the beats it is missing.',
+    arguments: [{ name: 'goal', description: 'What the chapter has to achieve.', required: false }],
+    template: [
+      'Outline the chapter "{{node.label}}".',
+      '',
+      'Chapter text:',
+      '{{node.text}}',
+      '{{#goal}}',
+      'The chapter has to: {{goal}}',
+      '{{/goal}}',
+      '',
+      'Its children, in order:',
+      '{{children}}',
+      '',
+      'Elements it links to:',
+      '{{linked}}',
+      '',
+      'Working history:',
+      '{{working_history}}',
+      '',
+      'Give each child a one-line purpose and the change it causes, point out gaps or repeated beats, and suggest ' +
+        'children to add, reorder or merge.',
+    ].join('\n'),
+  },
+  {
+    name: 'check-continuity',
+    title: 'Check continuity against places',
+    description: 'Check a scene for continuity errors against the places it links to.',
+    arguments: [],
+    template: [
+      'Check "{{node.label}}" for continuity errors against the places it links to.',
+      '',
+      'Scene text:',
+      '{{node.text}}',
+      '',
+      'Linked places:',
+      '{{linked.place}}',
+      '',
+      'Other linked elements:',
+      '{{linked}}',
+      '',
+      'Working history:',
+      '{{working_history}}',
+      '',
+      'List every statement in the scene that contradicts a place description (geography, travel time, weather, ' +
+        'who can be there), quote it, and suggest the smallest fix.',
+    ].join('\n'),
+  },
+].map((prompt) => ({ ...prompt, source: 'built-in' }));
+
+function trimmed(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function isKnownVariable(name, argumentNames) {
+  return argumentNames.has(name) || CONTEXT_VARIABLES.includes(name) || /^linked\.[\w-]+$/.test(name);
+}
+
+// Normalises a stored or submitted template; every placeholder has to be a
+// context variable or one of the template's own arguments.
+function validatePromptTemplate(input, { name: nameOverride } = {}) {
+  const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+  const name = trimmed(nameOverride ?? source.name);
+  if (!PROMPT_NAME_PATTERN.test(name)) {
+    throw new ValidationError('name must be 1-64 lowercase letters, digits, "-" or "_"');
+  }
+  const template = typeof source.template === 'string' ? source.template : '';
+  if (!template.trim()) {
+    throw new ValidationError('template is required');
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    throw new ValidationError(`template must be at most ${MAX_TEMPLATE_LENGTH} characters`);
+  }
+  if (source.arguments !== undefined && !Array.isArray(source.arguments)) {
+    throw new ValidationError('arguments must be an array');
+  }
+  const args = (source.arguments || []).map((argument, index) => {
+    const argName = trimmed(argument?.name);
+    if (!ARGUMENT_NAME_PATTERN.test(argName)) {
+      throw new ValidationError(`arguments[${index}].name must start with a letter and use letters, digits or "_"`);
+    }
+    if (argName === 'node_id' || isKnownVariable(argName, new Set()) || /^(node|project|linked)$/.test(argName)) {
+      throw new ValidationError(`arguments[${index}].name ${argName} is reserved`);
+    }
+    return { name: argName, description: trimmed(argument.description), required: argument.required === true };
+  });
+  const argumentNames = new Set(args.map((argument) => argument.name));
+  if (argumentNames.size !== args.length) {
+    throw new ValidationError('argument names must be unique');
+  }
+  const unknown = [...template.matchAll(/\{\{[#/]?\s*([\w.-]+)\s*\}\}/g)]
+    .map((match) => match[1])
+    .find((variable) => !isKnownVariable(variable, argumentNames));
+  if (unknown) {
+    throw new ValidationError(`template uses unknown placeholder {{${unknown}}}`);
+  }
+  return {
+    name,
+    title: trimmed(source.title) || name,
+    description: trimmed(source.description),
+    arguments: args,
+    template,
+  };
+}
+
+// Built-in prompts overlaid with the project's own templates (which win on
+// name clashes), sorted by name.
+function mergePromptTemplates(projectTemplates = []) {
+  const merged = new Map(BUILT_IN_PROMPTS.map((prompt) => [prompt.name, prompt]));
+  projectTemplates.forEach((template) => {
+    merged.set(template.name, {
+      ...template,
+      source: merged.has(template.name) ? 'override' : 'project',
+    });
+  });
+  return [...merged.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.map(formatValue).filter(Boolean).join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return value === undefined || value === null ? '' : `${value}`.trim();
+}
+
+function excerpt(text) {
+  const flat = `${text || ''}`.replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat;
+}
+
+// `key: value` lines for a node's elementData/projectData, custom fields included.
+function describeData(data) {
+  const source = data && typeof data === 'object' ? data : {};
+  const lines = [];
+  Object.entries(source).forEach(([key, value]) => {
+    if (key === 'customFields') return;
+    const text = formatValue(value);
+    if (text) lines.push(`${key}: ${text}`);
+  });
+  (Array.isArray(source.customFields) ? source.customFields : []).forEach((field) => {
+    const key = trimmed(field?.key);
+    const text = formatValue(field?.value);
+    if (key || text) lines.push(key ? `${key}: ${text}` : text);
+  });
+  return lines;
+}
+
+function readNodeText(node, meta) {
+  return trimmed(meta.fullText) || trimmed(node?.content);
+}
+
+// The values a prompt can use, read from the project graph, the node's links
+// (as described by `describeLink`) and its working history.
+function buildPromptContext({ projectId, graph, nodeId, links = [], workingHistory = '' }) {
+  const nodes = graph?.nodes || [];
+  const node = nodes.find((candidate) => `${candidate.id}` === `${nodeId}`);
+  if (!node) {
+    throw new ValidationError(`Node ${nodeId} not found`, 404);
+  }
+  const structure = buildStructureFromGraph(nodes, graph.edges || []);
+  const entries = new Map(
+    [...structure.project_graph.nodes, ...structure.elements_graph.nodes].map((entry) => [entry.id, entry])
+  );
+  const rawNodes = new Map(nodes.map((candidate) => [`${candidate.id}`, candidate]));
+  const entry = entries.get(`${node.id}`) || {};
+  const meta = normaliseMeta(node.meta);
+  const data = entry.builder === 'elements' ? meta.elementData : meta.projectData;
+
+  // Element types come from the structure so `elementData.type` counts too.
+  const elementType = (link) => {
+    const linkedEntry = entries.get(`${link.id}`);
+    return linkedEntry?.builder === 'elements' ? linkedEntry.type.toLowerCase() : link.element_type;
+  };
+  const describeLinked = (link) => {
+    const linkedMeta = normaliseMeta(rawNodes.get(`${link.id}`)?.meta);
+    const fields = describeData(linkedMeta.elementData || linkedMeta.projectData);
+    const kind = elementType(link) || link.builder;
+    return `- ${link.label} (${kind})${fields.length ? `: ${fields.join('; ')}` : ''}`;
+  };
+  const linkedByType = {};
+  links.forEach((link) => {
+    const type = elementType(link);
+    if (!type) return;
+    (linkedByType[type] = linkedByType[type] || []).push(describeLinked(link));
+  });
+
+  const projectEntry = structure.project_graph.nodes.find((candidate) => candidate.id === `${node.id}`);
+  const children = (projectEntry?.children || []).map((childId, index) => {
+    const child = rawNodes.get(childId);
+    const text = excerpt(readNodeText(child, normaliseMeta(child?.meta)));
+    return `${index + 1}. ${entries.get(childId)?.label || childId}${text ? ` — ${text}` : ''}`;
+  });
+
+  return {
+    values: {
+      'project.id': `${projectId}`,
+      'node.id': `${node.id}`,
+      'node.label': node.label || entry.label || `${node.id}`,
+      'node.type': entry.type || entry.builder || '',
+      'node.builder': entry.builder || '',
+      'node.data': describeData(data).map((line) => `- ${line}`).join('\n'),
+      'node.text': readNodeText(node, meta),
+      'node.notes': trimmed(meta.notes) || trimmed(data?.notes),
+      linked: links.map(describeLinked).join('\n'),
+      children: children.join('\n'),
+      working_history: trimmed(workingHistory),
+    },
+    linkedByType: Object.fromEntries(Object.entries(linkedByType).map(([type, lines]) => [type, lines.join('\n')])),
+  };
+}
+
+// Fills a template. Missing required arguments are a ValidationError; empty
+// context values read as "(none)" so the prompt still makes sense.
+function renderPrompt(prompt, context, args = {}) {
+  const supplied = args && typeof args === 'object' ? args : {};
+  const values = { ...context.values };
+  (prompt.arguments || []).forEach((argument) => {
+    const value = formatValue(supplied[argument.name]);
+    if (!value && argument.required) {
+      throw new ValidationError(`${argument.name} is required`);
+    }
+    values[argument.name] = value;
+  });
+  const lookup = (name) => {
+    if (name.startsWith('linked.')) return context.linkedByType?.[name.slice(7).toLowerCase()] || '';
+    return values[name] || '';
+  };
+  return prompt.template
+    .replace(SECTION_PATTERN, (match, name, body) => (lookup(name) ? body : ''))
+    .replace(PLACEHOLDER_PATTERN, (match, name) => lookup(name) || EMPTY)
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  BUILT_IN_PROMPTS,
+  CONTEXT_VARIABLES,
+  validatePromptTemplate,
+  mergePromptTemplates,
+  buildPromptContext,
+  renderPrompt,
+};
@@ -0,0 +1,148 @@
+const { buildStructureFromGraph } = require('./projectStructure');
+const { normaliseMeta } = require('./nodeUpdates');
+const { ValidationError } = require('./validators');
+const stableStringify = require('./stableStringify');
+const { checkCondition, conditionVisits, applyEffects } = require('./edgeProps');
+
+const MAX_STATES = 5000;
+const CHOICE_LABEL_PROPS = ['choice', 'label', 'text', 'title'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Mirrors the story player: project-builder nodes are passages, outgoing
+// LINKS_TO edges between them are choices and passages without any offer
+// their CHILD_OF children instead.
+function readPassages(nodes, edges) {
+  const structure = buildStructureFromGraph(nodes, edges);
+  const rawNodes = new Map(nodes.map((node) => [`${node.id}`, node]));
+  const passages = new Map();
+  structure.project_graph.nodes.forEach((entry) => {
+    const meta = normaliseMeta(rawNodes.get(entry.id)?.meta);
+    passages.set(entry.id, {
+      id: entry.id,
+      label: entry.label,
+      storyState: isPlainObject(meta.storyState) ? meta.storyState : null,
+      isStart: meta.storyStart === true,
+      children: entry.children,
+      choices: [],
+    });
+  });
+  edges.forEach((edge) => {
+    const type = `${edge?.type || 'LINKS_TO'}`.trim().toUpperCase();
+    const from = passages.get(`${edge?.from}`);
+    const to = passages.get(`${edge?.to}`);
+    if (type !== 'LINKS_TO' || !from || !to) return;
+    const props = isPlainObject(edge.props) ? edge.props : {};
+    const labelKey = CHOICE_LABEL_PROPS.find((key) => typeof props[key] === 'string' && props[key].trim());
+    from.choices.push({
+      to: to.id,
+      label: labelKey ? props[labelKey].trim() : to.label,
+      requires: props.requires,
+      effects: props.effects,
+    });
+  });
+  passages.forEach((passage) => {
+    if (!passage.choices.length) {
+      passage.choices = passage.children
+        .filter((id) => passages.has(id))
+        .map((id) => ({ to: id, label: passages.get(id).label }));
+    }
+  });
+  const childIds = new Set(
+    structure.project_graph.edges.filter((edge) => edge.type === 'CHILD_OF').map((edge) => edge.to)
+  );
+  const roots = [...passages.keys()].filter((id) => !childIds.has(id));
+  const flagged = [...passages.values()].find((passage) => passage.isStart);
+  return { passages, defaultStart: flagged?.id || roots[0] || passages.keys().next().value };
+}
+
+// Explores every playthrough from the start passage, applying edge effects
+// and passage `meta.storyState` along the way, and reports passages no
+// playthrough reaches, passages where a reader can get stuck with every
+// choice locked, choices whose conditions never hold and the endings.
+// Visits are only tracked for nodes some `visited:` condition tests, and the
+// search stops after `maxStates` distinct states with `truncated` set.
+function checkStory({ nodes = [], edges = [] } = {}, { startId = null, maxStates = MAX_STATES } = {}) {
+  const { passages, defaultStart } = readPassages(nodes, edges);
+  if (!passages.size) {
+    throw new ValidationError('The project has no story nodes to check');
+  }
+  if (startId && !passages.has(startId)) {
+    throw new ValidationError(`Unknown start node ${startId}`);
+  }
+  const start = startId || defaultStart;
+  const tracked = new Set();
+  passages.forEach((passage) => {
+    passage.choices.forEach((choice) => conditionVisits(choice.requires).forEach((id) => tracked.add(id)));
+  });
+
+  const enter = (passageId, previous, effects) => {
+    const visited = new Set(previous?.visited || []);
+    if (tracked.has(passageId)) visited.add(passageId);
+    const variables = applyEffects(previous?.variables || {}, effects);
+    return { passageId, variables: applyEffects(variables, passages.get(passageId).storyState), visited };
+  };
+  const keyOf = (state) => stableStringify([state.passageId, state.variables, [...state.visited].sort()]);
+
+  const initial = enter(start, null, null);
+  const seen = new Set([keyOf(initial)]);
+  const queue = [initial];
+  const reached = new Set();
+  const opened = new Set();
+  const stuck = new Map();
+  let truncated = false;
+  while (queue.length) {
+    const state = queue.shift();
+    const passage = passages.get(state.passageId);
+    reached.add(passage.id);
+    let available = 0;
+    passage.choices.forEach((choice, index) => {
+      if (!checkCondition(choice.requires, state)) return;
+      available += 1;
+      opened.add(`${passage.id}#${index}`);
+      const next = enter(choice.to, state, choice.effects);
+      const key = keyOf(next);
+      if (seen.has(key)) return;
+      if (seen.size >= maxStates) {
+        truncated = true;
+        return;
+      }
+      seen.add(key);
+      queue.push(next);
+    });
+    if (passage.choices.length && !available && !stuck.has(passage.id)) {
+      stuck.set(passage.id, { ...state.variables });
+    }
+  }
+
+  const describe = (passage) => ({ id: passage.id, label: passage.label });
+  const ordered = [...passages.values()];
+  const neverAvailable = [];
+  ordered
+    .filter((passage) => reached.has(passage.id))
+    .forEach((passage) => {
+      passage.choices.forEach((choice, index) => {
+        if (opened.has(`${passage.id}#${index}`)) return;
+        neverAvailable.push({ from: passage.id, to: choice.to, label: choice.label, requires: choice.requires });
+      });
+    });
+  return {
+    start,
+    states: seen.size,
+    truncated,
+    reachable: reached.size,
+    unreachable: ordered.filter((passage) => !reached.has(passage.id)).map(describe),
+    dead_ends: ordered
+      .filter((passage) => stuck.has(passage.id))
+      .map((passage) => ({ ...describe(passage), variables: stuck.get(passage.id) })),
+    never_available: neverAvailable,
+    endings: ordered.filter((passage) => reached.has(passage.id) && !passage.choices.length).map(describe),
+  };
+}
+
+module.exports = {
+  MAX_STATES,
+  checkStory,
+};
@@ -0,0 +1,78 @@
+const { executeWithLogging } = require('./mysqlLogger');
+const { normalizeMySQLDate } = require('./nodeVersions');
+const { getSqlDialect } = require('../db/relational/dialects');
+
+const TOMBSTONE_KINDS = ['node', 'edge', 'link'];
+
+// Normalises a deleted node or relationship into a tombstone row. Node
+// tombstones carry `node_id`; edge and link tombstones carry `from`/`to`/`type`
+// (links are undirected and stored with their endpoints sorted).
+function buildTombstone(projectId, record, deletedAt = new Date().toISOString()) {
+  const kind = TOMBSTONE_KINDS.includes(record?.kind) ? record.kind : null;
+  if (!projectId || !kind) {
+    return null;
+  }
+  if (kind === 'node') {
+    return record.id
+      ? { project_id: projectId, kind, node_id: `${record.id}`, from_id: null, to_id: null, rel_type: null, deleted_at: deletedAt }
+      : null;
+  }
+  if (!record.from || !record.to || !record.type) {
+    return null;
+  }
+  const [from, to] = kind === 'link' ? [record.from, record.to].sort() : [record.from, record.to];
+  return {
+    project_id: projectId,
+    kind,
+    node_id: null,
+    from_id: `${from}`,
+    to_id: `${to}`,
+    rel_type: `${record.type}`,
+    deleted_at: deletedAt,
+  };
+}
+
+function toDeletedEntry(row) {
+  const deletedAt = row.deleted_at instanceof Date ? row.deleted_at.toISOString() : row.deleted_at;
+  if (row.kind === 'node') {
+    return { kind: 'node', id: row.node_id, deleted_at: deletedAt };
+  }
+  return { kind: row.kind, from: row.from_id, to: row.to_id, type: row.rel_type, deleted_at: deletedAt };
+}
+
+async function insertTombstones(connection, rows) {
+  for (const row of rows) {
+    // eslint-disable-next-line no-await-in-loop
+    await executeWithLogging(
+      connection,
+      'INSERT INTO deletion_tombstones (project_id, kind, node_id, from_id, to_id, rel_type, deleted_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [row.project_id, row.kind, row.node_id, row.from_id, row.to_id, row.rel_type, normalizeMySQLDate(row.deleted_at)]
+    );
+  }
+  return rows.length;
+}
+
+async function fetchTombstones(connection, { projectId, since }) {
+  const sql = since
+    ? 'SELECT * FROM deletion_tombstones WHERE project_id = ? AND deleted_at > ? ORDER BY deleted_at ASC, id ASC'
+    : 'SELECT * FROM deletion_tombstones WHERE project_id = ? ORDER BY deleted_at ASC, id ASC';
+  const params = since ? [projectId, normalizeMySQLDate(since)] : [projectId];
+  const [rows] = await executeWithLogging(connection, sql, params);
+  return rows;
+}
+
+async function purgeTombstones(connection, before) {
+  const [result] = await executeWithLogging(connection, 'DELETE FROM deletion_tombstones WHERE deleted_at < ?', [
+    normalizeMySQLDate(before),
+  ]);
+  return getSqlDialect().affectedRows(result);
+}
+
+module.exports = {
+  TOMBSTONE_KINDS,
+  buildTombstone,
+  toDeletedEntry,
+  insertTombstones,
+  fetchTombstones,
+  purgeTombstones,
+};
@@ -0,0 +1,186 @@
+const { v5: uuidv5 } = require('uuid');
+const { buildStructureFromGraph } = require('./projectStructure');
+const { normaliseMeta } = require('./nodeUpdates');
+const { ValidationError } = require('./validators');
+
+// Namespace for IFIDs so re-exporting a project keeps the same story id.
+const IFID_NAMESPACE = '8d2f4a3e-5b71-4c9a-9e1d-2f6c7b0a4e58';
+
+const STORY_FORMATS = {
+  harlowe: {
+    name: 'Harlowe',
+    version: '3.3.8',
+    set: (variable, value) => `(set: ${variable} to ${value})`,
+  },
+  sugarcube: {
+    name: 'SugarCube',
+    version: '2.36.1',
+    set: (variable, value) => `<<set ${variable} to ${value}>>`,
+  },
+};
+
+const RESERVED_PASSAGES = new Set(['StoryTitle', 'StoryData', 'StoryInit']);
+const CHOICE_LABEL_PROPS = ['choice', 'label', 'text', 'title'];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Passage names and link text may not contain Twee markup.
+function cleanText(value) {
+  return `${value || ''}`
+    .replace(/->|<-/g, '-')
+    .replace(/[[\]{}|\\]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function slugify(value) {
+  const slug = `${value || ''}`
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+  return /^[a-z]/.test(slug) ? slug : `el_${slug}`;
+}
+
+function uniqueName(base, taken, separator) {
+  let name = base;
+  for (let index = 2; taken.has(name); index += 1) {
+    name = `${base}${separator}${index}`;
+  }
+  taken.add(name);
+  return name;
+}
+
+// Lines starting with `::` would otherwise open a new passage.
+function escapeBody(text) {
+  return `${text || ''}`.replace(/\r\n?/g, '\n').replace(/^::/gm, '\\::');
+}
+
+function choiceLabel(props) {
+  const source = isPlainObject(props) ? props : {};
+  const key = CHOICE_LABEL_PROPS.find((name) => typeof source[name] === 'string' && source[name].trim());
+  return key ? cleanText(source[key]) : '';
+}
+
+function formatLink(label, target) {
+  return label && label !== target ? `[[${label}->${target}]]` : `[[${target}]]`;
+}
+
+// Turns a project graph into a Twee 3 story. Project-builder nodes become
+// passages (text from `meta.fullText`), ordered by the CHILD_OF hierarchy.
+// Outgoing LINKS_TO edges between them become choices labelled from the edge
+// props; passages without any fall back to links to their children. Elements
+// linked to a passage become tags and story variables that StoryInit sets to
+// false and the passage sets to true.
+function buildTwee(
+  { nodes = [], edges = [] } = {},
+  { title = '', projectId = '', storyFormat = 'harlowe', startId = null } = {}
+) {
+  const format = STORY_FORMATS[`${storyFormat || 'harlowe'}`.toLowerCase()];
+  if (!format) {
+    throw new ValidationError(`story_format must be one of ${Object.keys(STORY_FORMATS).join(', ')}`);
+  }
+  const structure = buildStructureFromGraph(nodes, edges);
+  const rawNodes = new Map(nodes.map((node) => [`${node.id}`, node]));
+  const projectNodes = new Map(structure.project_graph.nodes.map((node) => [node.id, node]));
+  const elementNodes = new Map(structure.elements_graph.nodes.map((node) => [node.id, node]));
+  if (!projectNodes.size) {
+    throw new ValidationError('The project has no story nodes to export');
+  }
+  if (startId && !projectNodes.has(startId)) {
+    throw new ValidationError(`Unknown start node ${startId}`);
+  }
+
+  const childIds = new Set(
+    structure.project_graph.edges.filter((edge) => edge.type === 'CHILD_OF').map((edge) => edge.to)
+  );
+  const visited = new Set();
+  const visit = (id) => {
+    if (visited.has(id)) return;
+    visited.add(id);
+    projectNodes.get(id).children.forEach(visit);
+  };
+  [...projectNodes.keys()].filter((id) => !childIds.has(id)).forEach(visit);
+  projectNodes.forEach((node, id) => visit(id));
+  const ordered = [...visited];
+
+  const takenNames = new Set(RESERVED_PASSAGES);
+  const names = new Map(
+    ordered.map((id) => [id, uniqueName(cleanText(projectNodes.get(id).label) || id, takenNames, ' ')])
+  );
+
+  const takenVariables = new Set();
+  const variables = new Map();
+  const linkedElements = new Map(ordered.map((id) => [id, []]));
+  structure.cross_links.forEach(({ from, to }) => {
+    const passageId = projectNodes.has(from) ? from : to;
+    const elementId = passageId === from ? to : from;
+    if (!variables.has(elementId)) {
+      variables.set(elementId, uniqueName(slugify(elementNodes.get(elementId).label), takenVariables, '_'));
+    }
+    const linked = linkedElements.get(passageId);
+    if (!linked.includes(elementId)) linked.push(elementId);
+  });
+
+  const choices = new Map(ordered.map((id) => [id, []]));
+  edges.forEach((edge) => {
+    const type = `${edge?.type || 'LINKS_TO'}`.trim().toUpperCase();
+    if (type !== 'LINKS_TO' || !projectNodes.has(`${edge.from}`) || !projectNodes.has(`${edge.to}`)) return;
+    choices.get(`${edge.from}`).push({ to: `${edge.to}`, label: choiceLabel(edge.props) });
+  });
+
+  const start = startId || ordered[0];
+  const story = {
+    ifid: uuidv5(`${projectId || title || 'story'}`, IFID_NAMESPACE).toUpperCase(),
+    format: format.name,
+    'format-version': format.version,
+    start: names.get(start),
+    zoom: 1,
+  };
+  const sections = [
+    `:: StoryTitle\n${cleanText(title) || 'Untitled story'}`,
+    `:: StoryData\n${JSON.stringify(story, null, 2)}`,
+  ];
+  if (variables.size) {
+    const init = [...variables.values()].map((name) => format.set(`$${name}`, 'false'));
+    sections.push(`:: StoryInit\n${init.join('\n')}`);
+  }
+
+  ordered.forEach((id) => {
+    const meta = normaliseMeta(rawNodes.get(id)?.meta);
+    const linked = linkedElements.get(id);
+    const tags = linked.map((elementId) => variables.get(elementId));
+    let header = `:: ${names.get(id)}`;
+    if (tags.length) header += ` [${tags.join(' ')}]`;
+    const position = meta.position;
+    if (Number.isFinite(position?.x) && Number.isFinite(position?.y)) {
+      const metadata = { position: `${Math.round(position.x)},${Math.round(position.y)}`, size: '100,100' };
+      header += ` ${JSON.stringify(metadata)}`;
+    }
+    const text = typeof meta.fullText === 'string' && meta.fullText.trim() ? meta.fullText : rawNodes.get(id)?.content;
+    const outgoing = choices.get(id).length
+      ? choices.get(id)
+      : projectNodes.get(id).children.map((child) => ({ to: child, label: '' }));
+    const body = [
+      tags.map((name) => format.set(`$${name}`, 'true')).join('\n'),
+      escapeBody(text).trim(),
+      outgoing.map((choice) => formatLink(choice.label, names.get(choice.to))).join('\n'),
+    ].filter(Boolean);
+    sections.push([header, ...body].join('\n'));
+  });
+
+  return {
+    twee: `${sections.join('\n\n')}\n`,
+    start: names.get(start),
+    passages: ordered.map((id) => ({ id, name: names.get(id) })),
+    variables: [...variables].map(([id, name]) => ({ id, name: `$${name}` })),
+  };
+}
+
+module.exports = {
+  STORY_FORMATS,
+  buildTwee,
+};
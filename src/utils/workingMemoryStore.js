@@ -1,7 +1,6 @@
 const config = require('../config');
-const { pool } = require('../db/mysql');
-const { queryWithLogging, executeWithLogging } = require('./mysqlLogger');
-const { saveNodeWorkingHistory } = require('./mysqlQueries');
+const { relationalStore } = require('../db/relationalStore');
+const { createSqlRepository } = require('../db/relational/sqlRelationalStore');
 const {
   WORKING_MEMORY_PARTS,
   DERIVED_WORKING_MEMORY_PARTS,
@@ -71,10 +70,7 @@ function deriveWorkingMemoryScope({ sessionId, projectId, nodeId }) {
       sessionId: trimmedSessionId,
       projectId: trimmedProjectId,
       nodeId: trimmedNodeId,
-      selectClause: {
-        sql: 'session_id = ?',
-        params: [trimmedSessionId],
-      },
+      partScope: { sessionId: trimmedSessionId },
     };
   }
 
@@ -90,13 +86,19 @@ function deriveWorkingMemoryScope({ sessionId, projectId, nodeId }) {
     sessionId: '',
     projectId: trimmedProjectId,
     nodeId: trimmedNodeId,
-    selectClause: {
-      sql: 'session_id = ? AND project_id = ? AND node_id = ?',
-      params: ['', trimmedProjectId, trimmedNodeId],
-    },
+    partScope: { sessionId: '', projectId: trimmedProjectId, nodeId: trimmedNodeId },
   };
 }
 
+// An explicit connection keeps callers (and tests) on that SQL connection;
+// otherwise the configured relational store provides the repository.
+function withRepository(connection, work) {
+  if (connection) {
+    return work(createSqlRepository(connection));
+  }
+  return relationalStore.withConnection(work);
+}
+
 async function loadWorkingMemory({ sessionId, projectId, nodeId, connection } = {}) {
   const trimmedSessionId = normaliseIdentifier(sessionId);
   const trimmedProjectId = normaliseIdentifier(projectId);
@@ -115,28 +117,17 @@ async function loadWorkingMemory({ sessionId, projectId, nodeId, connection } =
     }
     throw error;
   }
-  const ownConnection = connection || (await pool.getConnection());
-  try {
-    const clauses = [];
-    const params = [];
-    clauses.push(`(${scope.selectClause.sql})`);
-    params.push(...scope.selectClause.params);
+  return withRepository(connection, async (db) => {
+    const scopes = [scope.partScope];
 
     let fallbackNodeId = '';
     if (scope.type === 'session' && scope.projectId) {
-      const fallbackProjectId = scope.projectId;
       const targetNodeId = scope.nodeId || trimmedNodeId || '';
-      clauses.push('(session_id = ? AND project_id = ? AND node_id = ?)');
-      params.push('', fallbackProjectId, targetNodeId);
+      scopes.push({ sessionId: '', projectId: scope.projectId, nodeId: targetNodeId });
       fallbackNodeId = targetNodeId;
     }
 
-    const whereClause = clauses.join(' OR ');
-    const [rows] = await queryWithLogging(
-      ownConnection,
-      `SELECT session_id, part, payload, project_id, node_id FROM working_memory_parts WHERE ${whereClause}`,
-      params
-    );
+    const rows = await db.fetchWorkingMemoryParts(scopes);
     const fallbackParts = {};
     const primaryParts = {};
     let primaryProjectId = '';
@@ -210,25 +201,21 @@ async function loadWorkingMemory({ sessionId, projectId, nodeId, connection } =
     };
     const memory = composeWorkingMemory(resolvedParts, resolvedParts);
     return { memory, parts: resolvedParts };
-  } finally {
-    if (!connection) {
-      ownConnection.release();
-    }
-  }
+  });
 }
 
-async function persistPart({ connection, sessionId, projectId, nodeId, name, value }) {
+async function persistPart(db, { sessionId, projectId, nodeId, name, value }) {
   const serialisable = value === undefined ? null : value;
-  await executeWithLogging(
-    connection,
-    `INSERT INTO working_memory_parts (session_id, project_id, node_id, part, payload)
-     VALUES (?, ?, ?, ?, CAST(? AS JSON))
-     ON DUPLICATE KEY UPDATE project_id = VALUES(project_id), node_id = VALUES(node_id), payload = VALUES(payload), updated_at = CURRENT_TIMESTAMP`,
-    [sessionId, projectId, nodeId || '', name, JSON.stringify(serialisable)]
-  );
+  await db.upsertWorkingMemoryPart({
+    sessionId,
+    projectId,
+    nodeId: nodeId || '',
+    part: name,
+    payload: JSON.stringify(serialisable),
+  });
 }
 
-async function deleteFallbackParts(connection, { projectId, nodeId, parts }) {
+async function deleteFallbackParts(db, { projectId, nodeId, parts }) {
   const trimmedProjectId = normaliseIdentifier(projectId);
   const trimmedNodeId = normaliseIdentifier(nodeId);
   if (!trimmedProjectId || !Array.isArray(parts) || parts.length === 0) {
@@ -238,13 +225,11 @@ async function deleteFallbackParts(connection, { projectId, nodeId, parts }) {
   if (uniqueParts.length === 0) {
     return;
   }
-  const placeholders = uniqueParts.map(() => '?').join(', ');
-  await executeWithLogging(
-    connection,
-    `DELETE FROM working_memory_parts
-     WHERE session_id = '' AND project_id = ? AND node_id = ? AND part IN (${placeholders})`,
-    [trimmedProjectId, trimmedNodeId, ...uniqueParts]
-  );
+  await db.deleteFallbackWorkingMemoryParts({
+    projectId: trimmedProjectId,
+    nodeId: trimmedNodeId,
+    parts: uniqueParts,
+  });
 }
 
 async function saveWorkingMemoryPart({
@@ -294,28 +279,24 @@ async function saveWorkingMemoryPart({
   const scopeNodeId = scope.type === 'projectNode' ? scope.nodeId : resolvedNodeId;
   const targetProjectId = scope.projectId;
 
-  const existingConnection = connection || (await pool.getConnection());
-  try {
+  return withRepository(connection, async (db) => {
     if (DERIVED_WORKING_MEMORY_PARTS.has(name)) {
       const sanitisedStructure = sanitiseWorkingMemoryPart('project_structure', value);
-      await persistPart({
-        connection: existingConnection,
+      await persistPart(db, {
         sessionId: scope.sessionId,
         projectId: targetProjectId,
         nodeId: scopeNodeId,
         name: 'project_graph',
         value: sanitisedStructure.project_graph,
       });
-      await persistPart({
-        connection: existingConnection,
+      await persistPart(db, {
         sessionId: scope.sessionId,
         projectId: targetProjectId,
         nodeId: scopeNodeId,
         name: 'elements_graph',
         value: sanitisedStructure.elements_graph,
       });
-      await persistPart({
-        connection: existingConnection,
+      await persistPart(db, {
         sessionId: scope.sessionId,
         projectId: targetProjectId,
         nodeId: scopeNodeId,
@@ -323,7 +304,7 @@ async function saveWorkingMemoryPart({
         value: sanitisedStructure,
       });
       if (scope.type === 'session') {
-        await deleteFallbackParts(existingConnection, {
+        await deleteFallbackParts(db, {
           projectId: targetProjectId,
           nodeId: scopeNodeId,
           parts: ['project_graph', 'elements_graph', 'project_structure'],
@@ -333,8 +314,7 @@ async function saveWorkingMemoryPart({
     }
 
     const sanitised = sanitiseWorkingMemoryPart(name, value, options);
-    await persistPart({
-      connection: existingConnection,
+    await persistPart(db, {
       sessionId: scope.sessionId,
       projectId: targetProjectId,
       nodeId: scopeNodeId,
@@ -342,25 +322,21 @@ async function saveWorkingMemoryPart({
       value: sanitised,
     });
     if (scope.type === 'session') {
-      await deleteFallbackParts(existingConnection, {
+      await deleteFallbackParts(db, {
         projectId: targetProjectId,
         nodeId: scopeNodeId,
         parts: [name],
       });
     }
     if (name === 'working_history' && targetProjectId && scopeNodeId) {
-      await saveNodeWorkingHistory(existingConnection, {
+      await db.saveNodeWorkingHistory({
         projectId: targetProjectId,
         nodeId: scopeNodeId,
         workingHistory: sanitised,
       });
     }
     return { part: name, value: sanitised };
-  } finally {
-    if (!connection) {
-      existingConnection.release();
-    }
-  }
+  });
 }
 
 module.exports = {
@@ -0,0 +1,130 @@
+const zlib = require('zlib');
+const { ValidationError } = require('./validators');
+
+const UTF8_NAMES = 0x0800;
+
+// Zip timestamps are MS-DOS local date and time words.
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Builds a zip archive in memory. Entries are `{ name, data }` with string or
+// Buffer data, written in the given order; `store: true` keeps an entry
+// uncompressed (EPUB requires that for its leading `mimetype`).
+function createZip(entries, { modifiedAt = new Date() } = {}) {
+  const { time, date } = dosDateTime(modifiedAt);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  entries.forEach((entry) => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(`${entry.data ?? ''}`, 'utf8');
+    const method = entry.store ? 0 : 8;
+    const body = entry.store ? data : zlib.deflateRawSync(data);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + body.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+// Reads a zip archive's files back through its central directory. Only stored
+// and deflated entries are supported (no ZIP64 or encryption), and together
+// they may expand to at most `maxBytes`.
+function readZip(buffer, { maxBytes = 50 * 1024 * 1024 } = {}) {
+  const invalid = (reason) => new ValidationError(`Not a readable zip archive: ${reason}`);
+  if (!Buffer.isBuffer(buffer) || buffer.length < 22) {
+    throw invalid('too short');
+  }
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (end === -1 || end + 22 > buffer.length) {
+    throw invalid('no end of central directory');
+  }
+  const count = buffer.readUInt16LE(end + 10);
+  let cursor = buffer.readUInt32LE(end + 16);
+  let total = 0;
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    if (cursor + 46 > buffer.length || buffer.readUInt32LE(cursor) !== 0x02014b50) {
+      throw invalid('damaged central directory');
+    }
+    const flags = buffer.readUInt16LE(cursor + 8);
+    const method = buffer.readUInt16LE(cursor + 10);
+    const crc = buffer.readUInt32LE(cursor + 16);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const size = buffer.readUInt32LE(cursor + 24);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const extraLength = buffer.readUInt16LE(cursor + 30);
+    const commentLength = buffer.readUInt16LE(cursor + 32);
+    const offset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString(flags & UTF8_NAMES ? 'utf8' : 'latin1', cursor + 46, cursor + 46 + nameLength);
+    cursor += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue;
+    if (flags & 0x0001) throw invalid(`${name} is encrypted`);
+    if (method !== 0 && method !== 8) throw invalid(`${name} uses an unsupported compression method`);
+    if (offset + 30 > buffer.length || buffer.readUInt32LE(offset) !== 0x04034b50) {
+      throw invalid(`${name} has no local header`);
+    }
+    total += size;
+    if (total > maxBytes) throw invalid('the files are too large');
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const raw = buffer.subarray(start, start + compressedSize);
+    let data;
+    try {
+      data = method === 0 ? raw : zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+    } catch (error) {
+      throw invalid(`${name} cannot be decompressed`);
+    }
+    if (data.length !== size || zlib.crc32(data) !== crc) {
+      throw invalid(`${name} is corrupt`);
+    }
+    entries.push({ name, data });
+  }
+  return entries;
+}
+
+module.exports = {
+  createZip,
+  readZip,
+};
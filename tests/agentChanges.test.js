@@ -0,0 +1,298 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const config = require('../src/config');
+const { relationalStore } = require('../src/db/relationalStore');
+const { changeFeed } = require('../src/utils/changeFeed');
+const { applyGraphBatch, parseBatchOperations } = require('../src/utils/graphBatch');
+const {
+  invertOperations,
+  applyAgentChange,
+  approveAgentChange,
+  undoAgentChange,
+  undoLastAgentChange,
+} = require('../src/utils/agentChanges');
+const { createMcpServer } = require('../mcp/protocol');
+const { startApp } = require('./helpers/http');
+
+const graph = () => ({
+  nodes: [
+    { id: 'ch1', label: 'Chapter 1', meta: { builder: 'project', projectData: { title: 'Chapter 1' } } },
+    { id: 'ada', label: 'Ada', content: 'Miller', meta: { builder: 'elements', elementType: 'character' } },
+    { id: 'mill', label: 'Mill', meta: { builder: 'elements', elementType: 'place' } },
+  ],
+  edges: [
+    { from: 'ch1', to: 'ada', type: 'LINKS_TO', props: {} },
+    { from: 'ada', to: 'mill', type: 'LIVES_IN', props: { since: 'spring' } },
+  ],
+});
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+};
+
+async function connect(options) {
+  const server = createMcpServer(options);
+  await server.handleMessage(initialize);
+  let id = 1;
+  const call = async (name, args = {}) => {
+    id += 1;
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      id,
+      method: 'tools/call',
+      params: { name, arguments: args },
+    });
+    return response.result ?? response.error;
+  };
+  return { server, call };
+}
+
+function shape(snapshot) {
+  return {
+    nodes: snapshot.nodes
+      .map(({ id, label, content, meta }) => ({ id, label, content, meta }))
+      .sort((a, b) => a.id.localeCompare(b.id)),
+    edges: snapshot.edges
+      .map(({ from, to, type, props }) => ({ from, to, type, props }))
+      .sort((a, b) => `${a.from}${a.to}${a.type}`.localeCompare(`${b.from}${b.to}${b.type}`)),
+  };
+}
+
+test('inverse operations restore deleted nodes with their edges and duplicated links', () => {
+  const before = graph();
+  const inverse = invertOperations(
+    before,
+    [
+      { op: 'node.delete', id: 'ada' },
+      { op: 'edge.create', from: 'ch1', to: 'mill', type: 'LINKS_TO', props: {} },
+    ],
+    [{ op: 'node.delete', id: 'ada' }, { edge: { from: 'ch1', to: 'mill', type: 'LINKS_TO' } }]
+  );
+  assert.deepEqual(
+    inverse.operations.map((operation) => [operation.op, operation.id || `${operation.from}>${operation.to}`]),
+    [
+      ['edge.delete', 'ch1>mill'],
+      ['node.create', 'ada'],
+      ['edge.create', 'ch1>ada'],
+      ['edge.create', 'ada>mill'],
+    ]
+  );
+  assert.deepEqual(inverse.operations[3].props, { since: 'spring' });
+  assert.deepEqual(inverse.guards, []);
+});
+
+test('applied MCP changes can be dry-run and undone newest first', async () => {
+  await graphStore.restoreProject('agent-apply', graph());
+  const original = shape(await graphStore.fetchProjectGraph('agent-apply'));
+  const { server, call } = await connect({ projectId: 'agent-apply' });
+
+  const dry = await call('updateNode', { node_id: 'ada', fields: { label: 'Ada Mill' }, dry_run: true });
+  assert.equal(dry.structuredContent.dry_run, true);
+  assert.equal(dry.structuredContent.change.summary, 'Update "Ada" (label)');
+  assert.equal(dry.structuredContent.change.operations[0].op, 'node.update');
+  assert.equal((await graphStore.getNode('agent-apply', 'ada')).label, 'Ada');
+
+  const created = (await call('createNode', { builder: 'project', label: 'Storm' })).structuredContent;
+  assert.ok(created.change_id);
+  assert.equal(created.builder, 'project');
+  const updated = await call('updateNode', {
+    node_id: 'ada',
+    fields: { label: 'Ada Mill', metaUpdates: { mood: 'wary' } },
+  });
+  assert.equal(updated.structuredContent.node.meta.mood, 'wary');
+  assert.equal(updated.structuredContent.node.meta.elementType, 'character');
+  await call('linkNodes', { from_id: 'ch1', to_id: created.node.id, type: 'CHILD_OF' });
+  await call('unlinkNodes', { from_id: 'ada', to_id: 'mill', type: 'LIVES_IN' });
+  await call('deleteNode', { node_id: 'mill' });
+
+  for (let step = 0; step < 5; step += 1) {
+    const undone = await call('undoLastChange');
+    assert.equal(undone.isError, false);
+    assert.equal(undone.structuredContent.undone.status, 'undone');
+  }
+  assert.deepEqual(shape(await graphStore.fetchProjectGraph('agent-apply')), original);
+  const nothing = await call('undoLastChange');
+  assert.equal(nothing.isError, true);
+  assert.deepEqual(nothing.structuredContent, { error: 'Nothing to undo', status: 404 });
+
+  await call('updateNode', { node_id: 'ada', fields: { content: 'Drowned' } });
+  const [edit] = parseBatchOperations([{ op: 'node.update', id: 'ada', metaUpdates: { notes: 'Hand edit' } }]);
+  await applyGraphBatch('agent-apply', [edit]);
+  const refused = await call('undoLastChange');
+  assert.equal(refused.structuredContent.status, 409);
+  assert.equal(refused.structuredContent.code, 'version_conflict');
+  assert.equal((await graphStore.getNode('agent-apply', 'ada')).content, 'Drowned');
+  server.close();
+});
+
+test('proposed changes wait for approval on the node they touch', async (t) => {
+  await graphStore.restoreProject('agent-propose', graph());
+  const session = await relationalStore.createSession({
+    userId: 'agent',
+    projectId: 'agent-propose',
+    activeNode: 'ch1',
+  });
+  const { server, call } = await connect({ sessionId: `${session.id}`, mode: 'propose' });
+  const events = [];
+  const stop = changeFeed.subscribe('agent-propose', (event) => events.push(event));
+  t.after(stop);
+
+  const base = `${await startApp(t)}/api/agent-changes`;
+  const list = async (query) => (await (await fetch(`${base}?project_id=agent-propose&${query}`)).json()).changes;
+  const decide = (id, action) =>
+    fetch(`${base}/${id}/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-User-Id': 'editor' },
+      body: JSON.stringify({ project_id: 'agent-propose' }),
+    });
+
+  const proposed = await call('updateNode', { node_id: 'ada', fields: { content: 'Ferrywoman' } });
+  const { proposal } = proposed.structuredContent;
+  assert.equal(proposal.status, 'pending');
+  assert.equal((await graphStore.getNode('agent-propose', 'ada')).content, 'Miller');
+  const created = (await call('createNode', { builder: 'project', label: 'Storm' })).structuredContent.proposal;
+  assert.equal(created.node_id, 'ch1');
+  assert.deepEqual(
+    events.map((event) => [event.type, event.source]),
+    [
+      ['agent_change.created', 'mcp'],
+      ['agent_change.created', 'mcp'],
+    ]
+  );
+  assert.deepEqual(events[0].payload.change.node_ids, ['ada']);
+
+  const forAda = await list('node_id=ada');
+  assert.deepEqual(
+    forAda.map((change) => [change.id, change.status, change.undoable]),
+    [[proposal.id, 'pending', false]]
+  );
+  assert.equal((await list('node_id=ch1')).length, 1);
+
+  const approved = await decide(proposal.id, 'approve');
+  assert.equal(approved.status, 200);
+  const approvedChange = (await approved.json()).change;
+  assert.equal(approvedChange.status, 'applied');
+  assert.equal(approvedChange.decided_by, 'editor');
+  assert.equal((await graphStore.getNode('agent-propose', 'ada')).content, 'Ferrywoman');
+  assert.equal((await decide(proposal.id, 'approve')).status, 409);
+  assert.equal((await list('node_id=ada'))[0].undoable, true);
+  assert.equal((await decide(proposal.id, 'undo')).status, 200);
+  assert.equal((await graphStore.getNode('agent-propose', 'ada')).content, 'Miller');
+
+  const stale = (await call('updateNode', { node_id: 'ada', fields: { label: 'Ada the Elder' } })).structuredContent;
+  const [edit] = parseBatchOperations([{ op: 'node.update', id: 'ada', label: 'Ada Mill' }]);
+  await applyGraphBatch('agent-propose', [edit]);
+  const conflict = await decide(stale.proposal.id, 'approve');
+  assert.equal(conflict.status, 409);
+  assert.equal((await conflict.json()).code, 'version_conflict');
+  assert.equal((await decide(stale.proposal.id, 'reject')).status, 200);
+  assert.equal((await decide(stale.proposal.id, 'reject')).status, 409);
+  assert.equal((await graphStore.getNode('agent-propose', 'ada')).label, 'Ada Mill');
+  assert.equal((await decide(created.id, 'undo')).status, 409);
+  assert.equal((await fetch(`${base}/999/approve?project_id=agent-propose`, { method: 'POST' })).status, 404);
+  assert.equal((await fetch(`${base}?project_id=agent-propose&status=done`)).status, 400);
+  assert.deepEqual(
+    (await list('status=rejected')).map((change) => change.id),
+    [stale.proposal.id]
+  );
+  server.close();
+
+  await relationalStore.deleteProject('agent-propose');
+  assert.deepEqual(await relationalStore.listAgentChanges({ projectId: 'agent-propose' }), []);
+});
+
+test('of two concurrent approvals only one applies the change', async () => {
+  await graphStore.restoreProject('agent-race', graph());
+  const { server, call } = await connect({ projectId: 'agent-race', mode: 'propose' });
+  const { proposal } = (await call('linkNodes', { from_id: 'ch1', to_id: 'mill', type: 'LINKS_TO' })).structuredContent;
+
+  const outcomes = await Promise.allSettled([
+    approveAgentChange('agent-race', proposal.id, { decidedBy: 'ann' }),
+    approveAgentChange('agent-race', proposal.id, { decidedBy: 'ben' }),
+  ]);
+  assert.deepEqual(
+    outcomes.map((outcome) => outcome.status),
+    ['fulfilled', 'rejected']
+  );
+  assert.equal(outcomes[0].value.status, 'applied');
+  assert.equal(outcomes[1].reason.status, 409);
+  const links = (await graphStore.fetchProjectGraph('agent-race')).edges.filter(
+    (edge) => edge.from === 'ch1' && edge.to === 'mill'
+  );
+  assert.equal(links.length, 1);
+  server.close();
+});
+
+test('a failed approval releases its claim, and an abandoned claim can be taken over', async (t) => {
+  await graphStore.restoreProject('agent-claim', graph());
+  const { server, call } = await connect({ projectId: 'agent-claim', mode: 'propose' });
+  t.after(() => server.close());
+  const propose = async (content) =>
+    (await call('updateNode', { node_id: 'ada', fields: { content } })).structuredContent.proposal;
+  const [edit] = parseBatchOperations([{ op: 'node.update', id: 'ada', label: 'Ada Mill' }]);
+
+  const stale = await propose('Ferrywoman');
+  await applyGraphBatch('agent-claim', [edit]);
+  await assert.rejects(approveAgentChange('agent-claim', stale.id, { decidedBy: 'ann' }), { code: 'version_conflict' });
+  const released = await relationalStore.getAgentChange(stale.id);
+  assert.deepEqual([released.status, released.decided_at, released.decided_by], ['pending', null, null]);
+
+  const updateAgentChange = relationalStore.updateAgentChange;
+  t.mock.method(relationalStore, 'updateAgentChange', (id, updates) =>
+    updates.status === 'pending' ? Promise.reject(new Error('connection lost')) : updateAgentChange(id, updates)
+  );
+  t.mock.method(console, 'error', () => {});
+  await assert.rejects(approveAgentChange('agent-claim', stale.id, { decidedBy: 'ann' }), { code: 'version_conflict' });
+  t.mock.restoreAll();
+  assert.equal((await relationalStore.getAgentChange(stale.id)).status, 'applying');
+
+  await assert.rejects(approveAgentChange('agent-claim', stale.id, { decidedBy: 'ben' }), { status: 409 });
+  const fresh = await propose('Miller of the mill');
+  const timeout = config.agentChanges.claimTimeoutMs;
+  t.after(() => {
+    config.agentChanges.claimTimeoutMs = timeout;
+  });
+  await relationalStore.updateAgentChange(fresh.id, { fromStatus: 'pending', status: 'applying', decidedBy: 'ann' });
+  config.agentChanges.claimTimeoutMs = 0;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const approved = await approveAgentChange('agent-claim', fresh.id, { decidedBy: 'ben' });
+  assert.deepEqual([approved.status, approved.decided_by], ['applied', 'ben']);
+  assert.equal((await graphStore.getNode('agent-claim', 'ada')).content, 'Miller of the mill');
+});
+
+test('an applied change is inverted from the graph its own batch saw', async () => {
+  await graphStore.restoreProject('agent-inverse', graph());
+  const plan = { tool: 'deleteNode', summary: 'Delete "Mill"', operations: [{ op: 'node.delete', id: 'mill' }] };
+  const [linked, { change }] = await Promise.all([
+    applyGraphBatch('agent-inverse', parseBatchOperations([{ op: 'edge.create', from: 'ch1', to: 'mill' }])),
+    applyAgentChange('agent-inverse', plan),
+  ]);
+  assert.equal(linked.length, 1);
+  await undoAgentChange('agent-inverse', change.id);
+  const { edges } = await graphStore.fetchProjectGraph('agent-inverse');
+  assert.ok(edges.some((edge) => edge.from === 'ch1' && edge.to === 'mill'));
+  assert.ok(edges.some((edge) => edge.from === 'ada' && edge.to === 'mill'));
+});
+
+test('undoing the last change needs a session', async () => {
+  await graphStore.restoreProject('agent-anonymous', graph());
+  const { server, call } = await connect({ projectId: 'agent-anonymous' });
+  await call('updateNode', { node_id: 'ada', fields: { content: 'Ferrywoman' } });
+  for (const sessionId of [null, undefined, ' ']) {
+    await assert.rejects(undoLastAgentChange('agent-anonymous', sessionId), {
+      message: 'A session id is required to undo the last change',
+      status: 400,
+    });
+  }
+  assert.equal((await graphStore.getNode('agent-anonymous', 'ada')).content, 'Ferrywoman');
+  server.close();
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const apiRouter = require('../src/routes/api');
+const mcpRouter = require('../mcp');
+const { createChangeFeed } = require('../src/utils/changeFeed');
+const { startApp } = require('./helpers/http');
+
+// Reads SSE frames until `count` events arrived; leaving the loop cancels the stream.
+async function collectEvents(response, count) {
+  const decoder = new TextDecoder();
+  const events = [];
+  let buffer = '';
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const frame = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = frame
+        .split('\n')
+        .filter((line) => line.startsWith('data: '))
+        .map((line) => line.slice(6))
+        .join('\n');
+      if (data) {
+        events.push(JSON.parse(data));
+      }
+      boundary = buffer.indexOf('\n\n');
+    }
+    if (events.length >= count) {
+      break;
+    }
+  }
+  return events;
+}
+
+test('change feed replays buffered events and asks for a resync past the buffer', () => {
+  const feed = createChangeFeed({ replayLimit: 2 });
+  const first = feed.publish('p1', 'node.created', { node: { id: 'a' } });
+  feed.publish('p2', 'node.created', { node: { id: 'z' } });
+  const second = feed.publish('p1', 'node.updated', { node: { id: 'a' } });
+  assert.equal(feed.publish('p1', 'node.renamed', {}), null);
+
+  assert.deepEqual(
+    feed.replay('p1', first.id).map((event) => event.id),
+    [second.id]
+  );
+  feed.publish('p1', 'node.deleted', { id: 'a' });
+  assert.equal(feed.replay('p1', first.id).length, 2);
+  assert.equal(feed.replay('p1', 0), null);
+  assert.equal(feed.replay('p1', second.id + 100), null);
+
+  // A restarted server has none of the old events, whichever project asks.
+  const restarted = createChangeFeed({ replayLimit: 2, startAt: second.id + 1000 });
+  assert.equal(restarted.replay('p2', second.id), null);
+  const fresh = restarted.publish('p1', 'node.created', { node: { id: 'b' } });
+  assert.equal(restarted.replay('p1', second.id), null);
+  assert.deepEqual(restarted.replay('p1', fresh.id), []);
+  assert.deepEqual(restarted.replay('p3', fresh.id), []);
+
+  const received = [];
+  const unsubscribe = feed.subscribe('p1', (event) => received.push(event.type));
+  feed.publish('p1', 'message.created', { message: { id: 1 } });
+  unsubscribe();
+  feed.publish('p1', 'message.created', { message: { id: 2 } });
+  assert.deepEqual(received, ['message.created']);
+  assert.equal(feed.listenerCount('p1'), 0);
+});
+
+test('GET /api/events streams REST and MCP changes tagged with their origin', async (t) => {
+  const base = await startApp(t, { '/api': apiRouter, '/mcp': mcpRouter });
+  const stream = await fetch(`${base}/api/events?project_id=feed`);
+  assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+  const collected = collectEvents(stream, 3);
+
+  const created = await fetch(`${base}/api/node`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Client-Id': 'tab-1' },
+    body: JSON.stringify({ id: 'n1', label: 'Opening', project_id: 'feed' }),
+  });
+  assert.equal(created.status, 201);
+  await fetch(`${base}/api/node`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id: 'n2', label: 'Elsewhere', project_id: 'other' }),
+  });
+  const mcp = await fetch(`${base}/mcp/call`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      tool: 'updateNode',
+      arguments: { node_id: 'n1', fields: { label: 'Opening scene' } },
+      memory: { session: { project_id: 'feed' } },
+    }),
+  });
+  assert.equal(mcp.status, 200);
+  await fetch(`${base}/api/node/n1?project_id=feed`, { method: 'DELETE' });
+
+  const events = await collected;
+  assert.deepEqual(
+    events.map((event) => [event.type, event.source]),
+    [
+      ['node.created', 'api'],
+      ['node.updated', 'mcp'],
+      ['node.deleted', 'api'],
+    ]
+  );
+  assert.equal(events[0].origin, 'tab-1');
+  assert.equal(events[0].payload.node.id, 'n1');
+  assert.equal(events[1].payload.node.label, 'Opening scene');
+  assert.deepEqual(events[2].payload, { id: 'n1' });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { diffGraphs } = require('../src/utils/graphDiff');
+const { startApp, request } = require('./helpers/http');
+
+test('diffGraphs ignores versions and reports meta and edge prop leaves', () => {
+  const diff = diffGraphs(
+    {
+      nodes: [
+        { id: 'a', label: 'A', content: '', meta: { tone: 'dark', stats: { hp: 3 } }, version_id: 'v1' },
+        { id: 'b', label: 'B', content: '', meta: {}, version_id: 'v1' },
+      ],
+      edges: [{ from: 'a', to: 'b', type: 'LINKS_TO', props: { weight: 1 } }],
+    },
+    {
+      nodes: [
+        { id: 'a', label: 'A', content: '', meta: { tone: 'dark', stats: { hp: 4 } }, version_id: 'v2' },
+        { id: 'b', label: 'B', content: '', meta: {}, version_id: 'v9' },
+        { id: 'c', label: 'C', content: '', meta: {} },
+      ],
+      edges: [{ from: 'a', to: 'b', type: 'LINKS_TO', props: { weight: 2 } }],
+    }
+  );
+  assert.deepEqual(diff.nodes.added, [{ id: 'c', label: 'C' }]);
+  assert.deepEqual(diff.nodes.modified, [
+    { id: 'a', label: 'A', changes: [{ field: 'meta.stats.hp', before: 3, after: 4 }] },
+  ]);
+  assert.deepEqual(diff.edges.modified[0].changes, [{ field: 'props.weight', before: 1, after: 2 }]);
+  assert.equal(diff.summary.nodes_removed, 0);
+});
+
+test('checkpoint diff previews a restore against the graph or another checkpoint', async (t) => {
+  const base = await startApp(t);
+  await graphStore.createNode('cpdiff', { id: 'hall', label: 'Hall', content: 'Quiet', meta: { mood: 'calm' } });
+  await graphStore.createNode('cpdiff', { id: 'yard', label: 'Yard', content: '', meta: {} });
+  await graphStore.createEdge('cpdiff', { from: 'hall', to: 'yard', type: 'LEADS_TO', props: {} });
+  const first = await request(`${base}/api/checkpoints`, 'POST', { project_id: 'cpdiff', name: 'First' });
+  assert.equal(first.status, 201);
+
+  await graphStore.deleteNode('cpdiff', 'yard');
+  await graphStore.createNode('cpdiff', { id: 'cellar', label: 'Cellar', content: '', meta: {} });
+  await graphStore.updateNode('cpdiff', 'hall', () => ({ core: { content: 'Loud' }, meta: { mood: 'tense' } }));
+  const second = await request(`${base}/api/checkpoints`, 'POST', { project_id: 'cpdiff', name: 'Second' });
+
+  const preview = await request(`${base}/api/checkpoints/${first.body.id}/diff`);
+  assert.equal(preview.status, 200);
+  assert.equal(preview.body.from.id, 'current');
+  assert.deepEqual(preview.body.nodes.added, [{ id: 'yard', label: 'Yard' }]);
+  assert.deepEqual(preview.body.nodes.removed, [{ id: 'cellar', label: 'Cellar' }]);
+  assert.deepEqual(
+    preview.body.nodes.modified[0].changes.map((change) => [change.field, change.after]),
+    [
+      ['content', 'Quiet'],
+      ['meta.mood', 'calm'],
+    ]
+  );
+  assert.deepEqual(preview.body.edges.added, [{ from: 'hall', to: 'yard', type: 'LEADS_TO', props: {} }]);
+
+  const between = await request(`${base}/api/checkpoints/${second.body.id}/diff?against=${first.body.id}`);
+  assert.equal(between.status, 200);
+  assert.equal(between.body.from.name, 'First');
+  assert.equal(between.body.summary.nodes_added, 1);
+  assert.equal(between.body.summary.edges_removed, 1);
+
+  const unchanged = await request(`${base}/api/checkpoints/${second.body.id}/diff?against=current`);
+  assert.equal(Object.values(unchanged.body.summary).every((count) => count === 0), true);
+
+  const other = await request(`${base}/api/checkpoints`, 'POST', { project_id: 'elsewhere', name: 'Other' });
+  const mismatch = await request(`${base}/api/checkpoints/${first.body.id}/diff?against=${other.body.id}`);
+  assert.equal(mismatch.status, 400);
+  const missing = await request(`${base}/api/checkpoints/99999/diff`);
+  assert.equal(missing.status, 404);
+});
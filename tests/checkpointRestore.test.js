@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { NAME_LENGTH, relationalStore } = require('../src/db/relationalStore');
+const { startApp, request } = require('./helpers/http');
+
+async function seedProject(base, projectId) {
+  await graphStore.createNode(projectId, { id: 'act', label: 'Act', content: 'one', meta: {} });
+  await graphStore.createNode(projectId, { id: 'scene', label: 'Scene', content: 'two', meta: {} });
+  await graphStore.createNode(projectId, { id: 'aside', label: 'Aside', content: 'three', meta: {} });
+  await graphStore.createEdge(projectId, { from: 'act', to: 'scene', type: 'CONTAINS', props: {} });
+  const checkpoint = await request(`${base}/api/checkpoints`, 'POST', { project_id: projectId, name: 'Draft' });
+  assert.equal(checkpoint.status, 201);
+  return checkpoint.body.id;
+}
+
+test('selective restore puts back a subtree and keeps history and a safety checkpoint', async (t) => {
+  const base = await startApp(t);
+  const checkpointId = await seedProject(base, 'partial');
+  const session = await relationalStore.createSession({ userId: 'writer', projectId: 'partial' });
+  await relationalStore.insertMessage({ sessionId: session.id, role: 'user', messageType: 'user_reply', content: 'hi' });
+
+  const edit = () => ({ core: { content: 'edited' } });
+  await graphStore.updateNode('partial', 'scene', edit);
+  await graphStore.updateNode('partial', 'aside', edit);
+  await graphStore.createNode('partial', { id: 'extra', label: 'Extra', content: '', meta: {} });
+  await graphStore.createEdge('partial', { from: 'scene', to: 'extra', type: 'CONTAINS', props: {} });
+
+  const restored = await request(`${base}/api/checkpoints/${checkpointId}/restore`, 'POST', { subtree_root: 'act' });
+  assert.equal(restored.status, 200);
+  assert.deepEqual(restored.body.node_ids.sort(), ['act', 'extra', 'scene']);
+  assert.equal(restored.body.keep_history, true);
+  assert.equal(restored.body.safety_checkpoint.name, 'Before restoring Draft');
+
+  const graph = await graphStore.fetchProjectGraph('partial');
+  const content = Object.fromEntries(graph.nodes.map((node) => [node.id, node.content]));
+  assert.deepEqual(content, { act: 'one', scene: 'two', aside: 'edited' });
+  assert.equal(await relationalStore.countMessages({ sessionId: session.id }), 1);
+
+  const safety = await relationalStore.getCheckpoint(restored.body.safety_checkpoint.id);
+  assert.equal(JSON.parse(safety.json_snapshot).nodes.length, 4);
+  const revisions = await request(`${base}/api/node/scene/revisions?project_id=partial`);
+  assert.equal(revisions.body.revisions[0].source, 'restore');
+
+  const unknown = await request(`${base}/api/checkpoints/${checkpointId}/restore`, 'POST', { node_ids: ['ghost'] });
+  assert.equal(unknown.status, 400);
+});
+
+test('checkpoint names are cut to the width of the name column', async (t) => {
+  const base = await startApp(t);
+  await graphStore.createNode('long-names', { id: 'act', label: 'Act', content: 'one', meta: {} });
+  const longName = 'n'.repeat(250);
+  const checkpoint = await request(`${base}/api/checkpoints`, 'POST', { project_id: 'long-names', name: longName });
+  assert.equal(checkpoint.status, 201);
+  assert.equal(checkpoint.body.name, longName.slice(0, NAME_LENGTH));
+
+  const restored = await request(`${base}/api/checkpoints/${checkpoint.body.id}/restore`, 'POST');
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.safety_checkpoint.name.length, NAME_LENGTH);
+  const stored = await relationalStore.listCheckpoints('long-names');
+  assert.ok(stored.every((entry) => entry.name.length <= NAME_LENGTH));
+});
+
+test('full restore can keep history, and a fork restores into a new project', async (t) => {
+  const base = await startApp(t);
+  const checkpointId = await seedProject(base, 'whole');
+  const session = await relationalStore.createSession({ userId: 'writer', projectId: 'whole' });
+  await relationalStore.insertMessage({ sessionId: session.id, role: 'user', messageType: 'user_reply', content: 'hi' });
+  await graphStore.deleteNode('whole', 'aside');
+
+  const kept = await request(`${base}/api/checkpoints/${checkpointId}/restore`, 'POST', {
+    keep_history: true,
+    safety_checkpoint: false,
+  });
+  assert.equal(kept.status, 200);
+  assert.equal(kept.body.safety_checkpoint, null);
+  assert.equal((await graphStore.fetchProjectGraph('whole')).nodes.length, 3);
+  assert.equal(await relationalStore.countMessages({ sessionId: session.id }), 1);
+
+  const wiped = await request(`${base}/api/checkpoints/${checkpointId}/restore`, 'POST');
+  assert.equal(wiped.status, 200);
+  assert.equal(await relationalStore.countMessages({ sessionId: session.id }), 0);
+  assert.equal((await relationalStore.listCheckpoints('whole')).length, 2);
+
+  const fork = await request(`${base}/api/checkpoints/${checkpointId}/restore`, 'POST', {
+    target_project_id: 'whole-fork',
+    node_ids: ['act', 'scene'],
+  });
+  assert.equal(fork.status, 201);
+  assert.equal(fork.body.project.id, 'whole-fork');
+  assert.equal(fork.body.forked_from.project_id, 'whole');
+  const forked = await graphStore.fetchProjectGraph('whole-fork');
+  assert.deepEqual(forked.nodes.map((node) => node.id).sort(), ['act', 'scene']);
+  assert.equal(forked.edges.length, 1);
+
+  const again = await request(`${base}/api/checkpoints/${checkpointId}/restore`, 'POST', {
+    target_project_id: 'whole-fork',
+  });
+  assert.equal(again.status, 409);
+});
+
+test('a fork refuses an existing empty project and leaves no project behind when the restore fails', async (t) => {
+  const base = await startApp(t);
+  const checkpointId = await seedProject(base, 'fork-source');
+  await relationalStore.createProject({ id: 'fork-empty', name: 'Empty' });
+  const taken = await request(`${base}/api/checkpoints/${checkpointId}/restore`, 'POST', {
+    target_project_id: 'fork-empty',
+  });
+  assert.equal(taken.status, 409);
+
+  const named = await request(`${base}/api/checkpoints/${checkpointId}/restore`, 'POST', {
+    target_project_id: 'fork-named',
+    target_name: 'n'.repeat(300),
+  });
+  assert.equal(named.status, 201);
+  assert.equal(named.body.project.name.length, 191);
+
+  const broken = await relationalStore.insertCheckpoint({
+    projectId: 'fork-source',
+    name: 'Broken',
+    json: JSON.stringify({
+      nodes: [{ id: 'a' }, { id: 'b' }],
+      edges: [{ from: 'a', to: 'b', type: 'not a type!' }],
+    }),
+    checksum: 'broken',
+  });
+  const failed = await fetch(`${base}/api/checkpoints/${broken}/restore`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ target_project_id: 'fork-broken' }),
+  });
+  assert.equal(failed.status, 400);
+  assert.equal(await relationalStore.getProject('fork-broken'), null);
+  assert.equal((await graphStore.fetchProjectGraph('fork-broken')).nodes.length, 0);
+});
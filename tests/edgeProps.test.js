@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { normaliseEdgeProps, checkCondition, applyEffects } = require('../src/utils/edgeProps');
+const { checkStory } = require('../src/utils/storyCheck');
+const { parseBatchOperations } = require('../src/utils/graphBatch');
+const { startApp } = require('./helpers/http');
+
+const node = (id, meta = {}) => ({ id, label: id[0].toUpperCase() + id.slice(1), meta: { builder: 'project', ...meta } });
+
+const graph = {
+  nodes: [
+    node('gate', { storyStart: true }),
+    node('market'),
+    node('vault'),
+    node('cellar'),
+    node('attic'),
+    node('tower'),
+  ],
+  edges: [
+    { from: 'gate', to: 'market', type: 'LINKS_TO', props: { choice: 'Enter', effects: { gold: 2 } } },
+    { from: 'market', to: 'vault', type: 'LINKS_TO', props: { choice: 'Buy a key', requires: 'gold >= 3' } },
+    { from: 'market', to: 'cellar', type: 'LINKS_TO', props: { effects: { gold: '-2' } } },
+    { from: 'cellar', to: 'market', type: 'LINKS_TO', props: { requires: 'gold > 0' } },
+    { from: 'cellar', to: 'tower', type: 'LINKS_TO', props: { requires: '!visited:market' } },
+    { from: 'vault', to: 'attic', type: 'CHILD_OF' },
+  ],
+};
+
+test('normaliseEdgeProps validates choice, requires and effects', () => {
+  assert.deepEqual(
+    normaliseEdgeProps({ choice: '  Go  ', requires: [' has_key ', "mood == 'calm'"], effects: { gold: '- 1' }, x: 1 }),
+    { choice: 'Go', requires: ['has_key', "mood == 'calm'"], effects: { gold: '-1' }, x: 1 }
+  );
+  assert.deepEqual(normaliseEdgeProps({ choice: '', requires: null, effects: {} }), {});
+  assert.deepEqual(normaliseEdgeProps(undefined), {});
+  assert.deepEqual(normaliseEdgeProps({ requires: { door: 'open' } }), { requires: { door: 'open' } });
+  assert.throws(() => normaliseEdgeProps([]), /props must be an object/);
+  assert.throws(() => normaliseEdgeProps({ choice: 3 }), /props\.choice/);
+  assert.throws(() => normaliseEdgeProps({ choice: 'x'.repeat(281) }), /at most 280/);
+  assert.throws(() => normaliseEdgeProps({ requires: 'gold >= lots' }), /props\.requires: cannot parse/);
+  assert.throws(() => normaliseEdgeProps({ requires: ['ok', 2] }), /props\.requires/);
+  assert.throws(() => normaliseEdgeProps({ requires: 'two words' }), /cannot parse "two words"/);
+  assert.throws(() => normaliseEdgeProps({ effects: 'gold = 1' }), /props\.effects/);
+  assert.throws(() => normaliseEdgeProps({ effects: { 'bad name': 1 } }), /invalid variable name/);
+  assert.throws(() => normaliseEdgeProps({ effects: { gold: [1] } }), /props\.effects: gold/);
+
+  const state = { variables: { gold: 3 }, visited: new Set(['gate']) };
+  assert.equal(checkCondition(['gold >= 3', 'visited:gate', '!missing'], state), true);
+  assert.equal(checkCondition('gold >= lots', state), false);
+  assert.deepEqual(applyEffects({ gold: 3 }, { gold: '-1', door: 'open' }), { gold: 2, door: 'open' });
+});
+
+test('checkStory reports unreachable passages, dead ends and locked choices', () => {
+  const report = checkStory(graph);
+  assert.equal(report.start, 'gate');
+  assert.equal(report.truncated, false);
+  assert.deepEqual(
+    report.unreachable.map((entry) => entry.id),
+    ['vault', 'attic', 'tower']
+  );
+  // Spending the gold in the cellar strands the reader there.
+  assert.deepEqual(report.dead_ends, [{ id: 'cellar', label: 'Cellar', variables: { gold: 0 } }]);
+  assert.deepEqual(
+    report.never_available.map((entry) => [entry.from, entry.to]),
+    [
+      ['market', 'vault'],
+      ['cellar', 'market'],
+      ['cellar', 'tower'],
+    ]
+  );
+  assert.deepEqual(report.endings, []);
+
+  const fromVault = checkStory(graph, { startId: 'vault' });
+  assert.deepEqual(fromVault.endings, [{ id: 'attic', label: 'Attic' }]);
+  assert.equal(checkStory(graph, { maxStates: 2 }).truncated, true);
+  assert.throws(() => checkStory(graph, { startId: 'nowhere' }), /Unknown start node/);
+});
+
+test('batch edge operations validate branching props', () => {
+  assert.throws(
+    () => parseBatchOperations([{ op: 'edge.create', from: 'a', to: 'b', props: { requires: '>= 2' } }]),
+    /operations\[0\]: props\.requires/
+  );
+  const [operation] = parseBatchOperations([{ op: 'edge.update', from: 'a', to: 'b', props: { choice: ' Go ' } }]);
+  assert.deepEqual(operation.props, { choice: 'Go' });
+});
+
+test('edge routes reject invalid branching props and serve the story check', async (t) => {
+  const base = await startApp(t);
+  const send = (method, path, body) =>
+    fetch(`${base}/api${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+  await graphStore.restoreProject('branching', { nodes: graph.nodes, edges: [] });
+  const edge = { from: 'gate', to: 'market', type: 'LINKS_TO', project_id: 'branching' };
+  const invalid = await send('POST', '/edge', { ...edge, props: { effects: { gold: { nested: true } } } });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error, /props\.effects/);
+
+  const created = await send('POST', '/edge', { ...edge, props: { choice: 'Enter', requires: 'gold < 1' } });
+  assert.equal(created.status, 201);
+  const rejected = await send('PATCH', '/edge', { ...edge, props: { requires: 'gold <' } });
+  assert.equal(rejected.status, 400);
+  const updated = await send('PATCH', '/edge', { ...edge, props: { choice: 'Enter', requires: '', effects: { gold: 2 } } });
+  assert.equal(updated.status, 200);
+  assert.deepEqual((await updated.json()).props, { choice: 'Enter', effects: { gold: 2 } });
+
+  const badType = { ...edge, type: 'not a type!' };
+  for (const [method, path] of [['POST', '/edge'], ['PATCH', '/edge'], ['DELETE', '/edge'], ['POST', '/link']]) {
+    const refused = await send(method, path, badType);
+    assert.equal(refused.status, 400, `${method} ${path}`);
+    assert.match((await refused.json()).error, /Invalid relationship type/);
+  }
+  assert.equal((await send('GET', '/links?node_id=gate&type=not%20a%20type!&project_id=branching')).status, 400);
+
+  const check = await send('GET', '/project/branching/story-check');
+  assert.equal(check.status, 200);
+  const report = await check.json();
+  assert.equal(report.reachable, 2);
+  assert.equal((await send('GET', '/project/branching/story-check?start=nope')).status, 400);
+});
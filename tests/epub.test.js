@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { buildEpub } = require('../src/utils/epub');
+const { startApp } = require('./helpers/http');
+
+// Reads entries back through the central directory, checking each CRC.
+function readZip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let cursor = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let index = 0; index < count; index += 1) {
+    const method = buffer.readUInt16LE(cursor + 10);
+    const crc = buffer.readUInt32LE(cursor + 16);
+    const size = buffer.readUInt32LE(cursor + 20);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const offset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+    const start = offset + 30 + buffer.readUInt16LE(offset + 26) + buffer.readUInt16LE(offset + 28);
+    const raw = buffer.subarray(start, start + size);
+    const data = method === 0 ? raw : zlib.inflateRawSync(raw);
+    assert.equal(zlib.crc32(data), crc, name);
+    entries.push({ name, method, offset, text: data.toString('utf8') });
+    cursor += 46 + nameLength;
+  }
+  return entries;
+}
+
+const graph = {
+  nodes: [
+    { id: 'part-1', label: 'Part One', meta: { builder: 'project', fullText: 'It begins.', notes: 'Draft' } },
+    { id: 'ch-1', label: 'Rain & Thunder', meta: { builder: 'project', fullText: 'Rain fell.\nThen <more>.' } },
+    { id: 'part-2', label: 'Part Two', meta: { builder: 'project', fullText: 'It ends.' } },
+    { id: 'cut', label: 'Cut', meta: { builder: 'project', includeInManuscript: false } },
+    {
+      id: 'ada',
+      label: 'Ada',
+      meta: {
+        builder: 'elements',
+        elementData: {
+          title: 'Ada',
+          type: 'character',
+          notes: 'Inventor.',
+          customFields: [{ key: 'Age', value: '36' }],
+        },
+      },
+    },
+    { id: 'mill', label: 'The Mill', meta: { builder: 'elements', elementData: { title: 'The Mill', type: 'place' } } },
+    { id: 'lamp', label: 'Lamp', meta: { builder: 'elements', elementData: { title: 'Lamp', type: 'item' } } },
+  ],
+  edges: [
+    { from: 'part-1', to: 'ch-1', type: 'CHILD_OF' },
+    { from: 'ch-1', to: 'ada', type: 'LINKS_TO' },
+  ],
+};
+
+test('buildEpub packages one document per top-level node with navigation and a glossary', () => {
+  const book = buildEpub(graph, {
+    project: { id: 'rain', name: 'Rainfall', created_at: '2026-01-02T03:04:05.000Z' },
+    author: 'A. Writer',
+    exportedAt: new Date('2026-05-06T07:08:09.123Z'),
+  });
+  const entries = readZip(book.buffer);
+  const files = new Map(entries.map((entry) => [entry.name, entry.text]));
+  assert.equal(entries[0].name, 'mimetype');
+  assert.equal(entries[0].method, 0);
+  assert.equal(entries[0].offset, 0);
+  assert.equal(entries[0].text, 'application/epub+zip');
+  assert.deepEqual(book.documents, [
+    'OEBPS/text/chapter-001.xhtml',
+    'OEBPS/text/chapter-002.xhtml',
+    'OEBPS/text/glossary.xhtml',
+  ]);
+  assert.match(files.get('META-INF/container.xml'), /full-path="OEBPS\/content\.opf"/);
+
+  const opf = files.get('OEBPS/content.opf');
+  assert.match(opf, /<dc:identifier id="book-id">urn:uuid:[0-9a-f-]{36}<\/dc:identifier>/);
+  assert.match(opf, /<dc:title>Rainfall<\/dc:title>/);
+  assert.match(opf, /<dc:creator>A\. Writer<\/dc:creator>/);
+  assert.match(opf, /<dc:date>2026-01-02T03:04:05Z<\/dc:date>/);
+  assert.match(opf, /<meta property="dcterms:modified">2026-05-06T07:08:09Z<\/meta>/);
+  assert.match(opf, /<item id="nav" href="nav\.xhtml" media-type="application\/xhtml\+xml" properties="nav"\/>/);
+  const spine = [...opf.matchAll(/<itemref idref="([^"]+)"\/>/g)].map((match) => match[1]);
+  assert.deepEqual(spine, ['chapter-1', 'chapter-2', 'glossary']);
+  // Every manifest item is in the archive.
+  [...opf.matchAll(/href="([^"]+)"/g)].forEach(([, href]) => assert.ok(files.has(`OEBPS/${href}`), href));
+
+  const nav = files.get('OEBPS/nav.xhtml');
+  assert.match(nav, /<nav epub:type="toc" id="toc">/);
+  assert.ok(
+    nav.includes(
+      '<li><a href="text/chapter-001.xhtml">Part One</a>\n    <ol>\n' +
+        '      <li><a href="text/chapter-001.xhtml#node-ch-1">Rain &amp; Thunder</a></li>'
+    )
+  );
+
+  const first = files.get('OEBPS/text/chapter-001.xhtml');
+  assert.match(first, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<!DOCTYPE html>/);
+  assert.match(first, /<section id="node-part-1" epub:type="chapter">\n<h1>Part One<\/h1>\n<p>It begins\.<\/p>/);
+  assert.match(first, /<h2>Rain &amp; Thunder<\/h2>\n<p>Rain fell\.<br\/>\nThen &lt;more&gt;\.<\/p>/);
+  assert.doesNotMatch(first, /Draft/);
+  assert.doesNotMatch([...files.values()].join(''), />Cut</);
+
+  const glossary = files.get('OEBPS/text/glossary.xhtml');
+  const headings = [...glossary.matchAll(/<h2>([^<]+)<\/h2>/g)].map((match) => match[1]);
+  assert.deepEqual(headings, ['Character', 'Place', 'Item']);
+  assert.ok(
+    glossary.includes(
+      '<dt id="node-ada">Ada</dt>\n<dd>\n<p>Inventor.</p>\n<ul class="element-fields">\n<li>Age: 36</li>'
+    )
+  );
+  assert.match(glossary, /Appears in: Rain &amp; Thunder/);
+
+  const again = buildEpub(graph, { project: { id: 'rain', name: 'Rainfall' }, glossary: false, notes: true });
+  assert.equal(again.identifier, book.identifier);
+  assert.equal(again.documents.length, 2);
+  assert.match(readZip(again.buffer)[5].text, /<aside epub:type="annotation">\n<p>Draft<\/p>/);
+  assert.throws(() => buildEpub(graph, { language: 'not a tag' }), /language must be/);
+});
+
+test('GET /api/project/:id/export/epub downloads the book', async (t) => {
+  const base = await startApp(t);
+
+  await relationalStore.createProject({ id: 'epub-book', name: 'Night Train' });
+  await graphStore.restoreProject('epub-book', graph);
+  const response = await fetch(`${base}/api/project/epub-book/export/epub?language=en-GB`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/epub+zip');
+  assert.match(response.headers.get('content-disposition'), /Night-Train\.epub/);
+  const entries = readZip(Buffer.from(await response.arrayBuffer()));
+  const opf = entries.find((entry) => entry.name === 'OEBPS/content.opf').text;
+  assert.match(opf, /<dc:title>Night Train<\/dc:title>/);
+  assert.match(opf, /<dc:language>en-GB<\/dc:language>/);
+
+  assert.equal((await fetch(`${base}/api/project/epub-book/export/epub?language=%3Cx%3E`)).status, 400);
+  assert.equal((await fetch(`${base}/api/project/nowhere/export/epub`)).status, 404);
+});
@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { buildFountain, parseFountain, planFountainImport } = require('../src/utils/fountain');
+const { startApp } = require('./helpers/http');
+
+const script = `Title: Night Train
+Author: A. Writer
+
+# Act One
+
+INT. CARRIAGE - NIGHT #1#
+
+Rain streaks the window. [[Darker?]]
+
+ADA
+(quietly)
+Are we there yet?
+
+BOB (V.O.)
+Not yet.
+
+= They are late.
+
+.THE PLATFORM
+
+/* Cut the porter. */
+@McCoy
+Go!
+
+ADA ^
+Fine.
+`;
+
+test('parseFountain reads the title page, sections, scenes and speaking characters', () => {
+  const parsed = parseFountain(script);
+  assert.equal(parsed.title, 'Night Train');
+  assert.equal(parsed.author, 'A. Writer');
+  assert.deepEqual(parsed.sections, [{ title: 'Act One', depth: 1, parent: null }]);
+  assert.deepEqual(
+    parsed.scenes.map((scene) => [scene.heading, scene.characters, scene.parent]),
+    [
+      ['INT. CARRIAGE - NIGHT', ['ADA', 'BOB'], 0],
+      ['THE PLATFORM', ['McCoy', 'ADA'], 0],
+    ]
+  );
+  assert.match(parsed.scenes[0].text, /^Rain streaks the window\.\s*\n\nADA\n\(quietly\)\nAre we there yet\?/);
+  assert.doesNotMatch(parsed.scenes.map((scene) => scene.text).join('\n'), /Darker|porter|late/);
+  assert.deepEqual(parsed.characters, ['ADA', 'BOB', 'McCoy']);
+  assert.equal(parseFountain('A man walks in.').scenes[0].heading, 'Opening');
+  assert.throws(() => parseFountain('Title: Empty\n\n'), /no scenes/);
+});
+
+test('planFountainImport creates scenes and characters and reuses existing ones', () => {
+  const plan = planFountainImport(parseFountain(script), {
+    parentId: 'root',
+    existingCharacters: new Map([['bob', 'bob-node']]),
+  });
+  assert.deepEqual(
+    plan.characters.map((character) => [character.label, character.created]),
+    [
+      ['Ada', true],
+      ['Bob', false],
+      ['McCoy', true],
+    ]
+  );
+  const created = plan.operations.filter((operation) => operation.op === 'node.create');
+  assert.deepEqual(
+    created.map((operation) => [operation.label, operation.meta.builder]),
+    [
+      ['Act One', 'project'],
+      ['Ada', 'elements'],
+      ['McCoy', 'elements'],
+      ['INT. CARRIAGE - NIGHT', 'project'],
+      ['THE PLATFORM', 'project'],
+    ]
+  );
+  assert.equal(created[1].meta.elementType, 'character');
+  const [section] = plan.sections;
+  const [carriage, platform] = plan.scenes;
+  const edges = plan.operations
+    .filter((operation) => operation.op === 'edge.create')
+    .map(({ from, to, type }) => [from, to, type]);
+  assert.deepEqual(edges, [
+    ['root', section.id, 'CHILD_OF'],
+    [section.id, carriage.id, 'CHILD_OF'],
+    [carriage.id, plan.characters[0].id, 'LINKS_TO'],
+    [carriage.id, 'bob-node', 'LINKS_TO'],
+    [section.id, platform.id, 'CHILD_OF'],
+    [platform.id, plan.characters[2].id, 'LINKS_TO'],
+    [platform.id, plan.characters[0].id, 'LINKS_TO'],
+  ]);
+});
+
+test('buildFountain writes scenes with headings and character cues', () => {
+  const graph = {
+    nodes: [
+      { id: 'act', label: 'Act One', meta: { builder: 'project', fullText: '' } },
+      {
+        id: 'kitchen',
+        label: 'Breakfast',
+        meta: {
+          builder: 'project',
+          fullText: 'Toast burns.\n\nAda: Morning.\n\nBob (O.S.)\nCoffee?\n\nZed: Not linked.',
+          projectData: { customFields: [{ key: 'Scene heading', value: 'int. kitchen - day' }] },
+        },
+      },
+      { id: 'road', label: 'The Road', meta: { builder: 'project', fullText: 'Dust.' } },
+      { id: 'cut', label: 'Cut', meta: { builder: 'project', includeInManuscript: false, fullText: 'Gone.' } },
+      { id: 'ada', label: 'Ada', meta: { builder: 'elements', elementType: 'character' } },
+      { id: 'bob', label: 'Bob', meta: { builder: 'elements', elementData: { title: 'Bob', type: 'character' } } },
+      { id: 'zed', label: 'Zed', meta: { builder: 'elements', elementType: 'place' } },
+    ],
+    edges: [
+      { from: 'act', to: 'kitchen', type: 'CHILD_OF' },
+      { from: 'act', to: 'road', type: 'CHILD_OF' },
+      { from: 'kitchen', to: 'ada', type: 'LINKS_TO' },
+      { from: 'kitchen', to: 'bob', type: 'LINKS_TO' },
+      { from: 'kitchen', to: 'zed', type: 'LINKS_TO' },
+    ],
+  };
+  const { fountain, scenes } = buildFountain(graph, { title: 'Morning', author: 'A. Writer' });
+  assert.equal(
+    fountain,
+    [
+      'Title: Morning',
+      'Author: A. Writer',
+      '',
+      '# Act One',
+      '',
+      'INT. KITCHEN - DAY',
+      '',
+      'Toast burns.',
+      '',
+      'ADA',
+      'Morning.',
+      '',
+      'BOB (O.S.)',
+      'Coffee?',
+      '',
+      'Zed: Not linked.',
+      '',
+      '.The Road',
+      '',
+      'Dust.',
+      '',
+    ].join('\n')
+  );
+  assert.deepEqual(scenes, [
+    { id: 'kitchen', heading: 'INT. KITCHEN - DAY', characters: ['Ada', 'Bob'] },
+    { id: 'road', heading: 'The Road', characters: [] },
+  ]);
+});
+
+test('Fountain import and export routes round-trip a script', async (t) => {
+  const base = await startApp(t);
+
+  await relationalStore.createProject({ id: 'night-train', name: 'Night Train' });
+  await graphStore.restoreProject('night-train', {
+    nodes: [
+      { id: 'bob', label: 'Bob', meta: { builder: 'elements', elementType: 'character' } },
+      { id: 'start', label: 'Start', meta: { builder: 'project' } },
+    ],
+    edges: [],
+  });
+  const imported = await fetch(`${base}/api/project/night-train/import/fountain?parent_id=start`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain' },
+    body: script,
+  });
+  assert.equal(imported.status, 201);
+  const result = await imported.json();
+  assert.equal(result.title, 'Night Train');
+  assert.deepEqual(
+    result.scenes.map((scene) => scene.label),
+    ['INT. CARRIAGE - NIGHT', 'THE PLATFORM']
+  );
+  assert.deepEqual(result.characters.find((character) => character.label === 'Bob'), {
+    id: 'bob',
+    label: 'Bob',
+    created: false,
+  });
+  const graph = await graphStore.fetchProjectGraph('night-train');
+  const carriage = graph.nodes.find((node) => node.id === result.scenes[0].id);
+  assert.match(carriage.meta.fullText, /ADA\n\(quietly\)/);
+  assert.ok(graph.edges.some((edge) => edge.from === carriage.id && edge.to === 'bob' && edge.type === 'LINKS_TO'));
+
+  const exported = await fetch(`${base}/api/project/night-train/export/fountain?author=A.%20Writer`);
+  assert.equal(exported.status, 200);
+  assert.match(exported.headers.get('content-disposition'), /Night-Train\.fountain/);
+  const text = await exported.text();
+  assert.match(text, /^Title: Night Train\nAuthor: A\. Writer\n\n# Start\n\n## Act One\n\nINT\. CARRIAGE - NIGHT\n/);
+  const again = parseFountain(text);
+  assert.deepEqual(
+    again.scenes.map((scene) => [scene.heading, scene.characters]),
+    [
+      ['INT. CARRIAGE - NIGHT', ['ADA', 'BOB']],
+      ['THE PLATFORM', ['McCoy', 'ADA']],
+    ]
+  );
+
+  const json = await fetch(`${base}/api/project/night-train/import/fountain`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fountain: 'Title: Empty\n\n' }),
+  });
+  assert.equal(json.status, 400);
+  const missing = await fetch(`${base}/api/project/night-train/import/fountain`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fountain: script, parent_id: 'nowhere' }),
+  });
+  assert.equal(missing.status, 404);
+  assert.equal((await fetch(`${base}/api/project/nowhere/export/fountain`)).status, 404);
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { changeFeed } = require('../src/utils/changeFeed');
+const { applyGraphBatch, parseBatchOperations } = require('../src/utils/graphBatch');
+const { startApp } = require('./helpers/http');
+
+async function postBatch(base, projectId, operations) {
+  const response = await fetch(`${base}/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ project_id: projectId, operations }),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('POST /api/batch applies node, edge and link operations in order', async (t) => {
+  const base = `${await startApp(t)}/api`;
+  await graphStore.createNode('batch', { id: 'a', label: 'A', meta: { color: 'red' } });
+
+  const { status, body } = await postBatch(base, 'batch', [
+    { op: 'node.create', id: 'b', label: 'B' },
+    { op: 'node.update', id: 'a', metaUpdates: { notes: 'hi' } },
+    { op: 'edge.create', from: 'a', to: 'b', props: { weight: 1 } },
+    { op: 'link.create', from: 'b', to: 'a', type: 'references' },
+    { op: 'node.create', id: 'c', label: 'C' },
+    { op: 'node.delete', id: 'c' },
+  ]);
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.results.map((result) => [result.op, result.status]),
+    [
+      ['node.create', 'applied'],
+      ['node.update', 'applied'],
+      ['edge.create', 'applied'],
+      ['link.create', 'applied'],
+      ['node.create', 'applied'],
+      ['node.delete', 'applied'],
+    ]
+  );
+  assert.deepEqual(body.results[1].node.meta, { color: 'red', notes: 'hi' });
+  assert.deepEqual([body.results[3].link.from, body.results[3].link.to], ['a', 'b']);
+
+  const graph = await graphStore.fetchProjectGraph('batch');
+  assert.deepEqual(graph.nodes.map((node) => node.id).sort(), ['a', 'b']);
+  assert.equal(graph.edges.length, 2);
+
+  const versions = await fetch(`${base}/versions/check?project_id=batch`).then((response) => response.json());
+  assert.deepEqual(versions.versions.map((entry) => entry.node_id).sort(), ['a', 'b']);
+  assert.deepEqual(
+    versions.deleted.map((entry) => [entry.kind, entry.id]),
+    [['node', 'c']]
+  );
+});
+
+test('POST /api/batch rolls everything back when one operation fails', async (t) => {
+  const base = `${await startApp(t)}/api`;
+  const node = await graphStore.createNode('batch-fail', { id: 'a', label: 'A' });
+  await graphStore.updateNode('batch-fail', 'a', () => ({ core: { label: 'A2' } }));
+
+  const { status, body } = await postBatch(base, 'batch-fail', [
+    { op: 'node.create', id: 'b', label: 'B' },
+    { op: 'node.update', id: 'a', label: 'Stale', version_id: node.version_id },
+    { op: 'node.delete', id: 'a' },
+  ]);
+  assert.equal(status, 409);
+  assert.equal(body.code, 'version_conflict');
+  assert.equal(body.failed_index, 1);
+  assert.equal(body.current.label, 'A2');
+  assert.deepEqual(
+    body.results.map((result) => result.status),
+    ['rolled_back', 'failed', 'skipped']
+  );
+  assert.equal(await graphStore.getNode('batch-fail', 'b'), null);
+  assert.equal((await graphStore.getNode('batch-fail', 'a')).label, 'A2');
+
+  const staleDelete = await postBatch(base, 'batch-fail', [{ op: 'node.delete', id: 'a', version_id: node.version_id }]);
+  assert.equal(staleDelete.status, 409);
+  assert.equal(staleDelete.body.code, 'version_conflict');
+  assert.equal(staleDelete.body.current.label, 'A2');
+  const current = await graphStore.getNode('batch-fail', 'a');
+  const deleted = await postBatch(base, 'batch-fail', [{ op: 'node.delete', id: 'a', version_id: current.version_id }]);
+  assert.equal(deleted.status, 200);
+  assert.equal(await graphStore.getNode('batch-fail', 'a'), null);
+
+  const invalid = await postBatch(base, 'batch-fail', [{ op: 'node.rename', id: 'a' }]);
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /^operations\[0\]/);
+});
+
+test('a failing relational write rolls the graph change back and publishes nothing', async (t) => {
+  await graphStore.createNode('batch-relational', { id: 'a', label: 'A' });
+  const events = [];
+  t.after(changeFeed.subscribe('batch-relational', (event) => events.push(event)));
+
+  const operations = parseBatchOperations([
+    { op: 'node.update', id: 'a', label: 'A2' },
+    { op: 'node.create', id: 'b', label: 'B' },
+  ]);
+  await assert.rejects(
+    applyGraphBatch('batch-relational', operations, {
+      relationalWork: async () => {
+        throw new Error('relational store down');
+      },
+    }),
+    /relational store down/
+  );
+  assert.equal((await graphStore.getNode('batch-relational', 'a')).label, 'A');
+  assert.equal(await graphStore.getNode('batch-relational', 'b'), null);
+  assert.deepEqual(await relationalStore.listNodeRevisions({ projectId: 'batch-relational', nodeId: 'a' }), []);
+  assert.deepEqual(events, []);
+});
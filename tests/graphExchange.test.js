@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { describeGraph, exportGraph } = require('../src/utils/graphExchange');
+const { startApp } = require('./helpers/http');
+
+const graph = {
+  nodes: [
+    {
+      id: 'start',
+      label: 'Start',
+      meta: { builder: 'project', storyStart: true, fullText: 'A <dark> night.', position: { x: 10, y: 20 } },
+    },
+    { id: 'hall', label: 'Hall', meta: { builder: 'project', projectData: { title: 'The Hall' } } },
+    { id: 'ada', label: 'Ada', meta: { builder: 'elements', elementType: 'character', notes: 'Inventor' } },
+    { id: 'mill', label: 'Mill', meta: { builder: 'elements', elementData: { title: 'The Mill', type: 'place' } } },
+  ],
+  edges: [
+    { from: 'start', to: 'hall', type: 'LINKS_TO', props: { choice: 'Go in', weight: 2, requires: ['has_key'] } },
+    { from: 'start', to: 'hall', type: 'CHILD_OF', props: {} },
+    { from: 'start', to: 'ada', type: 'LINKS_TO', props: { weight: 'high' } },
+    { from: 'ada', to: 'mill', type: 'LIVES_IN', props: {} },
+  ],
+};
+
+test('describeGraph types node attributes and classifies relationships by builder', () => {
+  const described = describeGraph(graph);
+  const start = described.nodes.find((node) => node.id === 'start');
+  assert.deepEqual(Object.fromEntries(start.values), {
+    label: 'Start',
+    builder: 'project',
+    fullText: 'A <dark> night.',
+    storyStart: 'true',
+    includeInManuscript: 'true',
+    x: '10',
+    y: '20',
+  });
+  const ada = Object.fromEntries(described.nodes.find((node) => node.id === 'ada').values);
+  assert.equal(ada.builder, 'elements');
+  assert.equal(ada.elementType, 'character');
+  assert.equal(ada.notes, 'Inventor');
+  assert.equal(Object.fromEntries(described.nodes.find((node) => node.id === 'hall').values).title, 'The Hall');
+
+  assert.deepEqual(
+    described.edges.map((edge) => [edge.type, edge.scope]),
+    [
+      ['LINKS_TO', 'project'],
+      ['CHILD_OF', 'project'],
+      ['LINKS_TO', 'cross'],
+      ['LIVES_IN', 'elements'],
+    ]
+  );
+  // `weight` mixes numbers and strings, so it falls back to a string.
+  assert.deepEqual(
+    described.edgeAttributes.map((attribute) => [attribute.key, attribute.type]),
+    [
+      ['type', 'string'],
+      ['scope', 'string'],
+      ['props.choice', 'string'],
+      ['props.requires', 'string'],
+      ['props.weight', 'string'],
+    ]
+  );
+  assert.equal(described.edges[0].values.get('props.requires'), '["has_key"]');
+});
+
+test('exportGraph writes GraphML and GEXF documents', () => {
+  const graphml = exportGraph(graph, { format: 'GraphML', projectId: 'night' });
+  assert.match(graphml, /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<graphml xmlns="[^"]+">/);
+  assert.match(graphml, /<key id="n6" for="node" attr\.name="storyStart" attr\.type="boolean"\/>/);
+  assert.match(graphml, /<key id="e1" for="edge" attr\.name="scope" attr\.type="string"\/>/);
+  assert.match(graphml, /<graph id="night" edgedefault="directed">/);
+  assert.match(graphml, /<node id="start">\n {6}<data key="n0">Start<\/data>/);
+  assert.match(graphml, /<data key="n5">A &lt;dark&gt; night\.<\/data>/);
+  assert.match(graphml, /<edge id="e2" source="start" target="ada">\n.*>LINKS_TO<.*\n.*<data key="e1">cross<\/data>/);
+
+  const exportedAt = new Date('2026-03-04T05:06:07Z');
+  const gexf = exportGraph(graph, { format: 'gexf', projectId: 'night', exportedAt });
+  assert.match(gexf, /<gexf xmlns="http:\/\/gexf\.net\/1\.3" xmlns:viz="[^"]+" version="1\.3">/);
+  assert.match(gexf, /<meta lastmodifieddate="2026-03-04">/);
+  assert.match(gexf, /<attribute id="0" title="builder" type="string"\/>/);
+  assert.match(gexf, /<node id="start" label="Start">[\s\S]*?<viz:position x="10" y="20" z="0"\/>\n {6}<\/node>/);
+  assert.match(gexf, /<node id="mill" label="Mill">\n.*\n.*<attvalue for="0" value="elements"\/>/);
+  assert.match(gexf, /<edge id="e3" source="ada" target="mill" label="LIVES_IN" kind="LIVES_IN">/);
+  assert.throws(() => exportGraph(graph, { format: 'dot' }), /format must be one of/);
+});
+
+test('GET /api/graph downloads GraphML or GEXF', async (t) => {
+  const base = await startApp(t);
+
+  await graphStore.restoreProject('graph-export', graph);
+  const graphml = await fetch(`${base}/api/graph?project_id=graph-export&format=graphml`);
+  assert.equal(graphml.status, 200);
+  assert.match(graphml.headers.get('content-type'), /application\/graphml\+xml/);
+  assert.match(graphml.headers.get('content-disposition'), /graph-export\.graphml/);
+  assert.match(await graphml.text(), /<edge id="e3" source="ada" target="mill">/);
+
+  const gexf = await fetch(`${base}/api/graph/graph-export?format=gexf`);
+  assert.match(gexf.headers.get('content-type'), /application\/gexf\+xml/);
+  assert.match(await gexf.text(), /label="LIVES_IN"/);
+
+  const json = await (await fetch(`${base}/api/graph/graph-export`)).json();
+  assert.equal(json.cross_links.length, 1);
+  assert.equal((await fetch(`${base}/api/graph/graph-export?format=dot`)).status, 400);
+});
@@ -0,0 +1,38 @@
+const express = require('express');
+
+// Serves `mounts` (path → router, the REST API by default) on a free port for
+// the duration of test `t` and resolves with its base URL. `json: false` leaves
+// body parsing to the routers, as the MCP HTTP transport does its own.
+async function startApp(t, mounts = null, { json = true } = {}) {
+  const app = express();
+  if (json) {
+    app.use(express.json());
+  }
+  Object.entries(mounts || { '/api': require('../../src/routes/api') }).forEach(([path, router]) => {
+    app.use(path, router);
+  });
+  const server = await new Promise((resolve) => {
+    const instance = app.listen(0, () => resolve(instance));
+  });
+  t.after(() => {
+    // Event streams would otherwise keep the server open.
+    server.closeAllConnections?.();
+    return new Promise((resolve) => server.close(resolve));
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Sends `body` as JSON (buffers as they are) and reads a JSON answer.
+async function request(url, method = 'GET', body, headers = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = {
+  startApp,
+  request,
+};
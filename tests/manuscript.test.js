@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { compileManuscript } = require('../src/utils/manuscript');
+const { startApp } = require('./helpers/http');
+
+const graph = {
+  nodes: [
+    { id: 'book', label: 'Part One', meta: { builder: 'project', fullText: 'It begins.', notes: 'Tighten this.' } },
+    { id: 'ch1', label: 'The Arrival', meta: { builder: 'project', fullText: 'Rain fell.\n\nShe <ran>.' } },
+    { id: 'ch2', label: 'Cut Scene', meta: { builder: 'project', includeInManuscript: false, fullText: 'Gone.' } },
+    { id: 'ch2a', label: 'Cut Child', meta: { builder: 'project', fullText: 'Also gone.' } },
+    { id: 'ch3', label: 'The Departure', content: 'Plain content.', meta: { builder: 'project' } },
+    {
+      id: 'ada',
+      label: 'Ada',
+      meta: {
+        builder: 'elements',
+        notes: 'A mathematician.',
+        elementData: { title: 'Ada', type: 'character', customFields: [{ key: 'Age', value: '36' }] },
+      },
+    },
+    { id: 'lamp', label: 'Lamp', meta: { builder: 'elements', elementData: { title: 'Lamp', type: 'item' } } },
+  ],
+  edges: [
+    { from: 'book', to: 'ch1', type: 'CHILD_OF' },
+    { from: 'book', to: 'ch2', type: 'CHILD_OF' },
+    { from: 'ch2', to: 'ch2a', type: 'CHILD_OF' },
+    { from: 'book', to: 'ch3', type: 'CHILD_OF' },
+    { from: 'ch3', to: 'ada', type: 'LINKS_TO' },
+    { from: 'ch1', to: 'ada', type: 'LINKS_TO' },
+    { from: 'ch2a', to: 'lamp', type: 'LINKS_TO' },
+  ],
+};
+
+test('compileManuscript orders chapters by the hierarchy and honours exclusions', () => {
+  const manuscript = compileManuscript(graph, { title: 'Rainfall', notes: true });
+  assert.deepEqual(
+    manuscript.chapters.map((chapter) => [chapter.id, chapter.depth]),
+    [
+      ['book', 0],
+      ['ch1', 1],
+      ['ch3', 1],
+    ]
+  );
+  assert.deepEqual(manuscript.excluded, ['ch2', 'ch2a']);
+  assert.deepEqual(manuscript.elements, [{ id: 'ada', label: 'Ada' }]);
+  assert.equal(manuscript.words, 8);
+  const { body } = manuscript;
+  assert.match(body, /^# Rainfall\n\n## Part One\n\n> Tighten this\.\n\nIt begins\.\n\n### The Arrival\n\nRain fell\./);
+  assert.match(body, /### The Departure\n\nPlain content\./);
+  assert.doesNotMatch(body, /Gone|Lamp/);
+  assert.match(body, /## Appendix: Elements\n\n### Ada\n\n\*character\*\n\nA mathematician\.\n\n- \*\*Age:\*\* 36/);
+  assert.match(body, /Appears in: The Arrival, The Departure/);
+
+  const plain = compileManuscript(graph, { appendix: false });
+  assert.doesNotMatch(plain.body, /Tighten|Appendix/);
+  assert.match(plain.body, /^# Untitled manuscript/);
+
+  const html = compileManuscript(graph, { title: 'Rain & Co', format: 'HTML', notes: true }).body;
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.match(html, /<title>Rain &amp; Co<\/title>/);
+  assert.match(html, /<section id="node-ch1">\n<h3>The Arrival<\/h3>\n<p>Rain fell\.<\/p>\n<p>She &lt;ran&gt;\.<\/p>/);
+  assert.match(html, /<aside class="note">\n<p>Tighten this\.<\/p>\n<\/aside>/);
+  assert.match(html, /<dt>Age<\/dt><dd>36<\/dd>/);
+  assert.throws(() => compileManuscript(graph, { format: 'pdf' }), /format must be one of/);
+  assert.throws(() => compileManuscript({ nodes: [] }), /no story nodes/);
+});
+
+test('GET /api/project/:id/export/manuscript downloads Markdown or HTML', async (t) => {
+  const base = await startApp(t);
+
+  await graphStore.restoreProject('rainfall', graph);
+  const markdown = await fetch(`${base}/api/project/rainfall/export/manuscript`);
+  assert.equal(markdown.status, 200);
+  assert.match(markdown.headers.get('content-type'), /text\/markdown/);
+  assert.match(markdown.headers.get('content-disposition'), /rainfall\.md/);
+  assert.match(await markdown.text(), /## Appendix: Elements/);
+
+  const html = await fetch(`${base}/api/project/rainfall/export/manuscript?format=html&notes=true&appendix=false`);
+  assert.match(html.headers.get('content-disposition'), /rainfall\.html/);
+  const body = await html.text();
+  assert.match(body, /<aside class="note">/);
+  assert.doesNotMatch(body, /Appendix/);
+
+  assert.equal((await fetch(`${base}/api/project/rainfall/export/manuscript?format=pdf`)).status, 400);
+  assert.equal((await fetch(`${base}/api/project/nowhere/export/manuscript`)).status, 404);
+});
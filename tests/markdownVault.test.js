@@ -0,0 +1,226 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { createZip, readZip } = require('../src/utils/zipArchive');
+const { parseFrontmatter, buildVault, readVault, planVaultImport } = require('../src/utils/markdownVault');
+const { startApp } = require('./helpers/http');
+
+const graph = {
+  nodes: [
+    {
+      id: 'start',
+      label: 'Start',
+      meta: {
+        builder: 'project',
+        fullText: 'Ada waits by [[Mill|the mill]].',
+        notes: 'Check the tone.',
+        position: { x: 10, y: 20 },
+        discussion: '',
+      },
+    },
+    { id: 'next', label: 'Next: Part', meta: { builder: 'project', fullText: 'Later.' } },
+    { id: 'ada', label: 'Ada', meta: { builder: 'elements', elementType: 'character', tags: ['hero', 'inventor'] } },
+    { id: 'mill', label: 'Mill', meta: { builder: 'elements', elementData: { title: 'Mill', type: 'place' } } },
+  ],
+  edges: [
+    { from: 'start', to: 'next', type: 'CHILD_OF', props: {} },
+    { from: 'start', to: 'ada', type: 'LINKS_TO', props: { choice: 'Meet Ada' } },
+    { from: 'ada', to: 'mill', type: 'LIVES_IN', props: {} },
+  ],
+};
+
+test('parseFrontmatter reads scalars, lists, maps and blocks', () => {
+  const { data, body } = parseFrontmatter(
+    [
+      '---',
+      'title: "Rain: Part 1"',
+      'draft: true',
+      'words: 1200',
+      "quote: 'It''s late'",
+      'aliases: [Storm, Downpour]',
+      'tags:',
+      '  - weather',
+      '  - "act one"',
+      'position:',
+      '  x: 4',
+      '  y: 5',
+      'summary: |',
+      '  Line one.',
+      '  Line two.',
+      'empty:',
+      '---',
+      'Body text.',
+    ].join('\n')
+  );
+  assert.deepEqual(data, {
+    title: 'Rain: Part 1',
+    draft: true,
+    words: 1200,
+    quote: "It's late",
+    aliases: ['Storm', 'Downpour'],
+    tags: ['weather', 'act one'],
+    position: { x: 4, y: 5 },
+    summary: 'Line one.\nLine two.',
+    empty: null,
+  });
+  assert.equal(body, 'Body text.');
+  assert.deepEqual(parseFrontmatter('No frontmatter.'), { data: {}, body: 'No frontmatter.' });
+  assert.throws(() => parseFrontmatter('---\n: nothing\n---\n', 'a.md'), /a\.md: cannot read frontmatter/);
+});
+
+test('buildVault writes a note per node with frontmatter and wiki links', () => {
+  const vault = buildVault(graph, { title: 'Night Train' });
+  assert.deepEqual(vault.files, [
+    'Night Train/Project/Start.md',
+    'Night Train/Project/Next Part.md',
+    'Night Train/Elements/Character/Ada.md',
+    'Night Train/Elements/Place/Mill.md',
+  ]);
+  const files = new Map(readZip(vault.buffer).map((entry) => [entry.name, entry.data.toString('utf8')]));
+  assert.equal(
+    files.get('Night Train/Project/Start.md'),
+    [
+      '---',
+      'id: start',
+      'label: Start',
+      'builder: project',
+      'position: {"x":10,"y":20}',
+      'children:',
+      '  - "[[Next Part]]"',
+      'link_props: {"Ada":{"choice":"Meet Ada"}}',
+      '---',
+      '',
+      'Ada waits by [[Mill|the mill]].',
+      '',
+      '## Notes',
+      '',
+      'Check the tone.',
+      '',
+      '## Links',
+      '',
+      '- [[Ada]]',
+      '',
+    ].join('\n')
+  );
+  assert.match(files.get('Night Train/Project/Next Part.md'), /^---\nid: next\nlabel: "Next: Part"\n/);
+  const ada = files.get('Night Train/Elements/Character/Ada.md');
+  assert.match(ada, /elementType: character\ntags:\n {2}- hero\n {2}- inventor\n/);
+  assert.match(ada, /relationships: \{"LIVES_IN":\["\[\[Mill\]\]"\]\}/);
+  assert.throws(() => buildVault({ nodes: [] }), /no nodes/);
+});
+
+test('readVault and planVaultImport round-trip the notes and their links', () => {
+  const notes = readVault(buildVault(graph, { title: 'Night Train' }).buffer);
+  assert.deepEqual(
+    notes.map((note) => note.path),
+    ['Project/Start.md', 'Project/Next Part.md', 'Elements/Character/Ada.md', 'Elements/Place/Mill.md']
+  );
+  assert.equal(notes[0].fullText, 'Ada waits by [[Mill|the mill]].');
+  assert.equal(notes[0].notes, 'Check the tone.');
+
+  const plan = planVaultImport(notes, { existingIds: new Set(['mill']) });
+  const [start, next, ada, mill] = plan.nodes;
+  assert.deepEqual([start.id, next.id, ada.id], ['start', 'next', 'ada']);
+  assert.notEqual(mill.id, 'mill');
+  assert.deepEqual(
+    plan.nodes.map((node) => [node.label, node.builder, node.elementType]),
+    [
+      ['Start', 'project', undefined],
+      ['Next: Part', 'project', undefined],
+      ['Ada', 'elements', 'character'],
+      ['Mill', 'elements', 'place'],
+    ]
+  );
+  const startMeta = plan.operations[0].meta;
+  assert.deepEqual(startMeta.position, { x: 10, y: 20 });
+  assert.equal(startMeta.projectData.title, 'Start');
+  assert.equal(plan.operations[2].meta.elementData.title, 'Ada');
+  assert.deepEqual(plan.operations[2].meta.tags, ['hero', 'inventor']);
+  const edges = plan.operations.filter((operation) => operation.op === 'edge.create');
+  assert.deepEqual(
+    edges.map(({ from, to, type, props }) => [from, to, type, props]),
+    [
+      ['start', mill.id, 'LINKS_TO', {}],
+      ['start', 'ada', 'LINKS_TO', { choice: 'Meet Ada' }],
+      ['start', 'next', 'CHILD_OF', {}],
+      ['ada', mill.id, 'LIVES_IN', {}],
+    ]
+  );
+  assert.equal(plan.links, 4);
+  assert.deepEqual(plan.unresolved, []);
+});
+
+test('planVaultImport classifies plain notes and reports unresolved links', () => {
+  const buffer = createZip([
+    { name: 'Harbour.md', data: '---\nelementType: place\n---\nFog rolls in.' },
+    { name: 'Chapters/Opening.md', data: '# Opening\n\nWe reach [[harbour]] and meet [[Nobody]].' },
+    { name: '.obsidian/app.json', data: '{}' },
+    { name: 'cover.png', data: Buffer.from([1, 2, 3]) },
+  ]);
+  const plan = planVaultImport(readVault(buffer));
+  assert.deepEqual(
+    plan.nodes.map((node) => [node.label, node.path, node.builder]),
+    [
+      ['Harbour', 'Harbour.md', 'elements'],
+      ['Opening', 'Chapters/Opening.md', 'project'],
+    ]
+  );
+  const [harbour, opening] = plan.nodes;
+  assert.deepEqual(
+    plan.operations.filter((operation) => operation.op === 'edge.create').map(({ from, to }) => [from, to]),
+    [[opening.id, harbour.id]]
+  );
+  assert.deepEqual(plan.unresolved, [{ path: 'Chapters/Opening.md', target: 'Nobody' }]);
+  assert.throws(() => readVault(createZip([{ name: 'a.txt', data: 'x' }])), /no Markdown notes/);
+  assert.throws(() => readVault(Buffer.from('not a zip at all, not even close')), /Not a readable zip archive/);
+});
+
+test('vault export and import routes', async (t) => {
+  const base = await startApp(t);
+
+  await relationalStore.createProject({ id: 'vault-source', name: 'Night Train' });
+  await graphStore.restoreProject('vault-source', graph);
+  const exported = await fetch(`${base}/api/project/vault-source/export/vault`);
+  assert.equal(exported.status, 200);
+  assert.equal(exported.headers.get('content-type'), 'application/zip');
+  assert.match(exported.headers.get('content-disposition'), /Night-Train\.vault\.zip/);
+  const archive = Buffer.from(await exported.arrayBuffer());
+
+  const imported = await fetch(`${base}/api/project/vault-copy/import/vault`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/zip' },
+    body: archive,
+  });
+  assert.equal(imported.status, 201);
+  const result = await imported.json();
+  assert.equal(result.nodes.length, 4);
+  assert.equal(result.links, 4);
+  const copy = await graphStore.fetchProjectGraph('vault-copy');
+  assert.deepEqual(copy.nodes.map((node) => node.id).sort(), ['ada', 'mill', 'next', 'start']);
+  assert.ok(copy.edges.some((edge) => edge.from === 'ada' && edge.to === 'mill' && edge.type === 'LIVES_IN'));
+  assert.equal(copy.nodes.find((node) => node.id === 'start').meta.fullText, 'Ada waits by [[Mill|the mill]].');
+
+  // Importing again keeps the notes but gives them new ids.
+  const again = await (
+    await fetch(`${base}/api/project/vault-copy/import/vault`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/zip' },
+      body: archive,
+    })
+  ).json();
+  assert.ok(again.nodes.every((node) => !['ada', 'mill', 'next', 'start'].includes(node.id)));
+
+  const text = await fetch(`${base}/api/project/vault-copy/import/vault`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{}',
+  });
+  assert.equal(text.status, 400);
+  assert.equal((await fetch(`${base}/api/project/nowhere/export/vault`)).status, 404);
+});
@@ -0,0 +1,179 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { ValidationError } = require('../src/utils/validators');
+const { validatePromptTemplate, buildPromptContext, renderPrompt } = require('../src/utils/promptLibrary');
+const { createMcpServer } = require('../mcp/protocol');
+const { startApp } = require('./helpers/http');
+
+const graph = {
+  nodes: [
+    {
+      id: 'ch1',
+      label: 'Chapter 1',
+      meta: { builder: 'project', projectData: { title: 'Chapter 1', type: 'chapter' } },
+    },
+    { id: 's1', label: 'Arrival', meta: { builder: 'project', fullText: 'Ada reaches the mill at dusk.' } },
+    { id: 's2', label: 'Storm', meta: { builder: 'project' } },
+    {
+      id: 'ada',
+      label: 'Ada',
+      meta: {
+        builder: 'elements',
+        elementType: 'character',
+        elementData: { title: 'Ada', role: 'Miller', customFields: [{ key: 'Fear', value: 'Deep water' }] },
+      },
+    },
+    {
+      id: 'mill',
+      label: 'Mill',
+      meta: { builder: 'elements', elementData: { title: 'Mill', type: 'Place', river: 'Wey' } },
+    },
+  ],
+  edges: [
+    { from: 'ch1', to: 's1', type: 'CHILD_OF', props: {} },
+    { from: 'ch1', to: 's2', type: 'CHILD_OF', props: {} },
+    { from: 's1', to: 'ada', type: 'LINKS_TO', props: {} },
+    { from: 's1', to: 'mill', type: 'LINKS_TO', props: {} },
+    { from: 'ch1', to: 'ada', type: 'LINKS_TO', props: {} },
+  ],
+};
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+};
+
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+test('prompt templates render context values, sections and linked element types', () => {
+  const links = [
+    { id: 'ada', label: 'Ada', builder: 'elements', element_type: 'character' },
+    { id: 'mill', label: 'Mill', builder: 'elements', element_type: 'other' },
+  ];
+  const context = buildPromptContext({ projectId: 'p', graph, nodeId: 's1', links, workingHistory: ' Drafted. ' });
+  assert.equal(context.values['node.text'], 'Ada reaches the mill at dusk.');
+  const mill = '- Mill (place): title: Mill; type: Place; river: Wey';
+  assert.equal(context.values.linked, `- Ada (character): title: Ada; role: Miller; Fear: Deep water\n${mill}`);
+  assert.equal(context.linkedByType.place, mill);
+
+  const prompt = validatePromptTemplate({
+    name: 'scene-check',
+    arguments: [{ name: 'tone', required: false }],
+    template: '{{node.label}} in {{linked.place}}.{{#tone}} Tone: {{tone}}.{{/tone}} Notes: {{node.notes}}',
+  });
+  assert.equal(renderPrompt(prompt, context), `Arrival in ${context.linkedByType.place}. Notes: (none)`);
+  assert.match(renderPrompt(prompt, context, { tone: 'wry' }), /Tone: wry\. Notes/);
+
+  const chapter = buildPromptContext({ projectId: 'p', graph, nodeId: 'ch1' });
+  assert.equal(chapter.values['node.type'], 'chapter');
+  assert.equal(chapter.values.children, '1. Arrival — Ada reaches the mill at dusk.\n2. Storm');
+  assert.equal(chapter.values['node.data'], '- title: Chapter 1\n- type: chapter');
+
+  assert.throws(() => buildPromptContext({ projectId: 'p', graph, nodeId: 'nowhere' }), ValidationError);
+  const goal = { name: 'goal', required: true };
+  const required = validatePromptTemplate({ name: 'x', arguments: [goal], template: '{{goal}}' });
+  assert.throws(() => renderPrompt(required, context), /goal is required/);
+  const invalid = (input) => () => validatePromptTemplate({ name: 'x', template: 'x', ...input });
+  assert.throws(invalid({ template: '{{secret}}' }), /unknown placeholder \{\{secret\}\}/);
+  assert.throws(invalid({ name: 'Bad Name' }), /name must be/);
+  assert.throws(invalid({ arguments: [{ name: 'children' }] }), /reserved/);
+  assert.throws(invalid({ template: ' ' }), /template is required/);
+});
+
+test('projects add, override and remove prompt templates over the REST API', async (t) => {
+  const base = `${await startApp(t)}/api/project/prompt-rest/prompts`;
+  const put = (name, body) =>
+    fetch(`${base}/${name}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+  const initial = await (await fetch(base)).json();
+  assert.deepEqual(
+    initial.prompts.map((prompt) => [prompt.name, prompt.source]),
+    [
+      ['check-continuity', 'built-in'],
+      ['develop-character-conflict', 'built-in'],
+      ['outline-chapter-children', 'built-in'],
+    ]
+  );
+
+  const saved = await put('check-continuity', { title: 'House continuity', template: 'Check {{node.label}}.' });
+  assert.equal(saved.status, 200);
+  assert.equal((await saved.json()).prompt.source, 'override');
+  assert.equal((await put('tone-pass', { template: 'Tone of {{node.text}}' })).status, 200);
+  const invalid = await put('tone-pass', { template: '{{nope}}' });
+  assert.equal(invalid.status, 400);
+  assert.match((await invalid.json()).error, /unknown placeholder/);
+
+  const listed = await (await fetch(base)).json();
+  const byName = Object.fromEntries(listed.prompts.map((prompt) => [prompt.name, prompt]));
+  assert.equal(byName['check-continuity'].title, 'House continuity');
+  assert.equal(byName['tone-pass'].source, 'project');
+  assert.equal(byName['tone-pass'].template, 'Tone of {{node.text}}');
+
+  assert.equal((await fetch(`${base}/check-continuity`, { method: 'DELETE' })).status, 204);
+  assert.equal((await fetch(`${base}/check-continuity`, { method: 'DELETE' })).status, 404);
+  const restored = await (await fetch(base)).json();
+  assert.equal(restored.prompts.find((prompt) => prompt.name === 'check-continuity').source, 'built-in');
+
+  await relationalStore.deleteProject('prompt-rest');
+  assert.deepEqual(await relationalStore.listPromptTemplates('prompt-rest'), []);
+});
+
+test('MCP prompts fill from the active node, its links and working history', async () => {
+  await graphStore.restoreProject('prompt-mcp', graph);
+  await relationalStore.saveNodeWorkingHistory({ projectId: 'prompt-mcp', nodeId: 's1', workingHistory: 'Cut fog.' });
+  const session = await relationalStore.createSession({ userId: 'writer', projectId: 'prompt-mcp', activeNode: 's1' });
+  const server = createMcpServer({ sessionId: `${session.id}` });
+  const init = await server.handleMessage(initialize);
+  assert.deepEqual(init.result.capabilities.prompts, { listChanged: false });
+
+  const listed = await server.handleMessage(request(2, 'prompts/list'));
+  const continuity = listed.result.prompts.find((prompt) => prompt.name === 'check-continuity');
+  assert.deepEqual(
+    continuity.arguments.map((argument) => argument.name),
+    ['node_id']
+  );
+
+  const got = await server.handleMessage(request(3, 'prompts/get', { name: 'check-continuity' }));
+  const [message] = got.result.messages;
+  assert.equal(message.role, 'user');
+  assert.equal(message.content.type, 'text');
+  assert.match(message.content.text, /Check "Arrival"/);
+  assert.match(message.content.text, /Linked places:\n- Mill \(place\): title: Mill; type: Place; river: Wey/);
+  assert.match(message.content.text, /Working history:\nCut fog\./);
+  assert.equal(got.result.description, 'Check continuity against places — Arrival');
+
+  const outline = await server.handleMessage(
+    request(4, 'prompts/get', { name: 'outline-chapter-children', arguments: { node_id: 'ch1', goal: 'Strand Ada' } })
+  );
+  assert.match(outline.result.messages[0].content.text, /1\. Arrival — Ada reaches the mill at dusk\.\n2\. Storm/);
+  assert.match(outline.result.messages[0].content.text, /The chapter has to: Strand Ada/);
+
+  const unknown = await server.handleMessage(request(5, 'prompts/get', { name: 'nowhere' }));
+  assert.equal(unknown.error.code, -32602);
+  const missingNode = await server.handleMessage(
+    request(6, 'prompts/get', { name: 'check-continuity', arguments: { node_id: 'gone' } })
+  );
+  assert.equal(missingNode.error.code, -32602);
+  server.close();
+
+  const idle = createMcpServer({ projectId: 'prompt-mcp' });
+  await idle.handleMessage(initialize);
+  const noNode = await idle.handleMessage(request(7, 'prompts/get', { name: 'check-continuity' }));
+  assert.match(noNode.error.message, /node_id is required/);
+  idle.close();
+});
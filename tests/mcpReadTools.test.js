@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { createMcpServer } = require('../mcp/protocol');
+const {
+  MAX_TEXT_LENGTH,
+  readPage,
+  paginate,
+  indexGraph,
+  searchNodes,
+  findNeighbors,
+  findPath,
+  listElements,
+} = require('../src/utils/graphQuery');
+
+const graph = {
+  nodes: [
+    { id: 'book', label: 'Book', meta: { builder: 'project', projectData: { title: 'Book', type: 'book' } } },
+    { id: 'ch1', label: 'Chapter 1', meta: { builder: 'project', fullText: 'The river floods the valley.' } },
+    { id: 'ch2', label: 'Chapter 2', meta: { builder: 'project', fullText: 'x'.repeat(MAX_TEXT_LENGTH + 10) } },
+    {
+      id: 'ada',
+      label: 'Ada',
+      meta: {
+        builder: 'elements',
+        elementType: 'character',
+        elementData: { title: 'Ada', role: 'Miller', customFields: [{ key: 'Fear', value: 'Deep water' }] },
+      },
+    },
+    { id: 'bo', label: 'Bo', meta: { builder: 'elements', elementType: 'character', elementData: { title: 'Bo' } } },
+    { id: 'mill', label: 'Mill', meta: { builder: 'elements', elementData: { title: 'Mill', type: 'Place' } } },
+  ],
+  edges: [
+    { from: 'book', to: 'ch1', type: 'CHILD_OF', props: {} },
+    { from: 'book', to: 'ch2', type: 'CHILD_OF', props: {} },
+    { from: 'ch1', to: 'ada', type: 'LINKS_TO', props: {} },
+    { from: 'ada', to: 'mill', type: 'LIVES_IN', props: {} },
+    { from: 'bo', to: 'ada', type: 'KNOWS', props: {} },
+  ],
+};
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+};
+
+test('graph queries search, traverse, find paths and page their results', () => {
+  const index = indexGraph(graph);
+  const ids = (list) => list.map((entry) => entry.id);
+
+  assert.deepEqual(ids(searchNodes(index, { query: 'river' })), ['ch1']);
+  assert.deepEqual(ids(searchNodes(index, { element_type: 'Character' })), ['ada', 'bo']);
+  assert.deepEqual(ids(searchNodes(index, { builder: 'project', label: 'chapter' })), ['ch1', 'ch2']);
+  assert.deepEqual(ids(searchNodes(index, { field: 'elementData.role', value: 'mill' })), ['ada']);
+  assert.deepEqual(ids(searchNodes(index, { field: 'fear' })), ['ada']);
+  assert.throws(() => searchNodes(index, { value: 'x' }), /needs a field/);
+
+  const near = findNeighbors(index, { node_id: 'ch1', depth: 2 });
+  assert.deepEqual(
+    near.map((entry) => [entry.id, entry.depth, entry.via.type]),
+    [
+      ['book', 1, 'CHILD_OF'],
+      ['ada', 1, 'LINKS_TO'],
+      ['ch2', 2, 'CHILD_OF'],
+      ['mill', 2, 'LIVES_IN'],
+      ['bo', 2, 'KNOWS'],
+    ]
+  );
+  assert.deepEqual(ids(findNeighbors(index, { node_id: 'ada', direction: 'out' })), ['mill']);
+  assert.deepEqual(ids(findNeighbors(index, { node_id: 'ada', types: ['knows'] })), ['bo']);
+  assert.throws(() => findNeighbors(index, { node_id: 'ada', depth: 4 }), /depth must be/);
+  assert.throws(() => findNeighbors(index, { node_id: 'gone' }), /node_id gone not found/);
+
+  const path = findPath(index, { from_id: 'ch2', to_id: 'mill' });
+  assert.equal(path.length, 4);
+  assert.deepEqual(ids(path.nodes), ['ch2', 'book', 'ch1', 'ada', 'mill']);
+  assert.equal(findPath(index, { from_id: 'ch2', to_id: 'mill', direction: 'out' }), null);
+  assert.equal(findPath(index, { from_id: 'ch2', to_id: 'mill', max_depth: 3 }), null);
+
+  const { elements, types } = listElements(index, { element_type: 'place' });
+  assert.deepEqual(types, { character: 2, place: 1 });
+  assert.deepEqual(elements.map((element) => [element.id, element.data]), [['mill', { title: 'Mill', type: 'Place' }]]);
+
+  const first = paginate(['a', 'b', 'c'], readPage({ limit: 2 }));
+  assert.deepEqual(first, { items: ['a', 'b'], total: 3, next_cursor: '2' });
+  assert.deepEqual(paginate(['a', 'b', 'c'], readPage({ limit: 2, cursor: first.next_cursor })).items, ['c']);
+  assert.equal(readPage({ limit: 1000 }).size, 100);
+  assert.throws(() => readPage({ cursor: 'abc' }), /cursor is not valid/);
+});
+
+test('MCP read tools answer from the bound project with capped results', async () => {
+  await graphStore.restoreProject('read-tools', graph);
+  const server = createMcpServer({ projectId: 'read-tools' });
+  await server.handleMessage(initialize);
+  let id = 1;
+  const call = async (name, args) => {
+    id += 1;
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      id,
+      method: 'tools/call',
+      params: { name, arguments: args },
+    });
+    return response.result ?? response.error;
+  };
+
+  const node = await call('getNode', { node_id: 'ch2' });
+  assert.equal(node.isError, false);
+  const detail = node.structuredContent;
+  assert.deepEqual(detail.truncated, ['meta.fullText']);
+  assert.equal(detail.node.meta.fullText.length, MAX_TEXT_LENGTH + 1);
+  assert.deepEqual(detail.relationships, [
+    { from: 'book', to: 'ch2', type: 'CHILD_OF', direction: 'in', other: { id: 'book', label: 'Book' } },
+  ]);
+
+  const page = (await call('searchNodes', { builder: 'elements', limit: 2 })).structuredContent;
+  assert.deepEqual(
+    page.nodes.map((entry) => entry.id),
+    ['ada', 'bo']
+  );
+  assert.equal(page.total, 3);
+  const next = await call('searchNodes', { builder: 'elements', limit: 2, cursor: page.next_cursor });
+  const rest = next.structuredContent;
+  assert.deepEqual(
+    rest.nodes.map((entry) => entry.id),
+    ['mill']
+  );
+  assert.equal(rest.next_cursor, null);
+
+  const neighbors = (await call('getNeighbors', { node_id: 'book', types: ['CHILD_OF'] })).structuredContent;
+  assert.deepEqual(
+    neighbors.neighbors.map((entry) => entry.id),
+    ['ch1', 'ch2']
+  );
+  const path = (await call('getPath', { from_id: 'bo', to_id: 'book' })).structuredContent;
+  assert.equal(path.found, true);
+  assert.deepEqual(
+    path.edges.map((edge) => edge.type),
+    ['KNOWS', 'LINKS_TO', 'CHILD_OF']
+  );
+  const elements = (await call('listElements', { element_type: 'character' })).structuredContent;
+  assert.equal(elements.elements[0].data.customFields[0].value, 'Deep water');
+
+  const missing = await call('getNode', { node_id: 'gone' });
+  assert.equal(missing.isError, true);
+  assert.equal(missing.structuredContent.status, 404);
+  assert.equal((await call('getNeighbors', { node_id: 'book', direction: 'up' })).code, -32602);
+  assert.equal((await call('getPath', { from_id: 'bo', to_id: 'book', max_depth: 20 })).isError, true);
+  server.close();
+});
@@ -0,0 +1,207 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { applyGraphBatch } = require('../src/utils/graphBatch');
+const { publishChange } = require('../src/utils/changeFeed');
+const { createMcpServer } = require('../mcp/protocol');
+const { createMcpHttpRouter } = require('../mcp/http');
+const { parseResourceUri, resourceUri, isAffectedBy } = require('../mcp/resources');
+const { startApp } = require('./helpers/http');
+
+const graph = {
+  nodes: [
+    { id: 'start', label: 'Start', meta: { builder: 'project', fullText: 'Fog.' } },
+    { id: 'ada', label: 'Ada', meta: { builder: 'elements', elementType: 'character' } },
+    { id: 'mill', label: 'Mill', meta: { builder: 'elements', elementData: { title: 'Mill', type: 'Place' } } },
+  ],
+  edges: [
+    { from: 'start', to: 'ada', type: 'LINKS_TO', props: {} },
+    { from: 'ada', to: 'mill', type: 'LIVES_IN', props: {} },
+  ],
+};
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+};
+
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+function readJson(response) {
+  return JSON.parse(response.result.contents[0].text);
+}
+
+test('story URIs parse by kind and match the changes that affect them', () => {
+  assert.deepEqual(parseResourceUri('story://night%20train/node/a%2Fb'), {
+    kind: 'node',
+    project: 'night train',
+    id: 'a/b',
+  });
+  assert.equal(resourceUri('night train', 'node', 'a/b'), 'story://night%20train/node/a%2Fb');
+  assert.deepEqual(parseResourceUri('story://night/element/Character'), {
+    kind: 'element',
+    project: 'night',
+    type: 'character',
+  });
+  assert.deepEqual(parseResourceUri('story://12/messages'), { kind: 'messages', session: '12' });
+  assert.equal(parseResourceUri('story://night/node'), null);
+  assert.equal(parseResourceUri('story://night/graph/extra'), null);
+  assert.equal(parseResourceUri('https://night/graph'), null);
+
+  const node = parseResourceUri('story://night/node/ada');
+  const characters = parseResourceUri('story://night/element/character');
+  const created = (meta) => ({ type: 'node.created', payload: { node: { id: 'x', meta } } });
+  assert.equal(isAffectedBy(node, { type: 'edge.created', payload: { edge: { from: 'start', to: 'ada' } } }), true);
+  assert.equal(isAffectedBy(node, { type: 'node.deleted', payload: { id: 'mill' } }), false);
+  assert.equal(isAffectedBy(characters, created({ builder: 'elements', elementType: 'character' })), true);
+  assert.equal(isAffectedBy(characters, created({ builder: 'elements', elementType: 'place' })), false);
+  assert.equal(isAffectedBy(characters, { type: 'node.deleted', payload: { id: 'x' } }), true);
+  const transcript = parseResourceUri('story://7/messages');
+  assert.equal(isAffectedBy(transcript, { type: 'message.created', payload: { message: { session_id: 7 } } }), true);
+  assert.equal(isAffectedBy(transcript, { type: 'message.created', payload: { message: { session_id: 8 } } }), false);
+  assert.equal(isAffectedBy(transcript, { type: 'node.created', payload: { node: { id: 'x' } } }), false);
+});
+
+test('resources list, read and stay within the bound project', async () => {
+  await graphStore.restoreProject('res-project', graph);
+  const other = await relationalStore.createSession({ userId: 'writer', projectId: 'res-elsewhere' });
+  const server = createMcpServer({ projectId: 'res-project' });
+  const init = await server.handleMessage(initialize);
+  assert.deepEqual(init.result.capabilities.resources, { subscribe: true, listChanged: true });
+  const { sessionId } = server.binding;
+  await relationalStore.insertMessage({ sessionId, role: 'user', content: 'Who is Ada?' });
+
+  const listed = await server.handleMessage(request(2, 'resources/list'));
+  assert.deepEqual(
+    listed.result.resources.map((resource) => resource.uri),
+    [
+      'story://res-project/graph',
+      `story://${sessionId}/messages`,
+      `story://${sessionId}/working-memory`,
+      'story://res-project/element/character',
+      'story://res-project/element/place',
+      'story://res-project/node/start',
+      'story://res-project/node/ada',
+      'story://res-project/node/mill',
+    ]
+  );
+  assert.equal(listed.result.nextCursor, undefined);
+  const templates = await server.handleMessage(request(3, 'resources/templates/list'));
+  assert.ok(templates.result.resourceTemplates.some((entry) => entry.uriTemplate === 'story://{project}/node/{id}'));
+
+  const read = async (uri) => readJson(await server.handleMessage(request(4, 'resources/read', { uri })));
+  const node = await read('story://res-project/node/ada');
+  assert.equal(node.node.label, 'Ada');
+  assert.deepEqual(
+    node.relationships.map((edge) => [edge.from, edge.to, edge.type]),
+    [
+      ['start', 'ada', 'LINKS_TO'],
+      ['ada', 'mill', 'LIVES_IN'],
+    ]
+  );
+  const places = await read('story://res-project/element/place');
+  assert.deepEqual(
+    places.elements.map((element) => element.id),
+    ['mill']
+  );
+  assert.equal((await read('story://res-project/graph')).nodes.length, 3);
+  const transcript = await read(`story://${sessionId}/messages`);
+  assert.deepEqual(
+    transcript.messages.map((message) => message.content),
+    ['Who is Ada?']
+  );
+  assert.equal((await read(`story://${sessionId}/working-memory`)).session.project_id, 'res-project');
+
+  for (const uri of [
+    'story://res-project/node/nowhere',
+    'story://res-elsewhere/graph',
+    `story://${other.id}/messages`,
+    'story://res-project/unknown',
+  ]) {
+    const response = await server.handleMessage(request(9, 'resources/read', { uri }));
+    assert.equal(response.error.code, -32002, uri);
+    assert.deepEqual(response.error.data, { uri });
+  }
+  assert.equal((await server.handleMessage(request(10, 'resources/list', { cursor: 'x' }))).error.code, -32602);
+  server.close();
+});
+
+test('subscribed resources are notified of node and message writes', async () => {
+  await graphStore.restoreProject('res-notify', graph);
+  const sent = [];
+  const server = createMcpServer({ projectId: 'res-notify', notify: (message) => sent.push(message) });
+  await server.handleMessage(initialize);
+  const { sessionId } = server.binding;
+  const uris = ['story://res-notify/node/ada', 'story://res-notify/element/place', `story://${sessionId}/messages`];
+  for (const uri of uris) {
+    assert.deepEqual((await server.handleMessage(request(2, 'resources/subscribe', { uri }))).result, {});
+  }
+
+  await applyGraphBatch('res-notify', [
+    { op: 'node.create', id: 'bo', label: 'Bo', meta: { builder: 'elements', elementType: 'character' } },
+  ]);
+  await applyGraphBatch('res-notify', [{ op: 'edge.create', from: 'bo', to: 'ada', type: 'KNOWS' }]);
+  publishChange('res-notify', 'message.created', { message: { session_id: Number(sessionId), content: 'Hi' } });
+  assert.deepEqual(
+    sent.map((message) => [message.method, message.params?.uri]),
+    [
+      ['notifications/resources/list_changed', undefined],
+      ['notifications/resources/updated', 'story://res-notify/node/ada'],
+      ['notifications/resources/updated', 'story://res-notify/element/place'],
+      ['notifications/resources/updated', `story://${sessionId}/messages`],
+    ]
+  );
+
+  sent.length = 0;
+  await server.handleMessage(request(3, 'resources/unsubscribe', { uri: 'story://res-notify/node/ada' }));
+  publishChange('res-notify', 'node.updated', { node: { id: 'ada', meta: {} } });
+  assert.deepEqual(
+    sent.map((message) => message.params?.uri),
+    ['story://res-notify/element/place']
+  );
+  server.close();
+  publishChange('res-notify', 'node.deleted', { id: 'ada' });
+  assert.equal(sent.length, 1);
+});
+
+test('notifications reach HTTP clients over the session event stream', async (t) => {
+  await graphStore.restoreProject('res-http', graph);
+  const base = await startApp(t, { '/mcp': createMcpHttpRouter() }, { json: false });
+  const post = (body, headers = {}) =>
+    fetch(`${base}/mcp`, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body });
+
+  const init = await post(JSON.stringify(initialize), { 'X-Project-Id': 'res-http' });
+  const headers = { 'Mcp-Session-Id': init.headers.get('mcp-session-id') };
+  await post(JSON.stringify(request(2, 'resources/subscribe', { uri: 'story://res-http/node/start' })), headers);
+
+  const stream = await fetch(`${base}/mcp`, { headers: { ...headers, Accept: 'text/event-stream' } });
+  assert.equal(stream.status, 200);
+  assert.match(stream.headers.get('content-type'), /text\/event-stream/);
+  await applyGraphBatch('res-http', [
+    { op: 'node.update', id: 'start', buildUpdate: () => ({ core: { label: 'Dawn' } }) },
+  ]);
+
+  const decoder = new TextDecoder();
+  let received = '';
+  for await (const chunk of stream.body) {
+    received += decoder.decode(chunk, { stream: true });
+    if (received.includes('\n\n')) break;
+  }
+  const data = received.split('\n').find((line) => line.startsWith('data: '));
+  assert.deepEqual(JSON.parse(data.slice(6)), {
+    jsonrpc: '2.0',
+    method: 'notifications/resources/updated',
+    params: { uri: 'story://res-http/node/start' },
+  });
+  assert.equal((await fetch(`${base}/mcp`, { method: 'DELETE', headers })).status, 204);
+});
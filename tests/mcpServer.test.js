@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('node:stream');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { checkArguments, createMcpServer } = require('../mcp/protocol');
+const { createMcpHttpRouter } = require('../mcp/http');
+const { parseArgs, serveStdio } = require('../mcp/stdio');
+const { startApp } = require('./helpers/http');
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+};
+
+test('checkArguments applies required, type, enum and additionalProperties', () => {
+  const schema = {
+    type: 'object',
+    required: ['kind'],
+    properties: { kind: { type: 'string', enum: ['a', 'b'] }, meta: { type: 'object' } },
+    additionalProperties: false,
+  };
+  assert.equal(checkArguments(schema, { kind: 'a', meta: {} }), null);
+  assert.equal(checkArguments(schema, {}), 'kind is required');
+  assert.equal(checkArguments(schema, { kind: 'c' }), 'kind must be one of: a, b');
+  assert.equal(checkArguments(schema, { kind: 'a', meta: [] }), 'meta must be of type object');
+  assert.equal(checkArguments(schema, { kind: 'a', extra: 1 }), 'unknown argument extra');
+  assert.equal(checkArguments(schema, 'a'), 'arguments must be an object');
+});
+
+test('the MCP server negotiates, lists tools and calls them within the bound project', async () => {
+  const server = createMcpServer({ projectId: 'mcp-project', userId: 'writer-2' });
+
+  const early = await server.handleMessage({ jsonrpc: '2.0', id: 0, method: 'tools/list' });
+  assert.equal(early.error.code, -32600);
+  assert.deepEqual(await server.handleMessage({ jsonrpc: '2.0', id: 'p', method: 'ping' }), {
+    jsonrpc: '2.0',
+    id: 'p',
+    result: {},
+  });
+
+  const init = await server.handleMessage({
+    ...initialize,
+    params: { ...initialize.params, protocolVersion: '2099-01-01' },
+  });
+  assert.equal(init.result.protocolVersion, '2025-06-18');
+  assert.deepEqual(init.result.capabilities.tools, { listChanged: false });
+  assert.equal(init.result.serverInfo.name, 'story-graph');
+  assert.equal(server.binding.projectId, 'mcp-project');
+  const session = await relationalStore.getSession(server.binding.sessionId);
+  assert.equal(session.user_id, 'writer-2');
+  assert.equal((await server.handleMessage(initialize)).error.code, -32600);
+  assert.equal(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+
+  const listed = await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+  const createNode = listed.result.tools.find((tool) => tool.name === 'createNode');
+  assert.deepEqual(createNode.inputSchema.required, ['builder', 'label']);
+  assert.equal(createNode.input_schema, undefined);
+
+  const created = await server.handleMessage({
+    jsonrpc: '2.0',
+    id: 3,
+    method: 'tools/call',
+    params: { name: 'createNode', arguments: { builder: 'project', label: 'Harbour' } },
+  });
+  assert.equal(created.result.isError, false);
+  const { node } = created.result.structuredContent;
+  assert.equal(node.label, 'Harbour');
+  assert.deepEqual(JSON.parse(created.result.content[0].text), created.result.structuredContent);
+  const graph = await graphStore.fetchProjectGraph('mcp-project');
+  assert.ok(graph.nodes.some((entry) => entry.id === node.id));
+
+  const missing = await server.handleMessage({
+    jsonrpc: '2.0',
+    id: 4,
+    method: 'tools/call',
+    params: { name: 'deleteNode', arguments: { node_id: 'nowhere' } },
+  });
+  assert.equal(missing.result.isError, true);
+  assert.deepEqual(missing.result.structuredContent, { error: 'Node not found', status: 404 });
+
+  const [invalid, unknownTool, unknownMethod] = await server.handleMessage([
+    { jsonrpc: '2.0', id: 5, method: 'tools/call', params: { name: 'createNode', arguments: { label: 'x' } } },
+    { jsonrpc: '2.0', id: 6, method: 'tools/call', params: { name: 'dropTables' } },
+    { jsonrpc: '2.0', id: 7, method: 'completion/complete' },
+    { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 3 } },
+  ]);
+  assert.deepEqual(invalid.error, { code: -32602, message: 'Invalid arguments for createNode: builder is required' });
+  assert.equal(unknownTool.error.code, -32602);
+  assert.equal(unknownMethod.error.code, -32601);
+  assert.equal((await server.handleMessage({ id: 8, method: 'ping' })).error.code, -32600);
+  server.close();
+});
+
+test('an MCP session can reuse an app session but not across projects', async () => {
+  const session = await relationalStore.createSession({ userId: 'writer-3', projectId: 'mcp-bound' });
+  const bound = createMcpServer({ sessionId: `${session.id}` });
+  await bound.handleMessage(initialize);
+  assert.deepEqual(bound.binding, { projectId: 'mcp-bound', sessionId: `${session.id}`, userId: 'writer-3' });
+  bound.close();
+
+  const mismatched = createMcpServer({ projectId: 'elsewhere', sessionId: `${session.id}` });
+  const response = await mismatched.handleMessage(initialize);
+  assert.equal(response.error.code, -32602);
+  assert.match(response.error.message, /belongs to project mcp-bound/);
+  assert.equal(mismatched.binding, null);
+});
+
+test('the streamable HTTP transport keeps MCP sessions by header', async (t) => {
+  const base = await startApp(t, { '/mcp': createMcpHttpRouter() }, { json: false });
+  const post = (body, headers = {}) =>
+    fetch(`${base}/mcp`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+      body: typeof body === 'string' ? body : JSON.stringify(body),
+    });
+
+  const init = await post(initialize, { 'X-Project-Id': 'mcp-http' });
+  assert.equal(init.status, 200);
+  const sessionId = init.headers.get('mcp-session-id');
+  assert.ok(sessionId);
+  assert.equal((await init.json()).result.protocolVersion, '2025-06-18');
+
+  const headers = { 'Mcp-Session-Id': sessionId, 'MCP-Protocol-Version': '2025-06-18' };
+  assert.equal((await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, headers)).status, 202);
+  const called = await (
+    await post(
+      {
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'createNode', arguments: { builder: 'elements', label: 'Ada' } },
+      },
+      headers
+    )
+  ).json();
+  const { node } = called.result.structuredContent;
+  assert.ok((await graphStore.fetchProjectGraph('mcp-http')).nodes.some((entry) => entry.id === node.id));
+
+  const noSession = await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+  assert.equal(noSession.status, 400);
+  assert.equal((await post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { 'Mcp-Session-Id': 'x' })).status, 404);
+  const badVersion = await post({ jsonrpc: '2.0', id: 4, method: 'ping' }, { ...headers, 'MCP-Protocol-Version': '1' });
+  assert.equal(badVersion.status, 400);
+  const parse = await post('{"jsonrpc":', headers);
+  assert.equal(parse.status, 400);
+  assert.equal((await parse.json()).error.code, -32700);
+  assert.equal((await post(initialize, { Origin: 'http://evil.example' })).status, 403);
+  const { id: _id, ...initializeNotification } = initialize;
+  const notified = await post(initializeNotification);
+  assert.equal(notified.status, 400);
+  assert.equal(notified.headers.get('mcp-session-id'), null);
+  assert.equal((await notified.json()).error.code, -32600);
+  const batched = await post([initialize]);
+  assert.equal(batched.status, 400);
+  assert.match((await batched.json()).error.message, /on its own/);
+  assert.equal((await fetch(`${base}/mcp`, { headers: { Accept: 'application/json' } })).status, 406);
+
+  const closed = await fetch(`${base}/mcp`, { method: 'DELETE', headers });
+  assert.equal(closed.status, 204);
+  assert.equal((await post({ jsonrpc: '2.0', id: 5, method: 'ping' }, headers)).status, 404);
+});
+
+test('the stdio transport answers newline-delimited messages in order', async () => {
+  assert.deepEqual(parseArgs(['--project', 'night', '--user=ada']), { projectId: 'night', userId: 'ada' });
+  assert.throws(() => parseArgs(['--verbose']), /Unknown option/);
+  assert.throws(() => parseArgs(['--project']), /needs a value/);
+
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', (chunk) => {
+    written += chunk;
+  });
+  const done = serveStdio({ projectId: 'mcp-stdio' }, { input, output });
+  input.write(`${JSON.stringify(initialize)}\n`);
+  input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n\n`);
+  input.write('not json\n');
+  input.end(`${JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })}\n`);
+  await done;
+
+  const responses = written.trim().split('\n').map((line) => JSON.parse(line));
+  assert.deepEqual(
+    responses.map((response) => [response.id, response.error?.code ?? null]),
+    [
+      [1, null],
+      [null, -32700],
+      [2, null],
+    ]
+  );
+  assert.equal(responses[2].result.tools.length, 15);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createMemoryGraphStore } = require('../src/db/graph/memoryGraphStore');
+const { prepareForkSnapshot } = require('../src/utils/checkpointRestore');
+
+async function seedStore(store, projectId = 'project-1') {
+  await store.createNode(projectId, { id: 'a', label: 'Chapter', meta: { builder: 'project' } });
+  await store.createNode(projectId, { id: 'b', label: 'Hero', meta: { builder: 'elements', elementType: 'character' } });
+  await store.createEdge(projectId, { from: 'a', to: 'b', type: 'LINKS_TO', props: { weight: 1 } });
+}
+
+test('memory graph store keeps projects isolated and returns extracted nodes', async () => {
+  const store = createMemoryGraphStore();
+  await seedStore(store);
+  await store.createNode('project-2', { id: 'z', label: 'Elsewhere' });
+
+  const graph = await store.fetchProjectGraph('project-1');
+  assert.deepEqual(graph.nodes.map((node) => node.id).sort(), ['a', 'b']);
+  assert.deepEqual(graph.nodes.find((node) => node.id === 'b').meta, {
+    builder: 'elements',
+    elementType: 'character',
+  });
+  assert.equal(graph.edges.length, 1);
+  const { version_id: edgeVersion, ...edge } = graph.edges[0];
+  assert.ok(edgeVersion);
+  assert.deepEqual(edge, { from: 'a', to: 'b', type: 'LINKS_TO', props: { weight: 1 }, project_id: 'project-1' });
+  assert.equal(await store.getNode('project-1', 'z'), null);
+});
+
+test('node ids are unique per project, so copies of a project keep their ids', async () => {
+  const store = createMemoryGraphStore();
+  await seedStore(store);
+  await seedStore(store, 'project-2');
+  await store.restoreProject('project-3', prepareForkSnapshot(await store.snapshotProject('project-1')));
+  await assert.rejects(store.createNode('project-1', { id: 'a', label: 'Again' }), /already exists/);
+
+  await store.updateNode('project-2', 'a', () => ({ core: { label: 'Prologue' } }));
+  await store.deleteNode('project-3', 'b');
+  assert.equal((await store.getNode('project-1', 'a')).label, 'Chapter');
+  assert.equal((await store.getNode('project-2', 'a')).label, 'Prologue');
+  assert.deepEqual((await store.fetchProjectGraph('project-1')).nodes.map((node) => node.id).sort(), ['a', 'b']);
+  assert.equal((await store.fetchProjectGraph('project-1')).edges.length, 1);
+  assert.deepEqual((await store.fetchProjectGraph('project-3')).nodes.map((node) => node.id), ['a']);
+});
+
+test('updateNode passes the existing node to the builder and stamps a new version', async () => {
+  const store = createMemoryGraphStore();
+  await seedStore(store);
+  const before = await store.getNode('project-1', 'a');
+
+  const result = await store.updateNode('project-1', 'a', (existing) => ({
+    core: { label: `${existing.label} One` },
+    meta: { ...existing.meta, notes: 'draft' },
+  }));
+  assert.equal(result.node.label, 'Chapter One');
+  assert.deepEqual(result.node.meta, { builder: 'project', notes: 'draft' });
+  assert.notEqual(result.node.version_id, before.version_id);
+
+  const rejected = await store.updateNode('project-1', 'a', () => ({ rejected: 'nope' }));
+  assert.equal(rejected.rejected, 'nope');
+  assert.equal(rejected.current.version_id, result.node.version_id);
+  assert.deepEqual(await store.updateNode('project-1', 'missing', () => ({})), { notFound: true });
+});
+
+test('links merge undirected and deleting a node detaches its relationships', async () => {
+  const store = createMemoryGraphStore();
+  await seedStore(store);
+  await store.mergeLink('project-1', { from: 'a', to: 'b', type: 'RELATES_TO', props: { note: 'x' } });
+  await store.mergeLink('project-1', { from: 'b', to: 'a', type: 'RELATES_TO', props: { extra: true } });
+
+  const links = await store.getLinks('project-1', 'b', 'RELATES_TO');
+  assert.equal(links.links.length, 1);
+  assert.equal(links.links[0].direction, 'in');
+  assert.deepEqual(links.links[0].props, { note: 'x', extra: true });
+
+  assert.equal(await store.deleteNode('project-1', 'a'), true);
+  const graph = await store.fetchProjectGraph('project-1');
+  assert.deepEqual(graph.edges, []);
+});
+
+test('failed transactions roll back every change', async () => {
+  const store = createMemoryGraphStore();
+  await seedStore(store);
+  await assert.rejects(
+    store.withTransaction(async (tx) => {
+      await tx.deleteNode('project-1', 'a');
+      throw new Error('boom');
+    }),
+    /boom/
+  );
+  assert.ok(await store.getNode('project-1', 'a'));
+});
+
+test('snapshots restore with fresh versions and persist to the JSON file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-store-'));
+  const file = path.join(dir, 'graph.json');
+  try {
+    const store = createMemoryGraphStore({ file });
+    await store.init();
+    await seedStore(store);
+    const snapshot = await store.snapshotProject('project-1');
+    await store.deleteNode('project-1', 'b');
+
+    const restored = await store.restoreProject('project-1', snapshot);
+    assert.deepEqual(restored.map((node) => node.id).sort(), ['a', 'b']);
+
+    const reloaded = createMemoryGraphStore({ file });
+    await reloaded.init();
+    const graph = await reloaded.fetchProjectGraph('project-1');
+    assert.equal(graph.nodes.length, 2);
+    assert.equal(graph.edges.length, 1);
+    const versions = await reloaded.listVersions('project-1', '2000-01-01T00:00:00Z');
+    assert.equal(versions.length, 2);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { createMemoryRelationalStore } = require('../src/db/relational/memoryRelationalStore');
+const { getSqlDialect } = require('../src/db/relational/dialects');
+
+async function seedSessions(store) {
+  await store.createProject({ id: 'project-1', name: 'One' });
+  const first = await store.createSession({ userId: 'user', projectId: 'project-1' });
+  const other = await store.createSession({ userId: 'user', projectId: 'project-2' });
+  await store.insertMessage({ sessionId: first.id, nodeId: 'node-1', role: 'user', messageType: 'user_reply', content: 'a' });
+  await store.insertMessage({ sessionId: first.id, nodeId: 'node-1', role: 'assistant', messageType: 'user_reply', content: 'b' });
+  await store.insertMessage({ sessionId: `${first.id}`, nodeId: 'node-2', role: 'user', messageType: 'user_reply', content: 'c' });
+  await store.insertMessage({ sessionId: other.id, nodeId: 'node-1', role: 'user', messageType: 'user_reply', content: 'z' });
+  return { first, other };
+}
+
+test('memory relational store rejects duplicate projects and scopes messages like the SQL joins', async () => {
+  const store = createMemoryRelationalStore();
+  const { first } = await seedSessions(store);
+  assert.equal(await store.createProject({ id: 'project-1', name: 'Again' }), null);
+
+  const page = await store.fetchMessagesPage({ sessionId: first.id, limit: 2, includeExtraRow: true });
+  assert.deepEqual(page.messages.map((message) => message.content), ['a', 'b']);
+  assert.equal(page.hasMore, true);
+
+  const projectScope = { projectId: 'project-1', nodeId: 'node-1' };
+  assert.equal(await store.countMessages(projectScope), 2);
+  assert.equal(await store.fetchLastUserMessage(projectScope), 'a');
+  const history = await store.fetchMessagesForHistory({ sessionId: `${first.id}`, limit: 2 });
+  assert.deepEqual(history.map((message) => message.content), ['b', 'c']);
+});
+
+test('project cleanup only touches sessions belonging to that project', async () => {
+  const store = createMemoryRelationalStore();
+  const { first, other } = await seedSessions(store);
+  await store.insertSummary({ sessionId: first.id, summary: { text: 'older', nodes: ['node-1'] } });
+  await store.updateSession(first.id, { active_node: 'node-1' });
+
+  await store.transaction(async (db) => {
+    await db.deleteMessagesForProject('project-1');
+    await db.deleteSummariesForProject('project-1');
+    await db.resetSessionsForProject('project-1');
+  });
+
+  assert.equal(await store.countMessages({ sessionId: first.id }), 0);
+  assert.equal(await store.countMessages({ sessionId: other.id }), 1);
+  assert.deepEqual(await store.listSummaries({ sessionId: first.id }), []);
+  assert.equal((await store.getSession(first.id)).active_node, null);
+  assert.equal(await store.updateSession(999, { active_node: 'x' }), 0);
+});
+
+test('transactions roll back while plain calls persist to the JSON file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'relational-store-'));
+  const file = path.join(dir, 'relational.json');
+  try {
+    const store = createMemoryRelationalStore({ file });
+    await store.init();
+    const node = { id: 'node-1', project_id: 'project-1', version_id: 'v1', last_modified: '2024-01-01T00:00:00Z', meta: {} };
+    await store.upsertNodeVersion(node);
+    await store.saveNodeWorkingHistory({ projectId: 'project-1', nodeId: 'node-1', workingHistory: 'notes' });
+    await assert.rejects(
+      store.transaction(async (db) => {
+        await db.deleteNodeVersionsForProject('project-1');
+        await db.saveNodeWorkingHistory({ projectId: 'project-1', nodeId: 'node-1', workingHistory: 'lost' });
+        throw new Error('boom');
+      }),
+      /boom/
+    );
+
+    const reloaded = createMemoryRelationalStore({ file });
+    await reloaded.init();
+    const record = await reloaded.fetchWorkingHistoryForNode({ projectId: 'project-1', nodeId: 'node-1' });
+    assert.equal(record.working_history, 'notes');
+    const checkpointId = await reloaded.insertCheckpoint({ projectId: 'project-1', name: 'cp', json: '{}', checksum: 'x' });
+    assert.equal((await reloaded.getCheckpoint(`${checkpointId}`)).json_snapshot, '{}');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('working memory parts match session scope and project/node fallback scope', async () => {
+  const store = createMemoryRelationalStore();
+  await store.upsertWorkingMemoryPart({ sessionId: '7', projectId: 'p', nodeId: 'n', part: 'messages', payload: '[]' });
+  await store.upsertWorkingMemoryPart({ sessionId: '', projectId: 'p', nodeId: 'n', part: 'working_history', payload: '"x"' });
+  await store.upsertWorkingMemoryPart({ sessionId: '', projectId: 'p', nodeId: 'other', part: 'working_history', payload: '"y"' });
+
+  const rows = await store.fetchWorkingMemoryParts([
+    { sessionId: '7' },
+    { sessionId: '', projectId: 'p', nodeId: 'n' },
+  ]);
+  assert.deepEqual(rows.map((row) => row.payload).sort(), ['"x"', '[]']);
+
+  await store.deleteFallbackWorkingMemoryParts({ projectId: 'p', nodeId: 'n', parts: ['working_history'] });
+  const remaining = await store.fetchWorkingMemoryParts([{ sessionId: '', projectId: 'p', nodeId: 'other' }]);
+  assert.equal(remaining.length, 1);
+});
+
+test('mysql dialect renders upserts and joined deletes', () => {
+  const dialect = getSqlDialect('mysql');
+  const sql = dialect.upsert({
+    table: 'node_working_history',
+    columns: ['project_id', 'node_id', 'working_history'],
+    keys: ['project_id', 'node_id'],
+    updates: ['working_history'],
+    touch: ['updated_at'],
+  });
+  assert.equal(
+    sql.replace(/\s+/g, ' '),
+    'INSERT INTO node_working_history (project_id, node_id, working_history) VALUES (?, ?, ?) ' +
+      'ON DUPLICATE KEY UPDATE working_history = VALUES(working_history), updated_at = CURRENT_TIMESTAMP'
+  );
+  assert.equal(
+    dialect.deleteJoined({ table: 'messages', alias: 'm', join: 'JOIN sessions s ON m.session_id = s.id', where: 's.project_id = ?' }),
+    'DELETE m FROM messages m JOIN sessions s ON m.session_id = s.id WHERE s.project_id = ?'
+  );
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const apiRouter = require('../src/routes/api');
+const mcpRouter = require('../mcp');
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { diffRevisions } = require('../src/utils/nodeRevisions');
+const { startApp, request } = require('./helpers/http');
+
+test('diffRevisions reports changed fields down to meta leaves', () => {
+  const changes = diffRevisions(
+    { label: 'Ada', content: 'x', meta: { elementData: { traits: ['brave'], age: 30 }, color: 'red' } },
+    { label: 'Ada', content: 'y', meta: { elementData: { traits: ['brave', 'kind'], age: 30 } } }
+  );
+  assert.deepEqual(changes, [
+    { field: 'content', before: 'x', after: 'y' },
+    { field: 'meta.elementData.traits', before: ['brave'], after: ['brave', 'kind'] },
+    { field: 'meta.color', before: 'red', after: null },
+  ]);
+});
+
+test('node updates from REST and MCP are recorded and can be reverted', async (t) => {
+  const base = await startApp(t, { '/api': apiRouter, '/mcp': mcpRouter });
+  await graphStore.createNode('rev', { id: 'ada', label: 'Ada', content: 'Original', meta: { mood: 'calm' } });
+  const session = await relationalStore.createSession({ userId: 'writer-1', projectId: 'rev' });
+
+  const patched = await request(
+    `${base}/api/node/ada`,
+    'PATCH',
+    { project_id: 'rev', content: 'Rewritten', metaUpdates: { mood: 'angry' } },
+    { 'X-Session-Id': `${session.id}` }
+  );
+  assert.equal(patched.status, 200);
+  const mcp = await request(`${base}/mcp/call`, 'POST', {
+    tool: 'updateNode',
+    arguments: { node_id: 'ada', fields: { label: 'Ada Lovelace' } },
+    memory: { session: { project_id: 'rev', session_id: `${session.id}` } },
+  });
+  assert.equal(mcp.status, 200);
+
+  const listed = await request(`${base}/api/node/ada/revisions?project_id=rev`);
+  assert.equal(listed.status, 200);
+  assert.deepEqual(
+    listed.body.revisions.map((revision) => [revision.source, revision.author, revision.label]),
+    [
+      ['mcp', 'writer-1', 'Ada Lovelace'],
+      ['api', 'writer-1', 'Ada'],
+      ['baseline', null, 'Ada'],
+    ]
+  );
+  assert.equal(listed.body.revisions[0].content, undefined);
+  const baseline = listed.body.revisions[2];
+
+  const diff = await request(`${base}/api/node/ada/revisions/diff?project_id=rev&from=${baseline.id}`);
+  assert.deepEqual(
+    diff.body.changes.map((change) => change.field),
+    ['label', 'content', 'meta.mood']
+  );
+
+  const stale = await request(`${base}/api/node/ada/revisions/${baseline.id}/revert`, 'POST', {
+    project_id: 'rev',
+    version_id: patched.body.version_id,
+  });
+  assert.equal(stale.status, 409);
+
+  const reverted = await request(`${base}/api/node/ada/revisions/${baseline.id}/revert`, 'POST', {
+    project_id: 'rev',
+  });
+  assert.equal(reverted.status, 200);
+  assert.equal(reverted.body.reverted_to, baseline.id);
+  assert.equal(reverted.body.node.label, 'Ada');
+  assert.equal(reverted.body.node.content, 'Original');
+  assert.deepEqual(reverted.body.node.meta, { mood: 'calm' });
+
+  const after = await request(`${base}/api/node/ada/revisions?project_id=rev&limit=1`);
+  assert.equal(after.body.revisions[0].source, 'revert');
+  assert.equal(after.body.has_more, true);
+  const missing = await request(`${base}/api/node/ada/revisions/9999?project_id=rev`);
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { startApp } = require('./helpers/http');
+
+async function patchJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+test('PATCH /api/node rejects stale versions with the current node', async (t) => {
+  const base = `${await startApp(t)}/api`;
+  const node = await graphStore.createNode('occ', { id: 'n1', label: 'Draft', meta: { builder: 'project' } });
+
+  const first = await patchJson(`${base}/node/n1`, { project_id: 'occ', label: 'Tab A', version_id: node.version_id });
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.version_id, node.version_id);
+
+  const stale = await patchJson(
+    `${base}/node/n1`,
+    { project_id: 'occ', label: 'Tab B' },
+    { 'If-Match': `"${node.version_id}"` }
+  );
+  assert.equal(stale.status, 409);
+  assert.equal(stale.body.code, 'version_conflict');
+  assert.equal(stale.body.current.label, 'Tab A');
+  assert.equal(stale.body.current.version_id, first.body.version_id);
+
+  const unguarded = await patchJson(`${base}/node/n1`, { project_id: 'occ', label: 'Tab B' });
+  assert.equal(unguarded.status, 200);
+});
+
+test('PATCH /api/edge checks the edge version_id', async (t) => {
+  const base = `${await startApp(t)}/api`;
+  await graphStore.createNode('occ-edge', { id: 'a', label: 'A' });
+  await graphStore.createNode('occ-edge', { id: 'b', label: 'B' });
+  const edge = await graphStore.createEdge('occ-edge', { from: 'a', to: 'b', type: 'LINKS_TO', props: { note: 'x' } });
+  assert.ok(edge.version_id);
+  assert.deepEqual(edge.props, { note: 'x' });
+
+  const payload = { project_id: 'occ-edge', from: 'a', to: 'b', type: 'LINKS_TO' };
+  const updated = await patchJson(`${base}/edge`, { ...payload, props: { note: 'y' }, version_id: edge.version_id });
+  assert.equal(updated.status, 200);
+  assert.deepEqual(updated.body.props, { note: 'y' });
+
+  const stale = await patchJson(`${base}/edge`, { ...payload, props: { note: 'z' }, version_id: edge.version_id });
+  assert.equal(stale.status, 409);
+  assert.deepEqual(stale.body.current.props, { note: 'y' });
+});
+
+test('AutosaveManager resolves a version conflict by merging with the server copy', async (t) => {
+  const moduleUrl = pathToFileURL(path.join(__dirname, '..', 'modules', 'common', 'autosaveManager.js')).href;
+  const { default: AutosaveManager, ConflictResolution } = await import(moduleUrl);
+
+  const requests = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    const [body] = JSON.parse(options.body).operations;
+    requests.push(body);
+    if (requests.length === 1) {
+      return {
+        ok: false,
+        status: 409,
+        json: async () => ({
+          error: 'Node was modified',
+          code: 'version_conflict',
+          failed_index: 0,
+          current: {
+            id: 'n1',
+            label: 'Renamed elsewhere',
+            content: 'base text',
+            version_id: 'v2',
+            meta: { notes: 'server note', color: 'red' },
+          },
+        }),
+      };
+    }
+    const saved = { id: 'n1', label: body.label, content: body.content, version_id: 'v3', meta: body.metaUpdates };
+    return { ok: true, status: 200, text: async () => JSON.stringify({ results: [{ op: body.op, node: saved }] }) };
+  };
+  t.after(() => {
+    global.fetch = originalFetch;
+  });
+
+  const choices = [];
+  const manager = new AutosaveManager({
+    projectId: 'project-1',
+    onConflict: ({ server }) => {
+      choices.push(server.version_id);
+      return ConflictResolution.MERGE;
+    },
+  });
+  const node = {
+    id: 'n1',
+    versionId: 'v1',
+    persistedSnapshot: { label: 'Original', content: 'base text', meta: { notes: 'base note', color: 'red' } },
+    toPersistence: () => ({ label: 'Original', content: 'local text', meta: { notes: 'base note', color: 'blue' } }),
+    markPersisted(versionId) {
+      this.versionId = versionId;
+    },
+  };
+
+  const { savedNodes } = await manager.saveBatch([node], []);
+  assert.deepEqual(savedNodes, [node]);
+  assert.deepEqual(choices, ['v2']);
+  assert.equal(requests[0].version_id, 'v1');
+  assert.equal(requests[1].version_id, 'v2');
+  assert.equal(requests[1].label, 'Renamed elsewhere');
+  assert.equal(requests[1].content, 'local text');
+  assert.deepEqual(requests[1].metaUpdates, { notes: 'server note', color: 'blue' });
+  assert.equal(node.versionId, 'v3');
+  assert.equal(node.notes, 'server note');
+});
+
+test('AutosaveManager drops an operation the server refuses and saves the rest', async (t) => {
+  const moduleUrl = pathToFileURL(path.join(__dirname, '..', 'modules', 'common', 'autosaveManager.js')).href;
+  const { default: AutosaveManager } = await import(moduleUrl);
+
+  const batches = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options = {}) => {
+    const { operations } = JSON.parse(options.body);
+    batches.push(operations);
+    const missing = operations.findIndex((operation) => operation.id === 'gone');
+    if (missing !== -1) {
+      return {
+        ok: false,
+        status: 404,
+        json: async () => ({ error: 'Node gone not found', failed_index: missing }),
+      };
+    }
+    if (operations.some((operation) => operation.op === 'edge.delete')) {
+      return { ok: false, status: 400, json: async () => ({ error: 'operations must be an array' }) };
+    }
+    const results = operations.map((operation) =>
+      operation.op === 'node.update'
+        ? { op: operation.op, node: { id: operation.id, label: operation.label, version_id: `${operation.id}-2` } }
+        : { op: operation.op }
+    );
+    return { ok: true, status: 200, text: async () => JSON.stringify({ results }) };
+  };
+  const originalWindow = global.window;
+  const timers = [];
+  global.window = { setTimeout: (callback) => timers.push(callback), clearTimeout: () => {} };
+  t.after(() => {
+    global.fetch = originalFetch;
+    global.window = originalWindow;
+  });
+
+  const node = (id) => ({
+    id,
+    versionId: `${id}-1`,
+    toPersistence: () => ({ label: id.toUpperCase() }),
+    markPersisted(versionId) {
+      this.versionId = versionId;
+    },
+  });
+  const failures = [];
+  const statuses = [];
+  const manager = new AutosaveManager({
+    onSaveFailed: (failed) => failures.push(...failed),
+    onStatusChange: (status) => statuses.push(status),
+  });
+  const [kept, gone] = [node('kept'), node('gone')];
+  manager.markNodeDirty(kept);
+  manager.markNodeDirty(gone);
+  manager.markLinkChange({ action: 'create', from: 'kept', to: 'other' });
+  await manager.commit();
+
+  assert.deepEqual(
+    batches.map((operations) => operations.map((operation) => operation.id || operation.op)),
+    [
+      ['kept', 'gone', 'edge.create'],
+      ['kept', 'edge.create'],
+    ]
+  );
+  assert.equal(kept.versionId, 'kept-2');
+  assert.equal(gone.versionId, 'gone-1');
+  assert.deepEqual(
+    failures.map(({ node: failed, error }) => [failed.id, error.status]),
+    [['gone', 404]]
+  );
+  assert.equal(manager.hasPending(), false);
+  assert.equal(statuses.at(-1), 'error');
+
+  // A batch refused as a whole is reported once, not resent on a timer.
+  manager.markLinkChange({ action: 'delete', from: 'kept', to: 'other' });
+  timers.length = 0;
+  await manager.commit();
+  assert.equal(batches.length, 3);
+  assert.deepEqual(failures.at(-1).link, { action: 'delete', from: 'kept', to: 'other', type: 'LINKS_TO', props: {} });
+  assert.equal(manager.hasPending(), false);
+  assert.equal(timers.length, 0);
+});
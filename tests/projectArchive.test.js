@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { readProjectArchive, remapArchiveNodeIds } = require('../src/utils/projectArchive');
+const { startApp, request } = require('./helpers/http');
+
+test('readProjectArchive rejects foreign files and remapArchiveNodeIds follows references', () => {
+  assert.throws(() => readProjectArchive({ format: 'other', version: 1 }), /format/);
+  assert.throws(() => readProjectArchive(Buffer.from('not json')), /JSON object/);
+  assert.throws(
+    () => readProjectArchive({ format: 'story-graph-project', version: 2, graph: { nodes: [] } }),
+    /version 2/
+  );
+
+  const archive = readProjectArchive({
+    format: 'story-graph-project',
+    version: 1,
+    graph: {
+      nodes: [
+        { id: 'a', label: 'A', meta: { follows: 'b' } },
+        { id: 'b', label: 'B' },
+      ],
+      edges: [{ from: 'a', to: 'b', type: 'LINKS_TO' }],
+    },
+    summaries: [{ id: '1', session_id: '1', summary: { nodes: ['a'] } }],
+  });
+  const { ids, archive: remapped } = remapArchiveNodeIds(archive);
+  const [a, b] = remapped.graph.nodes;
+  assert.equal(a.id, ids.get('a'));
+  assert.equal(a.meta.follows, b.id);
+  assert.deepEqual(remapped.graph.edges[0], { from: a.id, to: b.id, type: 'LINKS_TO', props: {} });
+  assert.deepEqual(remapped.summaries[0].summary, { nodes: [a.id] });
+});
+
+test('a project exports to an archive and imports under a new id', async (t) => {
+  const base = await startApp(t);
+  await request(`${base}/api/project`, 'POST', { id: 'atlas', name: 'Atlas' });
+  await request(`${base}/api/node`, 'POST', { project_id: 'atlas', id: 'gate', label: 'Gate', meta: { mood: 'grim' } });
+  await request(`${base}/api/node`, 'POST', { project_id: 'atlas', id: 'keep', label: 'Keep' });
+  await request(`${base}/api/edge`, 'POST', { project_id: 'atlas', from: 'gate', to: 'keep', type: 'LINKS_TO' });
+  const checkpoint = await request(`${base}/api/checkpoints`, 'POST', { project_id: 'atlas', name: 'First draft' });
+  const session = await relationalStore.createSession({ userId: 'writer-1', projectId: 'atlas', activeNode: 'gate' });
+  await relationalStore.insertMessage({
+    sessionId: session.id,
+    nodeId: 'gate',
+    role: 'user',
+    messageType: 'user_reply',
+    content: 'Open the gate',
+  });
+  await relationalStore.insertSummary({ sessionId: session.id, summary: { text: 'Gate opened', nodes: ['gate'] } });
+  await relationalStore.saveNodeWorkingHistory({ projectId: 'atlas', nodeId: 'gate', workingHistory: 'notes' });
+  await relationalStore.upsertWorkingMemoryPart({
+    sessionId: `${session.id}`,
+    projectId: 'atlas',
+    nodeId: 'gate',
+    part: 'focus',
+    payload: JSON.stringify({ active_node_id: 'gate' }),
+  });
+
+  const response = await fetch(`${base}/api/project/atlas/export?format=gzip`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /Atlas\.storygraph\.json\.gz/);
+  const gzipped = Buffer.from(await response.arrayBuffer());
+  const archive = JSON.parse(zlib.gunzipSync(gzipped).toString('utf8'));
+  assert.equal(archive.format, 'story-graph-project');
+  assert.equal(archive.checkpoints[0].name, 'First draft');
+  assert.equal(archive.messages[0].content, 'Open the gate');
+  assert.deepEqual(archive.working_memory_parts[0].payload, { active_node_id: 'gate' });
+
+  const imported = await request(`${base}/api/projects/import?project_id=atlas-2&name=Atlas%20II`, 'POST', gzipped, {
+    'Content-Type': 'application/gzip',
+  });
+  assert.equal(imported.status, 201);
+  assert.equal(imported.body.project.name, 'Atlas II');
+  assert.equal(imported.body.imported_from, 'atlas');
+  assert.deepEqual(imported.body.counts, {
+    nodes: 2,
+    edges: 1,
+    checkpoints: 1,
+    sessions: 1,
+    messages: 1,
+    summaries: 1,
+    node_working_history: 1,
+    working_memory_parts: 1,
+  });
+
+  const graph = await graphStore.fetchProjectGraph('atlas-2');
+  assert.deepEqual(graph.nodes.map((node) => node.id).sort(), ['gate', 'keep']);
+  assert.equal(graph.edges.length, 1);
+  const newSessionId = imported.body.id_map.sessions[`${session.id}`];
+  assert.notEqual(newSessionId, `${session.id}`);
+  const messages = await request(`${base}/api/messages?session_id=${newSessionId}`);
+  assert.deepEqual(messages.body.messages.map((message) => message.content), ['Open the gate']);
+  const history = await relationalStore.fetchWorkingHistoryForNode({ projectId: 'atlas-2', nodeId: 'gate' });
+  assert.equal(history.working_history, 'notes');
+
+  const newCheckpointId = imported.body.id_map.checkpoints[`${checkpoint.body.id}`];
+  const restored = await request(`${base}/api/checkpoints/${newCheckpointId}/restore`, 'POST', {
+    keep_history: true,
+  });
+  assert.equal(restored.status, 200);
+  assert.equal((await graphStore.fetchProjectGraph('atlas-2')).nodes.length, 2);
+
+  const again = await request(`${base}/api/projects/import?project_id=atlas-2`, 'POST', archive);
+  assert.equal(again.status, 409);
+  const remapped = await request(`${base}/api/projects/import?remap_node_ids=true`, 'POST', archive);
+  assert.equal(remapped.status, 201);
+  const gateId = remapped.body.id_map.nodes.gate;
+  const remappedGraph = await graphStore.fetchProjectGraph(remapped.body.project.id);
+  assert.ok(remappedGraph.nodes.some((node) => node.id === gateId && node.label === 'Gate'));
+  const bad = await request(`${base}/api/projects/import`, 'POST', { format: 'nope' });
+  assert.equal(bad.status, 400);
+  const missing = await request(`${base}/api/project/nowhere/export`);
+  assert.equal(missing.status, 404);
+});
+
+test('a failed import leaves no project behind, so it can be retried under the same id', async (t) => {
+  const base = await startApp(t);
+  const archive = (type) => ({
+    format: 'story-graph-project',
+    version: 1,
+    project: { id: 'harbour', name: 'Harbour' },
+    graph: { nodes: [{ id: 'quay' }, { id: 'boat' }], edges: [{ from: 'quay', to: 'boat', type }] },
+  });
+  const failed = await fetch(`${base}/api/projects/import?project_id=harbour-2`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(archive('not a type!')),
+  });
+  assert.equal(failed.status, 400);
+  assert.equal(await relationalStore.getProject('harbour-2'), null);
+  assert.equal((await graphStore.fetchProjectGraph('harbour-2')).nodes.length, 0);
+
+  const retried = await request(`${base}/api/projects/import?project_id=harbour-2`, 'POST', archive('MOORED_AT'));
+  assert.equal(retried.status, 201);
+  assert.equal((await graphStore.fetchProjectGraph('harbour-2')).edges.length, 1);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { planThreeWayMerge } = require('../src/utils/graphMerge');
+const { startApp, request } = require('./helpers/http');
+
+test('planThreeWayMerge merges meta leaves and reports clashing fields', () => {
+  const node = (meta, content = 'x') => ({ id: 'n', label: 'N', content, meta });
+  const base = { nodes: [node({ mood: 'calm', age: 30 })], edges: [] };
+  const ours = { nodes: [node({ mood: 'calm', age: 31 }, 'parent')], edges: [] };
+  const theirs = { nodes: [node({ mood: 'tense', age: 30 }, 'branch')], edges: [] };
+
+  const plan = planThreeWayMerge(base, ours, theirs);
+  assert.deepEqual(
+    plan.conflicts.map(({ key, ours: mine, theirs: other, resolution }) => [key, mine, other, resolution]),
+    [['node:n:content', 'parent', 'branch', null]]
+  );
+  assert.equal(plan.unresolved, 1);
+
+  const resolved = planThreeWayMerge(base, ours, theirs, { resolutions: { 'node:n:content': 'theirs' } });
+  assert.equal(resolved.unresolved, 0);
+  const [update] = resolved.operations;
+  assert.deepEqual(update.buildUpdate({ version_id: undefined }), {
+    core: { label: 'N', content: 'branch' },
+    meta: { mood: 'tense', age: 31 },
+  });
+});
+
+test('branches fork a project with working history and merge back', async (t) => {
+  const base = await startApp(t);
+  await relationalStore.createProject({ id: 'mainline', name: 'Main line' });
+  await graphStore.createNode('mainline', { id: 'hero', label: 'Hero', content: 'brave', meta: {} });
+  await graphStore.createNode('mainline', { id: 'villain', label: 'Villain', content: 'cruel', meta: {} });
+  await relationalStore.saveNodeWorkingHistory({ projectId: 'mainline', nodeId: 'hero', workingHistory: 'notes' });
+
+  const created = await request(`${base}/api/project/mainline/branches`, 'POST', {
+    id: 'alt-plot',
+    name: 'Alternate plot',
+    include_working_history: true,
+  });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.branch.parent_project_id, 'mainline');
+  assert.equal(created.body.working_history_copied, 1);
+  assert.equal((await graphStore.fetchProjectGraph('alt-plot')).nodes.length, 2);
+  const copied = await relationalStore.fetchWorkingHistoryForNode({ projectId: 'alt-plot', nodeId: 'hero' });
+  assert.equal(copied.working_history, 'notes');
+
+  const listed = await request(`${base}/api/project/mainline/branches`);
+  assert.deepEqual(listed.body.branches.map((branch) => [branch.project_id, branch.name]), [['alt-plot', 'Alternate plot']]);
+  const projects = await request(`${base}/api/projects`);
+  assert.equal(projects.body.projects.find((project) => project.id === 'alt-plot').parent_project_id, 'mainline');
+
+  const edit = (content) => () => ({ core: { content } });
+  await graphStore.updateNode('alt-plot', 'hero', edit('reluctant'));
+  await graphStore.updateNode('alt-plot', 'villain', edit('redeemed'));
+  await graphStore.createNode('alt-plot', { id: 'mentor', label: 'Mentor', content: '', meta: {} });
+  await graphStore.createEdge('alt-plot', { from: 'mentor', to: 'hero', type: 'GUIDES', props: {} });
+  await graphStore.updateNode('mainline', 'villain', edit('scheming'));
+
+  const preview = await request(`${base}/api/project/alt-plot/merge`, 'POST', { dry_run: true });
+  assert.equal(preview.status, 200);
+  assert.deepEqual(preview.body.conflicts.map((conflict) => conflict.key), ['node:villain:content']);
+  const blocked = await request(`${base}/api/project/alt-plot/merge`, 'POST');
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.code, 'merge_conflict');
+
+  const merged = await request(`${base}/api/project/alt-plot/merge`, 'POST', {
+    resolutions: { 'node:villain:content': 'ours' },
+  });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.merged, true);
+  const graph = await graphStore.fetchProjectGraph('mainline');
+  const content = Object.fromEntries(graph.nodes.map((node) => [node.id, node.content]));
+  assert.deepEqual(content, { hero: 'reluctant', villain: 'scheming', mentor: '' });
+  assert.deepEqual(graph.edges.map((edge) => edge.type), ['GUIDES']);
+
+  const again = await request(`${base}/api/project/alt-plot/merge`, 'POST', { dry_run: true });
+  assert.deepEqual(again.body.operations, []);
+  assert.deepEqual(again.body.conflicts, []);
+  const missing = await request(`${base}/api/project/mainline/merge`, 'POST');
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore } = require('../src/db/relationalStore');
+const { startApp, request } = require('./helpers/http');
+
+test('projects can be renamed, archived and duplicated', async (t) => {
+  const base = await startApp(t);
+  const created = await request(`${base}/api/project`, 'POST', { id: 'saga', name: 'Saga' });
+  assert.equal(created.status, 201);
+  await request(`${base}/api/node`, 'POST', { project_id: 'saga', id: 'opening', label: 'Opening' });
+  await relationalStore.saveNodeWorkingHistory({ projectId: 'saga', nodeId: 'opening', workingHistory: 'draft' });
+
+  const renamed = await request(`${base}/api/project/saga`, 'PATCH', { name: 'The Saga' });
+  assert.equal(renamed.body.name, 'The Saga');
+  const empty = await request(`${base}/api/project/saga`, 'PATCH', {});
+  assert.equal(empty.status, 400);
+
+  const copy = await request(`${base}/api/project/saga/duplicate`, 'POST', { id: 'saga-copy' });
+  assert.equal(copy.status, 201);
+  assert.equal(copy.body.name, 'The Saga (copy)');
+  assert.equal(copy.body.working_history_copied, 1);
+  assert.deepEqual((await graphStore.fetchProjectGraph('saga-copy')).nodes.map((node) => node.label), ['Opening']);
+  const taken = await request(`${base}/api/project/saga/duplicate`, 'POST', { id: 'saga-copy' });
+  assert.equal(taken.status, 409);
+
+  const archived = await request(`${base}/api/project/saga`, 'PATCH', { archived: true });
+  assert.ok(archived.body.archived_at);
+  const visible = await request(`${base}/api/projects`);
+  assert.equal(visible.body.projects.some((project) => project.id === 'saga'), false);
+  const all = await request(`${base}/api/projects?include_archived=true`);
+  assert.equal(all.body.projects.some((project) => project.id === 'saga'), true);
+  const restored = await request(`${base}/api/project/saga`, 'PATCH', { archived: false });
+  assert.equal(restored.body.archived_at, null);
+});
+
+test('deleting a project cascades through the graph and every relational table', async (t) => {
+  const base = await startApp(t);
+  await request(`${base}/api/project`, 'POST', { id: 'doomed', name: 'Doomed' });
+  await request(`${base}/api/project`, 'POST', { id: 'survivor', name: 'Survivor' });
+  for (const projectId of ['doomed', 'survivor']) {
+    await request(`${base}/api/node`, 'POST', { project_id: projectId, id: 'n1', label: 'One' });
+    await request(`${base}/api/node/n1`, 'PATCH', { project_id: projectId, content: 'edited' });
+    await request(`${base}/api/checkpoints`, 'POST', { project_id: projectId });
+  }
+  const session = await relationalStore.createSession({ userId: 'writer', projectId: 'doomed' });
+  await relationalStore.insertMessage({ sessionId: session.id, role: 'user', messageType: 'user_reply', content: 'hi' });
+  await relationalStore.saveNodeWorkingHistory({ projectId: 'doomed', nodeId: 'n1', workingHistory: 'notes' });
+  const branch = await request(`${base}/api/project/doomed/branches`, 'POST', { id: 'doomed-alt', name: 'Alt' });
+  assert.equal(branch.status, 201);
+
+  const deleted = await request(`${base}/api/project/doomed`, 'DELETE');
+  assert.equal(deleted.status, 200);
+  assert.equal(deleted.body.nodes_deleted, 1);
+
+  assert.equal((await graphStore.fetchProjectGraph('doomed')).nodes.length, 0);
+  assert.equal(await relationalStore.getProject('doomed'), null);
+  assert.equal(await relationalStore.getSession(session.id), null);
+  assert.equal(await relationalStore.countMessages({ sessionId: session.id }), 0);
+  assert.deepEqual(await relationalStore.listCheckpoints('doomed'), []);
+  assert.deepEqual(await relationalStore.listNodeRevisions({ projectId: 'doomed', nodeId: 'n1' }), []);
+  assert.equal(await relationalStore.fetchWorkingHistoryForNode({ projectId: 'doomed', nodeId: 'n1' }), null);
+  assert.equal(await relationalStore.getProjectBranch('doomed-alt'), null);
+  const versions = await request(`${base}/api/versions/check?project_id=doomed`);
+  assert.deepEqual(versions.body.versions, []);
+
+  assert.equal((await graphStore.fetchProjectGraph('survivor')).nodes.length, 1);
+  assert.equal((await relationalStore.listCheckpoints('survivor')).length, 1);
+  assert.equal((await graphStore.fetchProjectGraph('doomed-alt')).nodes.length, 1);
+
+  const again = await request(`${base}/api/project/doomed`, 'DELETE');
+  assert.equal(again.status, 404);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { checkCondition, applyEffects } = require('../src/utils/edgeProps');
+
+async function loadEngine() {
+  return import(pathToFileURL(path.resolve(__dirname, '../modules/player/storyEngine.js')));
+}
+
+const state = {
+  variables: { has_key: true, coins: 3, mood: 'calm', door: null, 'quest.step': 2 },
+  visited: new Set(['hall']),
+};
+
+// [requires, expected]: the story check on the server and the player in the
+// browser must agree on every row.
+const conditions = [
+  [undefined, true],
+  [null, true],
+  ['', true],
+  ['has_key', true],
+  [' !has_key ', false],
+  ['missing', false],
+  ['!missing', true],
+  ['coins >= 3', true],
+  ['coins > 3', false],
+  ['coins<4', true],
+  ['coins != 3', false],
+  ['coins == 3', true],
+  ["mood == 'calm'", true],
+  ['mood == calm', true],
+  ['door == null', true],
+  ['quest.step <= 2', true],
+  ['missing < 1', true],
+  ['visited:hall', true],
+  ['!visited:vault', true],
+  ['visited:', false],
+  ['!visited:', false],
+  ['coins >= lots', false],
+  ['!coins >= lots', false],
+  ['two words', false],
+  ['!', false],
+  [['has_key', 'coins > 2'], true],
+  [['has_key', 'two words'], false],
+  [{ mood: 'calm', has_key: true }, true],
+  [{ mood: 'wary' }, false],
+];
+
+const effects = [
+  [{ coins: 1 }, { coins: '+2' }, { coins: 3 }],
+  [{ coins: 1 }, { coins: '- 3', door: 'open' }, { coins: -2, door: 'open' }],
+  [{}, { coins: '+1.5' }, { coins: 1.5 }],
+  [{ mood: 'calm' }, { mood: '+calm' }, { mood: '+calm' }],
+  [{ coins: 1 }, null, { coins: 1 }],
+];
+
+test('server and player evaluate story conditions the same way', async () => {
+  const { checkRequirement } = await loadEngine();
+  conditions.forEach(([requires, expected]) => {
+    const label = JSON.stringify(requires);
+    assert.equal(checkCondition(requires, state), expected, `server: ${label}`);
+    assert.equal(checkRequirement(requires, state), expected, `player: ${label}`);
+  });
+});
+
+test('server and player apply story effects the same way', async () => {
+  const { applyStoryState } = await loadEngine();
+  effects.forEach(([variables, change, expected]) => {
+    assert.deepEqual(applyEffects(variables, change), expected);
+    assert.deepEqual(applyStoryState(variables, change), expected);
+  });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+async function loadEngine() {
+  return import(pathToFileURL(path.resolve(__dirname, '../modules/player/storyEngine.js')));
+}
+
+const graph = {
+  nodes: [
+    { id: 'hall', label: 'Hall', meta: { builder: 'project', fullText: 'A quiet hall.' } },
+    { id: 'vault', label: 'Vault', meta: { builder: 'project', fullText: 'Gold everywhere.' } },
+    { id: 'desk', label: 'Desk', meta: { builder: 'project', storyState: { has_key: true, coins: '+2' } } },
+    { id: 'attic', label: 'Attic', meta: JSON.stringify({ builder: 'project', storyStart: true }) },
+    { id: 'ada', label: 'Ada', meta: { builder: 'elements', elementData: { title: 'Ada' } } },
+  ],
+  edges: [
+    { from: 'attic', to: 'hall', type: 'CHILD_OF' },
+    { from: 'hall', to: 'desk', type: 'LINKS_TO', props: { label: 'Search the desk' } },
+    {
+      from: 'hall',
+      to: 'vault',
+      type: 'LINKS_TO',
+      props: { label: 'Open the vault', requires: ['has_key', 'coins >= 2'] },
+    },
+    { from: 'desk', to: 'hall', type: 'LINKS_TO', props: { requires: 'visited:desk' } },
+    { from: 'hall', to: 'ada', type: 'LINKS_TO' },
+  ],
+};
+
+test('checkRequirement understands flags, comparisons, visits and objects', async () => {
+  const { checkRequirement, applyStoryState } = await loadEngine();
+  const state = { variables: { has_key: true, coins: 3, mood: 'calm' }, visited: new Set(['hall']) };
+  assert.equal(checkRequirement(undefined, state), true);
+  assert.equal(checkRequirement('has_key', state), true);
+  assert.equal(checkRequirement('!has_key', state), false);
+  assert.equal(checkRequirement('coins > 3', state), false);
+  assert.equal(checkRequirement("mood == 'calm'", state), true);
+  assert.equal(checkRequirement('visited:hall', state), true);
+  assert.equal(checkRequirement('!visited:vault', state), true);
+  assert.equal(checkRequirement({ mood: 'calm', has_key: true }, state), true);
+  assert.equal(checkRequirement(['has_key', 'missing'], state), false);
+  assert.deepEqual(applyStoryState({ coins: 1 }, { coins: '-3', door: 'open' }), { coins: -2, door: 'open' });
+});
+
+test('the story player walks choices, tracks state and undoes choices', async () => {
+  const { buildStory, createStoryPlayer } = await loadEngine();
+  const story = buildStory(graph);
+  assert.equal(story.defaultStart, 'attic');
+  assert.equal(story.passages.has('ada'), false);
+
+  const player = createStoryPlayer(story);
+  assert.equal(player.passage.id, 'attic');
+  // Without LINKS_TO choices the attic offers its children.
+  assert.deepEqual(player.choices().map((choice) => choice.label), ['Hall']);
+  assert.equal(player.choose(0), true);
+
+  const locked = player.choices();
+  assert.deepEqual(locked.map((choice) => [choice.label, choice.available]), [
+    ['Search the desk', true],
+    ['Open the vault', false],
+  ]);
+  assert.equal(locked[1].reason, 'Requires has_key and coins >= 2');
+  assert.equal(player.choose(1), false);
+
+  player.choose(0);
+  assert.deepEqual(player.variables, { has_key: true, coins: 2 });
+  assert.deepEqual(player.choices().map((choice) => [choice.label, choice.available]), [['Hall', true]]);
+  player.choose(0);
+  assert.equal(player.choices()[1].available, true);
+  assert.equal(player.choices()[0].visited, true);
+  assert.deepEqual([...player.visited].sort(), ['attic', 'desk', 'hall']);
+
+  assert.equal(player.back(), true);
+  assert.equal(player.passage.id, 'desk');
+  player.restart('vault');
+  assert.equal(player.passage.text, 'Gold everywhere.');
+  assert.deepEqual(player.variables, {});
+  assert.equal(player.canGoBack, false);
+  assert.equal(createStoryPlayer(story, { startId: 'hall' }).passage.id, 'hall');
+});
+
+test('choices apply their edge effects before the passage state', async () => {
+  const { buildStory, createStoryPlayer } = await loadEngine();
+  const story = buildStory({
+    nodes: graph.nodes,
+    edges: [
+      { from: 'hall', to: 'desk', type: 'LINKS_TO', props: { choice: 'Pay', label: 'Old', effects: { coins: 5 } } },
+    ],
+  });
+  const player = createStoryPlayer(story, { startId: 'hall' });
+  assert.equal(player.choices()[0].label, 'Pay');
+  player.choose(0);
+  assert.deepEqual(player.variables, { coins: 7, has_key: true });
+});
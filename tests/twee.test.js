@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { buildTwee } = require('../src/utils/twee');
+const { startApp } = require('./helpers/http');
+
+const graph = {
+  nodes: [
+    {
+      id: 'root',
+      label: 'The Gate',
+      meta: { builder: 'project', fullText: 'You stand at the gate.', position: { x: 10, y: 20 } },
+    },
+    { id: 'left', label: 'Left [path]', content: 'A dark path.\n:: not a header', meta: { builder: 'project' } },
+    { id: 'right', label: 'Right', meta: { builder: 'project', fullText: 'A bright path.' } },
+    { id: 'end', label: 'Right', meta: { builder: 'project' } },
+    {
+      id: 'ada',
+      label: 'Ada Lovelace',
+      meta: { builder: 'elements', elementData: { title: 'Ada Lovelace', type: 'character' } },
+    },
+  ],
+  edges: [
+    { from: 'root', to: 'left', type: 'CHILD_OF' },
+    { from: 'root', to: 'right', type: 'CHILD_OF' },
+    { from: 'root', to: 'left', type: 'LINKS_TO', props: { label: 'Go left' } },
+    { from: 'root', to: 'right', type: 'LINKS_TO', props: {} },
+    { from: 'right', to: 'end', type: 'CHILD_OF' },
+    { from: 'left', to: 'ada', type: 'LINKS_TO' },
+  ],
+};
+
+test('buildTwee turns project nodes into passages with choices and element variables', () => {
+  const story = buildTwee(graph, { title: 'Gatehouse', projectId: 'gatehouse' });
+  assert.equal(story.start, 'The Gate');
+  assert.deepEqual(
+    story.passages.map((passage) => passage.name),
+    ['The Gate', 'Left path', 'Right', 'Right 2']
+  );
+  assert.deepEqual(story.variables, [{ id: 'ada', name: '$ada_lovelace' }]);
+
+  const { twee } = story;
+  assert.match(twee, /^:: StoryTitle\nGatehouse\n/);
+  assert.match(twee, /"format": "Harlowe"/);
+  assert.match(twee, /"start": "The Gate"/);
+  assert.match(twee, /:: StoryInit\n\(set: \$ada_lovelace to false\)/);
+  assert.ok(
+    twee.includes(
+      ':: The Gate {"position":"10,20","size":"100,100"}\nYou stand at the gate.\n[[Go left->Left path]]\n[[Right]]'
+    )
+  );
+  assert.ok(
+    twee.includes(':: Left path [ada_lovelace]\n(set: $ada_lovelace to true)\nA dark path.\n\\:: not a header')
+  );
+  // Without LINKS_TO choices a passage links to its children.
+  assert.match(twee, /:: Right\nA bright path\.\n\[\[Right 2\]\]/);
+  const ifid = (text) => text.match(/"ifid": "([^"]+)"/)[1];
+  assert.equal(ifid(buildTwee(graph, { projectId: 'gatehouse' }).twee), ifid(twee));
+
+  const sugarcube = buildTwee(graph, { storyFormat: 'SugarCube', startId: 'right' });
+  assert.match(sugarcube.twee, /<<set \$ada_lovelace to false>>/);
+  assert.equal(sugarcube.start, 'Right');
+  assert.throws(() => buildTwee(graph, { storyFormat: 'snowman' }), /story_format/);
+  assert.throws(() => buildTwee(graph, { startId: 'ada' }), /Unknown start node/);
+});
+
+test('GET /api/project/:id/export/twee downloads the story', async (t) => {
+  const base = await startApp(t);
+
+  await graphStore.restoreProject('twine', graph);
+  const response = await fetch(`${base}/api/project/twine/export/twee?story_format=sugarcube`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /twine\.twee/);
+  assert.match(await response.text(), /"format": "SugarCube"/);
+
+  const invalid = await fetch(`${base}/api/project/twine/export/twee?start=nope`);
+  assert.equal(invalid.status, 400);
+  const missing = await fetch(`${base}/api/project/nowhere/export/twee`);
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOAD_ENV = 'false';
+process.env.GRAPH_STORE = 'memory';
+process.env.RELATIONAL_STORE = 'memory';
+
+const { graphStore } = require('../src/db/graphStore');
+const { relationalStore, purgeExpiredTombstones } = require('../src/db/relationalStore');
+const { startApp } = require('./helpers/http');
+
+async function send(url, method, body) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return response.status;
+}
+
+test('/api/versions/check reports deleted nodes and links after since', async (t) => {
+  const base = `${await startApp(t)}/api`;
+  await graphStore.createNode('tomb', { id: 'a', label: 'A' });
+  await graphStore.createNode('tomb', { id: 'b', label: 'B' });
+  await graphStore.createNode('tomb', { id: 'c', label: 'C' });
+  await graphStore.mergeLink('tomb', { from: 'a', to: 'b', type: 'LINKS_TO' });
+  const since = new Date(Date.now() - 1000).toISOString();
+
+  assert.equal(await send(`${base}/link`, 'DELETE', { project_id: 'tomb', from: 'b', to: 'a' }), 204);
+  assert.equal(await send(`${base}/node/c?project_id=tomb`, 'DELETE'), 204);
+
+  const response = await fetch(`${base}/versions/check?project_id=tomb&since=${encodeURIComponent(since)}`);
+  const body = await response.json();
+  assert.equal(body.resync, false);
+  assert.deepEqual(
+    body.deleted.map(({ deleted_at: deletedAt, ...entry }) => entry),
+    [
+      { kind: 'link', from: 'a', to: 'b', type: 'LINKS_TO' },
+      { kind: 'node', id: 'c' },
+    ]
+  );
+  assert.ok(body.deleted.every((entry) => Date.parse(entry.deleted_at) > Date.parse(since)));
+
+  const future = encodeURIComponent(new Date(Date.now() + 1000).toISOString());
+  const later = await fetch(`${base}/versions/check?project_id=tomb&since=${future}`);
+  assert.deepEqual((await later.json()).deleted, []);
+});
+
+test('expired tombstones are purged and stale cursors are told to resync', async (t) => {
+  const base = `${await startApp(t)}/api`;
+  await relationalStore.recordTombstones('purge', [{ kind: 'node', id: 'old' }]);
+  assert.equal(await purgeExpiredTombstones(), 0);
+  assert.ok((await relationalStore.purgeTombstones(new Date(Date.now() + 1000).toISOString())) >= 1);
+  assert.deepEqual(await relationalStore.listTombstones({ projectId: 'purge' }), []);
+
+  const ancient = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString();
+  const response = await fetch(`${base}/versions/check?project_id=purge&since=${encodeURIComponent(ancient)}`);
+  const body = await response.json();
+  assert.equal(body.resync, true);
+  assert.deepEqual(body.deleted, []);
+  assert.ok(Date.parse(body.retention_cutoff) > Date.parse(ancient));
+});